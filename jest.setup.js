@@ -0,0 +1,4 @@
+// In-memory AsyncStorage, reset between tests with AsyncStorage.clear()
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
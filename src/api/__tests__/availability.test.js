@@ -0,0 +1,132 @@
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1760000000000;
+
+const flatrate = (...ids) => ({ flatrate: ids.map((id) => ({ provider_id: id })), rent: [], buy: [] });
+
+// Fresh modules per test, so the index write chain starts empty
+const load = async () => {
+  jest.resetModules();
+  const AsyncStorage = require('@react-native-async-storage/async-storage');
+  await AsyncStorage.clear();
+  return {
+    AsyncStorage,
+    ...require('../availability'),
+  };
+};
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockImplementation(() => NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordAvailabilitySnapshot', () => {
+  it('sets a baseline on the first snapshot, then records changes', async () => {
+    const { recordAvailabilitySnapshot } = await load();
+
+    await expect(recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(8), NOW - 2 * DAY)).resolves.toEqual({
+      added: [],
+      removed: [],
+    });
+    await expect(recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(350), NOW - DAY)).resolves.toEqual({
+      added: [350],
+      removed: [8],
+    });
+  });
+
+  it('adds changes to the region index, newest first', async () => {
+    const { recordAvailabilitySnapshot, createAvailabilityIndexKey } = await load();
+    const { getCachedData } = require('../cache');
+
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(8), NOW - 3 * DAY);
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(8, 350), NOW - 2 * DAY);
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(350), NOW - DAY);
+
+    expect(await getCachedData(createAvailabilityIndexKey('GB'))).toEqual([
+      { id: 550, type: 'movie', providerId: 8, change: 'removed', at: NOW - DAY },
+      { id: 550, type: 'movie', providerId: 350, change: 'added', at: NOW - 2 * DAY },
+    ]);
+    expect(await getCachedData(createAvailabilityIndexKey('DE'))).toBeNull();
+  });
+
+  it('keeps every change when snapshots are recorded at the same time', async () => {
+    const { recordAvailabilitySnapshot, getRecentAvailabilityChanges } = await load();
+    const ids = [1, 2, 3, 4, 5];
+
+    await Promise.all(ids.map((id) => recordAvailabilitySnapshot(id, 'movie', 'GB', flatrate(), NOW - DAY)));
+    await Promise.all(ids.map((id) => recordAvailabilitySnapshot(id, 'movie', 'GB', flatrate(8), NOW)));
+
+    const added = await getRecentAvailabilityChanges({ region: 'GB', platformIds: [8] });
+    expect(added.map((item) => item.id).sort()).toEqual(ids);
+  });
+});
+
+describe('getRecentAvailabilityChanges', () => {
+  it('reads the region index instead of every snapshot', async () => {
+    const { AsyncStorage, recordAvailabilitySnapshot, getRecentAvailabilityChanges } = await load();
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(), NOW - DAY);
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(8), NOW);
+
+    AsyncStorage.getAllKeys.mockClear();
+    AsyncStorage.getItem.mockClear();
+
+    await expect(getRecentAvailabilityChanges({ region: 'GB', platformIds: [8] })).resolves.toEqual([
+      { id: 550, type: 'movie', providerId: 8, at: NOW },
+    ]);
+    expect(AsyncStorage.getAllKeys).not.toHaveBeenCalled();
+    expect(AsyncStorage.getItem).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the latest change per title, newest first', async () => {
+    const { recordAvailabilitySnapshot, getRecentAvailabilityChanges } = await load();
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(), NOW - 5 * DAY);
+    await recordAvailabilitySnapshot(1399, 'tv', 'GB', flatrate(), NOW - 5 * DAY);
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(8), NOW - 4 * DAY);
+    await recordAvailabilitySnapshot(1399, 'tv', 'GB', flatrate(350), NOW - 3 * DAY);
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(8, 350), NOW - 2 * DAY);
+
+    await expect(getRecentAvailabilityChanges({ region: 'GB', platformIds: [8, 350] })).resolves.toEqual([
+      { id: 550, type: 'movie', providerId: 350, at: NOW - 2 * DAY },
+      { id: 1399, type: 'tv', providerId: 350, at: NOW - 3 * DAY },
+    ]);
+  });
+
+  it('skips changes that no longer hold', async () => {
+    const { recordAvailabilitySnapshot, getRecentAvailabilityChanges, AVAILABILITY_CHANGES } = await load();
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(), NOW - 3 * DAY);
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(8), NOW - 2 * DAY);
+    await recordAvailabilitySnapshot(550, 'movie', 'GB', flatrate(), NOW - DAY);
+
+    await expect(getRecentAvailabilityChanges({ region: 'GB', platformIds: [8] })).resolves.toEqual([]);
+    await expect(
+      getRecentAvailabilityChanges({ region: 'GB', platformIds: [8], change: AVAILABILITY_CHANGES.REMOVED })
+    ).resolves.toEqual([{ id: 550, type: 'movie', providerId: 8, at: NOW - DAY }]);
+  });
+
+  it('filters by platform, age and limit', async () => {
+    const { recordAvailabilitySnapshot, getRecentAvailabilityChanges } = await load();
+    await recordAvailabilitySnapshot(1, 'movie', 'GB', flatrate(), NOW - 30 * DAY);
+    await recordAvailabilitySnapshot(1, 'movie', 'GB', flatrate(8), NOW - 20 * DAY);
+    await recordAvailabilitySnapshot(2, 'movie', 'GB', flatrate(), NOW - 3 * DAY);
+    await recordAvailabilitySnapshot(2, 'movie', 'GB', flatrate(9), NOW - 2 * DAY);
+    await recordAvailabilitySnapshot(3, 'movie', 'GB', flatrate(), NOW - 3 * DAY);
+    await recordAvailabilitySnapshot(3, 'movie', 'GB', flatrate(8), NOW - 2 * DAY);
+    await recordAvailabilitySnapshot(4, 'movie', 'GB', flatrate(), NOW - 3 * DAY);
+    await recordAvailabilitySnapshot(4, 'movie', 'GB', flatrate(8), NOW - DAY);
+
+    const recent = await getRecentAvailabilityChanges({ region: 'GB', platformIds: [8] });
+    expect(recent.map((item) => item.id)).toEqual([4, 3]);
+
+    const limited = await getRecentAvailabilityChanges({ region: 'GB', platformIds: [8], limit: 1 });
+    expect(limited.map((item) => item.id)).toEqual([4]);
+  });
+
+  it('returns nothing for a region without changes', async () => {
+    const { getRecentAvailabilityChanges } = await load();
+
+    await expect(getRecentAvailabilityChanges({ region: 'GB', platformIds: [8] })).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,108 @@
+const mockGet = jest.fn();
+
+jest.mock('axios', () => ({
+  create: () => ({ get: (...args) => mockGet(...args) }),
+}));
+jest.mock('../cache', () => {
+  const store = new Map();
+  return {
+    createOMDbCacheKey: (imdbId) => `omdb_${imdbId}`,
+    getCachedData: jest.fn(async (key) => store.get(key) || null),
+    setCachedData: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    clearStore: () => store.clear(),
+  };
+});
+
+const FIGHT_CLUB = {
+  Response: 'True',
+  imdbRating: '8.8',
+  imdbVotes: '2,500,000',
+  Metascore: '67',
+  Ratings: [
+    { Source: 'Internet Movie Database', Value: '8.8/10' },
+    { Source: 'Rotten Tomatoes', Value: '79%' },
+  ],
+};
+
+const limitReached = () => {
+  const error = new Error('Request failed with status code 401');
+  error.response = { status: 401, data: { Response: 'False', Error: 'Request limit reached!' } };
+  return error;
+};
+
+let omdb;
+let now;
+
+beforeEach(() => {
+  jest.resetModules();
+  require('../cache').clearStore();
+  mockGet.mockReset();
+  now = 1760000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  omdb = require('../omdb');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRatings', () => {
+  it('parses and caches ratings', async () => {
+    mockGet.mockResolvedValue({ status: 200, data: FIGHT_CLUB });
+
+    const first = await omdb.getRatings('tt0137523');
+    const second = await omdb.getRatings('tt0137523');
+
+    expect(first).toEqual(second);
+    expect(first.data).toMatchObject({ imdbRating: '8.8', rottenTomatoes: 79, metacritic: '67' });
+    expect(mockGet).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops requesting after the request limit is reached', async () => {
+    mockGet.mockRejectedValueOnce(limitReached());
+
+    const limited = await omdb.getRatings('tt0137523');
+    expect(limited.success).toBe(false);
+    expect(limited.error).toMatch(/request limit/);
+    expect(omdb.isOMDbQuotaExceeded()).toBe(true);
+
+    const skipped = await omdb.getRatings('tt0816692');
+    expect(skipped.success).toBe(false);
+    expect(mockGet).toHaveBeenCalledTimes(1);
+  });
+
+  it('still serves cached ratings while paused', async () => {
+    mockGet.mockResolvedValueOnce({ status: 200, data: FIGHT_CLUB });
+    await omdb.getRatings('tt0137523');
+
+    mockGet.mockRejectedValueOnce(limitReached());
+    await omdb.getRatings('tt0816692');
+
+    const cached = await omdb.getRatings('tt0137523');
+    expect(cached.success).toBe(true);
+    expect(cached.data.imdbRating).toBe('8.8');
+    expect(mockGet).toHaveBeenCalledTimes(2);
+  });
+
+  it('resumes lookups after the pause', async () => {
+    mockGet.mockRejectedValueOnce(limitReached());
+    await omdb.getRatings('tt0137523');
+
+    now += 60 * 60 * 1000;
+    mockGet.mockResolvedValueOnce({ status: 200, data: FIGHT_CLUB });
+
+    expect(omdb.isOMDbQuotaExceeded()).toBe(false);
+    expect((await omdb.getRatings('tt0137523')).success).toBe(true);
+  });
+
+  it('treats a missing title as not found, without pausing', async () => {
+    mockGet.mockResolvedValueOnce({ status: 200, data: { Response: 'False', Error: 'Incorrect IMDb ID.' } });
+
+    expect((await omdb.getRatings('tt0000000')).success).toBe(false);
+    expect(omdb.isOMDbQuotaExceeded()).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+import { restrictItemsForKids } from '../tmdb';
+import { isKidsProfileActive } from '../../storage/profiles';
+
+const mockGet = jest.fn();
+
+jest.mock('axios', () => ({
+  create: () => ({
+    get: (...args) => mockGet(...args),
+    interceptors: { request: { use: () => {} }, response: { use: () => {} } },
+  }),
+}));
+jest.mock('../cache', () => ({
+  createTMDbCacheKey: (key) => `tmdb_${key}`,
+  getCachedData: jest.fn(async () => null),
+  setCachedData: jest.fn(async () => {}),
+}));
+jest.mock('../availability', () => ({
+  recordAvailabilitySnapshot: jest.fn(async () => ({ added: [], removed: [] })),
+}));
+jest.mock('../../storage/userPreferences', () => ({
+  getUserRegion: jest.fn(async () => 'GB'),
+}));
+jest.mock('../../storage/profiles', () => ({
+  isKidsProfileActive: jest.fn(async () => false),
+}));
+
+// BBFC certifications by request path, shaped like release_dates / content_ratings
+const CERTIFICATIONS = {
+  '/movie/8587/release_dates': { results: [{ iso_3166_1: 'GB', release_dates: [{ certification: 'U' }] }] },
+  '/movie/862/release_dates': { results: [{ iso_3166_1: 'GB', release_dates: [{ certification: 'PG' }] }] },
+  '/movie/1865/release_dates': { results: [{ iso_3166_1: 'GB', release_dates: [{ certification: '12A' }] }] },
+  '/tv/1429/content_ratings': { results: [{ iso_3166_1: 'GB', rating: '15' }] },
+  '/tv/82728/content_ratings': { results: [{ iso_3166_1: 'GB', rating: 'U' }] },
+};
+
+const RELATED = [
+  { id: 8587, type: 'movie', title: 'The Lion King', genre_ids: [16, 10751, 18] },
+  { id: 1865, type: 'movie', title: 'Pirates of the Caribbean', genre_ids: [12, 10751, 14] },
+  { id: 550, type: 'movie', title: 'Fight Club', genre_ids: [18] },
+  { id: 82728, type: 'tv', title: 'Bluey', genre_ids: [16, 10762] },
+  { id: 1429, media_type: 'tv', name: 'Attack on Titan', genre_ids: [16, 10759] },
+  { id: 862, media_type: 'movie', title: 'Toy Story', genre_ids: [16, 12, 10751], adult: true },
+];
+
+beforeEach(() => {
+  mockGet.mockReset();
+  mockGet.mockImplementation(async (path) => ({ status: 200, data: CERTIFICATIONS[path] || { results: [] } }));
+  isKidsProfileActive.mockResolvedValue(false);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('restrictItemsForKids', () => {
+  it('returns the items unchanged for other profiles', async () => {
+    await expect(restrictItemsForKids(RELATED)).resolves.toBe(RELATED);
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  it('keeps family-safe titles with a U or PG certification for a kids profile', async () => {
+    isKidsProfileActive.mockResolvedValue(true);
+
+    const allowed = await restrictItemsForKids(RELATED);
+
+    expect(allowed.map((item) => item.title || item.name)).toEqual(['The Lion King', 'Bluey']);
+    expect(allowed[0]).toBe(RELATED[0]);
+  });
+
+  it('only looks up titles in the kids genres', async () => {
+    isKidsProfileActive.mockResolvedValue(true);
+
+    await restrictItemsForKids(RELATED);
+
+    expect(mockGet.mock.calls.map(([path]) => path)).toEqual([
+      '/movie/8587/release_dates',
+      '/movie/1865/release_dates',
+      '/tv/82728/content_ratings',
+      '/tv/1429/content_ratings',
+    ]);
+  });
+
+  it('reads the genres of details responses', async () => {
+    isKidsProfileActive.mockResolvedValue(true);
+    const details = [
+      { id: 8587, type: 'movie', title: 'The Lion King', genres: [{ id: 16, name: 'Animation' }] },
+      { id: 550, type: 'movie', title: 'Fight Club', genres: [{ id: 18, name: 'Drama' }] },
+    ];
+
+    await expect(restrictItemsForKids(details)).resolves.toEqual([details[0]]);
+  });
+});
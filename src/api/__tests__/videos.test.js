@@ -0,0 +1,113 @@
+import holdoversVideos from './__fixtures__/movie-840430-videos.json';
+import {
+  VIDEO_TYPES,
+  scoreVideo,
+  rankVideos,
+  pickTrailer,
+  selectVideos,
+  buildVideoLanguageParam,
+  buildYouTubeAppUrl,
+  buildYouTubeWebUrl,
+  buildYouTubeThumbnailUrl,
+} from '../videos';
+import { getRegionLanguage } from '../../constants/regions';
+
+const videos = holdoversVideos.results;
+const keys = (list) => list.map((video) => video.key);
+
+describe('scoreVideo', () => {
+  const trailer = { type: VIDEO_TYPES.TRAILER, official: true, iso_639_1: 'de', size: 1080 };
+
+  it('prefers the requested language over no language over another language', () => {
+    expect(scoreVideo(trailer, 'de')).toBeGreaterThan(scoreVideo({ ...trailer, iso_639_1: null }, 'de'));
+    expect(scoreVideo({ ...trailer, iso_639_1: null }, 'de')).toBeGreaterThan(
+      scoreVideo({ ...trailer, iso_639_1: 'en' }, 'de')
+    );
+  });
+
+  it('prefers trailers to teasers, and official uploads', () => {
+    expect(scoreVideo(trailer, 'de')).toBeGreaterThan(scoreVideo({ ...trailer, type: VIDEO_TYPES.TEASER }, 'de'));
+    expect(scoreVideo(trailer, 'de')).toBeGreaterThan(scoreVideo({ ...trailer, official: false }, 'de'));
+  });
+
+  it('gives unknown types no type score', () => {
+    expect(scoreVideo({ type: 'Opening Credits', iso_639_1: 'fr' })).toBe(0);
+  });
+});
+
+describe('rankVideos', () => {
+  it('keeps only YouTube videos with a key', () => {
+    const ranked = rankVideos([...videos, { site: 'YouTube', type: VIDEO_TYPES.TRAILER }]);
+
+    expect(ranked).toHaveLength(6);
+    expect(ranked.every((video) => video.site === 'YouTube' && video.key)).toBe(true);
+  });
+
+  it('breaks ties with the most recently published video', () => {
+    const older = { key: 'old', site: 'YouTube', type: VIDEO_TYPES.CLIP, published_at: '2023-01-01T00:00:00.000Z' };
+    const newer = { ...older, key: 'new', published_at: '2023-06-01T00:00:00.000Z' };
+
+    expect(keys(rankVideos([older, newer]))).toEqual(['new', 'old']);
+  });
+
+  it('handles a missing list', () => {
+    expect(rankVideos(undefined)).toEqual([]);
+  });
+});
+
+describe('pickTrailer', () => {
+  it('picks the trailer in the requested language', () => {
+    expect(pickTrailer(videos, { language: 'en' }).key).toBe('AhKLpJmHhIg');
+    expect(pickTrailer(videos, { language: 'de' }).key).toBe('rU8fa4n0sC4');
+  });
+
+  it('falls back to a teaser, then to nothing', () => {
+    const withoutTrailers = videos.filter((video) => video.type !== VIDEO_TYPES.TRAILER);
+    expect(pickTrailer(withoutTrailers).key).toBe('YjX5Mb7tA3k');
+
+    const clipsOnly = videos.filter((video) => video.type === VIDEO_TYPES.CLIP);
+    expect(pickTrailer(clipsOnly)).toBeNull();
+  });
+});
+
+describe('selectVideos', () => {
+  it('puts the other gallery types under the trailer, without bloopers', () => {
+    const { trailer, gallery } = selectVideos(videos, { language: 'de' });
+
+    expect(trailer.key).toBe('rU8fa4n0sC4');
+    expect(keys(gallery)).toEqual(['AhKLpJmHhIg', 'YjX5Mb7tA3k', 'd9Zz2s8Xc1Q', 'Qb9tZ3Hq0sE']);
+  });
+
+  it('uses the region language for a German user', () => {
+    expect(selectVideos(videos, { language: getRegionLanguage('DE') }).trailer.key).toBe('rU8fa4n0sC4');
+    expect(selectVideos(videos, { language: getRegionLanguage('GB') }).trailer.key).toBe('AhKLpJmHhIg');
+  });
+
+  it('limits the gallery', () => {
+    expect(selectVideos(videos, { galleryLimit: 2 }).gallery).toHaveLength(2);
+  });
+
+  it('returns nothing for a title without videos', () => {
+    expect(selectVideos(undefined)).toEqual({ trailer: null, gallery: [] });
+  });
+});
+
+describe('buildVideoLanguageParam', () => {
+  it('asks for the language, English and no language', () => {
+    expect(buildVideoLanguageParam('de')).toBe('de,en,null');
+  });
+
+  it('does not repeat English', () => {
+    expect(buildVideoLanguageParam('en')).toBe('en,null');
+    expect(buildVideoLanguageParam()).toBe('en,null');
+  });
+});
+
+describe('YouTube links', () => {
+  it('builds app, web and thumbnail URLs', () => {
+    expect(buildYouTubeAppUrl('AhKLpJmHhIg', 'ios')).toBe('youtube://watch?v=AhKLpJmHhIg');
+    expect(buildYouTubeAppUrl('AhKLpJmHhIg', 'android')).toBe('vnd.youtube:AhKLpJmHhIg');
+    expect(buildYouTubeWebUrl('AhKLpJmHhIg')).toBe('https://www.youtube.com/watch?v=AhKLpJmHhIg');
+    expect(buildYouTubeThumbnailUrl('AhKLpJmHhIg')).toBe('https://img.youtube.com/vi/AhKLpJmHhIg/hqdefault.jpg');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Provider Availability Snapshots
+ * TMDb has no expiry dates for streaming deals, so every fresh watch/providers
+ * response is snapshotted here and compared with the previous one. The history
+ * of added/removed providers drives the "Just added" and "Recently left" rows.
+ * Changes are also appended to a small per-region index, so those rows can be
+ * read without loading every snapshot.
+ */
+
+import {
+  getCachedData,
+  setCachedData,
+  CACHE_PREFIXES,
+} from './cache';
+
+const DEBUG = __DEV__;
+
+// Changes kept per title; older ones are dropped
+const MAX_HISTORY = 20;
+
+// Changes kept in each region's index, newest first
+const MAX_INDEX_ENTRIES = 200;
+
+// Index updates are read-modify-write, so concurrent lookups are chained
+let indexWrites = Promise.resolve();
+
+export const AVAILABILITY_CHANGES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+};
+
+/**
+ * Create the snapshot key for a title in a region
+ * @param {string} region - ISO 3166-1 region code
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {number} contentId - TMDb ID
+ * @returns {string} Cache key
+ */
+export const createAvailabilityKey = (region, mediaType, contentId) => {
+  return `${CACHE_PREFIXES.AVAILABILITY}${region}_${mediaType}_${contentId}`;
+};
+
+/**
+ * Create the recent-changes index key for a region
+ * Not matched by the `availability_{region}_` snapshot prefix
+ * @param {string} region - ISO 3166-1 region code
+ * @returns {string} Cache key
+ */
+export const createAvailabilityIndexKey = (region) => {
+  return `${CACHE_PREFIXES.AVAILABILITY}index_${region}`;
+};
+
+/**
+ * Add changes to the front of a region's index
+ * @param {string} region - ISO 3166-1 region code
+ * @param {Array<Object>} entries - { id, type, providerId, change, at }
+ * @returns {Promise<void>}
+ */
+const appendToIndex = (region, entries) => {
+  indexWrites = indexWrites
+    .then(async () => {
+      const key = createAvailabilityIndexKey(region);
+      const index = (await getCachedData(key)) || [];
+      await setCachedData(key, [...entries, ...index].slice(0, MAX_INDEX_ENTRIES));
+    })
+    .catch((error) => {
+      console.error('[Availability] Error updating index:', error);
+    });
+  return indexWrites;
+};
+
+/**
+ * Compare two lists of provider IDs
+ * @param {Array<number>} previousIds - Provider IDs from the last snapshot
+ * @param {Array<number>} currentIds - Provider IDs from this snapshot
+ * @returns {Object} { added, removed }
+ */
+export const diffProviderIds = (previousIds = [], currentIds = []) => ({
+  added: currentIds.filter((id) => !previousIds.includes(id)),
+  removed: previousIds.filter((id) => !currentIds.includes(id)),
+});
+
+/**
+ * Record a snapshot of a title's subscription providers
+ * The first snapshot of a title only establishes a baseline
+ * @param {number} contentId - TMDb ID
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {string} region - ISO 3166-1 region code
+ * @param {Object} providers - getContentWatchProviders data ({ flatrate, rent, buy })
+ * @param {number} now - Timestamp for any changes
+ * @returns {Promise<Object>} { added, removed } provider IDs
+ */
+export const recordAvailabilitySnapshot = async (
+  contentId,
+  mediaType,
+  region,
+  providers,
+  now = Date.now()
+) => {
+  try {
+    const key = createAvailabilityKey(region, mediaType, contentId);
+    const previous = await getCachedData(key);
+    const currentIds = (providers?.flatrate || []).map((provider) => provider.provider_id);
+    const changes = previous
+      ? diffProviderIds(previous.providerIds, currentIds)
+      : { added: [], removed: [] };
+
+    const newHistory = [
+      ...changes.added.map((providerId) => ({ providerId, change: AVAILABILITY_CHANGES.ADDED, at: now })),
+      ...changes.removed.map((providerId) => ({ providerId, change: AVAILABILITY_CHANGES.REMOVED, at: now })),
+    ];
+
+    await setCachedData(key, {
+      id: contentId,
+      type: mediaType,
+      region,
+      providerIds: currentIds,
+      history: [...newHistory, ...(previous?.history || [])].slice(0, MAX_HISTORY),
+      updatedAt: now,
+    });
+
+    if (newHistory.length > 0) {
+      await appendToIndex(
+        region,
+        newHistory.map((entry) => ({ id: contentId, type: mediaType, ...entry }))
+      );
+      if (DEBUG) console.log('[Availability] Changes for', key, changes);
+    }
+    return changes;
+  } catch (error) {
+    console.error('[Availability] Error recording snapshot:', error);
+    return { added: [], removed: [] };
+  }
+};
+
+/**
+ * Get recent availability changes on the user's platforms
+ * Reads the region's index rather than every snapshot. Only the latest matching change per title is returned, and only if it still
+ * holds (an "added" title is still on the provider, a "removed" one is not)
+ * @param {Object} options
+ * @param {string} options.region - ISO 3166-1 region code
+ * @param {Array<number>} options.platformIds - User's selected platform IDs
+ * @param {string} options.change - AVAILABILITY_CHANGES value
+ * @param {number} options.maxAge - Ignore changes older than this (ms)
+ * @param {number} options.limit - Maximum number of titles
+ * @returns {Promise<Array<Object>>} { id, type, providerId, at }, newest first
+ */
+export const getRecentAvailabilityChanges = async ({
+  region,
+  platformIds = [],
+  change = AVAILABILITY_CHANGES.ADDED,
+  maxAge = 14 * 24 * 60 * 60 * 1000,
+  limit = 20,
+} = {}) => {
+  try {
+    const index = (await getCachedData(createAvailabilityIndexKey(region))) || [];
+    const cutoff = Date.now() - maxAge;
+
+    // The index is newest first, so the first entry seen for a title and
+    // provider is the one that still holds
+    const seenProviders = new Set();
+    const seenTitles = new Set();
+    const results = [];
+    index.forEach((entry) => {
+      const titleKey = `${entry.type}-${entry.id}`;
+      const providerKey = `${titleKey}-${entry.providerId}`;
+      if (seenProviders.has(providerKey)) return;
+      seenProviders.add(providerKey);
+
+      if (
+        entry.change !== change ||
+        entry.at < cutoff ||
+        !platformIds.includes(entry.providerId) ||
+        seenTitles.has(titleKey)
+      ) {
+        return;
+      }
+      seenTitles.add(titleKey);
+
+      results.push({
+        id: entry.id,
+        type: entry.type,
+        providerId: entry.providerId,
+        at: entry.at,
+      });
+    });
+
+    return results.sort((a, b) => b.at - a.at).slice(0, limit);
+  } catch (error) {
+    console.error('[Availability] Error getting recent changes:', error);
+    return [];
+  }
+};
+
+export default {
+  createAvailabilityKey,
+  createAvailabilityIndexKey,
+  diffProviderIds,
+  recordAvailabilitySnapshot,
+  getRecentAvailabilityChanges,
+  AVAILABILITY_CHANGES,
+};
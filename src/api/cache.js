@@ -8,12 +8,18 @@ const DEBUG = __DEV__;
 const CACHE_PREFIXES = {
   TMDB: 'tmdb_',
   OMDB: 'omdb_',
+  AVAILABILITY: 'availability_',
+  // Typeahead suggestions live under the TMDb prefix (createTMDbCacheKey('suggest', ...))
+  // so clearCache(CACHE_PREFIXES.TMDB) removes them too, but expire much sooner
+  SUGGESTIONS: 'tmdb_suggest_',
 };
 
 // Default TTL values (in milliseconds)
 const CACHE_TTL = {
   TMDB: 24 * 60 * 60 * 1000,  // 24 hours
   OMDB: 7 * 24 * 60 * 60 * 1000,  // 7 days
+  AVAILABILITY: 30 * 24 * 60 * 60 * 1000,  // 30 days since last snapshot
+  SUGGESTIONS: 60 * 60 * 1000,  // 1 hour
 };
 
 /**
@@ -85,8 +91,24 @@ export const setCachedData = async (key, data) => {
   }
 };
 
+/**
+ * Get all storage keys that start with a prefix
+ * @param {string} prefix - Key prefix (e.g., CACHE_PREFIXES.AVAILABILITY)
+ * @returns {Promise<Array<string>>} - Matching keys
+ */
+export const getKeysWithPrefix = async (prefix) => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    return keys.filter(key => key.startsWith(prefix));
+  } catch (error) {
+    return handleCacheError(error, []);
+  }
+};
+
 /**
  * Clear all cached data or specific cache type
+ * Availability snapshots are history rather than API cache, so they are
+ * only cleared when their prefix is passed explicitly
  * @param {string|null} prefix - Optional prefix to clear specific cache type
  * @returns {Promise<void>}
  */
@@ -122,7 +144,8 @@ export const clearExpired = async () => {
     const keys = await AsyncStorage.getAllKeys();
     const cacheKeys = keys.filter(key =>
       key.startsWith(CACHE_PREFIXES.TMDB) ||
-      key.startsWith(CACHE_PREFIXES.OMDB)
+      key.startsWith(CACHE_PREFIXES.OMDB) ||
+      key.startsWith(CACHE_PREFIXES.AVAILABILITY)
     );
 
     let expiredCount = 0;
@@ -158,10 +181,11 @@ export const getCacheStats = async () => {
     const keys = await AsyncStorage.getAllKeys();
     const tmdbKeys = keys.filter(key => key.startsWith(CACHE_PREFIXES.TMDB));
     const omdbKeys = keys.filter(key => key.startsWith(CACHE_PREFIXES.OMDB));
+    const availabilityKeys = keys.filter(key => key.startsWith(CACHE_PREFIXES.AVAILABILITY));
 
     // Calculate total size (approximate)
     let totalSize = 0;
-    for (const key of [...tmdbKeys, ...omdbKeys]) {
+    for (const key of [...tmdbKeys, ...omdbKeys, ...availabilityKeys]) {
       const cached = await AsyncStorage.getItem(key);
       if (cached) totalSize += cached.length;
     }
@@ -175,8 +199,12 @@ export const getCacheStats = async () => {
         count: omdbKeys.length,
         ttl: CACHE_TTL.OMDB,
       },
+      availability: {
+        count: availabilityKeys.length,
+        ttl: CACHE_TTL.AVAILABILITY,
+      },
       totalSize: `${(totalSize / 1024).toFixed(2)} KB`,
-      totalKeys: tmdbKeys.length + omdbKeys.length,
+      totalKeys: tmdbKeys.length + omdbKeys.length + availabilityKeys.length,
     };
   } catch (error) {
     console.error('[Cache] Stats error:', error);
@@ -227,9 +255,16 @@ const hashParams = (params) => {
  * @returns {number} - TTL in milliseconds
  */
 const inferTTLFromKey = (key) => {
+  // Checked before TMDB since suggestion keys share its prefix
+  if (key.startsWith(CACHE_PREFIXES.SUGGESTIONS)) {
+    return CACHE_TTL.SUGGESTIONS;
+  }
   if (key.startsWith(CACHE_PREFIXES.OMDB)) {
     return CACHE_TTL.OMDB;
   }
+  if (key.startsWith(CACHE_PREFIXES.AVAILABILITY)) {
+    return CACHE_TTL.AVAILABILITY;
+  }
   return CACHE_TTL.TMDB;
 };
 
@@ -240,6 +275,7 @@ export { CACHE_PREFIXES, CACHE_TTL };
 export default {
   getCachedData,
   setCachedData,
+  getKeysWithPrefix,
   clearCache,
   clearExpired,
   getCacheStats,
@@ -5,17 +5,33 @@ export {
   discoverTV,
   getMovieDetails,
   getTVDetails,
+  getTVSeasonDetails,
+  getRecommendations,
+  getSimilar,
+  getPersonDetails,
+  getPersonCredits,
   searchMulti,
+  searchMovies,
+  searchTV,
+  searchPeople,
+  searchKeywords,
+  getSearchSuggestions,
+  getTrending,
+  getCertification,
+  restrictItemsForKids,
+  findByImdbId,
   getWatchProviders,
   buildImageUrl,
   buildPosterUrl,
   buildBackdropUrl,
+  buildStillUrl,
   buildLogoUrl,
 } from './tmdb';
 
 // Export OMDB API functions
 export {
   getRatings,
+  isOMDbQuotaExceeded,
   getRottenTomatoesScore,
   getIMDbScore,
   getMetacriticScore,
@@ -25,6 +41,7 @@ export {
 export {
   getCachedData,
   setCachedData,
+  getKeysWithPrefix,
   clearCache,
   clearExpired,
   getCacheStats,
@@ -34,6 +51,31 @@ export {
   CACHE_TTL,
 } from './cache';
 
+// Export availability snapshot functions
+export {
+  recordAvailabilitySnapshot,
+  getRecentAvailabilityChanges,
+  AVAILABILITY_CHANGES,
+} from './availability';
+
+// Export unified search
+export {
+  filterByAvailability,
+  searchContent,
+  discoverByKeyword,
+} from './search';
+
+// Export video selection helpers
+export {
+  VIDEO_TYPES,
+  rankVideos,
+  pickTrailer,
+  selectVideos,
+  buildYouTubeAppUrl,
+  buildYouTubeWebUrl,
+  buildYouTubeThumbnailUrl,
+} from './videos';
+
 // Default exports
 import TMDbAPI from './tmdb';
 import OMDbAPI from './omdb';
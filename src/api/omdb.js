@@ -13,8 +13,32 @@ const omdbClient = axios.create({
   timeout: 10000, // 10 second timeout
 });
 
+// Once OMDb reports its daily request limit (1,000 on the free key),
+// lookups are skipped for this long; cached ratings are still returned
+const QUOTA_PAUSE = 60 * 60 * 1000; // 1 hour
+const QUOTA_ERROR_MESSAGE = 'OMDb daily request limit reached. Ratings will load again later.';
+
+let quotaPausedUntil = 0;
+
+const isQuotaError = (message) => /request limit reached/i.test(message || '');
+
+const EMPTY_RATINGS = {
+  imdbRating: null,
+  rottenTomatoes: null,
+  imdbVotes: null,
+  metacritic: null,
+  rawRatings: [],
+};
+
+// Check whether OMDb lookups are paused after hitting the daily request limit
+export const isOMDbQuotaExceeded = () => Date.now() < quotaPausedUntil;
+
 // Enhanced error handler
 const handleOMDbError = (error) => {
+  if (isQuotaError(error.response?.data?.Error || error.message)) {
+    return new Error(QUOTA_ERROR_MESSAGE);
+  }
+
   if (error.response) {
     const { status, data } = error.response;
     const message = data?.Error || 'OMDb API error';
@@ -35,6 +59,7 @@ const handleOMDbError = (error) => {
 };
 
 // Get ratings for a title by IMDb ID
+// Served from the cache when possible, even while lookups are paused by the request limit
 export const getRatings = async (imdbId, type = 'movie') => {
   try {
     if (!imdbId) {
@@ -53,6 +78,14 @@ export const getRatings = async (imdbId, type = 'movie') => {
       }
     }
 
+    if (isOMDbQuotaExceeded()) {
+      return {
+        success: false,
+        error: QUOTA_ERROR_MESSAGE,
+        data: EMPTY_RATINGS,
+      };
+    }
+
     if (DEBUG) {
       console.log('[OMDb Request] GET', { imdbId, type });
     }
@@ -101,16 +134,14 @@ export const getRatings = async (imdbId, type = 'movie') => {
     const enhancedError = handleOMDbError(error);
     console.error('[OMDb Error]', enhancedError.message);
 
+    if (enhancedError.message === QUOTA_ERROR_MESSAGE) {
+      quotaPausedUntil = Date.now() + QUOTA_PAUSE;
+    }
+
     return {
       success: false,
       error: enhancedError.message,
-      data: {
-        imdbRating: null,
-        rottenTomatoes: null,
-        imdbVotes: null,
-        metacritic: null,
-        rawRatings: [],
-      },
+      data: EMPTY_RATINGS,
     };
   }
 };
@@ -154,6 +185,7 @@ export const getMetacriticScore = (ratings) => {
 // Export all functions
 export default {
   getRatings,
+  isOMDbQuotaExceeded,
   getRottenTomatoesScore,
   getIMDbScore,
   getMetacriticScore,
@@ -0,0 +1,217 @@
+/**
+ * Unified Search
+ * Combines TMDb keyword search with the app's filter model. The search
+ * endpoints ignore discover params, so genre/rating filters are applied to
+ * each page client-side and results are checked against the user's platforms
+ * in batches. People and TMDb keywords are returned alongside the titles, and
+ * a keyword can be browsed through discover with the full filter set.
+ */
+
+import {
+  searchMovies,
+  searchTV,
+  searchPeople,
+  searchKeywords,
+  discoverMovies,
+  discoverTV,
+  getContentWatchProviders,
+} from './tmdb';
+import {
+  resolveFilters,
+  includesMovies,
+  includesTV,
+  getFilteredPlatforms,
+  buildDiscoverParams,
+  matchesFilters,
+  isClientSideSort,
+  getPlatformsForCost,
+} from '../utils/filterModel';
+import { MAX_ENRICHED, sortContent } from '../utils/contentSort';
+
+const DEBUG = __DEV__;
+
+const BATCH_SIZE = 10;
+// Keep fetching pages until this many results pass the filters...
+const MIN_RESULTS_PER_LOAD = 10;
+// ...but never more than this many pages per load
+const MAX_PAGES_PER_LOAD = 3;
+const MAX_ENTITY_RESULTS = 5;
+
+const byPopularity = (a, b) => (b.popularity || 0) - (a.popularity || 0);
+
+/**
+ * Keep items available on the given platforms, checking providers in batches
+ * The cost filter is applied with getPlatformsForCost (see filterModel)
+ * @param {Array<Object>} items - Content items with `id` and `type`
+ * @param {Array<number>} platformIds - Platform IDs to match
+ * @param {string} costFilter - 'all' | 'free' | 'paid'
+ * @returns {Promise<Array<Object>>} Available items with `platforms` filled in
+ */
+export const filterByAvailability = async (items, platformIds, costFilter = 'all') => {
+  const available = [];
+
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = items.slice(i, i + BATCH_SIZE);
+    const responses = await Promise.all(
+      batch.map((item) => getContentWatchProviders(item.id, item.type))
+    );
+
+    responses.forEach((response, index) => {
+      if (!response.success) return;
+
+      const platforms = getPlatformsForCost(response.data, platformIds, costFilter);
+      if (platforms.length > 0) {
+        available.push({ ...batch[index], platforms });
+      }
+    });
+  }
+
+  return available;
+};
+
+/**
+ * Search titles by text, honouring the filter model and the user's platforms
+ * @param {Object} options
+ * @param {string} options.query - Search text
+ * @param {Object} options.filters - Filter model (services, type, cost, genres, rating)
+ * @param {Array<number>} options.platformIds - User's selected platform IDs
+ * @param {number} options.page - TMDb page to start from (use the previous `nextPage`)
+ * @param {Set<string>} options.excludeKeys - `type-id` keys already shown or watched
+ * @returns {Promise<Object>} { results, people, keywords, nextPage, hasMore }
+ */
+export const searchContent = async ({
+  query,
+  filters = {},
+  platformIds = [],
+  page = 1,
+  excludeKeys = new Set(),
+} = {}) => {
+  const resolved = resolveFilters(filters);
+  const servicePlatforms = getFilteredPlatforms(resolved, platformIds);
+  const seen = new Set(excludeKeys);
+  const results = [];
+
+  let currentPage = page;
+  let hasMore = true;
+  let pagesLoaded = 0;
+
+  try {
+    // People and keywords only accompany the first page
+    const entitiesPromise = page === 1
+      ? Promise.all([searchPeople(query), searchKeywords(query)])
+      : Promise.resolve(null);
+
+    while (hasMore && results.length < MIN_RESULTS_PER_LOAD && pagesLoaded < MAX_PAGES_PER_LOAD) {
+      const [moviesResponse, tvResponse] = await Promise.all([
+        includesMovies(resolved) ? searchMovies(query, currentPage) : null,
+        includesTV(resolved) ? searchTV(query, currentPage) : null,
+      ]);
+
+      const candidates = [
+        ...(moviesResponse?.data.results || []).map((item) => ({ ...item, type: 'movie' })),
+        ...(tvResponse?.data.results || []).map((item) => ({ ...item, type: 'tv' })),
+      ]
+        .filter((item) => {
+          const key = `${item.type}-${item.id}`;
+          if (seen.has(key) || !matchesFilters(item, resolved)) return false;
+          seen.add(key);
+          return true;
+        })
+        .sort(byPopularity);
+
+      results.push(...await filterByAvailability(candidates, servicePlatforms, resolved.costFilter));
+
+      const totalPages = Math.max(
+        moviesResponse?.data.total_pages || 0,
+        tvResponse?.data.total_pages || 0
+      );
+      currentPage += 1;
+      pagesLoaded += 1;
+      hasMore = currentPage <= totalPages;
+    }
+
+    const entities = await entitiesPromise;
+    const people = entities
+      ? (entities[0].data.results || []).slice(0, MAX_ENTITY_RESULTS)
+      : [];
+    const keywords = entities
+      ? (entities[1].data.results || []).slice(0, MAX_ENTITY_RESULTS)
+      : [];
+
+    if (DEBUG) {
+      console.log('[Search]', `"${query}" pages ${page}-${currentPage - 1}:`, `${results.length} results`);
+    }
+
+    return { results, people, keywords, nextPage: currentPage, hasMore };
+  } catch (error) {
+    console.error('[Search] Error searching content:', error);
+    return { results, people: [], keywords: [], nextPage: currentPage, hasMore: false };
+  }
+};
+
+/**
+ * Browse titles tagged with a TMDb keyword through discover, with all filters
+ * @param {Object} options
+ * @param {number} options.keywordId - TMDb keyword ID
+ * @param {Object} options.filters - Filter model
+ * @param {Array<number>} options.platformIds - User's selected platform IDs
+ * @param {number} options.page - Discover page
+ * @param {Set<string>} options.excludeKeys - `type-id` keys already shown or watched
+ * @returns {Promise<Object>} { results, nextPage, hasMore } (no more pages for client-side sorts)
+ */
+export const discoverByKeyword = async ({
+  keywordId,
+  filters = {},
+  platformIds = [],
+  page = 1,
+  excludeKeys = new Set(),
+} = {}) => {
+  const resolved = resolveFilters(filters);
+  const servicePlatforms = getFilteredPlatforms(resolved, platformIds);
+  const getParams = (mediaType) => ({
+    ...buildDiscoverParams(resolved, platformIds, { mediaType, page }),
+    with_keywords: keywordId,
+  });
+
+  try {
+    const [moviesResponse, tvResponse] = await Promise.all([
+      includesMovies(resolved) ? discoverMovies(getParams('movie')) : null,
+      includesTV(resolved) ? discoverTV(getParams('tv')) : null,
+    ]);
+
+    // A client-side sort only orders what it looked up, so it gets one page
+    // (see createMergedFeed)
+    const clientSide = isClientSideSort(resolved.sortBy);
+    let results = await sortContent(
+      [
+        ...(moviesResponse?.data.results || []).map((item) => ({ ...item, type: 'movie', platforms: null })),
+        ...(tvResponse?.data.results || []).map((item) => ({ ...item, type: 'tv', platforms: null })),
+      ].filter((item) => !excludeKeys.has(`${item.type}-${item.id}`)),
+      resolved.sortBy
+    );
+    if (clientSide) {
+      results = results.slice(0, MAX_ENRICHED);
+    }
+
+    // Discover already restricts to the platforms; only the cost split needs a lookup
+    if (resolved.costFilter !== 'all') {
+      results = await filterByAvailability(results, servicePlatforms, resolved.costFilter);
+    }
+
+    const totalPages = Math.max(
+      moviesResponse?.data.total_pages || 0,
+      tvResponse?.data.total_pages || 0
+    );
+
+    return { results, nextPage: page + 1, hasMore: !clientSide && page < totalPages };
+  } catch (error) {
+    console.error('[Search] Error discovering by keyword:', error);
+    return { results: [], nextPage: page, hasMore: false };
+  }
+};
+
+export default {
+  filterByAvailability,
+  searchContent,
+  discoverByKeyword,
+};
@@ -2,6 +2,17 @@ import axios from 'axios';
 import { TMDB_API_KEY } from '@env';
 import { getCachedData, setCachedData, createTMDbCacheKey } from './cache';
 import { logError, ErrorType } from '../utils/errorHandler';
+import { getUserRegion } from '../storage/userPreferences';
+import { isKidsProfileActive } from '../storage/profiles';
+import { recordAvailabilitySnapshot } from './availability';
+import { buildVideoLanguageParam } from './videos';
+import { CERTIFICATION_COUNTRY } from '../utils/filterModel';
+import { getRegionLanguage } from '../constants/regions';
+import {
+  applyKidsDiscoverParams,
+  isKidsGenreSafe,
+  isKidsCertification,
+} from '../utils/kidsMode';
 
 const BASE_URL = 'https://api.themoviedb.org/3';
 const API_KEY = TMDB_API_KEY;
@@ -9,6 +20,19 @@ const API_KEY = TMDB_API_KEY;
 const DEBUG = __DEV__; // Enable logging in development mode
 const USE_CACHE = true; // Enable/disable caching
 
+// Extra data fetched alongside movie/TV details; part of the cache key so
+// changing it does not serve responses cached without the new fields
+const DETAILS_PARAMS = {
+  append_to_response: 'credits,watch/providers,external_ids,recommendations,similar,videos',
+};
+
+// Details params for the user's region: videos in the region's language,
+// English and no language (e.g. 'de,en,null')
+const getDetailsParams = async () => ({
+  ...DETAILS_PARAMS,
+  include_video_language: buildVideoLanguageParam(getRegionLanguage(await getUserRegion())),
+});
+
 // Create axios instance with default config
 const tmdbClient = axios.create({
   baseURL: BASE_URL,
@@ -50,6 +74,81 @@ tmdbClient.interceptors.response.use(
   }
 );
 
+// Resolve the watch region for a request, falling back to the user's saved region
+const resolveRegion = async (region) => {
+  return region || (await getUserRegion());
+};
+
+// Certification lookups run a few at a time when filtering for kids profiles
+const CERTIFICATION_BATCH_SIZE = 5;
+
+// Drop titles a kids profile shouldn't see from a list response
+// (see src/utils/kidsMode.js). `certified` skips the certification lookup
+// for films that discover already restricted by certification.
+const restrictForKids = async (data, { mediaType, certified = false } = {}) => {
+  const candidates = (data.results || []).filter(isKidsGenreSafe);
+  if (certified) {
+    return { ...data, results: candidates };
+  }
+
+  const results = [];
+  for (let i = 0; i < candidates.length; i += CERTIFICATION_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + CERTIFICATION_BATCH_SIZE);
+    const certifications = await Promise.all(
+      batch.map((item) =>
+        item.media_type === 'person'
+          ? null
+          : getCertification(item.id, item.media_type || mediaType)
+      )
+    );
+    results.push(
+      ...batch.filter(
+        (item, index) =>
+          item.media_type === 'person' || isKidsCertification(certifications[index]?.data)
+      )
+    );
+  }
+
+  return { ...data, results };
+};
+
+/**
+ * Drop titles a kids profile shouldn't see from a list of content items
+ * For lists built outside the client, e.g. the related titles appended to
+ * details. Returns the items unchanged unless a kids profile is active.
+ * @param {Array<Object>} items - TMDb results or details, each with `type` or `media_type`
+ * @returns {Promise<Array<Object>>} Items a kids profile may see, in order
+ */
+export const restrictItemsForKids = async (items) => {
+  if (!(await isKidsProfileActive())) return items;
+
+  const itemKey = (item) => `${item.media_type || item.type}-${item.id}`;
+  const { results } = await restrictForKids({
+    results: items.map((item) => ({ ...item, media_type: item.media_type || item.type })),
+  });
+  const allowed = new Set(results.map(itemKey));
+
+  return items.filter((item) => allowed.has(itemKey(item)));
+};
+
+// Apply restrictForKids to a person's combined credits. A title can appear
+// in both cast and crew (or under several jobs), so each is checked once.
+const restrictCreditsForKids = async (data) => {
+  const creditKey = (item) => `${item.media_type}-${item.id}`;
+  const cast = data.cast || [];
+  const crew = data.crew || [];
+
+  const titles = new Map([...cast, ...crew].map((item) => [creditKey(item), item]));
+  const { results } = await restrictForKids({ results: [...titles.values()] });
+  const allowed = new Set(results.map(creditKey));
+
+  return {
+    ...data,
+    cast: cast.filter((item) => allowed.has(creditKey(item))),
+    crew: crew.filter((item) => allowed.has(creditKey(item))),
+  };
+};
+
 // Enhanced error handler
 const handleTMDbError = (error) => {
   let enhancedError;
@@ -132,12 +231,16 @@ export const getConfiguration = async () => {
 // Discover movies
 export const discoverMovies = async (params = {}) => {
   try {
-    const requestParams = {
-      watch_region: 'GB',
+    const kidsMode = await isKidsProfileActive();
+    const baseParams = {
       include_adult: false,
       sort_by: 'popularity.desc',
       ...params,
+      watch_region: await resolveRegion(params.watch_region),
     };
+    const requestParams = kidsMode ? applyKidsDiscoverParams(baseParams, 'movie') : baseParams;
+    const restrict = (data) =>
+      kidsMode ? restrictForKids(data, { mediaType: 'movie', certified: true }) : data;
 
     // Check cache first
     if (USE_CACHE) {
@@ -146,7 +249,7 @@ export const discoverMovies = async (params = {}) => {
       if (cached) {
         return {
           success: true,
-          data: cached,
+          data: await restrict(cached),
         };
       }
     }
@@ -163,7 +266,7 @@ export const discoverMovies = async (params = {}) => {
 
     return {
       success: true,
-      data: response.data,
+      data: await restrict(response.data),
     };
   } catch (error) {
     console.error('TMDb Discover Movies Error:', error.message);
@@ -178,12 +281,16 @@ export const discoverMovies = async (params = {}) => {
 // Discover TV shows
 export const discoverTV = async (params = {}) => {
   try {
-    const requestParams = {
-      watch_region: 'GB',
+    const kidsMode = await isKidsProfileActive();
+    const baseParams = {
       include_adult: false,
       sort_by: 'popularity.desc',
       ...params,
+      watch_region: await resolveRegion(params.watch_region),
     };
+    const requestParams = kidsMode ? applyKidsDiscoverParams(baseParams, 'tv') : baseParams;
+    const restrict = (data) =>
+      kidsMode ? restrictForKids(data, { mediaType: 'tv', certified: false }) : data;
 
     // Check cache first
     if (USE_CACHE) {
@@ -192,7 +299,7 @@ export const discoverTV = async (params = {}) => {
       if (cached) {
         return {
           success: true,
-          data: cached,
+          data: await restrict(cached),
         };
       }
     }
@@ -209,7 +316,7 @@ export const discoverTV = async (params = {}) => {
 
     return {
       success: true,
-      data: response.data,
+      data: await restrict(response.data),
     };
   } catch (error) {
     console.error('TMDb Discover TV Error:', error.message);
@@ -228,9 +335,11 @@ export const getMovieDetails = async (movieId) => {
       throw new Error('Movie ID is required');
     }
 
+    const params = await getDetailsParams();
+
     // Check cache first
     if (USE_CACHE) {
-      const cacheKey = createTMDbCacheKey(`movie_${movieId}`, {});
+      const cacheKey = createTMDbCacheKey(`movie_${movieId}`, params);
       const cached = await getCachedData(cacheKey);
       if (cached) {
         return {
@@ -240,15 +349,11 @@ export const getMovieDetails = async (movieId) => {
       }
     }
 
-    const response = await tmdbClient.get(`/movie/${movieId}`, {
-      params: {
-        append_to_response: 'credits,watch/providers,external_ids',
-      },
-    });
+    const response = await tmdbClient.get(`/movie/${movieId}`, { params });
 
     // Cache the response
     if (USE_CACHE) {
-      const cacheKey = createTMDbCacheKey(`movie_${movieId}`, {});
+      const cacheKey = createTMDbCacheKey(`movie_${movieId}`, params);
       await setCachedData(cacheKey, response.data);
     }
 
@@ -273,9 +378,11 @@ export const getTVDetails = async (tvId) => {
       throw new Error('TV show ID is required');
     }
 
+    const params = await getDetailsParams();
+
     // Check cache first
     if (USE_CACHE) {
-      const cacheKey = createTMDbCacheKey(`tv_${tvId}`, {});
+      const cacheKey = createTMDbCacheKey(`tv_${tvId}`, params);
       const cached = await getCachedData(cacheKey);
       if (cached) {
         return {
@@ -285,15 +392,11 @@ export const getTVDetails = async (tvId) => {
       }
     }
 
-    const response = await tmdbClient.get(`/tv/${tvId}`, {
-      params: {
-        append_to_response: 'credits,watch/providers,external_ids',
-      },
-    });
+    const response = await tmdbClient.get(`/tv/${tvId}`, { params });
 
     // Cache the response
     if (USE_CACHE) {
-      const cacheKey = createTMDbCacheKey(`tv_${tvId}`, {});
+      const cacheKey = createTMDbCacheKey(`tv_${tvId}`, params);
       await setCachedData(cacheKey, response.data);
     }
 
@@ -311,6 +414,192 @@ export const getTVDetails = async (tvId) => {
   }
 };
 
+// Get a single TV season with its episodes
+export const getTVSeasonDetails = async (tvId, seasonNumber) => {
+  try {
+    if (!tvId) {
+      throw new Error('TV show ID is required');
+    }
+
+    if (seasonNumber === undefined || seasonNumber === null) {
+      throw new Error('Season number is required');
+    }
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`tv_${tvId}_season_${seasonNumber}`, {});
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: cached,
+        };
+      }
+    }
+
+    const response = await tmdbClient.get(`/tv/${tvId}/season/${seasonNumber}`);
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`tv_${tvId}_season_${seasonNumber}`, {});
+      await setCachedData(cacheKey, response.data);
+    }
+
+    return {
+      success: true,
+      data: response.data,
+    };
+  } catch (error) {
+    console.error('TMDb TV Season Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: { episodes: [] },
+    };
+  }
+};
+
+// Fetch a related-titles list (recommendations or similar) for a movie or TV show
+const getRelatedContent = async (endpoint, contentId, mediaType, page) => {
+  try {
+    if (!contentId) {
+      throw new Error('Content ID is required');
+    }
+
+    const kidsMode = await isKidsProfileActive();
+    const restrict = (data) => (kidsMode ? restrictForKids(data, { mediaType }) : data);
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`${mediaType}_${contentId}_${endpoint}`, { page });
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: await restrict(cached),
+        };
+      }
+    }
+
+    const response = await tmdbClient.get(`/${mediaType}/${contentId}/${endpoint}`, {
+      params: { page },
+    });
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`${mediaType}_${contentId}_${endpoint}`, { page });
+      await setCachedData(cacheKey, response.data);
+    }
+
+    return {
+      success: true,
+      data: await restrict(response.data),
+    };
+  } catch (error) {
+    console.error(`TMDb ${endpoint} Error:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: { results: [] },
+    };
+  }
+};
+
+// Get TMDb recommendations for a movie or TV show
+export const getRecommendations = async (contentId, mediaType = 'movie', page = 1) => {
+  return getRelatedContent('recommendations', contentId, mediaType, page);
+};
+
+// Get similar titles (by keywords and genres) for a movie or TV show
+export const getSimilar = async (contentId, mediaType = 'movie', page = 1) => {
+  return getRelatedContent('similar', contentId, mediaType, page);
+};
+
+// Get person (cast/crew) details
+export const getPersonDetails = async (personId) => {
+  try {
+    if (!personId) {
+      throw new Error('Person ID is required');
+    }
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`person_${personId}`, {});
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: cached,
+        };
+      }
+    }
+
+    const response = await tmdbClient.get(`/person/${personId}`);
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`person_${personId}`, {});
+      await setCachedData(cacheKey, response.data);
+    }
+
+    return {
+      success: true,
+      data: response.data,
+    };
+  } catch (error) {
+    console.error('TMDb Person Details Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: null,
+    };
+  }
+};
+
+// Get a person's movie and TV credits (cast and crew)
+export const getPersonCredits = async (personId) => {
+  try {
+    if (!personId) {
+      throw new Error('Person ID is required');
+    }
+
+    const kidsMode = await isKidsProfileActive();
+    const restrict = (data) => (kidsMode ? restrictCreditsForKids(data) : data);
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`person_${personId}_credits`, {});
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: await restrict(cached),
+        };
+      }
+    }
+
+    const response = await tmdbClient.get(`/person/${personId}/combined_credits`);
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`person_${personId}_credits`, {});
+      await setCachedData(cacheKey, response.data);
+    }
+
+    return {
+      success: true,
+      data: await restrict(response.data),
+    };
+  } catch (error) {
+    console.error('TMDb Person Credits Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: { cast: [], crew: [] },
+    };
+  }
+};
+
 // Search multi (movies + TV)
 export const searchMulti = async (query, page = 1) => {
   try {
@@ -323,6 +612,8 @@ export const searchMulti = async (query, page = 1) => {
       page,
       include_adult: false,
     };
+    const kidsMode = await isKidsProfileActive();
+    const restrict = (data) => (kidsMode ? restrictForKids(data) : data);
 
     // Check cache first
     if (USE_CACHE) {
@@ -331,7 +622,7 @@ export const searchMulti = async (query, page = 1) => {
       if (cached) {
         return {
           success: true,
-          data: cached,
+          data: await restrict(cached),
         };
       }
     }
@@ -348,7 +639,7 @@ export const searchMulti = async (query, page = 1) => {
 
     return {
       success: true,
-      data: response.data,
+      data: await restrict(response.data),
     };
   } catch (error) {
     console.error('TMDb Search Error:', error.message);
@@ -360,14 +651,315 @@ export const searchMulti = async (query, page = 1) => {
   }
 };
 
-// Get watch providers list for a region
-export const getWatchProviders = async (region = 'GB', mediaType = 'movie') => {
+// Search a single TMDb search endpoint (movie, tv, person or keyword)
+const searchEndpoint = async (endpoint, query, page, extraParams = {}) => {
   try {
+    if (!query || query.trim() === '') {
+      throw new Error('Search query is required');
+    }
+
+    const requestParams = {
+      query: query.trim(),
+      page,
+      include_adult: false,
+      ...extraParams,
+    };
+    // People and keywords aren't titles, so kids mode leaves them alone
+    const kidsMode = ['movie', 'tv'].includes(endpoint) && await isKidsProfileActive();
+    const restrict = (data) => (kidsMode ? restrictForKids(data, { mediaType: endpoint }) : data);
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`search_${endpoint}`, requestParams);
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: await restrict(cached),
+        };
+      }
+    }
+
+    const response = await tmdbClient.get(`/search/${endpoint}`, {
+      params: requestParams,
+    });
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`search_${endpoint}`, requestParams);
+      await setCachedData(cacheKey, response.data);
+    }
+
+    return {
+      success: true,
+      data: await restrict(response.data),
+    };
+  } catch (error) {
+    console.error(`TMDb Search ${endpoint} Error:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: { results: [], total_pages: 0 },
+    };
+  }
+};
+
+// Search movies only, optionally limited to a release year
+export const searchMovies = async (query, page = 1, year = null) => {
+  return searchEndpoint('movie', query, page, year ? { primary_release_year: year } : {});
+};
+
+// Search TV shows only, optionally limited to a first air year
+export const searchTV = async (query, page = 1, year = null) => {
+  return searchEndpoint('tv', query, page, year ? { first_air_date_year: year } : {});
+};
+
+// Search people (cast and crew)
+export const searchPeople = async (query, page = 1) => {
+  return searchEndpoint('person', query, page);
+};
+
+// Search TMDb keywords (e.g. "time travel"), usable as discover `with_keywords`
+export const searchKeywords = async (query, page = 1) => {
+  return searchEndpoint('keyword', query, page);
+};
+
+// Get lightweight typeahead suggestions for a partial query
+// Only the fields needed for the list are cached, under a short TTL
+export const getSearchSuggestions = async (query, limit = 6) => {
+  try {
+    if (!query || query.trim().length < 2) {
+      return {
+        success: true,
+        data: [],
+      };
+    }
+
+    const requestParams = {
+      query: query.trim().toLowerCase(),
+      include_adult: false,
+    };
+    // Kids suggestions are filtered before caching, so they get their own key
+    const kidsMode = await isKidsProfileActive();
+    const cacheEndpoint = kidsMode ? 'suggest_kids' : 'suggest';
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(cacheEndpoint, requestParams);
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: cached.slice(0, limit),
+        };
+      }
+    }
+
+    const response = await tmdbClient.get('/search/multi', {
+      params: { ...requestParams, page: 1 },
+    });
+
+    const data = kidsMode ? await restrictForKids(response.data) : response.data;
+    const suggestions = (data.results || [])
+      .filter((item) => ['movie', 'tv', 'person'].includes(item.media_type))
+      .slice(0, 10)
+      .map((item) => ({
+        id: item.id,
+        type: item.media_type,
+        label: item.title || item.name,
+        year: (item.release_date || item.first_air_date || '').slice(0, 4) || null,
+      }));
+
+    // Cache the trimmed suggestions
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(cacheEndpoint, requestParams);
+      await setCachedData(cacheKey, suggestions);
+    }
+
+    return {
+      success: true,
+      data: suggestions.slice(0, limit),
+    };
+  } catch (error) {
+    console.error('TMDb Suggestions Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: [],
+    };
+  }
+};
+
+// Get trending movies and TV shows
+export const getTrending = async (mediaType = 'all', timeWindow = 'day') => {
+  try {
+    const kidsMode = await isKidsProfileActive();
+    // Trending results carry their own media_type
+    const restrict = (data) => (kidsMode ? restrictForKids(data) : data);
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`trending_${mediaType}_${timeWindow}`, {});
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: await restrict(cached),
+        };
+      }
+    }
+
+    const response = await tmdbClient.get(`/trending/${mediaType}/${timeWindow}`);
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`trending_${mediaType}_${timeWindow}`, {});
+      await setCachedData(cacheKey, response.data);
+    }
+
+    return {
+      success: true,
+      data: await restrict(response.data),
+    };
+  } catch (error) {
+    console.error('TMDb Trending Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: { results: [] },
+    };
+  }
+};
+
+// Get a title's BBFC certification (movie release dates or TV content ratings)
+// Resolves to null when TMDb has no UK certification for the title
+export const getCertification = async (contentId, mediaType = 'movie') => {
+  try {
+    if (!contentId) {
+      throw new Error('Content ID is required');
+    }
+
+    const cacheKey = createTMDbCacheKey(`certification_${mediaType}_${contentId}`, {
+      country: CERTIFICATION_COUNTRY,
+    });
+
+    // Check cache first (wrapped so a missing certification is cached too)
+    if (USE_CACHE) {
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: cached.certification,
+        };
+      }
+    }
+
+    const path = mediaType === 'tv'
+      ? `/tv/${contentId}/content_ratings`
+      : `/movie/${contentId}/release_dates`;
+    const response = await tmdbClient.get(path);
+
+    const entry = (response.data.results || []).find(
+      (result) => result.iso_3166_1 === CERTIFICATION_COUNTRY
+    );
+    const certification = mediaType === 'tv'
+      ? entry?.rating || null
+      : entry?.release_dates?.find((release) => release.certification)?.certification || null;
+
+    // Cache the response
+    if (USE_CACHE) {
+      await setCachedData(cacheKey, { certification });
+    }
+
+    return {
+      success: true,
+      data: certification,
+    };
+  } catch (error) {
+    console.error('TMDb Certification Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: null,
+    };
+  }
+};
+
+// Find movies and TV shows by IMDb ID (e.g. 'tt0111161')
+// Resolves to { movie_results, tv_results, tv_episode_results }
+export const findByImdbId = async (imdbId) => {
+  try {
+    if (!imdbId) {
+      throw new Error('IMDb ID is required');
+    }
+
+    const requestParams = { external_source: 'imdb_id' };
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`find_${imdbId}`, requestParams);
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: cached,
+        };
+      }
+    }
+
+    const response = await tmdbClient.get(`/find/${imdbId}`, {
+      params: requestParams,
+    });
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`find_${imdbId}`, requestParams);
+      await setCachedData(cacheKey, response.data);
+    }
+
+    return {
+      success: true,
+      data: response.data,
+    };
+  } catch (error) {
+    console.error('TMDb Find Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      data: { movie_results: [], tv_results: [], tv_episode_results: [] },
+    };
+  }
+};
+
+// Get watch providers list for a region (defaults to the user's region)
+export const getWatchProviders = async (region = null, mediaType = 'movie') => {
+  try {
+    const watchRegion = await resolveRegion(region);
+
+    // Check cache first
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`watch_providers_${mediaType}`, { region: watchRegion });
+      const cached = await getCachedData(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          data: cached,
+        };
+      }
+    }
+
     const response = await tmdbClient.get(`/watch/providers/${mediaType}`, {
       params: {
-        watch_region: region,
+        watch_region: watchRegion,
       },
     });
+
+    // Cache the response
+    if (USE_CACHE) {
+      const cacheKey = createTMDbCacheKey(`watch_providers_${mediaType}`, { region: watchRegion });
+      await setCachedData(cacheKey, response.data);
+    }
+
     return {
       success: true,
       data: response.data,
@@ -383,15 +975,18 @@ export const getWatchProviders = async (region = 'GB', mediaType = 'movie') => {
 };
 
 // Get watch providers for a specific content item (movie or TV show)
-export const getContentWatchProviders = async (contentId, mediaType = 'movie', region = 'GB') => {
+// Region defaults to the user's saved region
+export const getContentWatchProviders = async (contentId, mediaType = 'movie', region = null) => {
   try {
     if (!contentId) {
       throw new Error('Content ID is required');
     }
 
+    const watchRegion = await resolveRegion(region);
+
     // Check cache first
     if (USE_CACHE) {
-      const cacheKey = createTMDbCacheKey(`${mediaType}_${contentId}_providers`, { region });
+      const cacheKey = createTMDbCacheKey(`${mediaType}_${contentId}_providers`, { region: watchRegion });
       const cached = await getCachedData(cacheKey);
       if (cached) {
         return {
@@ -404,7 +999,7 @@ export const getContentWatchProviders = async (contentId, mediaType = 'movie', r
     const response = await tmdbClient.get(`/${mediaType}/${contentId}/watch/providers`);
 
     // Extract region-specific data
-    const regionData = response.data?.results?.[region] || {};
+    const regionData = response.data?.results?.[watchRegion] || {};
     const result = {
       flatrate: regionData.flatrate || [],  // Subscription services
       rent: regionData.rent || [],          // Rental options
@@ -413,10 +1008,13 @@ export const getContentWatchProviders = async (contentId, mediaType = 'movie', r
 
     // Cache the response
     if (USE_CACHE) {
-      const cacheKey = createTMDbCacheKey(`${mediaType}_${contentId}_providers`, { region });
+      const cacheKey = createTMDbCacheKey(`${mediaType}_${contentId}_providers`, { region: watchRegion });
       await setCachedData(cacheKey, result);
     }
 
+    // Snapshot fresh responses so provider changes can be detected over time
+    await recordAvailabilitySnapshot(contentId, mediaType, watchRegion, result);
+
     return {
       success: true,
       data: result,
@@ -447,6 +1045,11 @@ export const buildBackdropUrl = (path, size = 'w1280') => {
   return buildImageUrl(path, size);
 };
 
+// Helper to build episode still URL
+export const buildStillUrl = (path, size = 'w300') => {
+  return buildImageUrl(path, size);
+};
+
 // Helper to build logo URL
 export const buildLogoUrl = (path, size = 'w92') => {
   return buildImageUrl(path, size);
@@ -459,11 +1062,26 @@ export default {
   discoverTV,
   getMovieDetails,
   getTVDetails,
+  getTVSeasonDetails,
+  getRecommendations,
+  getSimilar,
+  getPersonDetails,
+  getPersonCredits,
   searchMulti,
+  searchMovies,
+  searchTV,
+  searchPeople,
+  searchKeywords,
+  getSearchSuggestions,
+  getTrending,
+  getCertification,
+  restrictItemsForKids,
+  findByImdbId,
   getWatchProviders,
   getContentWatchProviders,
   buildImageUrl,
   buildPosterUrl,
   buildBackdropUrl,
+  buildStillUrl,
   buildLogoUrl,
 };
@@ -0,0 +1,163 @@
+/**
+ * Video Selection
+ * Pure helpers that rank the `videos` appended to TMDb movie/TV details,
+ * pick the best trailer and build YouTube links. No network access here,
+ * so recorded API responses can be fed straight in.
+ */
+
+export const VIDEO_TYPES = {
+  TRAILER: 'Trailer',
+  TEASER: 'Teaser',
+  CLIP: 'Clip',
+  FEATURETTE: 'Featurette',
+  BEHIND_THE_SCENES: 'Behind the Scenes',
+  BLOOPERS: 'Bloopers',
+};
+
+// Only YouTube videos can be handed off for playback
+const SUPPORTED_SITE = 'YouTube';
+
+const TYPE_SCORES = {
+  [VIDEO_TYPES.TRAILER]: 40,
+  [VIDEO_TYPES.TEASER]: 25,
+  [VIDEO_TYPES.CLIP]: 15,
+  [VIDEO_TYPES.FEATURETTE]: 12,
+  [VIDEO_TYPES.BEHIND_THE_SCENES]: 10,
+  [VIDEO_TYPES.BLOOPERS]: 5,
+};
+
+const OFFICIAL_SCORE = 20;
+const LANGUAGE_SCORE = 15;
+const NO_LANGUAGE_SCORE = 5;
+
+// Types shown in the gallery under the main trailer
+const GALLERY_TYPES = [
+  VIDEO_TYPES.TRAILER,
+  VIDEO_TYPES.TEASER,
+  VIDEO_TYPES.FEATURETTE,
+  VIDEO_TYPES.CLIP,
+  VIDEO_TYPES.BEHIND_THE_SCENES,
+];
+
+/**
+ * Score a single video
+ * @param {Object} video - TMDb video ({ key, site, type, official, iso_639_1, size, ... })
+ * @param {string} language - Preferred ISO 639-1 language code
+ * @returns {number} Higher is better
+ */
+export const scoreVideo = (video, language = 'en') => {
+  let score = TYPE_SCORES[video.type] || 0;
+
+  if (video.official) score += OFFICIAL_SCORE;
+
+  if (video.iso_639_1 === language) {
+    score += LANGUAGE_SCORE;
+  } else if (!video.iso_639_1) {
+    score += NO_LANGUAGE_SCORE;
+  }
+
+  // Prefer higher resolutions by a small margin (1080 → 3, 720 → 2, 480 → 1)
+  if (video.size >= 1080) score += 3;
+  else if (video.size >= 720) score += 2;
+  else if (video.size >= 480) score += 1;
+
+  return score;
+};
+
+/**
+ * Rank playable videos, best first
+ * Ties go to the most recently published video
+ * @param {Array<Object>} videos - TMDb videos (`details.videos.results`)
+ * @param {Object} options
+ * @param {string} options.language - Preferred ISO 639-1 language code
+ * @returns {Array<Object>} YouTube videos sorted by score
+ */
+export const rankVideos = (videos = [], { language = 'en' } = {}) => {
+  return videos
+    .filter((video) => video.site === SUPPORTED_SITE && video.key)
+    .map((video) => ({ video, score: scoreVideo(video, language) }))
+    .sort((a, b) =>
+      b.score - a.score ||
+      (b.video.published_at || '').localeCompare(a.video.published_at || '')
+    )
+    .map(({ video }) => video);
+};
+
+/**
+ * Pick the main trailer, falling back to a teaser
+ * @param {Array<Object>} videos - TMDb videos
+ * @param {Object} options - See rankVideos
+ * @returns {Object|null} Best video or null if none is suitable
+ */
+export const pickTrailer = (videos = [], options = {}) => {
+  const ranked = rankVideos(videos, options);
+  return (
+    ranked.find((video) => video.type === VIDEO_TYPES.TRAILER) ||
+    ranked.find((video) => video.type === VIDEO_TYPES.TEASER) ||
+    null
+  );
+};
+
+/**
+ * Get the main trailer plus a gallery of the other videos
+ * @param {Array<Object>} videos - TMDb videos
+ * @param {Object} options
+ * @param {string} options.language - Preferred ISO 639-1 language code
+ * @param {number} options.galleryLimit - Maximum gallery size
+ * @returns {Object} { trailer, gallery }
+ */
+export const selectVideos = (videos = [], { language = 'en', galleryLimit = 10 } = {}) => {
+  const trailer = pickTrailer(videos, { language });
+  const gallery = rankVideos(videos, { language })
+    .filter((video) => video.key !== trailer?.key && GALLERY_TYPES.includes(video.type))
+    .slice(0, galleryLimit);
+
+  return { trailer, gallery };
+};
+
+/**
+ * Build TMDb's include_video_language value for a preferred language
+ * English is always included, as many titles only have English trailers,
+ * along with videos that have no language set
+ * @param {string} language - Preferred ISO 639-1 language code
+ * @returns {string} e.g. 'de,en,null'
+ */
+export const buildVideoLanguageParam = (language = 'en') =>
+  [...new Set([language, 'en']), 'null'].join(',');
+
+/**
+ * Build the YouTube app deep link for a video
+ * @param {string} key - YouTube video key
+ * @param {string} os - Platform.OS ('ios' or 'android')
+ * @returns {string} App URL (open with Linking after canOpenURL)
+ */
+export const buildYouTubeAppUrl = (key, os = 'ios') =>
+  os === 'android' ? `vnd.youtube:${key}` : `youtube://watch?v=${key}`;
+
+/**
+ * Build the YouTube web URL for a video (fallback when the app is missing)
+ * @param {string} key - YouTube video key
+ * @returns {string} Web URL
+ */
+export const buildYouTubeWebUrl = (key) => `https://www.youtube.com/watch?v=${key}`;
+
+/**
+ * Build a YouTube thumbnail URL
+ * @param {string} key - YouTube video key
+ * @param {string} quality - 'default', 'mqdefault', 'hqdefault' or 'maxresdefault'
+ * @returns {string} Image URL
+ */
+export const buildYouTubeThumbnailUrl = (key, quality = 'hqdefault') =>
+  `https://img.youtube.com/vi/${key}/${quality}.jpg`;
+
+export default {
+  VIDEO_TYPES,
+  scoreVideo,
+  rankVideos,
+  pickTrailer,
+  selectVideos,
+  buildVideoLanguageParam,
+  buildYouTubeAppUrl,
+  buildYouTubeWebUrl,
+  buildYouTubeThumbnailUrl,
+};
@@ -32,13 +32,14 @@ const PLATFORM_LOGOS = {
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const CARD_WIDTH = SCREEN_WIDTH * 0.4; // 40% of screen width
 
-const ContentCard = ({ item, onPress, userPlatforms = [] }) => {
+const ContentCard = ({ item, onPress, onLongPress, userPlatforms = [] }) => {
   const {
     id,
     title,
     name,
     poster_path,
     type = 'movie', // 'movie' or 'tv'
+    subtitle = null, // Optional second line (e.g., next episode)
     platforms: initialPlatforms = null,
   } = item;
 
@@ -150,6 +151,7 @@ const ContentCard = ({ item, onPress, userPlatforms = [] }) => {
   return (
     <Pressable
       onPress={() => onPress && onPress(item)}
+      onLongPress={onLongPress ? () => onLongPress(item) : undefined}
       onPressIn={handlePressIn}
       onPressOut={handlePressOut}
       style={styles.container}
@@ -234,6 +236,11 @@ const ContentCard = ({ item, onPress, userPlatforms = [] }) => {
           >
             {displayTitle}
           </Text>
+          {subtitle && (
+            <Text style={[typography.metadata, styles.subtitle]} numberOfLines={1}>
+              {subtitle}
+            </Text>
+          )}
         </LinearGradient>
       </GlassContainer>
       </Animated.View>
@@ -310,6 +317,10 @@ const styles = StyleSheet.create({
     color: colors.text.primary,
     fontWeight: '600',
   },
+  subtitle: {
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
 });
 
 // Memoize component to prevent unnecessary re-renders
@@ -318,7 +329,8 @@ export default memo(ContentCard, (prevProps, nextProps) => {
   const sameItem =
     prevProps.item.id === nextProps.item.id &&
     prevProps.item.poster_path === nextProps.item.poster_path &&
-    prevProps.item.type === nextProps.item.type;
+    prevProps.item.type === nextProps.item.type &&
+    prevProps.item.subtitle === nextProps.item.subtitle;
 
   // Compare user platforms (used for filtering loaded platforms)
   const sameUserPlatforms =
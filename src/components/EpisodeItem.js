@@ -0,0 +1,125 @@
+/**
+ * EpisodeItem Component
+ * Episode row with still, air date, runtime, overview and watched toggle
+ */
+
+import React, { memo } from 'react';
+import { View, Text, Image, StyleSheet, Pressable } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import { buildStillUrl } from '../api/tmdb';
+
+const formatAirDate = (date) => {
+  if (!date) return 'TBA';
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
+const EpisodeItem = ({ episode, watched = false, onToggleWatched }) => {
+  const {
+    episode_number,
+    season_number,
+    name,
+    air_date,
+    runtime,
+    still_path,
+    overview,
+  } = episode;
+
+  const stillUrl = buildStillUrl(still_path);
+  const metadata = [formatAirDate(air_date), runtime ? `${runtime}m` : null]
+    .filter(Boolean)
+    .join(' • ');
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        {stillUrl ? (
+          <Image source={{ uri: stillUrl }} style={styles.still} resizeMode="cover" />
+        ) : (
+          <View style={[styles.still, styles.stillPlaceholder]}>
+            <Ionicons name="tv-outline" size={24} color={colors.text.tertiary} />
+          </View>
+        )}
+        <View style={styles.headerInfo}>
+          <Text style={[typography.metadata, styles.episodeNumber]}>
+            S{season_number} · E{episode_number}
+          </Text>
+          <Text style={[typography.caption, styles.name]} numberOfLines={2}>
+            {name}
+          </Text>
+          <Text style={[typography.metadata, styles.metadata]}>{metadata}</Text>
+        </View>
+        {onToggleWatched && (
+          <Pressable
+            onPress={() => onToggleWatched(episode, !watched)}
+            hitSlop={8}
+            style={styles.watchedToggle}
+          >
+            <Ionicons
+              name={watched ? 'checkmark-circle' : 'ellipse-outline'}
+              size={26}
+              color={watched ? colors.accent.primary : colors.text.tertiary}
+            />
+          </Pressable>
+        )}
+      </View>
+      {overview ? (
+        <Text style={[typography.caption, styles.overview]} numberOfLines={3}>
+          {overview}
+        </Text>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.glass.border,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  still: {
+    width: 128,
+    aspectRatio: 16 / 9,
+    borderRadius: layout.borderRadius.small,
+    backgroundColor: colors.background.tertiary,
+  },
+  stillPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  watchedToggle: {
+    marginLeft: spacing.sm,
+  },
+  episodeNumber: {
+    color: colors.text.tertiary,
+    marginBottom: spacing.xs,
+  },
+  name: {
+    color: colors.text.primary,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  metadata: {
+    color: colors.text.secondary,
+  },
+  overview: {
+    color: colors.text.secondary,
+    marginTop: spacing.sm,
+    lineHeight: 20,
+  },
+});
+
+export default memo(EpisodeItem);
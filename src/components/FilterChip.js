@@ -7,7 +7,7 @@ import React from 'react';
 import { Text, StyleSheet, Pressable } from 'react-native';
 import { colors, typography, spacing, layout } from '../theme';
 
-const FilterChip = ({ label, active, onPress }) => {
+const FilterChip = ({ label, active, onPress, onLongPress }) => {
   return (
     <Pressable
       style={[
@@ -15,6 +15,7 @@ const FilterChip = ({ label, active, onPress }) => {
         active && styles.chipActive,
       ]}
       onPress={onPress}
+      onLongPress={onLongPress}
     >
       <Text
         style={[
@@ -1,6 +1,7 @@
 /**
  * FilterModal Component
  * Comprehensive filter modal with all filter sections
+ * Can also save the draft as a named preset, or edit an existing preset
  */
 
 import React, { useState, useEffect } from 'react';
@@ -11,11 +12,20 @@ import {
   Modal,
   ScrollView,
   Pressable,
+  TextInput,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing, layout } from '../theme';
-import { UK_PROVIDERS_ARRAY, getProviderById } from '../constants/platforms';
+import { getProviderById } from '../constants/platforms';
+import { DEFAULT_REGION } from '../constants/regions';
+import {
+  DEFAULT_FILTERS,
+  RUNTIME_BANDS,
+  BBFC_CERTIFICATIONS,
+  SORT_OPTIONS,
+  normalizeYearRange,
+} from '../utils/filterModel';
 import ServiceCard from './ServiceCard';
 import FilterChip from './FilterChip';
 import FilterSwitch from './FilterSwitch';
@@ -36,6 +46,28 @@ const COST_OPTIONS = [
   { key: 'paid', label: 'Paid' },
 ];
 
+// Watched titles options
+const WATCHED_OPTIONS = [
+  { key: 'hide', label: 'Hide' },
+  { key: 'show', label: 'Show' },
+];
+
+// Original language options (ISO 639-1)
+const LANGUAGES = [
+  { code: null, label: 'Any' },
+  { code: 'en', label: 'English' },
+  { code: 'fr', label: 'French' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'de', label: 'German' },
+  { code: 'it', label: 'Italian' },
+  { code: 'ja', label: 'Japanese' },
+  { code: 'ko', label: 'Korean' },
+  { code: 'hi', label: 'Hindi' },
+  { code: 'da', label: 'Danish' },
+  { code: 'sv', label: 'Swedish' },
+  { code: 'no', label: 'Norwegian' },
+];
+
 // Genre list for filter
 const GENRES = [
   { id: 28, name: 'Action' },
@@ -65,22 +97,33 @@ const FilterModal = ({
   onApply,
   onClear,
   userPlatforms = [],
+  region = DEFAULT_REGION,
+  preset = null,
+  onSavePreset,
+  onDeletePreset,
 }) => {
   const insets = useSafeAreaInsets();
 
   // Local state for draft filter changes
   const [draftFilters, setDraftFilters] = useState(filters);
+  const [presetName, setPresetName] = useState('');
+  // Years are typed, so keep the raw text until the filters are applied
+  const [yearFrom, setYearFrom] = useState('');
+  const [yearTo, setYearTo] = useState('');
 
   // Reset draft when modal opens
   useEffect(() => {
     if (visible) {
-      setDraftFilters(filters);
+      setDraftFilters({ ...DEFAULT_FILTERS, ...filters });
+      setPresetName(preset?.name || '');
+      setYearFrom(filters.minYear ? String(filters.minYear) : '');
+      setYearTo(filters.maxYear ? String(filters.maxYear) : '');
     }
-  }, [visible, filters]);
+  }, [visible, filters, preset]);
 
   // Get platform info for user's selected platforms
   const userPlatformDetails = userPlatforms
-    .map((id) => getProviderById(id))
+    .map((id) => getProviderById(id, region))
     .filter(Boolean);
 
   // Update handlers
@@ -101,33 +144,71 @@ const FilterModal = ({
     setDraftFilters((prev) => ({ ...prev, costFilter: cost }));
   };
 
+  // A genre can be required or excluded, not both
   const toggleGenre = (genreId) => {
     setDraftFilters((prev) => ({
       ...prev,
       selectedGenres: prev.selectedGenres.includes(genreId)
         ? prev.selectedGenres.filter((id) => id !== genreId)
         : [...prev.selectedGenres, genreId],
+      excludedGenres: prev.excludedGenres.filter((id) => id !== genreId),
+    }));
+  };
+
+  const toggleExcludedGenre = (genreId) => {
+    setDraftFilters((prev) => ({
+      ...prev,
+      excludedGenres: prev.excludedGenres.includes(genreId)
+        ? prev.excludedGenres.filter((id) => id !== genreId)
+        : [...prev.excludedGenres, genreId],
+      selectedGenres: prev.selectedGenres.filter((id) => id !== genreId),
     }));
   };
 
+  const setRuntime = (runtime) => {
+    setDraftFilters((prev) => ({ ...prev, runtime }));
+  };
+
+  const setOriginalLanguage = (code) => {
+    setDraftFilters((prev) => ({ ...prev, originalLanguage: code }));
+  };
+
+  const setSortBy = (sortBy) => {
+    setDraftFilters((prev) => ({ ...prev, sortBy }));
+  };
+
+  const setCertification = (certification) => {
+    setDraftFilters((prev) => ({ ...prev, certification }));
+  };
+
   const setMinRating = (rating) => {
     setDraftFilters((prev) => ({ ...prev, minRating: rating }));
   };
 
+  const setShowWatched = (key) => {
+    setDraftFilters((prev) => ({ ...prev, showWatched: key === 'show' }));
+  };
+
+  // Draft filters with the typed year range validated
+  const getFinalFilters = () =>
+    normalizeYearRange({ ...draftFilters, minYear: yearFrom, maxYear: yearTo });
+
   const handleApply = () => {
-    onApply(draftFilters);
+    onApply(getFinalFilters());
+    onClose();
+  };
+
+  // Save the draft under the typed name (updates the preset being edited)
+  const handleSavePreset = () => {
+    if (!presetName.trim()) return;
+    onSavePreset(presetName, getFinalFilters());
     onClose();
   };
 
   const handleClear = () => {
-    const clearedFilters = {
-      selectedServices: [],
-      contentType: 'all',
-      costFilter: 'all',
-      selectedGenres: [],
-      minRating: 0,
-    };
-    setDraftFilters(clearedFilters);
+    setDraftFilters(DEFAULT_FILTERS);
+    setYearFrom('');
+    setYearTo('');
     onClear();
   };
 
@@ -142,7 +223,9 @@ const FilterModal = ({
         <View style={[styles.content, { paddingBottom: Math.max(insets.bottom, spacing.lg) }]}>
           {/* Header */}
           <View style={styles.header}>
-            <Text style={[typography.h3, styles.title]}>Filters</Text>
+            <Text style={[typography.h3, styles.title]}>
+              {preset ? 'Edit Preset' : 'Filters'}
+            </Text>
             <Pressable onPress={onClose} hitSlop={8}>
               <Ionicons name="close" size={24} color={colors.text.primary} />
             </Pressable>
@@ -154,6 +237,52 @@ const FilterModal = ({
             showsVerticalScrollIndicator={false}
             contentContainerStyle={styles.scrollContentContainer}
           >
+            {/* Preset Name */}
+            {onSavePreset && (
+              <View style={styles.section}>
+                <Text style={[typography.caption, styles.sectionLabel]}>
+                  {preset ? 'PRESET NAME' : 'SAVE AS PRESET'}
+                </Text>
+                <View style={styles.presetRow}>
+                  <TextInput
+                    style={[typography.body, styles.presetInput]}
+                    placeholder="e.g. Friday film night"
+                    placeholderTextColor={colors.text.tertiary}
+                    value={presetName}
+                    onChangeText={setPresetName}
+                    maxLength={40}
+                    returnKeyType="done"
+                  />
+                  {!preset && (
+                    <Pressable
+                      style={[styles.presetSaveButton, !presetName.trim() && styles.presetSaveButtonDisabled]}
+                      onPress={handleSavePreset}
+                      disabled={!presetName.trim()}
+                    >
+                      <Text style={styles.applyButtonText}>Save</Text>
+                    </Pressable>
+                  )}
+                </View>
+              </View>
+            )}
+
+            {/* Sort Order */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                SORT BY
+              </Text>
+              <View style={styles.wrapRow}>
+                {SORT_OPTIONS.map((option) => (
+                  <FilterChip
+                    key={option.key}
+                    label={option.label}
+                    active={draftFilters.sortBy === option.key}
+                    onPress={() => setSortBy(option.key)}
+                  />
+                ))}
+              </View>
+            </View>
+
             {/* Section 1: Streaming Services */}
             {userPlatformDetails.length > 0 && (
               <View style={styles.section}>
@@ -232,7 +361,35 @@ const FilterModal = ({
               </View>
             </View>
 
-            {/* Section 5: Rating */}
+            {/* Section 5: Exclude Genres */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                EXCLUDE GENRES
+              </Text>
+              <View style={styles.genreGrid}>
+                {GENRES.map((genre) => (
+                  <Pressable
+                    key={genre.id}
+                    style={[
+                      styles.genreChip,
+                      draftFilters.excludedGenres.includes(genre.id) && styles.genreChipExcluded,
+                    ]}
+                    onPress={() => toggleExcludedGenre(genre.id)}
+                  >
+                    <Text
+                      style={[
+                        styles.genreChipText,
+                        draftFilters.excludedGenres.includes(genre.id) && styles.genreChipTextExcluded,
+                      ]}
+                    >
+                      {genre.name}
+                    </Text>
+                  </Pressable>
+                ))}
+              </View>
+            </View>
+
+            {/* Section 6: Rating */}
             <View style={styles.section}>
               <Text style={[typography.caption, styles.sectionLabel]}>
                 MINIMUM RATING
@@ -242,17 +399,119 @@ const FilterModal = ({
                 onChange={setMinRating}
               />
             </View>
+
+            {/* Section 7: Release Year */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                RELEASE YEAR
+              </Text>
+              <View style={styles.yearRow}>
+                <TextInput
+                  style={[typography.body, styles.yearInput]}
+                  placeholder="From"
+                  placeholderTextColor={colors.text.tertiary}
+                  value={yearFrom}
+                  onChangeText={setYearFrom}
+                  keyboardType="number-pad"
+                  maxLength={4}
+                />
+                <Text style={[typography.body, styles.yearSeparator]}>to</Text>
+                <TextInput
+                  style={[typography.body, styles.yearInput]}
+                  placeholder="To"
+                  placeholderTextColor={colors.text.tertiary}
+                  value={yearTo}
+                  onChangeText={setYearTo}
+                  keyboardType="number-pad"
+                  maxLength={4}
+                />
+              </View>
+            </View>
+
+            {/* Section 8: Runtime */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                RUNTIME
+              </Text>
+              <FilterSwitch
+                options={RUNTIME_BANDS}
+                selectedKey={draftFilters.runtime}
+                onSelect={setRuntime}
+              />
+            </View>
+
+            {/* Section 9: Original Language */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                ORIGINAL LANGUAGE
+              </Text>
+              <View style={styles.wrapRow}>
+                {LANGUAGES.map((language) => (
+                  <FilterChip
+                    key={language.code || 'any'}
+                    label={language.label}
+                    active={draftFilters.originalLanguage === language.code}
+                    onPress={() => setOriginalLanguage(language.code)}
+                  />
+                ))}
+              </View>
+            </View>
+
+            {/* Section 10: Age Rating (films only, TMDb has no TV certifications) */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                AGE RATING (FILMS)
+              </Text>
+              <View style={styles.wrapRow}>
+                <FilterChip
+                  label="Any"
+                  active={!draftFilters.certification}
+                  onPress={() => setCertification(null)}
+                />
+                {BBFC_CERTIFICATIONS.map((certification) => (
+                  <FilterChip
+                    key={certification}
+                    label={certification}
+                    active={draftFilters.certification === certification}
+                    onPress={() => setCertification(certification)}
+                  />
+                ))}
+              </View>
+            </View>
+
+            {/* Section 11: Watched */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                WATCHED TITLES
+              </Text>
+              <FilterSwitch
+                options={WATCHED_OPTIONS}
+                selectedKey={draftFilters.showWatched ? 'show' : 'hide'}
+                onSelect={setShowWatched}
+              />
+            </View>
           </ScrollView>
 
           {/* Footer Actions */}
-          <View style={styles.footer}>
-            <Pressable style={styles.clearButton} onPress={handleClear}>
-              <Text style={styles.clearButtonText}>Clear All</Text>
-            </Pressable>
-            <Pressable style={styles.applyButton} onPress={handleApply}>
-              <Text style={styles.applyButtonText}>Apply Filters</Text>
-            </Pressable>
-          </View>
+          {preset ? (
+            <View style={styles.footer}>
+              <Pressable style={styles.clearButton} onPress={() => onDeletePreset(preset)}>
+                <Text style={styles.deleteButtonText}>Delete</Text>
+              </Pressable>
+              <Pressable style={styles.applyButton} onPress={handleSavePreset}>
+                <Text style={styles.applyButtonText}>Save Preset</Text>
+              </Pressable>
+            </View>
+          ) : (
+            <View style={styles.footer}>
+              <Pressable style={styles.clearButton} onPress={handleClear}>
+                <Text style={styles.clearButtonText}>Clear All</Text>
+              </Pressable>
+              <Pressable style={styles.applyButton} onPress={handleApply}>
+                <Text style={styles.applyButtonText}>Apply Filters</Text>
+              </Pressable>
+            </View>
+          )}
         </View>
       </View>
     </Modal>
@@ -303,6 +562,30 @@ const styles = StyleSheet.create({
     letterSpacing: 1,
     marginBottom: spacing.md,
   },
+  presetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  presetInput: {
+    flex: 1,
+    color: colors.text.primary,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: colors.background.tertiary,
+    borderRadius: layout.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: colors.glass.border,
+  },
+  presetSaveButton: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.accent.primary,
+  },
+  presetSaveButtonDisabled: {
+    opacity: 0.4,
+  },
   servicesGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -312,6 +595,30 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
+  wrapRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: spacing.sm,
+  },
+  yearRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+  },
+  yearInput: {
+    flex: 1,
+    color: colors.text.primary,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: colors.background.tertiary,
+    borderRadius: layout.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: colors.glass.border,
+    textAlign: 'center',
+  },
+  yearSeparator: {
+    color: colors.text.secondary,
+  },
   genreGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -334,6 +641,9 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 6,
   },
+  genreChipExcluded: {
+    borderColor: colors.accent.error,
+  },
   genreChipText: {
     color: colors.text.secondary,
     fontSize: 14,
@@ -342,6 +652,10 @@ const styles = StyleSheet.create({
   genreChipTextSelected: {
     color: colors.text.inverse,
   },
+  genreChipTextExcluded: {
+    color: colors.accent.error,
+    textDecorationLine: 'line-through',
+  },
   footer: {
     flexDirection: 'row',
     gap: spacing.md,
@@ -361,6 +675,10 @@ const styles = StyleSheet.create({
     color: colors.text.secondary,
     fontWeight: '600',
   },
+  deleteButtonText: {
+    color: colors.accent.error,
+    fontWeight: '600',
+  },
   applyButton: {
     flex: 2,
     paddingVertical: spacing.md,
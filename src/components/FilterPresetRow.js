@@ -0,0 +1,54 @@
+/**
+ * FilterPresetRow Component
+ * Horizontal row of saved filter presets. Tap to apply (tap again to clear),
+ * long press to edit when the screen supports it.
+ */
+
+import React from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, spacing } from '../theme';
+import FilterChip from './FilterChip';
+
+const FilterPresetRow = ({ presets = [], activePresetId, onSelect, onLongPress }) => {
+  if (presets.length === 0) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={styles.wrapper}
+      contentContainerStyle={styles.row}
+    >
+      <View style={styles.icon}>
+        <Ionicons name="bookmark-outline" size={16} color={colors.text.tertiary} />
+      </View>
+      {presets.map((preset) => (
+        <FilterChip
+          key={preset.id}
+          label={preset.name}
+          active={preset.id === activePresetId}
+          onPress={() => onSelect(preset)}
+          onLongPress={onLongPress ? () => onLongPress(preset) : undefined}
+        />
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  wrapper: {
+    flexGrow: 0,
+    flexShrink: 0,
+  },
+  row: {
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.sm,
+    alignItems: 'center',
+  },
+  icon: {
+    marginRight: spacing.sm,
+  },
+});
+
+export default FilterPresetRow;
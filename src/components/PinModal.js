@@ -0,0 +1,222 @@
+/**
+ * PinModal Component
+ * Bottom sheet for the kids mode PIN. In 'create' mode the PIN is entered
+ * twice and saved; in 'verify' mode it is checked against the saved PIN.
+ * onSuccess runs only once the PIN is saved or matches.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Modal,
+  Pressable,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import { KIDS_PIN_LENGTH, setKidsPin, verifyKidsPin } from '../storage/kidsPin';
+
+const PinModal = ({
+  visible,
+  mode = 'verify',
+  title = 'Enter PIN',
+  message,
+  onSuccess,
+  onClose,
+}) => {
+  const insets = useSafeAreaInsets();
+  const [pin, setPin] = useState('');
+  const [firstPin, setFirstPin] = useState(null);
+  const [error, setError] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  // Reset when the modal opens
+  useEffect(() => {
+    if (visible) {
+      setPin('');
+      setFirstPin(null);
+      setError('');
+    }
+  }, [visible]);
+
+  const isConfirming = mode === 'create' && firstPin !== null;
+
+  const handleSubmit = async () => {
+    if (pin.length !== KIDS_PIN_LENGTH || isChecking) return;
+
+    // First entry of a new PIN: ask for it again
+    if (mode === 'create' && firstPin === null) {
+      setFirstPin(pin);
+      setPin('');
+      setError('');
+      return;
+    }
+
+    setIsChecking(true);
+    try {
+      if (mode === 'create') {
+        if (pin !== firstPin) {
+          setFirstPin(null);
+          setPin('');
+          setError("PINs didn't match. Try again.");
+          return;
+        }
+        await setKidsPin(pin);
+      } else if (!(await verifyKidsPin(pin))) {
+        setPin('');
+        setError('Incorrect PIN');
+        return;
+      }
+
+      onClose();
+      onSuccess();
+    } catch (err) {
+      console.error('[PinModal] Error handling PIN:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const prompt = mode === 'create'
+    ? isConfirming
+      ? 'Enter the PIN again to confirm'
+      : `Choose a ${KIDS_PIN_LENGTH}-digit PIN`
+    : message || `Enter your ${KIDS_PIN_LENGTH}-digit PIN`;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={[styles.content, { paddingBottom: Math.max(insets.bottom, spacing.lg) }]}>
+          {/* Header */}
+          <View style={styles.header}>
+            <Text style={[typography.h3, styles.title]} numberOfLines={1}>
+              {title}
+            </Text>
+            <Pressable onPress={onClose} hitSlop={8}>
+              <Ionicons name="close" size={24} color={colors.text.primary} />
+            </Pressable>
+          </View>
+
+          <View style={styles.body}>
+            <Text style={[typography.body, styles.prompt]}>{prompt}</Text>
+            <TextInput
+              style={[typography.h2, styles.input]}
+              value={pin}
+              onChangeText={(text) => setPin(text.replace(/\D/g, '').slice(0, KIDS_PIN_LENGTH))}
+              keyboardType="number-pad"
+              secureTextEntry
+              autoFocus
+              maxLength={KIDS_PIN_LENGTH}
+              onSubmitEditing={handleSubmit}
+            />
+            {error ? (
+              <Text style={[typography.metadata, styles.errorText]}>{error}</Text>
+            ) : null}
+          </View>
+
+          {/* Footer Actions */}
+          <View style={styles.footer}>
+            <Pressable
+              style={[
+                styles.saveButton,
+                (pin.length !== KIDS_PIN_LENGTH || isChecking) && styles.saveButtonDisabled,
+              ]}
+              onPress={handleSubmit}
+              disabled={pin.length !== KIDS_PIN_LENGTH || isChecking}
+            >
+              <Text style={styles.saveButtonText}>
+                {mode === 'create' && !isConfirming ? 'Next' : 'Confirm'}
+              </Text>
+            </Pressable>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: colors.background.primary,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.lg,
+    paddingBottom: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.glass.border,
+  },
+  title: {
+    flex: 1,
+    marginRight: spacing.md,
+    color: colors.text.primary,
+  },
+  body: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.xl,
+    alignItems: 'center',
+  },
+  prompt: {
+    color: colors.text.secondary,
+    marginBottom: spacing.lg,
+    textAlign: 'center',
+  },
+  input: {
+    width: 160,
+    paddingVertical: spacing.md,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.background.tertiary,
+    color: colors.text.primary,
+    textAlign: 'center',
+    letterSpacing: 12,
+  },
+  errorText: {
+    color: colors.accent.error,
+    marginTop: spacing.md,
+  },
+  footer: {
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.glass.border,
+  },
+  saveButton: {
+    paddingVertical: spacing.md,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.accent.primary,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: colors.text.inverse,
+    fontWeight: '600',
+  },
+});
+
+export default PinModal;
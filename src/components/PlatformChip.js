@@ -1,22 +1,35 @@
 /**
  * PlatformChip Component
- * Informational chip showing platform availability
+ * Chip showing platform availability; tappable when onPress is provided
+ * DetailScreen's "Where to watch" section is built from these chips (not
+ * PlatformBadge, which only shows an initial), and a tap opens the title in
+ * the provider's app or website (see getProviderLaunchUrls)
  */
 
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing, layout } from '../theme';
 import GlassContainer from './GlassContainer';
 
-const PlatformChip = ({ name }) => {
-  return (
+const PlatformChip = ({ name, onPress }) => {
+  const chip = (
     <GlassContainer
       style={styles.container}
       borderRadius={layout.borderRadius.pill}
     >
-      <Text style={[typography.caption, styles.name]}>{name}</Text>
+      <View style={styles.content}>
+        <Text style={[typography.caption, styles.name]}>{name}</Text>
+        {onPress && (
+          <Ionicons name="open-outline" size={14} color={colors.text.secondary} />
+        )}
+      </View>
     </GlassContainer>
   );
+
+  if (!onPress) return chip;
+
+  return <Pressable onPress={onPress}>{chip}</Pressable>;
 };
 
 const styles = StyleSheet.create({
@@ -27,6 +40,11 @@ const styles = StyleSheet.create({
     marginBottom: spacing.sm,
     backgroundColor: colors.glass.light,
   },
+  content: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
   name: {
     color: colors.text.primary,
     fontWeight: '600',
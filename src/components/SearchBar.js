@@ -14,7 +14,15 @@ import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing, layout } from '../theme';
 import GlassContainer from './GlassContainer';
 
-const SearchBar = ({ value, onChangeText, placeholder = 'Search...', onClear }) => {
+const SearchBar = ({
+  value,
+  onChangeText,
+  placeholder = 'Search...',
+  onClear,
+  onFocus,
+  onBlur,
+  onSubmitEditing,
+}) => {
   return (
     <GlassContainer
       style={styles.container}
@@ -36,6 +44,9 @@ const SearchBar = ({ value, onChangeText, placeholder = 'Search...', onClear })
           autoCapitalize="none"
           autoCorrect={false}
           returnKeyType="search"
+          onFocus={onFocus}
+          onBlur={onBlur}
+          onSubmitEditing={onSubmitEditing}
         />
         {value.length > 0 && (
           <Pressable onPress={onClear} style={styles.clearButton}>
@@ -0,0 +1,146 @@
+/**
+ * SearchSuggestions Component
+ * Panel under the search bar: recent and trending searches while the field is
+ * empty, typeahead suggestions while typing
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing } from '../theme';
+import FilterChip from './FilterChip';
+
+const SUGGESTION_ICONS = {
+  movie: 'film-outline',
+  tv: 'tv-outline',
+  person: 'person-outline',
+};
+
+const SearchSuggestions = ({
+  query,
+  recentSearches = [],
+  trending = [],
+  suggestions = [],
+  onSelectQuery,
+  onRemoveQuery,
+  onClearHistory,
+  onSelectSuggestion,
+}) => {
+  // Typeahead while typing
+  if (query.trim()) {
+    if (suggestions.length === 0) return null;
+
+    return (
+      <View style={styles.container}>
+        {suggestions.map((suggestion) => (
+          <Pressable
+            key={`${suggestion.type}-${suggestion.id}`}
+            style={styles.row}
+            onPress={() => onSelectSuggestion(suggestion)}
+          >
+            <Ionicons
+              name={SUGGESTION_ICONS[suggestion.type] || 'search'}
+              size={18}
+              color={colors.text.tertiary}
+            />
+            <Text style={[typography.body, styles.rowText]} numberOfLines={1}>
+              {suggestion.label}
+            </Text>
+            {suggestion.year ? (
+              <Text style={[typography.metadata, styles.rowMeta]}>{suggestion.year}</Text>
+            ) : null}
+          </Pressable>
+        ))}
+      </View>
+    );
+  }
+
+  // Recent and trending while the field is empty
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      {recentSearches.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={[typography.h4, styles.sectionTitle]}>Recent</Text>
+            <Pressable onPress={onClearHistory} hitSlop={8}>
+              <Text style={[typography.caption, styles.clearText]}>Clear</Text>
+            </Pressable>
+          </View>
+          {recentSearches.map((entry) => (
+            <Pressable
+              key={entry.query}
+              style={styles.row}
+              onPress={() => onSelectQuery(entry.query)}
+            >
+              <Ionicons name="time-outline" size={18} color={colors.text.tertiary} />
+              <Text style={[typography.body, styles.rowText]} numberOfLines={1}>
+                {entry.query}
+              </Text>
+              <Pressable onPress={() => onRemoveQuery(entry.query)} hitSlop={8}>
+                <Ionicons name="close" size={18} color={colors.text.tertiary} />
+              </Pressable>
+            </Pressable>
+          ))}
+        </View>
+      )}
+
+      {trending.length > 0 && (
+        <View style={styles.section}>
+          <Text style={[typography.h4, styles.sectionTitle]}>Trending</Text>
+          <View style={styles.chips}>
+            {trending.map((label) => (
+              <FilterChip
+                key={label}
+                label={label}
+                active={false}
+                onPress={() => onSelectQuery(label)}
+              />
+            ))}
+          </View>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: spacing.lg,
+  },
+  section: {
+    marginBottom: spacing.lg,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    color: colors.text.primary,
+    marginBottom: spacing.sm,
+  },
+  clearText: {
+    color: colors.accent.primary,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    gap: spacing.md,
+  },
+  rowText: {
+    flex: 1,
+    color: colors.text.primary,
+  },
+  rowMeta: {
+    color: colors.text.tertiary,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: spacing.sm,
+  },
+});
+
+export default SearchSuggestions;
@@ -0,0 +1,71 @@
+/**
+ * VideoCard Component
+ * YouTube thumbnail with play icon, used for the main trailer and the gallery
+ */
+
+import React, { memo } from 'react';
+import { View, Text, Image, StyleSheet, Pressable } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import { buildYouTubeThumbnailUrl } from '../api/videos';
+
+const VideoCard = ({ video, onPress, large = false }) => {
+  return (
+    <Pressable
+      style={[styles.container, large ? styles.containerLarge : styles.containerSmall]}
+      onPress={() => onPress && onPress(video)}
+    >
+      <View>
+        <Image
+          source={{ uri: buildYouTubeThumbnailUrl(video.key) }}
+          style={styles.thumbnail}
+          resizeMode="cover"
+        />
+        <View style={styles.playOverlay}>
+          <Ionicons name="play-circle" size={large ? 56 : 36} color={colors.text.primary} />
+        </View>
+      </View>
+      <Text style={[typography.caption, styles.name]} numberOfLines={large ? 1 : 2}>
+        {video.name}
+      </Text>
+      {!large && (
+        <Text style={[typography.metadata, styles.type]}>{video.type}</Text>
+      )}
+    </Pressable>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: spacing.md,
+  },
+  containerLarge: {
+    width: '100%',
+  },
+  containerSmall: {
+    width: 180,
+    marginRight: spacing.md,
+  },
+  thumbnail: {
+    width: '100%',
+    aspectRatio: 16 / 9,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.background.tertiary,
+  },
+  playOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  name: {
+    color: colors.text.primary,
+    fontWeight: '600',
+    marginTop: spacing.sm,
+  },
+  type: {
+    color: colors.text.tertiary,
+    marginTop: spacing.xs,
+  },
+});
+
+export default memo(VideoCard);
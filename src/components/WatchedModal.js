@@ -0,0 +1,221 @@
+/**
+ * WatchedModal Component
+ * Bottom sheet for marking a title as watched with a date and optional rating
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  Pressable,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import FilterSwitch from './FilterSwitch';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When-watched options (offset from now in ms)
+const WATCHED_DATE_OPTIONS = [
+  { key: 'today', label: 'Today', offset: 0 },
+  { key: 'yesterday', label: 'Yesterday', offset: DAY_MS },
+  { key: 'lastWeek', label: 'Last week', offset: 7 * DAY_MS },
+  { key: 'lastMonth', label: 'Last month', offset: 30 * DAY_MS },
+];
+
+const STAR_COUNT = 5;
+
+const WatchedModal = ({
+  visible,
+  onClose,
+  onSave,
+  onRemove,
+  title,
+  initialRating = null,
+  isWatched = false,
+}) => {
+  const insets = useSafeAreaInsets();
+  const [dateKey, setDateKey] = useState('today');
+  const [rating, setRating] = useState(initialRating);
+
+  // Reset draft when modal opens
+  useEffect(() => {
+    if (visible) {
+      setDateKey('today');
+      setRating(initialRating);
+    }
+  }, [visible, initialRating]);
+
+  // Stars are shown out of 5 but ratings are stored out of 10
+  const handleStarPress = (star) => {
+    const value = star * 2;
+    setRating((prev) => (prev === value ? null : value));
+  };
+
+  const handleSave = () => {
+    const option = WATCHED_DATE_OPTIONS.find((o) => o.key === dateKey);
+    onSave({
+      watchedAt: Date.now() - option.offset,
+      rating,
+    });
+    onClose();
+  };
+
+  const handleRemove = () => {
+    onRemove();
+    onClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={[styles.content, { paddingBottom: Math.max(insets.bottom, spacing.lg) }]}>
+          {/* Header */}
+          <View style={styles.header}>
+            <Text style={[typography.h3, styles.title]} numberOfLines={1}>
+              {title}
+            </Text>
+            <Pressable onPress={onClose} hitSlop={8}>
+              <Ionicons name="close" size={24} color={colors.text.primary} />
+            </Pressable>
+          </View>
+
+          <View style={styles.body}>
+            {/* Watched Date */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                WHEN DID YOU WATCH IT?
+              </Text>
+              <FilterSwitch
+                options={WATCHED_DATE_OPTIONS}
+                selectedKey={dateKey}
+                onSelect={setDateKey}
+              />
+            </View>
+
+            {/* Personal Rating */}
+            <View style={styles.section}>
+              <Text style={[typography.caption, styles.sectionLabel]}>
+                YOUR RATING (OPTIONAL)
+              </Text>
+              <View style={styles.starRow}>
+                {Array.from({ length: STAR_COUNT }, (_, index) => {
+                  const star = index + 1;
+                  const filled = rating !== null && rating >= star * 2;
+                  return (
+                    <Pressable key={star} onPress={() => handleStarPress(star)} hitSlop={4}>
+                      <Ionicons
+                        name={filled ? 'star' : 'star-outline'}
+                        size={32}
+                        color={filled ? colors.accent.warning : colors.text.tertiary}
+                      />
+                    </Pressable>
+                  );
+                })}
+              </View>
+            </View>
+          </View>
+
+          {/* Footer Actions */}
+          <View style={styles.footer}>
+            {isWatched && (
+              <Pressable style={styles.removeButton} onPress={handleRemove}>
+                <Text style={styles.removeButtonText}>Unmark</Text>
+              </Pressable>
+            )}
+            <Pressable style={styles.saveButton} onPress={handleSave}>
+              <Text style={styles.saveButtonText}>
+                {isWatched ? 'Update' : 'Mark as Watched'}
+              </Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: colors.background.primary,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.lg,
+    paddingBottom: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.glass.border,
+  },
+  title: {
+    flex: 1,
+    marginRight: spacing.md,
+    color: colors.text.primary,
+  },
+  body: {
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.lg,
+  },
+  section: {
+    marginBottom: spacing.xl,
+  },
+  sectionLabel: {
+    color: colors.text.tertiary,
+    fontWeight: '600',
+    letterSpacing: 1,
+    marginBottom: spacing.md,
+  },
+  starRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  footer: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.glass.border,
+  },
+  removeButton: {
+    flex: 1,
+    paddingVertical: spacing.md,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.background.tertiary,
+    alignItems: 'center',
+  },
+  removeButtonText: {
+    color: colors.text.secondary,
+    fontWeight: '600',
+  },
+  saveButton: {
+    flex: 2,
+    paddingVertical: spacing.md,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.accent.primary,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: colors.text.inverse,
+    fontWeight: '600',
+  },
+});
+
+export default WatchedModal;
@@ -0,0 +1,60 @@
+import appConfig from '../../../app.json';
+import { REGION_PROVIDERS, getProviderLaunchUrls } from '../platforms';
+
+const providerCases = Object.entries(REGION_PROVIDERS).flatMap(([region, providers]) =>
+  Object.values(providers).map((provider) => [region, provider.name, provider])
+);
+
+const iosQuerySchemes = appConfig.expo.ios.infoPlist.LSApplicationQueriesSchemes;
+const androidQuerySchemes = appConfig.expo.plugins
+  .find((plugin) => Array.isArray(plugin) && plugin[0] === 'expo-build-properties')[1]
+  .android.manifestQueries.intent.map((intent) => intent.data.scheme);
+
+const getScheme = (url) => url.slice(0, url.indexOf(':'));
+
+describe('getProviderLaunchUrls', () => {
+  it.each(providerCases)('%s %s links to a search for the title', (region, name, provider) => {
+    const urls = getProviderLaunchUrls(provider.id, 'Tom & Jerry', region);
+
+    expect(urls.webUrl).toMatch(/^https:\/\//);
+    expect(urls.webUrl).toContain('Tom%20%26%20Jerry');
+    expect(urls.webUrl).not.toContain('{query}');
+
+    if (provider.appSearchUrl) {
+      expect(urls.appUrl).toContain('Tom%20%26%20Jerry');
+      expect(urls.appUrl).not.toContain('{query}');
+    } else {
+      expect(urls.appUrl).toBe(provider.appScheme);
+    }
+  });
+
+  it.each(providerCases)('%s %s app scheme can be queried on both platforms', (region, name, provider) => {
+    const scheme = getScheme(provider.appScheme);
+
+    expect(provider.appScheme).toBe(`${scheme}://`);
+    expect(iosQuerySchemes).toContain(scheme);
+    expect(androidQuerySchemes).toContain(scheme);
+
+    if (provider.appSearchUrl) {
+      expect(getScheme(provider.appSearchUrl)).toBe(scheme);
+    }
+  });
+
+  it('returns the Netflix in-app search', () => {
+    expect(getProviderLaunchUrls(8, 'Dark', 'DE')).toEqual({
+      appUrl: 'nflx://www.netflix.com/search?q=Dark',
+      webUrl: 'https://www.netflix.com/search?q=Dark',
+    });
+  });
+
+  it('opens apps without an in-app search at their home screen', () => {
+    expect(getProviderLaunchUrls(38, 'Doctor Who', 'GB')).toEqual({
+      appUrl: 'bbciplayer://',
+      webUrl: 'https://www.bbc.co.uk/iplayer/search?q=Doctor%20Who',
+    });
+  });
+
+  it('returns null for providers without link configuration', () => {
+    expect(getProviderLaunchUrls(999999, 'Dark', 'GB')).toBeNull();
+  });
+});
@@ -3,3 +3,4 @@ export * from './typography';
 export * from './spacing';
 export * from './platforms';
 export * from './genres';
+export * from './regions';
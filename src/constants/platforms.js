@@ -1,63 +1,350 @@
+import { DEFAULT_REGION } from './regions';
+
+// Deep link configuration per provider, shared across regional catalogs
+// appScheme: URL scheme the provider's app registers; opening it starts the app
+// appSearchUrl: opens a search inside the app ({query} is replaced), where the app
+//   has one; otherwise the app is opened at its home screen
+// Both are checked with Linking.canOpenURL, so every scheme must also be listed in
+//   app.json (LSApplicationQueriesSchemes on iOS, manifestQueries on Android)
+// webSearchUrl: provider's own search page, used when the app isn't installed
+const PROVIDER_LINKS = {
+  netflix: {
+    appScheme: 'nflx://',
+    appSearchUrl: 'nflx://www.netflix.com/search?q={query}',
+    webSearchUrl: 'https://www.netflix.com/search?q={query}',
+  },
+  amazonPrime: {
+    appScheme: 'aiv://',
+    appSearchUrl: 'aiv://aiv/search?phrase={query}',
+    webSearchUrl: 'https://www.primevideo.com/search/?phrase={query}',
+  },
+  appleTv: {
+    appScheme: 'videos://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://tv.apple.com/search?term={query}',
+  },
+  disneyPlus: {
+    appScheme: 'disneyplus://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.disneyplus.com/search?q={query}',
+  },
+  nowTV: {
+    appScheme: 'nowtv://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.nowtv.com/search?q={query}',
+  },
+  bbcIplayer: {
+    appScheme: 'bbciplayer://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.bbc.co.uk/iplayer/search?q={query}',
+  },
+  itvx: {
+    appScheme: 'itvx://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.itv.com/watch/search?q={query}',
+  },
+  channel4: {
+    appScheme: 'all4://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.channel4.com/search?q={query}',
+  },
+  paramount: {
+    appScheme: 'pplus://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.paramountplus.com/search/?q={query}',
+  },
+  skyGo: {
+    appScheme: 'skygo://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.sky.com/watch/search?q={query}',
+  },
+  hulu: {
+    appScheme: 'hulu://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.hulu.com/search?q={query}',
+  },
+  max: {
+    appScheme: 'max://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://play.max.com/search?q={query}',
+  },
+  peacock: {
+    appScheme: 'peacock://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.peacocktv.com/search?q={query}',
+  },
+  wow: {
+    appScheme: 'wowtv://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.wowtv.de/suche?q={query}',
+  },
+  rtlPlus: {
+    appScheme: 'rtlplus://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://plus.rtl.de/suche?q={query}',
+  },
+  joyn: {
+    appScheme: 'joyn://',
+    appSearchUrl: null,
+    webSearchUrl: 'https://www.joyn.de/suche?q={query}',
+  },
+};
+
 // UK Platform configurations with TMDb provider IDs
-export const UK_PROVIDERS = {
+const UK_PROVIDERS = {
   netflix: {
     id: 8,
     name: 'Netflix',
     color: '#E50914',
+    ...PROVIDER_LINKS.netflix,
   },
   amazonPrime: {
     id: 9,
     name: 'Amazon Prime Video',
     color: '#00A8E1',
+    ...PROVIDER_LINKS.amazonPrime,
   },
   appleTv: {
     id: 350,
     name: 'Apple TV+',
     color: '#000000',
+    ...PROVIDER_LINKS.appleTv,
   },
   disneyPlus: {
     id: 337,
     name: 'Disney+',
     color: '#113CCF',
+    ...PROVIDER_LINKS.disneyPlus,
   },
   nowTV: {
     id: 39,
     name: 'Now TV',
     color: '#00E0FF',
+    ...PROVIDER_LINKS.nowTV,
   },
   bbcIplayer: {
     id: 38,
     name: 'BBC iPlayer',
     color: '#FF0000',
+    ...PROVIDER_LINKS.bbcIplayer,
   },
   itvx: {
-    id: 54,
+    id: 41,
     name: 'ITVX',
     color: '#000000',
+    ...PROVIDER_LINKS.itvx,
   },
   channel4: {
     id: 103,
     name: 'Channel 4',
     color: '#0095D9',
+    ...PROVIDER_LINKS.channel4,
   },
   paramount: {
     id: 582,
     name: 'Paramount+',
     color: '#0064FF',
+    ...PROVIDER_LINKS.paramount,
   },
   skyGo: {
     id: 29,
     name: 'Sky Go',
     color: '#0072C9',
+    ...PROVIDER_LINKS.skyGo,
+  },
+};
+
+// Irish Platform configurations with TMDb provider IDs
+const IE_PROVIDERS = {
+  netflix: {
+    id: 8,
+    name: 'Netflix',
+    color: '#E50914',
+    ...PROVIDER_LINKS.netflix,
+  },
+  amazonPrime: {
+    id: 9,
+    name: 'Amazon Prime Video',
+    color: '#00A8E1',
+    ...PROVIDER_LINKS.amazonPrime,
+  },
+  appleTv: {
+    id: 350,
+    name: 'Apple TV+',
+    color: '#000000',
+    ...PROVIDER_LINKS.appleTv,
+  },
+  disneyPlus: {
+    id: 337,
+    name: 'Disney+',
+    color: '#113CCF',
+    ...PROVIDER_LINKS.disneyPlus,
+  },
+  nowTV: {
+    id: 39,
+    name: 'Now TV',
+    color: '#00E0FF',
+    ...PROVIDER_LINKS.nowTV,
+  },
+  paramount: {
+    id: 531,
+    name: 'Paramount+',
+    color: '#0064FF',
+    ...PROVIDER_LINKS.paramount,
+  },
+};
+
+// US Platform configurations with TMDb provider IDs
+const US_PROVIDERS = {
+  netflix: {
+    id: 8,
+    name: 'Netflix',
+    color: '#E50914',
+    ...PROVIDER_LINKS.netflix,
+  },
+  amazonPrime: {
+    id: 9,
+    name: 'Amazon Prime Video',
+    color: '#00A8E1',
+    ...PROVIDER_LINKS.amazonPrime,
+  },
+  appleTv: {
+    id: 350,
+    name: 'Apple TV+',
+    color: '#000000',
+    ...PROVIDER_LINKS.appleTv,
+  },
+  disneyPlus: {
+    id: 337,
+    name: 'Disney+',
+    color: '#113CCF',
+    ...PROVIDER_LINKS.disneyPlus,
+  },
+  hulu: {
+    id: 15,
+    name: 'Hulu',
+    color: '#1CE783',
+    ...PROVIDER_LINKS.hulu,
+  },
+  max: {
+    id: 1899,
+    name: 'Max',
+    color: '#002BE7',
+    ...PROVIDER_LINKS.max,
+  },
+  paramount: {
+    id: 531,
+    name: 'Paramount+',
+    color: '#0064FF',
+    ...PROVIDER_LINKS.paramount,
+  },
+  peacock: {
+    id: 386,
+    name: 'Peacock',
+    color: '#000000',
+    ...PROVIDER_LINKS.peacock,
   },
 };
 
-// Convert to array for easier iteration
-export const UK_PROVIDERS_ARRAY = Object.values(UK_PROVIDERS);
+// German Platform configurations with TMDb provider IDs
+const DE_PROVIDERS = {
+  netflix: {
+    id: 8,
+    name: 'Netflix',
+    color: '#E50914',
+    ...PROVIDER_LINKS.netflix,
+  },
+  amazonPrime: {
+    id: 9,
+    name: 'Amazon Prime Video',
+    color: '#00A8E1',
+    ...PROVIDER_LINKS.amazonPrime,
+  },
+  appleTv: {
+    id: 350,
+    name: 'Apple TV+',
+    color: '#000000',
+    ...PROVIDER_LINKS.appleTv,
+  },
+  disneyPlus: {
+    id: 337,
+    name: 'Disney+',
+    color: '#113CCF',
+    ...PROVIDER_LINKS.disneyPlus,
+  },
+  wow: {
+    id: 30,
+    name: 'WOW',
+    color: '#5A2D82',
+    ...PROVIDER_LINKS.wow,
+  },
+  rtlPlus: {
+    id: 298,
+    name: 'RTL+',
+    color: '#E4003A',
+    ...PROVIDER_LINKS.rtlPlus,
+  },
+  joyn: {
+    id: 304,
+    name: 'Joyn',
+    color: '#1E1E1E',
+    ...PROVIDER_LINKS.joyn,
+  },
+  paramount: {
+    id: 531,
+    name: 'Paramount+',
+    color: '#0064FF',
+    ...PROVIDER_LINKS.paramount,
+  },
+};
+
+// Provider catalogs keyed by region code
+export const REGION_PROVIDERS = {
+  GB: UK_PROVIDERS,
+  IE: IE_PROVIDERS,
+  US: US_PROVIDERS,
+  DE: DE_PROVIDERS,
+};
+
+// Get providers for a region as an array (falls back to the default region)
+export const getProvidersForRegion = (region = DEFAULT_REGION) => {
+  return Object.values(REGION_PROVIDERS[region] || REGION_PROVIDERS[DEFAULT_REGION]);
+};
+
+// Get provider by ID, preferring the given region's catalog
+// Falls back to any region so stored platforms still resolve after a region change
+export const getProviderById = (id, region = DEFAULT_REGION) => {
+  const regional = getProvidersForRegion(region).find(provider => provider.id === id);
+  if (regional) return regional;
+
+  return Object.values(REGION_PROVIDERS)
+    .flatMap(providers => Object.values(providers))
+    .find(provider => provider.id === id);
+};
+
+// Build the URLs used to open a title in a provider's app or website
+// appUrl searches for the title in the app where it can, otherwise it opens the app
+// Returns null for providers without link configuration
+export const getProviderLaunchUrls = (providerId, title, region = DEFAULT_REGION) => {
+  const provider = getProviderById(providerId, region);
+  if (!provider?.webSearchUrl) return null;
+
+  const query = encodeURIComponent(title || '');
+  return {
+    appUrl: provider.appSearchUrl ? provider.appSearchUrl.replace('{query}', query) : provider.appScheme,
+    webUrl: provider.webSearchUrl.replace('{query}', query),
+  };
+};
+
+// Provider IDs saved by older builds, mapped to the current TMDb ID
+// Stored data is rewritten on launch by the storage migrations (src/storage/migrations.js)
+export const LEGACY_PROVIDER_IDS = {
+  54: 41,   // ITVX was briefly catalogued as 54
+};
 
-// Get provider by ID
-export const getProviderById = (id) => {
-  return UK_PROVIDERS_ARRAY.find(provider => provider.id === id);
+// Get the current ID for a provider ID that may have been saved by an older build
+export const normalizeProviderId = (providerId) => {
+  return LEGACY_PROVIDER_IDS[providerId] || providerId;
 };
 
 // Mapping from rent/buy store IDs to their subscription platform equivalents
@@ -0,0 +1,48 @@
+// Supported regions (ISO 3166-1 codes used by TMDb watch_region)
+export const REGIONS = {
+  GB: {
+    code: 'GB',
+    name: 'United Kingdom',
+    flag: '🇬🇧',
+    language: 'en', // ISO 639-1, used to pick trailers
+  },
+  IE: {
+    code: 'IE',
+    name: 'Ireland',
+    flag: '🇮🇪',
+    language: 'en',
+  },
+  US: {
+    code: 'US',
+    name: 'United States',
+    flag: '🇺🇸',
+    language: 'en',
+  },
+  DE: {
+    code: 'DE',
+    name: 'Germany',
+    flag: '🇩🇪',
+    language: 'de',
+  },
+};
+
+// Region used when the user has not chosen one yet
+export const DEFAULT_REGION = 'GB';
+
+// Convert to array for easier iteration
+export const REGIONS_ARRAY = Object.values(REGIONS);
+
+// Check if a region code is supported
+export const isSupportedRegion = (code) => {
+  return !!REGIONS[code];
+};
+
+// Get region by code, falling back to the default region
+export const getRegionByCode = (code) => {
+  return REGIONS[code] || REGIONS[DEFAULT_REGION];
+};
+
+// Get a region's main language (ISO 639-1), falling back to the default region
+export const getRegionLanguage = (code) => {
+  return getRegionByCode(code).language;
+};
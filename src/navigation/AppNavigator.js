@@ -1,10 +1,11 @@
 /**
  * AppNavigator - Main navigation structure
- * Switches between OnboardingStack and MainTabs based on onboarding completion
+ * Switches between the profile picker, OnboardingStack and MainTabs based on
+ * the active profile and whether it has completed onboarding
  */
 
 import React, { useState, useEffect } from 'react';
-import { ActivityIndicator, View, StyleSheet, Platform } from 'react-native';
+import { ActivityIndicator, View, StyleSheet, Platform, AppState } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
@@ -12,7 +13,14 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 
 import { colors, typography } from '../theme';
-import { hasCompletedOnboarding } from '../storage/userPreferences';
+import { hasCompletedOnboarding, getActiveProfileId } from '../storage/userPreferences';
+import { getProfiles } from '../storage/profiles';
+import { runMigrations } from '../storage/migrations';
+import { runNotificationCheck } from '../utils/notificationChecker';
+import { OnboardingContext } from './OnboardingContext';
+
+// Profile picker
+import ProfilesScreen from '../screens/ProfilesScreen';
 
 // Onboarding Screens
 import WelcomeScreen from '../screens/WelcomeScreen';
@@ -22,8 +30,11 @@ import PlatformsScreen from '../screens/PlatformsScreen';
 // Main App Screens
 import HomeScreen from '../screens/HomeScreen';
 import BrowseScreen from '../screens/BrowseScreen';
+import WatchlistScreen from '../screens/WatchlistScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import DetailScreen from '../screens/DetailScreen';
+import InboxScreen from '../screens/InboxScreen';
+import PersonScreen from '../screens/PersonScreen';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -110,6 +121,16 @@ const HomeStack = () => {
         component={DetailScreen}
         options={{ title: 'Details' }}
       />
+      <Stack.Screen
+        name="Person"
+        component={PersonScreen}
+        options={({ route }) => ({ title: route.params?.name || 'Person' })}
+      />
+      <Stack.Screen
+        name="Inbox"
+        component={InboxScreen}
+        options={{ title: 'Inbox' }}
+      />
     </Stack.Navigator>
   );
 };
@@ -128,6 +149,34 @@ const BrowseStack = () => {
         component={DetailScreen}
         options={{ title: 'Details' }}
       />
+      <Stack.Screen
+        name="Person"
+        component={PersonScreen}
+        options={({ route }) => ({ title: route.params?.name || 'Person' })}
+      />
+    </Stack.Navigator>
+  );
+};
+
+// Watchlist Tab Stack Navigator
+const WatchlistStack = () => {
+  return (
+    <Stack.Navigator screenOptions={glassHeaderOptions}>
+      <Stack.Screen
+        name="WatchlistMain"
+        component={WatchlistScreen}
+        options={{ headerShown: false }}
+      />
+      <Stack.Screen
+        name="Detail"
+        component={DetailScreen}
+        options={{ title: 'Details' }}
+      />
+      <Stack.Screen
+        name="Person"
+        component={PersonScreen}
+        options={({ route }) => ({ title: route.params?.name || 'Person' })}
+      />
     </Stack.Navigator>
   );
 };
@@ -141,6 +190,17 @@ const ProfileStack = () => {
         component={ProfileScreen}
         options={{ title: 'Profile' }}
       />
+      {/* Onboarding screens reused in edit mode (route.params.editing) */}
+      <Stack.Screen
+        name="Location"
+        component={LocationScreen}
+        options={{ title: 'Region' }}
+      />
+      <Stack.Screen
+        name="Platforms"
+        component={PlatformsScreen}
+        options={{ title: 'Streaming Services' }}
+      />
     </Stack.Navigator>
   );
 };
@@ -181,6 +241,8 @@ const MainTabs = () => {
             iconName = focused ? 'home' : 'home-outline';
           } else if (route.name === 'BrowseTab') {
             iconName = focused ? 'search' : 'search-outline';
+          } else if (route.name === 'WatchlistTab') {
+            iconName = focused ? 'bookmark' : 'bookmark-outline';
           } else if (route.name === 'ProfileTab') {
             iconName = focused ? 'person' : 'person-outline';
           }
@@ -199,6 +261,11 @@ const MainTabs = () => {
         component={BrowseStack}
         options={{ title: 'Browse' }}
       />
+      <Tab.Screen
+        name="WatchlistTab"
+        component={WatchlistStack}
+        options={{ title: 'Watchlist' }}
+      />
       <Tab.Screen
         name="ProfileTab"
         component={ProfileStack}
@@ -208,14 +275,46 @@ const MainTabs = () => {
   );
 };
 
-// Root Navigator - Switches between Onboarding and Main Tabs
+// Root Navigator - Switches between the profile picker, Onboarding and Main Tabs
 const AppNavigator = () => {
   const [isOnboardingComplete, setIsOnboardingComplete] = useState(null);
+  const [isChoosingProfile, setIsChoosingProfile] = useState(false);
+  // Bumped to remount every screen, e.g. after kids mode changes what may be shown
+  const [sessionKey, setSessionKey] = useState(0);
 
   useEffect(() => {
-    checkOnboardingStatus();
+    initialize();
   }, []);
 
+  // Check for new episodes and arrivals on launch and whenever the app returns to the foreground
+  useEffect(() => {
+    if (!isOnboardingComplete || isChoosingProfile) return;
+
+    runNotificationCheck();
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        runNotificationCheck();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [isOnboardingComplete, isChoosingProfile]);
+
+  // Bring stored data up to the current schema, then ask who's watching when
+  // the household has more than one profile (or the last one used is gone)
+  const initialize = async () => {
+    try {
+      await runMigrations();
+      const [profiles, activeProfileId] = await Promise.all([getProfiles(), getActiveProfileId()]);
+      const hasActiveProfile = profiles.some((profile) => profile.id === activeProfileId);
+      setIsChoosingProfile(profiles.length > 1 || (profiles.length > 0 && !hasActiveProfile));
+    } catch (error) {
+      console.error('[AppNavigator] Error loading profiles:', error);
+    }
+
+    await checkOnboardingStatus();
+  };
+
   const checkOnboardingStatus = async () => {
     try {
       const completed = await hasCompletedOnboarding();
@@ -226,6 +325,19 @@ const AppNavigator = () => {
     }
   };
 
+  // Leave the picker once a profile is active (or none, to onboard a new one)
+  const closeProfilePicker = async () => {
+    await checkOnboardingStatus();
+    setIsChoosingProfile(false);
+  };
+
+  const onboardingContext = {
+    refreshOnboarding: checkOnboardingStatus,
+    openProfilePicker: () => setIsChoosingProfile(true),
+    closeProfilePicker,
+    reloadProfile: () => setSessionKey((key) => key + 1),
+  };
+
   // Show loading indicator while checking onboarding status
   if (isOnboardingComplete === null) {
     return (
@@ -236,15 +348,19 @@ const AppNavigator = () => {
   }
 
   return (
-    <NavigationContainer theme={navigationTheme}>
-      <Stack.Navigator screenOptions={{ headerShown: false }}>
-        {!isOnboardingComplete ? (
-          <Stack.Screen name="Onboarding" component={OnboardingStack} />
-        ) : (
-          <Stack.Screen name="Main" component={MainTabs} />
-        )}
-      </Stack.Navigator>
-    </NavigationContainer>
+    <OnboardingContext.Provider value={onboardingContext}>
+      <NavigationContainer key={sessionKey} theme={navigationTheme}>
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+          {isChoosingProfile ? (
+            <Stack.Screen name="Profiles" component={ProfilesScreen} />
+          ) : !isOnboardingComplete ? (
+            <Stack.Screen name="Onboarding" component={OnboardingStack} />
+          ) : (
+            <Stack.Screen name="Main" component={MainTabs} />
+          )}
+        </Stack.Navigator>
+      </NavigationContainer>
+    </OnboardingContext.Provider>
   );
 };
 
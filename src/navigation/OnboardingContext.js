@@ -0,0 +1,20 @@
+/**
+ * OnboardingContext
+ * Lets screens ask the root navigator to re-check onboarding status, e.g.
+ * after finishing onboarding or resetting the app, to open or close the
+ * profile picker, and to remount the app when the active profile's
+ * restrictions change. The root navigator renders one of the picker, the
+ * onboarding flow or the main tabs, so switching between them has to go
+ * through it rather than a navigation action.
+ */
+
+import { createContext, useContext } from 'react';
+
+export const OnboardingContext = createContext({
+  refreshOnboarding: async () => {},
+  openProfilePicker: () => {},
+  closeProfilePicker: async () => {},
+  reloadProfile: () => {},
+});
+
+export const useOnboarding = () => useContext(OnboardingContext);
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,148 +7,234 @@ import {
   FlatList,
   ActivityIndicator,
   Dimensions,
+  Alert,
+  ScrollView,
+  Keyboard,
+  Pressable,
 } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing, layout } from '../theme';
-import { getSelectedPlatforms } from '../storage/userPreferences';
-import { discoverMovies, discoverTV, searchMulti } from '../api/tmdb';
+import { getSelectedPlatforms, getUserRegion } from '../storage/userPreferences';
+import { DEFAULT_REGION } from '../constants/regions';
+import { getSearchSuggestions, getTrending } from '../api/tmdb';
+import { searchContent, discoverByKeyword, filterByAvailability } from '../api/search';
+import { toggleWatchlist } from '../storage/watchlist';
+import { getWatchedKeys } from '../storage/watchHistory';
+import {
+  getSearchHistory,
+  addSearchQuery,
+  removeSearchQuery,
+  clearSearchHistory,
+} from '../storage/searchHistory';
+import { getFilterPresets, getActiveFilters } from '../storage/filterPresets';
+import {
+  DEFAULT_FILTERS,
+  resolveFilters,
+  getFilteredPlatforms,
+  countActiveFilters,
+  isClientSideSort,
+} from '../utils/filterModel';
+import { MAX_ENRICHED } from '../utils/contentSort';
+import { createDiscoverFeed } from '../utils/mergedFeed';
 import ContentCard from '../components/ContentCard';
 import FilterChip from '../components/FilterChip';
+import FilterModal from '../components/FilterModal';
+import FilterPresetRow from '../components/FilterPresetRow';
 import SearchBar from '../components/SearchBar';
+import SearchSuggestions from '../components/SearchSuggestions';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
-const FILTERS = {
-  ALL: 'all',
-  MOVIES: 'movies',
-  TV: 'tv',
-};
+const MAX_TRENDING_SEARCHES = 8;
 
 const BrowseScreen = ({ navigation }) => {
   const [searchQuery, setSearchQuery] = useState('');
-  const [selectedFilter, setSelectedFilter] = useState(FILTERS.ALL);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [filterModalVisible, setFilterModalVisible] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [activePresetId, setActivePresetId] = useState(null);
   const [platforms, setPlatforms] = useState([]);
+  const [region, setRegion] = useState(DEFAULT_REGION);
   const [content, setContent] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
-  const [currentPage, setCurrentPage] = useState(1);
   const [hasMorePages, setHasMorePages] = useState(true);
   const [debounceTimer, setDebounceTimer] = useState(null);
+  const [searchCursor, setSearchCursor] = useState(1);
+  const [people, setPeople] = useState([]);
+  const [keywords, setKeywords] = useState([]);
+  const [activeKeyword, setActiveKeyword] = useState(null);
+
+  const [isSearchFocused, setIsSearchFocused] = useState(false);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [trendingSearches, setTrendingSearches] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+
+  // Incremented per search so slower, stale responses are dropped
+  const searchRequestRef = useRef(0);
+  const suggestionTimerRef = useRef(null);
+  // Merged movie + TV feed behind the browse grid, replaced whenever it resets
+  const feedRef = useRef(null);
 
   useEffect(() => {
     loadPlatformsAndContent();
+    loadSearchPrompts();
+    restoreFilters();
   }, []);
 
+  // Presets are created on Home, so refresh the list whenever Browse is shown
+  useFocusEffect(
+    useCallback(() => {
+      getFilterPresets().then(setPresets);
+    }, [])
+  );
+
   useEffect(() => {
     // Reset and reload when filter changes
-    setCurrentPage(1);
     setHasMorePages(true);
-    if (searchQuery.trim()) {
+    if (activeKeyword) {
+      runSearch(searchQuery, 1, activeKeyword);
+    } else if (searchQuery.trim()) {
       debouncedSearch(searchQuery);
     } else {
-      loadBrowseContent(1);
+      loadBrowseContent();
     }
-  }, [selectedFilter]);
+  }, [filters]);
 
   // Load user's platforms and initial content
   const loadPlatformsAndContent = async () => {
     try {
       const platformIds = await getSelectedPlatforms();
       setPlatforms(platformIds);
+      setRegion(await getUserRegion());
 
       if (platformIds.length > 0) {
-        loadBrowseContent(1);
+        loadBrowseContent();
       }
     } catch (error) {
       console.error('[BrowseScreen] Error loading platforms:', error);
     }
   };
 
-  // Load browse content (discover API)
-  const loadBrowseContent = async (page = 1) => {
-    if (page === 1) {
-      setIsLoading(true);
-    } else {
-      setIsLoadingMore(true);
+  // Start from the filters that were active when the app was last open
+  const restoreFilters = async () => {
+    const [savedPresets, active] = await Promise.all([getFilterPresets(), getActiveFilters()]);
+    if (active?.filters) {
+      setFilters(resolveFilters(active.filters));
+      setActivePresetId(
+        savedPresets.some((preset) => preset.id === active.presetId) ? active.presetId : null
+      );
     }
+  };
+
+  // Load recent searches and today's trending titles for the empty search field
+  const loadSearchPrompts = async () => {
+    try {
+      const [history, trendingResponse] = await Promise.all([
+        getSearchHistory(),
+        getTrending('all', 'day'),
+      ]);
+      setRecentSearches(history);
+
+      const labels = (trendingResponse.data.results || [])
+        .map((item) => item.title || item.name)
+        .filter(Boolean);
+      setTrendingSearches([...new Set(labels)].slice(0, MAX_TRENDING_SEARCHES));
+    } catch (error) {
+      console.error('[BrowseScreen] Error loading search prompts:', error);
+    }
+  };
+
+  // Start a fresh merged movie + TV feed (discover API) and load its first page
+  const loadBrowseContent = async () => {
+    setIsLoading(true);
 
     try {
       const platformIds = await getSelectedPlatforms();
       if (platformIds.length === 0) {
-        setIsLoading(false);
-        setIsLoadingMore(false);
+        feedRef.current = null;
         return;
       }
 
-      const allContent = [];
-
-      // Query all platforms at once using | (OR) operator
-      const platformsParam = platformIds.join('|');
-
-      // Fetch based on filter
-      if (selectedFilter === FILTERS.ALL || selectedFilter === FILTERS.MOVIES) {
-        const moviesResponse = await discoverMovies({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
-          sort_by: 'popularity.desc',
-          page,
-        });
-
-        if (moviesResponse.success && moviesResponse.data.results) {
-          allContent.push(
-            ...moviesResponse.data.results.map((item) => ({
-              ...item,
-              type: 'movie',
-              platforms: null, // Will be lazy-loaded by ContentCard
-            }))
-          );
-        }
-      }
-
-      if (selectedFilter === FILTERS.ALL || selectedFilter === FILTERS.TV) {
-        const tvResponse = await discoverTV({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
-          sort_by: 'popularity.desc',
-          page,
-        });
-
-        if (tvResponse.success && tvResponse.data.results) {
-          allContent.push(
-            ...tvResponse.data.results.map((item) => ({
-              ...item,
-              type: 'tv',
-              platforms: null, // Will be lazy-loaded by ContentCard
-            }))
-          );
-        }
-      }
+      // Watched titles are left out of the feed unless requested
+      const feed = createDiscoverFeed({
+        filters,
+        platformIds,
+        excludeKeys: filters.showWatched ? null : await getWatchedKeys(),
+      });
+      feedRef.current = feed;
+      await showFeedPage(feed, platformIds, true);
+    } catch (error) {
+      console.error('[BrowseScreen] Error loading content:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
-      // Deduplicate content
-      const deduped = deduplicateContent(allContent);
+  // Append the next page of the current feed (infinite scroll)
+  const loadMoreBrowseContent = async () => {
+    const feed = feedRef.current;
+    if (!feed?.hasMore) {
+      setHasMorePages(false);
+      return;
+    }
 
-      if (page === 1) {
-        setContent(deduped);
-      } else {
-        setContent((prev) => [...prev, ...deduped]);
-      }
+    setIsLoadingMore(true);
 
-      setHasMorePages(deduped.length > 0);
+    try {
+      const platformIds = await getSelectedPlatforms();
+      await showFeedPage(feed, platformIds, false);
     } catch (error) {
-      console.error('[BrowseScreen] Error loading content:', error);
+      console.error('[BrowseScreen] Error loading more content:', error);
     } finally {
-      setIsLoading(false);
       setIsLoadingMore(false);
     }
   };
 
-  // Search content
-  const searchContent = async (query, page = 1) => {
-    if (!query.trim()) {
-      loadBrowseContent(1);
+  // Load a page from the feed and show it, unless a newer feed replaced it meanwhile
+  const showFeedPage = async (feed, platformIds, replace) => {
+    let items = await feed.loadNext();
+
+    // Discover can't split by cost, so check providers when a cost filter is set
+    if (filters.costFilter !== 'all') {
+      items = await filterByAvailability(
+        items,
+        getFilteredPlatforms(filters, platformIds),
+        filters.costFilter
+      );
+    }
+
+    if (feed !== feedRef.current) return;
+
+    if (replace) {
+      setContent(items);
+    } else {
+      setContent((prev) => [...prev, ...items]);
+    }
+    setHasMorePages(feed.hasMore);
+  };
+
+  // Keys to leave out of a search page: watched titles and anything already shown
+  const getSearchExcludeKeys = async (page) => {
+    const keys = filters.showWatched ? new Set() : await getWatchedKeys();
+    if (page > 1) {
+      content.forEach((item) => keys.add(`${item.type}-${item.id}`));
+    }
+    return keys;
+  };
+
+  // Search by text, or browse a keyword picked from the suggestions
+  const runSearch = async (query, page = 1, keyword = activeKeyword) => {
+    if (!query.trim() && !keyword) {
+      loadBrowseContent();
       return;
     }
 
+    const requestId = ++searchRequestRef.current;
     if (page === 1) {
+      // A browse page still loading shouldn't replace the search results
+      feedRef.current = null;
       setIsLoading(true);
     } else {
       setIsLoadingMore(true);
@@ -157,48 +243,41 @@ const BrowseScreen = ({ navigation }) => {
     try {
       const platformIds = await getSelectedPlatforms();
       if (platformIds.length === 0) {
-        setIsLoading(false);
-        setIsLoadingMore(false);
         return;
       }
 
-      const searchResponse = await searchMulti(query.trim(), page);
-
-      if (searchResponse.success && searchResponse.data.results) {
-        let results = searchResponse.data.results;
-
-        // Filter by content type
-        if (selectedFilter === FILTERS.MOVIES) {
-          results = results.filter((item) => item.media_type === 'movie');
-        } else if (selectedFilter === FILTERS.TV) {
-          results = results.filter((item) => item.media_type === 'tv');
-        } else {
-          // ALL - exclude persons
-          results = results.filter(
-            (item) => item.media_type === 'movie' || item.media_type === 'tv'
-          );
-        }
+      const options = {
+        filters,
+        platformIds,
+        page,
+        excludeKeys: await getSearchExcludeKeys(page),
+      };
 
-        // Add type field - platforms will be lazy-loaded by ContentCard
-        const enrichedResults = results.map((item) => ({
-          ...item,
-          type: item.media_type,
-          platforms: null, // Will be lazy-loaded by ContentCard
-        }));
-
-        if (page === 1) {
-          setContent(enrichedResults);
-        } else {
-          setContent((prev) => [...prev, ...enrichedResults]);
-        }
+      const response = keyword
+        ? await discoverByKeyword({ ...options, keywordId: keyword.id })
+        : await searchContent({ ...options, query: query.trim() });
+
+      if (requestId !== searchRequestRef.current) return;
 
-        setHasMorePages(enrichedResults.length > 0);
+      if (page === 1) {
+        setContent(response.results);
+        if (!keyword) {
+          setPeople(response.people);
+          setKeywords(response.keywords);
+        }
+      } else {
+        setContent((prev) => [...prev, ...response.results]);
       }
+
+      setSearchCursor(response.nextPage);
+      setHasMorePages(response.hasMore);
     } catch (error) {
       console.error('[BrowseScreen] Error searching content:', error);
     } finally {
-      setIsLoading(false);
-      setIsLoadingMore(false);
+      if (requestId === searchRequestRef.current) {
+        setIsLoading(false);
+        setIsLoadingMore(false);
+      }
     }
   };
 
@@ -209,17 +288,95 @@ const BrowseScreen = ({ navigation }) => {
     }
 
     const timer = setTimeout(() => {
-      setCurrentPage(1);
       setHasMorePages(true);
-      searchContent(query, 1);
+      setActiveKeyword(null);
+      runSearch(query, 1, null);
     }, 300);
 
     setDebounceTimer(timer);
   };
 
+  // Fetch typeahead suggestions on a shorter delay than the full search
+  const scheduleSuggestions = (text) => {
+    if (suggestionTimerRef.current) {
+      clearTimeout(suggestionTimerRef.current);
+    }
+
+    if (!text.trim()) {
+      setSuggestions([]);
+      return;
+    }
+
+    suggestionTimerRef.current = setTimeout(async () => {
+      const response = await getSearchSuggestions(text);
+      setSuggestions(response.data);
+    }, 150);
+  };
+
+  // Remember a query in the recent searches
+  const recordSearch = async (query) => {
+    try {
+      setRecentSearches(await addSearchQuery(query));
+    } catch (error) {
+      console.error('[BrowseScreen] Error recording search:', error);
+    }
+  };
+
+  // Search immediately for a recent, trending or submitted query
+  const handleSelectQuery = (query) => {
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
+    Keyboard.dismiss();
+    setIsSearchFocused(false);
+    setSearchQuery(query);
+    scheduleSuggestions('');
+    clearSearchResults();
+    setHasMorePages(true);
+    runSearch(query, 1, null);
+    recordSearch(query);
+  };
+
+  const handleSearchSubmit = () => {
+    if (searchQuery.trim()) {
+      handleSelectQuery(searchQuery);
+    }
+  };
+
+  // Typeahead picks go straight to the title or person
+  const handleSelectSuggestion = (suggestion) => {
+    Keyboard.dismiss();
+    setIsSearchFocused(false);
+    recordSearch(suggestion.label);
+
+    if (suggestion.type === 'person') {
+      navigation.navigate('Person', { personId: suggestion.id, name: suggestion.label });
+    } else {
+      navigation.navigate('Detail', { itemId: suggestion.id, type: suggestion.type });
+    }
+  };
+
+  const handleRemoveRecentSearch = async (query) => {
+    try {
+      setRecentSearches(await removeSearchQuery(query));
+    } catch (error) {
+      console.error('[BrowseScreen] Error removing search:', error);
+    }
+  };
+
+  const handleClearRecentSearches = async () => {
+    try {
+      await clearSearchHistory();
+      setRecentSearches([]);
+    } catch (error) {
+      console.error('[BrowseScreen] Error clearing searches:', error);
+    }
+  };
+
   // Handle search input change
   const handleSearchChange = (text) => {
     setSearchQuery(text);
+    scheduleSuggestions(text);
     if (text.trim()) {
       debouncedSearch(text);
     } else {
@@ -227,59 +384,108 @@ const BrowseScreen = ({ navigation }) => {
       if (debounceTimer) {
         clearTimeout(debounceTimer);
       }
-      setCurrentPage(1);
+      clearSearchResults();
       setHasMorePages(true);
-      loadBrowseContent(1);
+      loadBrowseContent();
     }
   };
 
   // Handle search clear
   const handleSearchClear = () => {
     setSearchQuery('');
+    scheduleSuggestions('');
     if (debounceTimer) {
       clearTimeout(debounceTimer);
     }
-    setCurrentPage(1);
+    clearSearchResults();
     setHasMorePages(true);
-    loadBrowseContent(1);
+    loadBrowseContent();
   };
 
-  // Deduplicate content by ID and sort by popularity
-  const deduplicateContent = (contentArray) => {
-    const contentMap = new Map();
+  // Forget people/keyword suggestions and invalidate in-flight searches
+  const clearSearchResults = () => {
+    searchRequestRef.current += 1;
+    setPeople([]);
+    setKeywords([]);
+    setActiveKeyword(null);
+  };
 
-    contentArray.forEach((item) => {
-      const key = `${item.type}-${item.id}`;
-      if (!contentMap.has(key)) {
-        contentMap.set(key, item);
-      }
+  // Browse titles tagged with a keyword (tap again to go back to the text search)
+  const handleKeywordPress = (keyword) => {
+    const nextKeyword = activeKeyword?.id === keyword.id ? null : keyword;
+    setActiveKeyword(nextKeyword);
+    setHasMorePages(true);
+    runSearch(searchQuery, 1, nextKeyword);
+  };
+
+  const handlePersonPress = (person) => {
+    navigation.navigate('Person', {
+      personId: person.id,
+      name: person.name,
     });
+  };
 
-    // Convert to array and sort by popularity
-    return Array.from(contentMap.values()).sort(
-      (a, b) => (b.popularity || 0) - (a.popularity || 0)
-    );
+  // Apply filters from modal (any manual change leaves the active preset)
+  const handleApplyFilters = (newFilters) => {
+    setFilters(newFilters);
+    setActivePresetId(null);
+  };
+
+  // Clear all filters
+  const handleClearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
+    setActivePresetId(null);
+  };
+
+  const handleContentTypePress = (contentType) => {
+    setFilters((prev) => ({ ...prev, contentType }));
+    setActivePresetId(null);
   };
 
-  // Handle content card press
+  // Apply a preset, or go back to the defaults when it is already active
+  const handleSelectPreset = (preset) => {
+    if (preset.id === activePresetId) {
+      handleClearFilters();
+      return;
+    }
+    setFilters(resolveFilters(preset.filters));
+    setActivePresetId(preset.id);
+  };
+
+  // Handle content card press (a result opened from a search counts as a search)
   const handleCardPress = (item) => {
+    if (searchQuery.trim()) {
+      recordSearch(searchQuery);
+    }
     navigation.navigate('Detail', {
       itemId: item.id,
       type: item.type,
     });
   };
 
+  // Handle content card long press (toggle watchlist)
+  const handleCardLongPress = async (item) => {
+    try {
+      const isSaved = await toggleWatchlist(item);
+      Alert.alert(
+        isSaved ? 'Added to Watchlist' : 'Removed from Watchlist',
+        item.title || item.name
+      );
+    } catch (error) {
+      console.error('[BrowseScreen] Error updating watchlist:', error);
+    }
+  };
+
   // Handle load more (pagination)
   const handleLoadMore = () => {
     if (!isLoadingMore && hasMorePages && content.length > 0) {
-      const nextPage = currentPage + 1;
-      setCurrentPage(nextPage);
-
-      if (searchQuery.trim()) {
-        searchContent(searchQuery, nextPage);
-      } else {
-        loadBrowseContent(nextPage);
+      // Search keeps its own cursor since one load can use several TMDb pages
+      if (searchQuery.trim() || activeKeyword) {
+        runSearch(searchQuery, searchCursor);
+        return;
       }
+
+      loadMoreBrowseContent();
     }
   };
 
@@ -300,6 +506,7 @@ const BrowseScreen = ({ navigation }) => {
         <ContentCard
           item={item}
           onPress={handleCardPress}
+          onLongPress={handleCardLongPress}
           userPlatforms={platforms}
         />
       </View>
@@ -348,6 +555,9 @@ const BrowseScreen = ({ navigation }) => {
     );
   }
 
+  const showSearchPrompts = isSearchFocused && !searchQuery.trim();
+  const activeFilterCount = countActiveFilters(filters);
+
   return (
     <SafeAreaView style={styles.safeArea}>
       <View style={styles.container}>
@@ -357,42 +567,136 @@ const BrowseScreen = ({ navigation }) => {
             value={searchQuery}
             onChangeText={handleSearchChange}
             onClear={handleSearchClear}
+            onFocus={() => setIsSearchFocused(true)}
+            onBlur={() => setIsSearchFocused(false)}
+            onSubmitEditing={handleSearchSubmit}
             placeholder="Search movies and TV shows..."
           />
         </View>
 
-        {/* Filter Chips */}
-        <View style={styles.filterSection}>
-          <FilterChip
-            label="All"
-            active={selectedFilter === FILTERS.ALL}
-            onPress={() => setSelectedFilter(FILTERS.ALL)}
-          />
-          <FilterChip
-            label="Movies"
-            active={selectedFilter === FILTERS.MOVIES}
-            onPress={() => setSelectedFilter(FILTERS.MOVIES)}
+        {/* Recent, Trending & Typeahead */}
+        {isSearchFocused && (
+          <SearchSuggestions
+            query={searchQuery}
+            recentSearches={recentSearches}
+            trending={trendingSearches}
+            suggestions={suggestions}
+            onSelectQuery={handleSelectQuery}
+            onRemoveQuery={handleRemoveRecentSearch}
+            onClearHistory={handleClearRecentSearches}
+            onSelectSuggestion={handleSelectSuggestion}
           />
-          <FilterChip
-            label="TV"
-            active={selectedFilter === FILTERS.TV}
-            onPress={() => setSelectedFilter(FILTERS.TV)}
-          />
-        </View>
-
-        {/* Content Grid */}
-        <FlatList
-          data={content}
-          renderItem={renderItem}
-          keyExtractor={(item, index) => `${item.type}-${item.id}-${index}`}
-          numColumns={2}
-          columnWrapperStyle={styles.row}
-          contentContainerStyle={styles.listContent}
-          ListEmptyComponent={renderEmpty}
-          ListFooterComponent={renderFooter}
-          onEndReached={handleLoadMore}
-          onEndReachedThreshold={0.5}
-          showsVerticalScrollIndicator={false}
+        )}
+
+        {/* Recent and trending searches replace the grid until something is typed */}
+        {!showSearchPrompts && (
+          <>
+            {/* Filter Chips */}
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.filterBarWrapper}
+              contentContainerStyle={styles.filterSection}
+            >
+              <FilterChip
+                label="All"
+                active={filters.contentType === 'all'}
+                onPress={() => handleContentTypePress('all')}
+              />
+              <FilterChip
+                label="Movies"
+                active={filters.contentType === 'movies'}
+                onPress={() => handleContentTypePress('movies')}
+              />
+              <FilterChip
+                label="TV"
+                active={filters.contentType === 'tv'}
+                onPress={() => handleContentTypePress('tv')}
+              />
+              <FilterChip
+                label="Documentaries"
+                active={filters.contentType === 'documentaries'}
+                onPress={() => handleContentTypePress('documentaries')}
+              />
+              <Pressable style={styles.filterIconButton} onPress={() => setFilterModalVisible(true)}>
+                <Ionicons name="options-outline" size={20} color={colors.text.secondary} />
+                {activeFilterCount > 0 && (
+                  <View style={styles.filterBadge}>
+                    <Text style={styles.filterBadgeText}>{activeFilterCount}</Text>
+                  </View>
+                )}
+              </Pressable>
+            </ScrollView>
+
+            {/* Saved Filter Presets */}
+            <FilterPresetRow
+              presets={presets}
+              activePresetId={activePresetId}
+              onSelect={handleSelectPreset}
+            />
+
+            {/* People & Keyword Suggestions */}
+            {(people.length > 0 || keywords.length > 0) && (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={styles.suggestionScroll}
+                keyboardShouldPersistTaps="handled"
+                contentContainerStyle={styles.suggestionSection}
+              >
+                {people.map((person) => (
+                  <FilterChip
+                    key={`person-${person.id}`}
+                    label={person.name}
+                    active={false}
+                    onPress={() => handlePersonPress(person)}
+                  />
+                ))}
+                {keywords.map((keyword) => (
+                  <FilterChip
+                    key={`keyword-${keyword.id}`}
+                    label={`#${keyword.name}`}
+                    active={activeKeyword?.id === keyword.id}
+                    onPress={() => handleKeywordPress(keyword)}
+                  />
+                ))}
+              </ScrollView>
+            )}
+
+            {/* Runtime and score sorts only cover one page, so say so */}
+            {!searchQuery.trim() && isClientSideSort(filters.sortBy) && content.length > 0 && (
+              <Text style={[typography.caption, styles.sortNote]}>
+                Only the {MAX_ENRICHED} most popular matches can be sorted this way
+              </Text>
+            )}
+
+            {/* Content Grid */}
+            <FlatList
+              data={content}
+              renderItem={renderItem}
+              keyExtractor={(item, index) => `${item.type}-${item.id}-${index}`}
+              numColumns={2}
+              columnWrapperStyle={styles.row}
+              contentContainerStyle={styles.listContent}
+              ListEmptyComponent={renderEmpty}
+              ListFooterComponent={renderFooter}
+              onEndReached={handleLoadMore}
+              onEndReachedThreshold={0.5}
+              keyboardShouldPersistTaps="handled"
+              showsVerticalScrollIndicator={false}
+            />
+          </>
+        )}
+
+        {/* Filter Modal */}
+        <FilterModal
+          visible={filterModalVisible}
+          onClose={() => setFilterModalVisible(false)}
+          filters={filters}
+          onApply={handleApplyFilters}
+          onClear={handleClearFilters}
+          userPlatforms={platforms}
+          region={region}
         />
       </View>
     </SafeAreaView>
@@ -411,10 +715,53 @@ const styles = StyleSheet.create({
     paddingHorizontal: spacing.lg,
     paddingVertical: spacing.md,
   },
+  filterBarWrapper: {
+    flexGrow: 0,
+    flexShrink: 0,
+  },
   filterSection: {
-    flexDirection: 'row',
     paddingHorizontal: spacing.lg,
     paddingBottom: spacing.md,
+    alignItems: 'center',
+  },
+  filterIconButton: {
+    height: 36,
+    width: 36,
+    backgroundColor: colors.background.tertiary,
+    borderRadius: layout.borderRadius.pill,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.glass.border,
+  },
+  filterBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    backgroundColor: colors.accent.primary,
+    borderRadius: 10,
+    minWidth: 18,
+    height: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 4,
+  },
+  filterBadgeText: {
+    color: colors.text.inverse,
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  suggestionScroll: {
+    flexGrow: 0,
+  },
+  suggestionSection: {
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  sortNote: {
+    color: colors.text.secondary,
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.sm,
   },
   listContent: {
     paddingHorizontal: spacing.lg,
@@ -9,47 +9,94 @@ import {
   Pressable,
   Dimensions,
   FlatList,
+  Linking,
+  Platform,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing, layout } from '../theme';
-import { getMovieDetails, getTVDetails } from '../api/tmdb';
+import {
+  getMovieDetails,
+  getTVDetails,
+  getTVSeasonDetails,
+  restrictItemsForKids,
+} from '../api/tmdb';
 import { getRatings } from '../api/omdb';
+import { selectVideos, buildYouTubeAppUrl, buildYouTubeWebUrl } from '../api/videos';
+import { getUserRegion, getSelectedPlatforms } from '../storage/userPreferences';
+import { isInWatchlist, toggleWatchlist } from '../storage/watchlist';
+import { getWatchedEntry, markAsWatched, unmarkAsWatched } from '../storage/watchHistory';
+import { getShowProgress, setEpisodeWatched, isEpisodeWatched } from '../storage/episodeProgress';
+import { filterToPlatforms } from '../utils/recommendations';
+import { DEFAULT_REGION, getRegionLanguage } from '../constants/regions';
+import { getProviderLaunchUrls } from '../constants/platforms';
 import GlassContainer from '../components/GlassContainer';
 import RatingBadge from '../components/RatingBadge';
 import PlatformChip from '../components/PlatformChip';
+import WatchedModal from '../components/WatchedModal';
+import FilterChip from '../components/FilterChip';
+import EpisodeItem from '../components/EpisodeItem';
+import ContentCard from '../components/ContentCard';
+import VideoCard from '../components/VideoCard';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
+const MAX_RELATED_TITLES = 15;
+
 const DetailScreen = ({ route, navigation }) => {
   const { itemId, type } = route.params || {};
 
   const [content, setContent] = useState(null);
   const [ratings, setRatings] = useState(null);
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [isSaved, setIsSaved] = useState(false);
+  const [watchedEntry, setWatchedEntry] = useState(null);
+  const [watchedModalVisible, setWatchedModalVisible] = useState(false);
+  const [selectedSeason, setSelectedSeason] = useState(null);
+  const [episodes, setEpisodes] = useState([]);
+  const [isLoadingSeason, setIsLoadingSeason] = useState(false);
+  const [showProgress, setShowProgress] = useState(null);
+  const [userPlatforms, setUserPlatforms] = useState([]);
+  const [relatedContent, setRelatedContent] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
     loadContentDetails();
   }, [itemId, type]);
 
+  useEffect(() => {
+    if (type === 'tv' && selectedSeason !== null) {
+      loadSeason(selectedSeason);
+    }
+  }, [itemId, selectedSeason]);
+
   const loadContentDetails = async () => {
     setIsLoading(true);
     try {
-      // Fetch TMDb details with additional data
-      let tmdbResponse;
-      if (type === 'movie') {
-        tmdbResponse = await getMovieDetails(itemId, {
-          append_to_response: 'credits,watch/providers,external_ids',
-        });
-      } else {
-        tmdbResponse = await getTVDetails(itemId, {
-          append_to_response: 'credits,watch/providers,external_ids',
-        });
-      }
+      // Region decides which watch providers apply
+      setRegion(await getUserRegion());
+      setIsSaved(await isInWatchlist(type, itemId));
+      setWatchedEntry(await getWatchedEntry(type, itemId));
+
+      // Fetch TMDb details (credits, providers, external IDs and related titles are appended)
+      const tmdbResponse = type === 'movie'
+        ? await getMovieDetails(itemId)
+        : await getTVDetails(itemId);
 
       if (tmdbResponse.success) {
         setContent(tmdbResponse.data);
 
+        // Related titles need a provider lookup each, so load them without blocking
+        loadRelatedContent(tmdbResponse.data);
+
+        // Default to the first regular season (season 0 holds specials)
+        if (type === 'tv') {
+          const seasons = tmdbResponse.data.seasons || [];
+          const firstSeason = seasons.find((season) => season.season_number > 0) || seasons[0];
+          setSelectedSeason(firstSeason ? firstSeason.season_number : null);
+          setShowProgress(await getShowProgress(itemId));
+        }
+
         // Fetch OMDB ratings if IMDb ID is available
         const imdbId = tmdbResponse.data.external_ids?.imdb_id;
         if (imdbId) {
@@ -66,6 +113,97 @@ const DetailScreen = ({ route, navigation }) => {
     }
   };
 
+  // Merge recommendations and similar titles, keeping those on the user's platforms
+  const loadRelatedContent = async (details) => {
+    setRelatedContent([]);
+    try {
+      const platformIds = await getSelectedPlatforms();
+      setUserPlatforms(platformIds);
+      if (platformIds.length === 0) return;
+
+      const seen = new Set([`${type}-${itemId}`]);
+      const candidates = [
+        ...(details.recommendations?.results || []),
+        ...(details.similar?.results || []),
+      ]
+        .map((item) => ({ ...item, type: item.media_type || type }))
+        .filter((item) => {
+          const key = `${item.type}-${item.id}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+
+      // The lists appended to details are unrestricted, so kids profiles filter them here
+      const allowed = await restrictItemsForKids(candidates);
+      setRelatedContent(await filterToPlatforms(allowed, platformIds, MAX_RELATED_TITLES));
+    } catch (error) {
+      console.error('[DetailScreen] Error loading related titles:', error);
+    }
+  };
+
+  // Push a new Detail route so back returns to this title
+  const handleRelatedPress = (item) => {
+    navigation.push('Detail', {
+      itemId: item.id,
+      type: item.type,
+    });
+  };
+
+  const loadSeason = async (seasonNumber) => {
+    setIsLoadingSeason(true);
+    try {
+      const seasonResponse = await getTVSeasonDetails(itemId, seasonNumber);
+      setEpisodes(seasonResponse.success ? seasonResponse.data.episodes || [] : []);
+    } catch (error) {
+      console.error('[DetailScreen] Error loading season:', error);
+      setEpisodes([]);
+    } finally {
+      setIsLoadingSeason(false);
+    }
+  };
+
+  const handleToggleEpisode = async (episode, watched) => {
+    try {
+      const progress = await setEpisodeWatched(
+        content,
+        episode.season_number,
+        episode.episode_number,
+        watched
+      );
+      setShowProgress(progress);
+    } catch (error) {
+      console.error('[DetailScreen] Error updating episode progress:', error);
+    }
+  };
+
+  const handleToggleWatchlist = async () => {
+    try {
+      const saved = await toggleWatchlist({ ...content, type });
+      setIsSaved(saved);
+    } catch (error) {
+      console.error('[DetailScreen] Error updating watchlist:', error);
+    }
+  };
+
+  const handleSaveWatched = async ({ watchedAt, rating }) => {
+    try {
+      const entry = await markAsWatched({ ...content, type }, { watchedAt, rating });
+      setWatchedEntry(entry);
+    } catch (error) {
+      console.error('[DetailScreen] Error marking as watched:', error);
+    }
+  };
+
+  const handleRemoveWatched = async () => {
+    try {
+      await unmarkAsWatched(type, itemId);
+      setWatchedEntry(null);
+    } catch (error) {
+      console.error('[DetailScreen] Error unmarking as watched:', error);
+    }
+  };
+
   const getBackdropUrl = (path) => {
     return path ? `https://image.tmdb.org/t/p/w1280${path}` : null;
   };
@@ -100,10 +238,42 @@ const DetailScreen = ({ route, navigation }) => {
     return content.adult ? '18+' : 'PG';
   };
 
-  const getUKPlatforms = () => {
-    if (!content || !content['watch/providers']?.results?.GB) return [];
+  // Open in the YouTube app when installed, otherwise in the browser
+  const handlePlayVideo = async (video) => {
+    try {
+      const appUrl = buildYouTubeAppUrl(video.key, Platform.OS);
+      const canOpenApp = await Linking.canOpenURL(appUrl);
+      await Linking.openURL(canOpenApp ? appUrl : buildYouTubeWebUrl(video.key));
+    } catch (error) {
+      console.error('[DetailScreen] Error opening video:', error);
+    }
+  };
 
-    const providers = content['watch/providers'].results.GB;
+  // Open the title in the provider's app (its search where it has one, else the
+  // app itself), falling back to its web search, then to TMDb's watch page for
+  // providers without link configuration
+  const handleOpenPlatform = async (platform) => {
+    const title = content.title || content.name;
+    const urls = getProviderLaunchUrls(platform.id, title, region);
+    const watchLink = content['watch/providers']?.results?.[region]?.link;
+
+    try {
+      if (urls?.appUrl && (await Linking.canOpenURL(urls.appUrl))) {
+        await Linking.openURL(urls.appUrl);
+      } else if (urls?.webUrl) {
+        await Linking.openURL(urls.webUrl);
+      } else if (watchLink) {
+        await Linking.openURL(watchLink);
+      }
+    } catch (error) {
+      console.error('[DetailScreen] Error opening platform:', error);
+    }
+  };
+
+  const getRegionPlatforms = () => {
+    if (!content || !content['watch/providers']?.results?.[region]) return [];
+
+    const providers = content['watch/providers'].results[region];
     const flatrate = providers.flatrate || [];
 
     return flatrate.map((provider) => ({
@@ -119,7 +289,10 @@ const DetailScreen = ({ route, navigation }) => {
   };
 
   const renderCastMember = ({ item }) => (
-    <View style={styles.castCard}>
+    <Pressable
+      style={styles.castCard}
+      onPress={() => navigation.push('Person', { personId: item.id, name: item.name })}
+    >
       {item.profile_path ? (
         <Image
           source={{ uri: `https://image.tmdb.org/t/p/w185${item.profile_path}` }}
@@ -137,7 +310,7 @@ const DetailScreen = ({ route, navigation }) => {
       <Text style={[typography.metadata, styles.castCharacter]} numberOfLines={2}>
         {item.character}
       </Text>
-    </View>
+    </Pressable>
   );
 
   if (isLoading) {
@@ -165,8 +338,12 @@ const DetailScreen = ({ route, navigation }) => {
   const posterUrl = getPosterUrl(content.poster_path);
   const title = content.title || content.name;
   const overview = content.overview;
-  const ukPlatforms = getUKPlatforms();
+  const regionPlatforms = getRegionPlatforms();
   const cast = getCast();
+  const { trailer, gallery } = selectVideos(content.videos?.results, {
+    language: getRegionLanguage(region),
+  });
+  const seasons = type === 'tv' ? content.seasons || [] : [];
 
   return (
     <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
@@ -256,6 +433,52 @@ const DetailScreen = ({ route, navigation }) => {
             )}
           </View>
 
+          {/* Actions */}
+          <View style={styles.actionsRow}>
+            <Pressable
+              style={[styles.actionButton, isSaved && styles.actionButtonActive]}
+              onPress={handleToggleWatchlist}
+            >
+              <Ionicons
+                name={isSaved ? 'bookmark' : 'bookmark-outline'}
+                size={20}
+                color={isSaved ? colors.text.inverse : colors.text.primary}
+              />
+              <Text
+                style={[
+                  typography.button,
+                  styles.actionButtonText,
+                  isSaved && styles.actionButtonTextActive,
+                ]}
+              >
+                {isSaved ? 'In Watchlist' : 'Watchlist'}
+              </Text>
+            </Pressable>
+            <Pressable
+              style={[styles.actionButton, watchedEntry && styles.actionButtonActive]}
+              onPress={() => setWatchedModalVisible(true)}
+            >
+              <Ionicons
+                name={watchedEntry ? 'checkmark-circle' : 'checkmark-circle-outline'}
+                size={20}
+                color={watchedEntry ? colors.text.inverse : colors.text.primary}
+              />
+              <Text
+                style={[
+                  typography.button,
+                  styles.actionButtonText,
+                  watchedEntry && styles.actionButtonTextActive,
+                ]}
+              >
+                {watchedEntry?.rating
+                  ? `Watched · ${watchedEntry.rating / 2}★`
+                  : watchedEntry
+                    ? 'Watched'
+                    : 'Mark Watched'}
+              </Text>
+            </Pressable>
+          </View>
+
           {/* Synopsis */}
           {overview && (
             <View style={styles.synopsisSection}>
@@ -264,19 +487,84 @@ const DetailScreen = ({ route, navigation }) => {
           )}
 
           {/* Available On */}
-          {ukPlatforms.length > 0 && (
+          {regionPlatforms.length > 0 && (
             <View style={styles.platformsSection}>
               <Text style={[typography.h4, styles.platformsLabel]}>
                 Available on:
               </Text>
               <View style={styles.platformsChips}>
-                {ukPlatforms.map((platform) => (
-                  <PlatformChip key={platform.id} name={platform.name} />
+                {regionPlatforms.map((platform) => (
+                  <PlatformChip
+                    key={platform.id}
+                    name={platform.name}
+                    onPress={() => handleOpenPlatform(platform)}
+                  />
                 ))}
               </View>
             </View>
           )}
 
+          {/* Trailer & Videos */}
+          {trailer && (
+            <View style={styles.videosSection}>
+              <Text style={[typography.h4, styles.sectionLabel]}>Trailer</Text>
+              <VideoCard video={trailer} onPress={handlePlayVideo} large />
+              {gallery.length > 0 && (
+                <FlatList
+                  horizontal
+                  data={gallery}
+                  renderItem={({ item }) => (
+                    <VideoCard video={item} onPress={handlePlayVideo} />
+                  )}
+                  keyExtractor={(item) => item.key}
+                  showsHorizontalScrollIndicator={false}
+                  contentContainerStyle={styles.castList}
+                />
+              )}
+            </View>
+          )}
+
+          {/* Seasons & Episodes */}
+          {seasons.length > 0 && (
+            <View style={styles.episodesSection}>
+              <Text style={[typography.h4, styles.sectionLabel]}>Episodes</Text>
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.seasonList}
+              >
+                {seasons.map((season) => (
+                  <FilterChip
+                    key={season.id}
+                    label={season.name}
+                    active={season.season_number === selectedSeason}
+                    onPress={() => setSelectedSeason(season.season_number)}
+                  />
+                ))}
+              </ScrollView>
+              {isLoadingSeason ? (
+                <ActivityIndicator
+                  style={styles.seasonLoader}
+                  size="small"
+                  color={colors.accent.primary}
+                />
+              ) : (
+                episodes.map((episode) => (
+                  <EpisodeItem
+                    key={episode.id}
+                    episode={episode}
+                    watched={isEpisodeWatched(
+                      showProgress,
+                      episode.season_number,
+                      episode.episode_number
+                    )}
+                    onToggleWatched={handleToggleEpisode}
+                  />
+                ))
+              )}
+            </View>
+          )}
+
           {/* Cast */}
           {cast.length > 0 && (
             <View style={styles.castSection}>
@@ -291,8 +579,39 @@ const DetailScreen = ({ route, navigation }) => {
               />
             </View>
           )}
+
+          {/* More Like This */}
+          {relatedContent.length > 0 && (
+            <View style={styles.relatedSection}>
+              <Text style={[typography.h4, styles.sectionLabel]}>More Like This</Text>
+              <FlatList
+                horizontal
+                data={relatedContent}
+                renderItem={({ item }) => (
+                  <ContentCard
+                    item={item}
+                    onPress={handleRelatedPress}
+                    userPlatforms={userPlatforms}
+                  />
+                )}
+                keyExtractor={(item) => `${item.type}-${item.id}`}
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.castList}
+              />
+            </View>
+          )}
         </View>
       </View>
+
+      <WatchedModal
+        visible={watchedModalVisible}
+        onClose={() => setWatchedModalVisible(false)}
+        onSave={handleSaveWatched}
+        onRemove={handleRemoveWatched}
+        title={title}
+        initialRating={watchedEntry?.rating ?? null}
+        isWatched={!!watchedEntry}
+      />
     </ScrollView>
   );
 };
@@ -370,6 +689,33 @@ const styles = StyleSheet.create({
     gap: spacing.md,
     marginBottom: spacing.lg,
   },
+  actionsRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginBottom: spacing.lg,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    height: 44,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.background.tertiary,
+    borderWidth: 1,
+    borderColor: colors.glass.border,
+  },
+  actionButtonActive: {
+    backgroundColor: colors.accent.primary,
+    borderColor: colors.accent.primary,
+  },
+  actionButtonText: {
+    color: colors.text.primary,
+  },
+  actionButtonTextActive: {
+    color: colors.text.inverse,
+  },
   synopsisSection: {
     marginBottom: spacing.xl,
   },
@@ -387,9 +733,24 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
+  videosSection: {
+    marginBottom: spacing.xl,
+  },
+  episodesSection: {
+    marginBottom: spacing.xl,
+  },
+  seasonList: {
+    paddingBottom: spacing.sm,
+  },
+  seasonLoader: {
+    marginVertical: spacing.lg,
+  },
   castSection: {
     marginBottom: spacing.xxxl,
   },
+  relatedSection: {
+    marginBottom: spacing.xxxl,
+  },
   sectionLabel: {
     marginBottom: spacing.md,
   },
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   Text,
@@ -8,32 +8,67 @@ import {
   ActivityIndicator,
   Pressable,
   Image,
+  Alert,
 } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing, layout } from '../theme';
-import { getSelectedPlatforms } from '../storage/userPreferences';
-import { discoverMovies, discoverTV, getContentWatchProviders } from '../api/tmdb';
-import { mapRentBuyToSubscription } from '../constants/platforms';
+import { getSelectedPlatforms, getUserRegion } from '../storage/userPreferences';
+import { DEFAULT_REGION } from '../constants/regions';
+import {
+  discoverMovies,
+  discoverTV,
+  getMovieDetails,
+  getTVDetails,
+  restrictItemsForKids,
+} from '../api/tmdb';
+import { getRecentAvailabilityChanges, AVAILABILITY_CHANGES } from '../api/availability';
+import { filterByAvailability } from '../api/search';
+import { getProviderById } from '../constants/platforms';
+import { toggleWatchlist } from '../storage/watchlist';
+import { getWatchedKeys, excludeWatched } from '../storage/watchHistory';
+import { getEpisodeProgress, getNextEpisode } from '../storage/episodeProgress';
+import { getUnreadCount } from '../storage/notifications';
+import {
+  getFilterPresets,
+  saveFilterPreset,
+  updateFilterPreset,
+  deleteFilterPreset,
+  getActiveFilters,
+  saveActiveFilters,
+} from '../storage/filterPresets';
+import { getRecommendationRows } from '../utils/recommendations';
+import {
+  DEFAULT_FILTERS,
+  DOCUMENTARY_GENRE_ID,
+  includesMovies,
+  includesTV,
+  matchesContentType,
+  getFilteredPlatforms,
+  buildDiscoverParams,
+  countActiveFilters,
+} from '../utils/filterModel';
+import { sortContent } from '../utils/contentSort';
 import ContentCard from '../components/ContentCard';
 import FilterChip from '../components/FilterChip';
 import FilterModal from '../components/FilterModal';
-
-const DOCUMENTARY_GENRE_ID = 99;
-
-// Default filter state
-const DEFAULT_FILTERS = {
-  selectedServices: [],    // Platform IDs (empty = all user platforms)
-  contentType: 'all',      // 'all' | 'movies' | 'tv' | 'documentaries'
-  costFilter: 'all',       // 'all' | 'free' (flatrate) | 'paid' (rent/buy)
-  selectedGenres: [],      // Genre IDs
-  minRating: 0,            // 0-10 (0 = no filter)
-};
+import FilterPresetRow from '../components/FilterPresetRow';
 
 const HomeScreen = ({ navigation }) => {
   const insets = useSafeAreaInsets();
   const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [filtersRestored, setFiltersRestored] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [activePresetId, setActivePresetId] = useState(null);
+  const [editingPreset, setEditingPreset] = useState(null);
   const [platforms, setPlatforms] = useState([]);
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [continueWatching, setContinueWatching] = useState([]);
+  const [justAddedContent, setJustAddedContent] = useState([]);
+  const [recentlyLeftContent, setRecentlyLeftContent] = useState([]);
+  const [becauseYouWatched, setBecauseYouWatched] = useState(null);
+  const [forYouContent, setForYouContent] = useState([]);
   const [popularContent, setPopularContent] = useState([]);
   const [recentContent, setRecentContent] = useState([]);
   const [actionContent, setActionContent] = useState([]);
@@ -41,17 +76,55 @@ const HomeScreen = ({ navigation }) => {
   const [dramaContent, setDramaContent] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [filterModalVisible, setFilterModalVisible] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const watchedKeysRef = useRef(new Set());
 
   useEffect(() => {
-    loadContent();
+    restoreFilters();
   }, []);
 
+  // Refresh progress-driven rows whenever Home regains focus
+  useFocusEffect(
+    useCallback(() => {
+      fetchContinueWatching();
+      getUnreadCount().then(setUnreadCount);
+    }, [])
+  );
+
   useEffect(() => {
-    // Reload content when filters change
-    if (platforms.length > 0) {
+    // Load once the saved filters are restored, then reload when they change
+    if (filtersRestored) {
       loadContent();
     }
-  }, [filters]);
+  }, [filters, filtersRestored]);
+
+  useEffect(() => {
+    if (filtersRestored) {
+      saveActiveFilters({ presetId: activePresetId, filters });
+    }
+  }, [filters, activePresetId, filtersRestored]);
+
+  // Restore saved presets and the filters in use when the app was last open
+  const restoreFilters = async () => {
+    try {
+      const [savedPresets, active] = await Promise.all([
+        getFilterPresets(),
+        getActiveFilters(),
+      ]);
+      setPresets(savedPresets);
+
+      if (active?.filters) {
+        setFilters({ ...DEFAULT_FILTERS, ...active.filters });
+        setActivePresetId(
+          savedPresets.some((preset) => preset.id === active.presetId) ? active.presetId : null
+        );
+      }
+    } catch (error) {
+      console.error('[HomeScreen] Error restoring filters:', error);
+    } finally {
+      setFiltersRestored(true);
+    }
+  };
 
   // Load user's platforms and fetch content
   const loadContent = async () => {
@@ -59,7 +132,10 @@ const HomeScreen = ({ navigation }) => {
     try {
       // Get user's selected platforms
       const platformIds = await getSelectedPlatforms();
+      const userRegion = await getUserRegion();
       setPlatforms(platformIds);
+      setRegion(userRegion);
+      watchedKeysRef.current = await getWatchedKeys();
 
       if (platformIds.length === 0) {
         console.log('[HomeScreen] No platforms selected');
@@ -74,6 +150,9 @@ const HomeScreen = ({ navigation }) => {
         fetchGenreContent(platformIds, 28, setActionContent), // Action
         fetchGenreContent(platformIds, 35, setComedyContent), // Comedy
         fetchGenreContent(platformIds, 18, setDramaContent), // Drama
+        fetchAvailabilityChanges(platformIds, userRegion, AVAILABILITY_CHANGES.ADDED, setJustAddedContent),
+        fetchAvailabilityChanges(platformIds, userRegion, AVAILABILITY_CHANGES.REMOVED, setRecentlyLeftContent),
+        fetchRecommendations(platformIds),
       ]);
     } catch (error) {
       console.error('[HomeScreen] Error loading content:', error);
@@ -82,26 +161,106 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
+  // Fetch the next unwatched episode for each show in progress
+  const fetchContinueWatching = async () => {
+    try {
+      const progress = await getEpisodeProgress();
+      const shows = Object.values(progress)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, 10);
+
+      const items = await Promise.all(
+        shows.map(async (showProgress) => {
+          const response = await getTVDetails(showProgress.id);
+          if (!response.success) return null;
+
+          const next = getNextEpisode(response.data, showProgress);
+          if (!next) return null;
+
+          return {
+            id: response.data.id,
+            name: response.data.name,
+            poster_path: response.data.poster_path,
+            popularity: response.data.popularity,
+            type: 'tv',
+            subtitle: `S${next.seasonNumber} · E${next.episodeNumber}`,
+            platforms: null, // Will be lazy-loaded by ContentCard
+          };
+        })
+      );
+
+      setContinueWatching(items.filter(Boolean));
+    } catch (error) {
+      console.error('[HomeScreen] Error fetching continue watching:', error);
+    }
+  };
+
+  // Fetch personalised rows based on watch history and ratings
+  const fetchRecommendations = async (platformIds) => {
+    try {
+      const { becauseYouWatched: seedRow, forYou } = await getRecommendationRows({
+        platformIds: getFilteredPlatforms(filters, platformIds),
+        preferredGenreIds: filters.selectedGenres,
+        excludedGenreIds: filters.excludedGenres,
+      });
+
+      const seedItems = seedRow
+        ? seedRow.items.filter((item) => matchesContentType(item, filters))
+        : [];
+      setBecauseYouWatched(seedItems.length > 0 ? { seed: seedRow.seed, items: seedItems } : null);
+      setForYouContent(forYou.filter((item) => matchesContentType(item, filters)));
+    } catch (error) {
+      console.error('[HomeScreen] Error fetching recommendations:', error);
+    }
+  };
+
+  // Fetch titles that recently arrived on or left the user's platforms
+  const fetchAvailabilityChanges = async (platformIds, userRegion, change, setter) => {
+    try {
+      const changes = await getRecentAvailabilityChanges({
+        region: userRegion,
+        platformIds: getFilteredPlatforms(filters, platformIds),
+        change,
+      });
+
+      const relevant = changes.filter((entry) => matchesContentType(entry, filters));
+
+      const items = await Promise.all(
+        relevant.map(async (entry) => {
+          const response = entry.type === 'movie'
+            ? await getMovieDetails(entry.id)
+            : await getTVDetails(entry.id);
+          if (!response.success) return null;
+
+          const providerName = getProviderById(entry.providerId, userRegion)?.name || 'your services';
+          return {
+            ...response.data,
+            type: entry.type,
+            subtitle: change === AVAILABILITY_CHANGES.ADDED
+              ? `New on ${providerName}`
+              : `Left ${providerName}`,
+            platforms: null, // Will be lazy-loaded by ContentCard
+          };
+        })
+      );
+
+      // The change index is shared by every profile, so kids profiles filter it here
+      const allowed = await restrictItemsForKids(items.filter(Boolean));
+      setter(applyWatchedFilter(allowed));
+    } catch (error) {
+      console.error(`[HomeScreen] Error fetching ${change} availability changes:`, error);
+    }
+  };
+
   // Fetch popular content from all platforms
   const fetchPopularContent = async (platformIds) => {
     try {
       const allContent = [];
-      const genreParams = getGenreParams();
-      const ratingParams = getRatingParams();
-      const filteredPlatforms = getFilteredPlatforms(platformIds);
-
-      // Query all platforms at once using | (OR) operator
-      const platformsParam = filteredPlatforms.join('|');
 
-      if (shouldFetchMovies()) {
-        const moviesResponse = await discoverMovies({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
-          sort_by: 'popularity.desc',
-          page: 1,
-          ...genreParams,
-          ...ratingParams,
-        });
+      if (includesMovies(filters)) {
+        const moviesResponse = await discoverMovies(
+          buildDiscoverParams(filters, platformIds, { mediaType: 'movie' })
+        );
 
         if (moviesResponse.success && moviesResponse.data.results) {
           allContent.push(
@@ -114,15 +273,10 @@ const HomeScreen = ({ navigation }) => {
         }
       }
 
-      if (shouldFetchTV()) {
-        const tvResponse = await discoverTV({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
-          sort_by: 'popularity.desc',
-          page: 1,
-          ...genreParams,
-          ...ratingParams,
-        });
+      if (includesTV(filters)) {
+        const tvResponse = await discoverTV(
+          buildDiscoverParams(filters, platformIds, { mediaType: 'tv' })
+        );
 
         if (tvResponse.success && tvResponse.data.results) {
           allContent.push(
@@ -135,8 +289,11 @@ const HomeScreen = ({ navigation }) => {
         }
       }
 
-      // Deduplicate by ID
-      const deduped = deduplicateContent(allContent);
+      // Deduplicate by ID, drop watched titles and merge movies and TV in the selected order
+      const deduped = await sortContent(
+        applyWatchedFilter(deduplicateContent(allContent)),
+        filters.sortBy
+      );
 
       // Apply cost filter if active
       const filtered = await applyCostFilter(deduped.slice(0, 30), platformIds);
@@ -150,22 +307,15 @@ const HomeScreen = ({ navigation }) => {
   const fetchRecentContent = async (platformIds) => {
     try {
       const allContent = [];
-      const genreParams = getGenreParams();
-      const ratingParams = getRatingParams();
-      const filteredPlatforms = getFilteredPlatforms(platformIds);
-
-      // Query all platforms at once using | (OR) operator
-      const platformsParam = filteredPlatforms.join('|');
+      const today = new Date().toISOString().split('T')[0];
+      // Recently Added always runs newest first, whatever the selected sort
+      const rowFilters = { ...filters, sortBy: 'popularity' };
 
-      if (shouldFetchMovies()) {
+      if (includesMovies(filters)) {
         const moviesResponse = await discoverMovies({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
+          ...buildDiscoverParams(rowFilters, platformIds, { mediaType: 'movie' }),
           sort_by: 'release_date.desc',
-          'release_date.lte': new Date().toISOString().split('T')[0],
-          page: 1,
-          ...genreParams,
-          ...ratingParams,
+          'release_date.lte': today,
         });
 
         if (moviesResponse.success && moviesResponse.data.results) {
@@ -179,15 +329,15 @@ const HomeScreen = ({ navigation }) => {
         }
       }
 
-      if (shouldFetchTV()) {
+      if (includesTV(filters)) {
+        const tvParams = buildDiscoverParams(rowFilters, platformIds, { mediaType: 'tv' });
+        const latestAirDate = tvParams['first_air_date.lte'];
+
         const tvResponse = await discoverTV({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
+          ...tvParams,
           sort_by: 'first_air_date.desc',
-          'first_air_date.lte': new Date().toISOString().split('T')[0],
-          page: 1,
-          ...genreParams,
-          ...ratingParams,
+          // Keep the year filter's upper bound when it is earlier than today
+          'first_air_date.lte': latestAirDate && latestAirDate < today ? latestAirDate : today,
         });
 
         if (tvResponse.success && tvResponse.data.results) {
@@ -201,7 +351,7 @@ const HomeScreen = ({ navigation }) => {
         }
       }
 
-      const deduped = deduplicateContent(allContent);
+      const deduped = applyWatchedFilter(deduplicateContent(allContent));
 
       // Apply cost filter if active
       const filtered = await applyCostFilter(deduped.slice(0, 30), platformIds);
@@ -215,33 +365,24 @@ const HomeScreen = ({ navigation }) => {
   const fetchGenreContent = async (platformIds, genreId, setter) => {
     try {
       // If documentaries filter is active and this isn't the documentary genre, skip
-      if (filters.contentType === 'documentaries' && genreId !== DOCUMENTARY_GENRE_ID) {
+      // (likewise when the row's own genre is excluded)
+      if (
+        (filters.contentType === 'documentaries' && genreId !== DOCUMENTARY_GENRE_ID) ||
+        filters.excludedGenres.includes(genreId)
+      ) {
         setter([]);
         return;
       }
 
       const allContent = [];
-      const genreParams = getGenreParams();
-      const ratingParams = getRatingParams();
-      const filteredPlatforms = getFilteredPlatforms(platformIds);
-
-      // Query all platforms at once using | (OR) operator
-      const platformsParam = filteredPlatforms.join('|');
 
       // Combine the section genre with any user-selected genres from modal
-      const combinedGenres = genreParams.with_genres
-        ? `${genreId},${genreParams.with_genres}`
-        : genreId.toString();
+      const rowOptions = { genreIds: [genreId] };
 
-      if (shouldFetchMovies()) {
-        const moviesResponse = await discoverMovies({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
-          with_genres: combinedGenres,
-          sort_by: 'popularity.desc',
-          page: 1,
-          ...ratingParams,
-        });
+      if (includesMovies(filters)) {
+        const moviesResponse = await discoverMovies(
+          buildDiscoverParams(filters, platformIds, { ...rowOptions, mediaType: 'movie' })
+        );
 
         if (moviesResponse.success && moviesResponse.data.results) {
           allContent.push(
@@ -254,15 +395,10 @@ const HomeScreen = ({ navigation }) => {
         }
       }
 
-      if (shouldFetchTV()) {
-        const tvResponse = await discoverTV({
-          watch_region: 'GB',
-          with_watch_providers: platformsParam,
-          with_genres: combinedGenres,
-          sort_by: 'popularity.desc',
-          page: 1,
-          ...ratingParams,
-        });
+      if (includesTV(filters)) {
+        const tvResponse = await discoverTV(
+          buildDiscoverParams(filters, platformIds, { ...rowOptions, mediaType: 'tv' })
+        );
 
         if (tvResponse.success && tvResponse.data.results) {
           allContent.push(
@@ -275,7 +411,10 @@ const HomeScreen = ({ navigation }) => {
         }
       }
 
-      const deduped = deduplicateContent(allContent);
+      const deduped = await sortContent(
+        applyWatchedFilter(deduplicateContent(allContent)),
+        filters.sortBy
+      );
 
       // Apply cost filter if active
       const filtered = await applyCostFilter(deduped.slice(0, 30), platformIds);
@@ -302,144 +441,101 @@ const HomeScreen = ({ navigation }) => {
     );
   };
 
-  // Apply cost filter by fetching watch providers and filtering
-  // Paid: Content with rent/buy availability on user's platforms
-  // Free: ALL OTHER RESULTS (everything that doesn't have rent/buy only)
-  const applyCostFilter = async (contentArray, platformIds) => {
-    // Skip if no cost filter applied
-    if (filters.costFilter === 'all') {
+  // Remove titles the user has already watched unless they asked to see them
+  const applyWatchedFilter = (contentArray) => {
+    if (filters.showWatched) {
       return contentArray;
     }
-
-    // Fetch watch providers for all items in parallel (with batching)
-    const BATCH_SIZE = 10;
-    const results = [];
-
-    for (let i = 0; i < contentArray.length; i += BATCH_SIZE) {
-      const batch = contentArray.slice(i, i + BATCH_SIZE);
-      const batchResults = await Promise.all(
-        batch.map(async (item) => {
-          const mediaType = item.type === 'tv' ? 'tv' : 'movie';
-          const response = await getContentWatchProviders(item.id, mediaType);
-
-          if (!response.success) {
-            // If we can't fetch data, include in "free" results, exclude from "paid"
-            return {
-              item,
-              isPaid: false,
-              platforms: null,
-            };
-          }
-
-          const { flatrate = [], rent = [], buy = [] } = response.data;
-
-          // Check if any of the user's platforms have rent/buy availability
-          const userPlatformIds = platformIds.map(p => typeof p === 'object' ? p.id : p);
-
-          // Get matching rent/buy platforms (using mapping to match store IDs to subscription IDs)
-          // e.g., Amazon Video (10) maps to Amazon Prime Video (9)
-          const matchingPaid = [...rent, ...buy].filter(p => {
-            const mappedId = mapRentBuyToSubscription(p.provider_id);
-            return userPlatformIds.includes(mappedId) || userPlatformIds.includes(p.provider_id);
-          });
-
-          // Item is "paid" if it has rent/buy availability on user's platforms
-          const isPaid = matchingPaid.length > 0;
-
-          // Pre-load platforms for paid items (show the mapped subscription platform ID)
-          // This ensures Amazon Video (10) shows as Amazon Prime (9) badge
-          const platforms = isPaid
-            ? matchingPaid.map(p => {
-                const mappedId = mapRentBuyToSubscription(p.provider_id);
-                return { id: mappedId, name: p.provider_name };
-              })
-            : null; // Let ContentCard lazy-load for free items
-
-          return {
-            item: { ...item, platforms },
-            isPaid,
-          };
-        })
-      );
-      results.push(...batchResults);
-    }
-
-    // Filter based on cost type
-    if (filters.costFilter === 'paid') {
-      // Paid: only items with rent/buy availability
-      return results
-        .filter(({ isPaid }) => isPaid)
-        .map(({ item }) => item);
-    } else {
-      // Free: ALL OTHER RESULTS (everything that's not paid)
-      return results
-        .filter(({ isPaid }) => !isPaid)
-        .map(({ item }) => item);
-    }
+    return excludeWatched(contentArray, watchedKeysRef.current);
   };
 
-  // Filter helpers
-  const shouldFetchMovies = () => {
-    return (
-      filters.contentType === 'all' ||
-      filters.contentType === 'movies' ||
-      filters.contentType === 'documentaries'
+  // Apply the cost filter by checking each title's providers, with the same
+  // meaning as Browse and search (see getPlatformsForCost)
+  const applyCostFilter = async (contentArray, platformIds) => {
+    if (filters.costFilter === 'all') {
+      return contentArray;
+    }
+    return filterByAvailability(
+      contentArray,
+      getFilteredPlatforms(filters, platformIds),
+      filters.costFilter
     );
   };
 
-  const shouldFetchTV = () => {
-    return filters.contentType === 'all' || filters.contentType === 'tv';
+  // Apply filters from modal (any manual change leaves the active preset)
+  const handleApplyFilters = (newFilters) => {
+    setFilters(newFilters);
+    setActivePresetId(null);
   };
 
-  // Get platforms to query (respects service filter)
-  const getFilteredPlatforms = (platformIds) => {
-    if (filters.selectedServices.length > 0) {
-      return filters.selectedServices;
-    }
-    return platformIds;
+  // Clear all filters
+  const handleClearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
+    setActivePresetId(null);
   };
 
-  // Get genre filter params based on content type and selected genres
-  const getGenreParams = () => {
-    const genres = [...filters.selectedGenres];
+  const handleContentTypePress = (contentType) => {
+    setFilters((prev) => ({ ...prev, contentType }));
+    setActivePresetId(null);
+  };
 
-    // If documentaries filter is active, add documentary genre
-    if (filters.contentType === 'documentaries') {
-      if (!genres.includes(DOCUMENTARY_GENRE_ID)) {
-        genres.push(DOCUMENTARY_GENRE_ID);
-      }
+  // Apply a preset, or go back to the defaults when it is already active
+  const handleSelectPreset = (preset) => {
+    if (preset.id === activePresetId) {
+      handleClearFilters();
+      return;
     }
-
-    return genres.length > 0 ? { with_genres: genres.join(',') } : {};
+    setFilters({ ...DEFAULT_FILTERS, ...preset.filters });
+    setActivePresetId(preset.id);
   };
 
-  // Get rating filter params
-  const getRatingParams = () => {
-    if (filters.minRating > 0) {
-      return { 'vote_average.gte': filters.minRating };
-    }
-    return {};
+  const handleEditPreset = (preset) => {
+    setEditingPreset({ ...preset, filters: { ...DEFAULT_FILTERS, ...preset.filters } });
+    setFilterModalVisible(true);
   };
 
-  // Apply filters from modal
-  const handleApplyFilters = (newFilters) => {
-    setFilters(newFilters);
+  const handleCloseFilterModal = () => {
+    setFilterModalVisible(false);
+    setEditingPreset(null);
   };
 
-  // Clear all filters
-  const handleClearFilters = () => {
-    setFilters(DEFAULT_FILTERS);
+  // Save the modal's filters as a new preset (or update the one being edited) and apply it
+  const handleSavePreset = async (name, presetFilters) => {
+    try {
+      const saved = editingPreset
+        ? await updateFilterPreset(editingPreset.id, { name, filters: presetFilters })
+        : await saveFilterPreset(name, presetFilters);
+
+      setPresets(await getFilterPresets());
+      if (saved) {
+        setFilters({ ...DEFAULT_FILTERS, ...saved.filters });
+        setActivePresetId(saved.id);
+      }
+    } catch (error) {
+      console.error('[HomeScreen] Error saving preset:', error);
+      Alert.alert('Could Not Save Preset', 'Please try again.');
+    }
   };
 
-  // Count active filters for badge
-  const getActiveFilterCount = () => {
-    let count = 0;
-    if (filters.selectedServices.length > 0) count++;
-    if (filters.contentType !== 'all') count++;
-    if (filters.costFilter !== 'all') count++;
-    if (filters.selectedGenres.length > 0) count += filters.selectedGenres.length;
-    if (filters.minRating > 0) count++;
-    return count;
+  const handleDeletePreset = (preset) => {
+    Alert.alert('Delete Preset', `Delete "${preset.name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setPresets(await deleteFilterPreset(preset.id));
+            if (preset.id === activePresetId) {
+              setActivePresetId(null);
+            }
+            handleCloseFilterModal();
+          } catch (error) {
+            console.error('[HomeScreen] Error deleting preset:', error);
+          }
+        },
+      },
+    ]);
   };
 
   // Handle content card press
@@ -450,6 +546,19 @@ const HomeScreen = ({ navigation }) => {
     });
   };
 
+  // Handle content card long press (toggle watchlist)
+  const handleCardLongPress = async (item) => {
+    try {
+      const isSaved = await toggleWatchlist(item);
+      Alert.alert(
+        isSaved ? 'Added to Watchlist' : 'Removed from Watchlist',
+        item.title || item.name
+      );
+    } catch (error) {
+      console.error('[HomeScreen] Error updating watchlist:', error);
+    }
+  };
+
   // Render content section
   const renderContentSection = (title, data) => {
     if (!data || data.length === 0) return null;
@@ -464,6 +573,7 @@ const HomeScreen = ({ navigation }) => {
             <ContentCard
               item={item}
               onPress={handleCardPress}
+              onLongPress={handleCardLongPress}
               userPlatforms={platforms}
             />
           )}
@@ -513,6 +623,18 @@ const HomeScreen = ({ navigation }) => {
             style={styles.headerLogo}
             resizeMode="contain"
           />
+          <Pressable
+            style={styles.inboxButton}
+            onPress={() => navigation.navigate('Inbox')}
+            hitSlop={8}
+          >
+            <Ionicons name="notifications-outline" size={24} color={colors.text.primary} />
+            {unreadCount > 0 && (
+              <View style={styles.filterBadge}>
+                <Text style={styles.filterBadgeText}>{unreadCount}</Text>
+              </View>
+            )}
+          </Pressable>
         </View>
 
         {/* Filter Chips */}
@@ -525,54 +647,74 @@ const HomeScreen = ({ navigation }) => {
           <FilterChip
             label="All"
             active={filters.contentType === 'all'}
-            onPress={() => setFilters((prev) => ({ ...prev, contentType: 'all' }))}
+            onPress={() => handleContentTypePress('all')}
           />
           <FilterChip
             label="Movies"
             active={filters.contentType === 'movies'}
-            onPress={() => setFilters((prev) => ({ ...prev, contentType: 'movies' }))}
+            onPress={() => handleContentTypePress('movies')}
           />
           <FilterChip
             label="TV"
             active={filters.contentType === 'tv'}
-            onPress={() => setFilters((prev) => ({ ...prev, contentType: 'tv' }))}
+            onPress={() => handleContentTypePress('tv')}
           />
           <FilterChip
             label="Documentaries"
             active={filters.contentType === 'documentaries'}
-            onPress={() => setFilters((prev) => ({ ...prev, contentType: 'documentaries' }))}
+            onPress={() => handleContentTypePress('documentaries')}
           />
           <Pressable style={styles.filterIconButton} onPress={() => setFilterModalVisible(true)}>
             <Ionicons name="options-outline" size={20} color={colors.text.secondary} />
-            {getActiveFilterCount() > 0 && (
+            {countActiveFilters(filters) > 0 && (
               <View style={styles.filterBadge}>
-                <Text style={styles.filterBadgeText}>{getActiveFilterCount()}</Text>
+                <Text style={styles.filterBadgeText}>{countActiveFilters(filters)}</Text>
               </View>
             )}
           </Pressable>
         </ScrollView>
 
+        {/* Saved Filter Presets */}
+        <FilterPresetRow
+          presets={presets}
+          activePresetId={activePresetId}
+          onSelect={handleSelectPreset}
+          onLongPress={handleEditPreset}
+        />
+
         {/* Content Sections */}
         <ScrollView
           style={styles.content}
           showsVerticalScrollIndicator={false}
           contentContainerStyle={styles.contentContainer}
         >
+          {renderContentSection('Continue Watching', continueWatching)}
+          {renderContentSection('For You', forYouContent)}
+          {becauseYouWatched && renderContentSection(
+            `Because You Watched ${becauseYouWatched.seed.title}`,
+            becauseYouWatched.items
+          )}
+          {renderContentSection('Just Added to Your Services', justAddedContent)}
           {renderContentSection('Popular on Your Services', popularContent)}
           {renderContentSection('Recently Added', recentContent)}
           {renderContentSection('Action', actionContent)}
           {renderContentSection('Comedy', comedyContent)}
           {renderContentSection('Drama', dramaContent)}
+          {renderContentSection('Recently Left Your Services', recentlyLeftContent)}
         </ScrollView>
 
         {/* Filter Modal */}
         <FilterModal
           visible={filterModalVisible}
-          onClose={() => setFilterModalVisible(false)}
-          filters={filters}
+          onClose={handleCloseFilterModal}
+          filters={editingPreset ? editingPreset.filters : filters}
           onApply={handleApplyFilters}
           onClear={handleClearFilters}
           userPlatforms={platforms}
+          region={region}
+          preset={editingPreset}
+          onSavePreset={handleSavePreset}
+          onDeletePreset={handleDeletePreset}
         />
       </View>
     </View>
@@ -588,10 +730,16 @@ const styles = StyleSheet.create({
     flex: 1,
   },
   header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
     paddingHorizontal: spacing.lg,
     paddingBottom: spacing.xs,
     backgroundColor: colors.background.primary,
   },
+  inboxButton: {
+    padding: spacing.xs,
+  },
   headerLogo: {
     height: 32,
     width: 140,
@@ -0,0 +1,219 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  Pressable,
+  RefreshControl,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import { getInbox, markInboxRead } from '../storage/notifications';
+import { runNotificationCheck } from '../utils/notificationChecker';
+import { NOTIFICATION_TYPES } from '../utils/notificationDiff';
+import EmptyState from '../components/EmptyState';
+
+// Icon shown next to each event's date
+const EVENT_ICONS = {
+  [NOTIFICATION_TYPES.NEW_EPISODE]: 'tv-outline',
+  [NOTIFICATION_TYPES.UPCOMING_EPISODE]: 'calendar-outline',
+  [NOTIFICATION_TYPES.NEW_ON_PLATFORM]: 'sparkles-outline',
+};
+
+const formatEventDate = (timestamp) => {
+  return new Date(timestamp).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+  });
+};
+
+const InboxScreen = ({ navigation }) => {
+  const [events, setEvents] = useState([]);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadInbox();
+    }, [])
+  );
+
+  const loadInbox = async () => {
+    setEvents(await getInbox());
+  };
+
+  // Pull to refresh forces a fresh check against TMDb
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    try {
+      await runNotificationCheck({ force: true });
+      await loadInbox();
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      setEvents(await markInboxRead());
+    } catch (error) {
+      console.error('[InboxScreen] Error marking all read:', error);
+    }
+  };
+
+  const handlePress = async (event) => {
+    try {
+      setEvents(await markInboxRead([event.id]));
+    } catch (error) {
+      console.error('[InboxScreen] Error marking event read:', error);
+    }
+
+    navigation.navigate('Detail', {
+      itemId: event.itemId,
+      type: event.mediaType,
+    });
+  };
+
+  const renderItem = ({ item }) => (
+    <Pressable
+      style={[styles.row, !item.read && styles.rowUnread]}
+      onPress={() => handlePress(item)}
+    >
+      {item.poster_path ? (
+        <Image
+          source={{ uri: `https://image.tmdb.org/t/p/w92${item.poster_path}` }}
+          style={styles.poster}
+          resizeMode="cover"
+        />
+      ) : (
+        <View style={[styles.poster, styles.posterPlaceholder]}>
+          <Ionicons name="film" size={20} color={colors.text.tertiary} />
+        </View>
+      )}
+      <View style={styles.info}>
+        <Text style={[typography.caption, styles.title]} numberOfLines={1}>
+          {item.title}
+        </Text>
+        <Text style={[typography.caption, styles.message]} numberOfLines={2}>
+          {item.message}
+        </Text>
+        <View style={styles.metaRow}>
+          <Ionicons
+            name={EVENT_ICONS[item.type] || 'sparkles-outline'}
+            size={12}
+            color={colors.text.tertiary}
+          />
+          <Text style={[typography.metadata, styles.date]}>
+            {formatEventDate(item.createdAt)}
+          </Text>
+        </View>
+      </View>
+      {!item.read && <View style={styles.unreadDot} />}
+    </Pressable>
+  );
+
+  const hasUnread = events.some((event) => !event.read);
+
+  return (
+    <View style={styles.container}>
+      {hasUnread && (
+        <Pressable style={styles.markAllButton} onPress={handleMarkAllRead}>
+          <Text style={[typography.caption, styles.markAllText]}>Mark all as read</Text>
+        </Pressable>
+      )}
+      <FlatList
+        data={events}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={handleRefresh}
+            tintColor={colors.accent.primary}
+          />
+        }
+        ListEmptyComponent={
+          <EmptyState
+            icon="notifications-outline"
+            title="No updates yet"
+            message="New episodes and titles arriving on your services will show up here."
+          />
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background.primary,
+  },
+  markAllButton: {
+    alignSelf: 'flex-end',
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.md,
+  },
+  markAllText: {
+    color: colors.accent.primary,
+    fontWeight: '600',
+  },
+  listContent: {
+    flexGrow: 1,
+    paddingBottom: 100,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.glass.border,
+  },
+  rowUnread: {
+    backgroundColor: colors.background.secondary,
+  },
+  poster: {
+    width: 46,
+    aspectRatio: 2 / 3,
+    borderRadius: layout.borderRadius.small,
+    backgroundColor: colors.background.tertiary,
+  },
+  posterPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  title: {
+    color: colors.text.primary,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  message: {
+    color: colors.text.secondary,
+    marginBottom: spacing.xs,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  date: {
+    color: colors.text.tertiary,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.accent.primary,
+    marginLeft: spacing.sm,
+  },
+});
+
+export default InboxScreen;
@@ -1,18 +1,25 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   SafeAreaView,
+  ScrollView,
   Pressable,
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { colors, typography, spacing, layout } from '../theme';
+import { REGIONS_ARRAY, DEFAULT_REGION } from '../constants/regions';
+import GlassContainer from '../components/GlassContainer';
+
+const LocationScreen = ({ route, navigation }) => {
+  // Opened from ProfileScreen to change region after onboarding
+  const editing = !!route.params?.editing;
+  const [selectedRegion, setSelectedRegion] = useState(route.params?.region || DEFAULT_REGION);
 
-const LocationScreen = ({ navigation }) => {
   const handleContinue = () => {
-    // Navigate to PlatformsScreen
-    // Region is hardcoded to 'GB' for UK market
-    navigation.navigate('Platforms');
+    // Region is saved together with platforms on PlatformsScreen
+    navigation.navigate('Platforms', { region: selectedRegion, editing });
   };
 
   return (
@@ -22,22 +29,51 @@ const LocationScreen = ({ navigation }) => {
         <View style={styles.header}>
           <Text style={typography.h2}>Your Region</Text>
           <Text style={[typography.body, styles.subtitle]}>
-            StreamFinder is currently available in the United Kingdom
+            We'll show what's streaming on the services available where you live
           </Text>
         </View>
 
-        {/* Region Display */}
-        <View style={styles.content}>
-          <View style={styles.regionCard}>
-            <Text style={typography.h1}>🇬🇧</Text>
-            <Text style={[typography.h3, styles.regionName]}>
-              United Kingdom
-            </Text>
-            <Text style={[typography.caption, styles.regionDescription]}>
-              Access content from UK streaming services
-            </Text>
-          </View>
-        </View>
+        {/* Region List */}
+        <ScrollView
+          style={styles.content}
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+        >
+          {REGIONS_ARRAY.map((region) => {
+            const isSelected = region.code === selectedRegion;
+            return (
+              <Pressable
+                key={region.code}
+                onPress={() => setSelectedRegion(region.code)}
+                style={styles.cardWrapper}
+              >
+                <GlassContainer
+                  style={[styles.regionCard, isSelected && styles.regionCardSelected]}
+                  borderRadius={layout.borderRadius.large}
+                  borderWidth={isSelected ? 2 : 1}
+                >
+                  <Text style={styles.regionFlag}>{region.flag}</Text>
+                  <Text
+                    style={[
+                      typography.h4,
+                      styles.regionName,
+                      isSelected && styles.regionNameSelected,
+                    ]}
+                  >
+                    {region.name}
+                  </Text>
+                  {isSelected && (
+                    <Ionicons
+                      name="checkmark-circle"
+                      size={22}
+                      color={colors.accent.primary}
+                    />
+                  )}
+                </GlassContainer>
+              </Pressable>
+            );
+          })}
+        </ScrollView>
 
         {/* Continue Button */}
         <View style={styles.footer}>
@@ -69,20 +105,33 @@ const styles = StyleSheet.create({
   },
   content: {
     flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
+  },
+  scrollContent: {
+    paddingBottom: spacing.xl,
+  },
+  cardWrapper: {
+    marginBottom: spacing.md,
   },
   regionCard: {
+    flexDirection: 'row',
     alignItems: 'center',
-    padding: spacing.xxl,
+    padding: spacing.lg,
+    backgroundColor: colors.background.tertiary,
   },
-  regionName: {
-    marginTop: spacing.lg,
-    marginBottom: spacing.sm,
+  regionCardSelected: {
+    backgroundColor: colors.glass.medium,
+    borderColor: colors.accent.primary,
+  },
+  regionFlag: {
+    fontSize: 28,
+    marginRight: spacing.md,
   },
-  regionDescription: {
+  regionName: {
+    flex: 1,
     color: colors.text.secondary,
-    textAlign: 'center',
+  },
+  regionNameSelected: {
+    color: colors.text.primary,
   },
   footer: {
     paddingTop: spacing.lg,
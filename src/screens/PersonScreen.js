@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  Pressable,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import { getPersonDetails, getPersonCredits } from '../api/tmdb';
+import { getSelectedPlatforms } from '../storage/userPreferences';
+import { filterToPlatforms } from '../utils/recommendations';
+import ContentCard from '../components/ContentCard';
+import FilterSwitch from '../components/FilterSwitch';
+import EmptyState from '../components/EmptyState';
+
+// Talk and news shows list every guest appearance, which drowns out real roles
+const EXCLUDED_TV_GENRES = [10763, 10767];
+
+const FILMOGRAPHY_FILTERS = [
+  { key: 'all', label: 'All titles' },
+  { key: 'mine', label: 'My services' },
+];
+
+const getReleaseDate = (item) => item.release_date || item.first_air_date || '';
+
+/**
+ * Merge cast and crew credits into one filmography, newest first
+ * A title appears once, with every role the person had on it
+ */
+const buildFilmography = (credits) => {
+  const titles = new Map();
+
+  const addCredit = (credit, role) => {
+    if (credit.media_type !== 'movie' && credit.media_type !== 'tv') return;
+    if (
+      credit.media_type === 'tv' &&
+      (credit.genre_ids || []).some((genreId) => EXCLUDED_TV_GENRES.includes(genreId))
+    ) {
+      return;
+    }
+
+    const key = `${credit.media_type}-${credit.id}`;
+    const existing = titles.get(key);
+    if (existing) {
+      if (role && !existing.roles.includes(role)) existing.roles.push(role);
+      return;
+    }
+
+    titles.set(key, {
+      ...credit,
+      type: credit.media_type,
+      roles: role ? [role] : [],
+    });
+  };
+
+  (credits?.cast || []).forEach((credit) => addCredit(credit, credit.character));
+  (credits?.crew || []).forEach((credit) => addCredit(credit, credit.job));
+
+  return Array.from(titles.values())
+    .map(({ roles, ...item }) => ({ ...item, subtitle: roles.join(', ') }))
+    .sort((a, b) => getReleaseDate(b).localeCompare(getReleaseDate(a)));
+};
+
+const PersonScreen = ({ route, navigation }) => {
+  const { personId } = route.params || {};
+
+  const [person, setPerson] = useState(null);
+  const [filmography, setFilmography] = useState([]);
+  const [availableFilmography, setAvailableFilmography] = useState(null);
+  const [platforms, setPlatforms] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [isBioExpanded, setIsBioExpanded] = useState(false);
+  const [isFiltering, setIsFiltering] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadPerson();
+  }, [personId]);
+
+  useEffect(() => {
+    if (filter === 'mine' && availableFilmography === null) {
+      loadAvailableFilmography();
+    }
+  }, [filter, filmography]);
+
+  const loadPerson = async () => {
+    setIsLoading(true);
+    try {
+      const [detailsResponse, creditsResponse, platformIds] = await Promise.all([
+        getPersonDetails(personId),
+        getPersonCredits(personId),
+        getSelectedPlatforms(),
+      ]);
+
+      setPlatforms(platformIds);
+      setAvailableFilmography(null);
+      if (detailsResponse.success) {
+        setPerson(detailsResponse.data);
+      }
+      setFilmography(buildFilmography(creditsResponse.data));
+    } catch (error) {
+      console.error('[PersonScreen] Error loading person:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Provider lookups are cached per title, so this is only slow the first time
+  const loadAvailableFilmography = async () => {
+    setIsFiltering(true);
+    try {
+      const available = await filterToPlatforms(
+        filmography,
+        platforms,
+        filmography.length,
+        filmography.length
+      );
+      setAvailableFilmography(available);
+    } catch (error) {
+      console.error('[PersonScreen] Error filtering filmography:', error);
+      setAvailableFilmography([]);
+    } finally {
+      setIsFiltering(false);
+    }
+  };
+
+  const handleCardPress = (item) => {
+    navigation.push('Detail', {
+      itemId: item.id,
+      type: item.type,
+    });
+  };
+
+  const renderHeader = () => (
+    <View>
+      <View style={styles.profileRow}>
+        {person?.profile_path ? (
+          <Image
+            source={{ uri: `https://image.tmdb.org/t/p/w185${person.profile_path}` }}
+            style={styles.photo}
+            resizeMode="cover"
+          />
+        ) : (
+          <View style={[styles.photo, styles.photoPlaceholder]}>
+            <Ionicons name="person" size={40} color={colors.text.tertiary} />
+          </View>
+        )}
+        <View style={styles.profileInfo}>
+          <Text style={[typography.h2, styles.name]}>{person?.name || route.params?.name}</Text>
+          {person?.known_for_department ? (
+            <Text style={[typography.caption, styles.meta]}>{person.known_for_department}</Text>
+          ) : null}
+          {person?.birthday ? (
+            <Text style={[typography.metadata, styles.meta]}>
+              Born {new Date(person.birthday).toLocaleDateString('en-GB', {
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric',
+              })}
+              {person.place_of_birth ? ` in ${person.place_of_birth}` : ''}
+            </Text>
+          ) : null}
+        </View>
+      </View>
+
+      {person?.biography ? (
+        <Pressable onPress={() => setIsBioExpanded((prev) => !prev)} style={styles.bioSection}>
+          <Text
+            style={[typography.body, styles.biography]}
+            numberOfLines={isBioExpanded ? undefined : 5}
+          >
+            {person.biography}
+          </Text>
+          <Text style={[typography.caption, styles.bioToggle]}>
+            {isBioExpanded ? 'Show less' : 'Read more'}
+          </Text>
+        </Pressable>
+      ) : null}
+
+      <Text style={[typography.h4, styles.sectionLabel]}>Filmography</Text>
+      <FilterSwitch
+        options={FILMOGRAPHY_FILTERS}
+        selectedKey={filter}
+        onSelect={setFilter}
+      />
+      {isFiltering && (
+        <ActivityIndicator
+          style={styles.filterLoader}
+          size="small"
+          color={colors.accent.primary}
+        />
+      )}
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.accent.primary} />
+      </View>
+    );
+  }
+
+  const data = filter === 'mine' ? availableFilmography || [] : filmography;
+
+  return (
+    <FlatList
+      style={styles.container}
+      data={data}
+      renderItem={({ item }) => (
+        <ContentCard item={item} onPress={handleCardPress} userPlatforms={platforms} />
+      )}
+      keyExtractor={(item) => `${item.type}-${item.id}`}
+      numColumns={2}
+      columnWrapperStyle={styles.row}
+      contentContainerStyle={styles.listContent}
+      ListHeaderComponent={renderHeader}
+      ListEmptyComponent={
+        isFiltering ? null : (
+          <EmptyState
+            icon="film-outline"
+            title={filter === 'mine' ? 'Nothing on your services' : 'No titles found'}
+            message={
+              filter === 'mine'
+                ? 'None of these titles are streaming on your platforms right now.'
+                : 'TMDb has no movie or TV credits for this person.'
+            }
+          />
+        )
+      }
+      showsVerticalScrollIndicator={false}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background.primary,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background.primary,
+  },
+  listContent: {
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.lg,
+    paddingBottom: 100,
+  },
+  row: {
+    marginBottom: spacing.md,
+  },
+  profileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  photo: {
+    width: 100,
+    height: 150,
+    borderRadius: layout.borderRadius.medium,
+    backgroundColor: colors.background.tertiary,
+  },
+  photoPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  profileInfo: {
+    flex: 1,
+    marginLeft: spacing.lg,
+  },
+  name: {
+    color: colors.text.primary,
+    marginBottom: spacing.xs,
+  },
+  meta: {
+    color: colors.text.secondary,
+    marginBottom: spacing.xs,
+  },
+  bioSection: {
+    marginBottom: spacing.lg,
+  },
+  biography: {
+    color: colors.text.secondary,
+    lineHeight: 22,
+  },
+  bioToggle: {
+    color: colors.accent.primary,
+    fontWeight: '600',
+    marginTop: spacing.xs,
+  },
+  sectionLabel: {
+    color: colors.text.primary,
+    marginBottom: spacing.md,
+  },
+  filterLoader: {
+    marginVertical: spacing.md,
+  },
+});
+
+export default PersonScreen;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -8,29 +8,43 @@ import {
   Pressable,
   Dimensions,
 } from 'react-native';
-import { CommonActions } from '@react-navigation/native';
 import { colors, typography, spacing, layout } from '../theme';
-import { saveUserPreferences } from '../storage/userPreferences';
+import { saveUserPreferences, getSelectedPlatforms } from '../storage/userPreferences';
+import { useOnboarding } from '../navigation/OnboardingContext';
+import { getProvidersForRegion } from '../constants/platforms';
+import { DEFAULT_REGION } from '../constants/regions';
 import GlassContainer from '../components/GlassContainer';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
-// UK Streaming Platforms with TMDb provider IDs
-const PLATFORMS = [
-  { id: 8, name: 'Netflix', selected: false },
-  { id: 9, name: 'Amazon Prime Video', selected: false },
-  { id: 350, name: 'Apple TV+', selected: false },
-  { id: 337, name: 'Disney+', selected: false },
-  { id: 39, name: 'Now TV', selected: false },
-  { id: 38, name: 'BBC iPlayer', selected: false },
-  { id: 41, name: 'ITVX', selected: false },
-  { id: 103, name: 'Channel 4', selected: false },
-];
-
-const PlatformsScreen = ({ navigation }) => {
-  const [platforms, setPlatforms] = useState(PLATFORMS);
+// Build the selectable platform list from the region's provider catalog
+const buildPlatformList = (region) => {
+  return getProvidersForRegion(region).map(({ id, name }) => ({
+    id,
+    name,
+    selected: false,
+  }));
+};
+
+const PlatformsScreen = ({ route, navigation }) => {
+  const region = route.params?.region || DEFAULT_REGION;
+  // Opened from ProfileScreen to change services after onboarding
+  const editing = !!route.params?.editing;
+  const { refreshOnboarding } = useOnboarding();
+  const [platforms, setPlatforms] = useState(() => buildPlatformList(region));
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // When editing, start from the services already saved (those offered in this region)
+  useEffect(() => {
+    if (!editing) return;
+
+    getSelectedPlatforms().then((savedIds) => {
+      setPlatforms((prev) =>
+        prev.map((platform) => ({ ...platform, selected: savedIds.includes(platform.id) }))
+      );
+    });
+  }, [editing, region]);
+
   // Toggle platform selection
   const togglePlatform = (id) => {
     setPlatforms((prev) =>
@@ -47,7 +61,7 @@ const PlatformsScreen = ({ navigation }) => {
     return platforms.some((platform) => platform.selected);
   };
 
-  // Handle start browsing
+  // Save the selection, then finish onboarding or return to the profile
   const handleStartBrowsing = async () => {
     if (!hasSelection()) {
       return;
@@ -58,18 +72,17 @@ const PlatformsScreen = ({ navigation }) => {
     try {
       // Save selected platforms to user preferences
       await saveUserPreferences({
-        region: 'GB', // UK region
+        region,
         platforms: platforms.filter((p) => p.selected),
       });
 
-      // Navigate to Main app using CommonActions.reset
-      // This will reset the entire navigation state to show MainTabs
-      navigation.dispatch(
-        CommonActions.reset({
-          index: 0,
-          routes: [{ name: 'Main' }],
-        })
-      );
+      if (editing) {
+        navigation.popTo('ProfileMain');
+        return;
+      }
+
+      // The root navigator swaps onboarding for MainTabs once it sees the saved data
+      await refreshOnboarding();
     } catch (error) {
       console.error('[PlatformsScreen] Error saving preferences:', error);
     } finally {
@@ -138,7 +151,7 @@ const PlatformsScreen = ({ navigation }) => {
             disabled={!hasSelection() || isSubmitting}
           >
             <Text style={[typography.button, styles.buttonText]}>
-              {isSubmitting ? 'Saving...' : 'Start Browsing'}
+              {isSubmitting ? 'Saving...' : editing ? 'Save Changes' : 'Start Browsing'}
             </Text>
           </Pressable>
         </View>
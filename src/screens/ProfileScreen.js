@@ -1,13 +1,535 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
-import { colors, typography } from '../theme';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  Switch,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import {
+  getUserProfile,
+  saveUserProfile,
+  getUserPreferences,
+  clearAllData,
+  getActiveProfileId,
+} from '../storage/userPreferences';
+import { getProfiles, getActiveProfile, updateProfile } from '../storage/profiles';
+import { hasKidsPin } from '../storage/kidsPin';
+import {
+  buildExport,
+  parseExport,
+  getExportSummary,
+  importData,
+  IMPORT_MODES,
+} from '../storage/dataTransfer';
+import { getRegionByCode } from '../constants/regions';
+import { getProviderById } from '../constants/platforms';
+import { getNameError, getEmailError } from '../utils/profileValidation';
+import { shareTextFile, pickTextFile } from '../utils/fileTransfer';
+import { parseHistoryCsv, importHistoryRows, buildUnmatchedCsv } from '../utils/historyImport';
+import { useOnboarding } from '../navigation/OnboardingContext';
+import GlassContainer from '../components/GlassContainer';
+import PinModal from '../components/PinModal';
+
+const ProfileScreen = ({ navigation }) => {
+  const { refreshOnboarding, openProfilePicker, reloadProfile } = useOnboarding();
+  const [profile, setProfile] = useState(null);
+  const [preferences, setPreferences] = useState(null);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [nameError, setNameError] = useState('');
+  const [emailError, setEmailError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [profileCount, setProfileCount] = useState(1);
+  const [isKids, setIsKids] = useState(false);
+  // PIN prompt in progress: { mode, title, message, onSuccess }
+  const [pinRequest, setPinRequest] = useState(null);
+  // Letterboxd/IMDb import in progress: { done, total }
+  const [historyProgress, setHistoryProgress] = useState(null);
+
+  useEffect(() => {
+    loadProfile();
+  }, []);
+
+  // Region and services are edited on other screens, so reload them on focus
+  useFocusEffect(
+    useCallback(() => {
+      getUserPreferences().then(setPreferences);
+      getProfiles().then((profiles) => setProfileCount(profiles.length));
+      getActiveProfile().then((active) => setIsKids(!!active?.isKids));
+    }, [])
+  );
+
+  const loadProfile = async () => {
+    const userProfile = await getUserProfile();
+    setProfile(userProfile);
+    setName(userProfile?.name || '');
+    setEmail(userProfile?.email || '');
+  };
+
+  // Validate as the user types, once there is something to check
+  const handleNameChange = (value) => {
+    setName(value);
+    setNameError(value.length > 0 ? getNameError(value) : '');
+  };
+
+  const handleEmailChange = (value) => {
+    setEmail(value);
+    setEmailError(value.length > 0 ? getEmailError(value) : '');
+  };
+
+  const trimmedName = name.trim();
+  const normalizedEmail = email.trim().toLowerCase();
+  const hasChanges =
+    !!profile && (trimmedName !== profile.name || normalizedEmail !== profile.email);
+  const canSave = hasChanges && !getNameError(name) && !getEmailError(email) && !isSaving;
+
+  const handleSaveProfile = async () => {
+    const nextNameError = getNameError(name);
+    const nextEmailError = getEmailError(email);
+    setNameError(nextNameError);
+    setEmailError(nextEmailError);
+
+    if (nextNameError || nextEmailError) {
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const updated = { ...profile, name: trimmedName, email: normalizedEmail };
+      await saveUserProfile(updated);
+      // Keep the name shown in the profile picker in step
+      await updateProfile(await getActiveProfileId(), { name: updated.name });
+      setProfile(updated);
+      setName(updated.name);
+      setEmail(updated.email);
+    } catch (error) {
+      console.error('[ProfileScreen] Error saving profile:', error);
+      setEmailError('Failed to save profile. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const region = preferences?.region;
+  const regionInfo = getRegionByCode(region);
+  const platformNames = (preferences?.platforms || [])
+    .filter((platform) => platform.selected !== false)
+    .map((platform) => getProviderById(platform.id, region)?.name || platform.name)
+    .filter(Boolean);
+
+  // Anything that leaves a kids profile (or reaches other profiles) needs the PIN
+  const requirePin = (title, action) => {
+    if (!isKids) {
+      action();
+      return;
+    }
+    setPinRequest({ mode: 'verify', title, onSuccess: action });
+  };
+
+  // Screens reload for the new restrictions once kids mode changes
+  const setKidsMode = async (enabled) => {
+    try {
+      await updateProfile(await getActiveProfileId(), { isKids: enabled });
+      setIsKids(enabled);
+      reloadProfile();
+    } catch (error) {
+      console.error('[ProfileScreen] Error updating kids mode:', error);
+    }
+  };
+
+  // Turning kids mode on sets up the PIN first time; turning it off needs the PIN
+  const handleKidsModeChange = async (enabled) => {
+    if (!enabled) {
+      requirePin('Leave Kids Mode', () => setKidsMode(false));
+      return;
+    }
+
+    if (await hasKidsPin()) {
+      setKidsMode(true);
+    } else {
+      setPinRequest({
+        mode: 'create',
+        title: 'Set a Kids PIN',
+        onSuccess: () => setKidsMode(true),
+      });
+    }
+  };
+
+  // Changing region goes on to the services grid, since services differ per region
+  const handleEditRegion = () => {
+    navigation.navigate('Location', { region: regionInfo.code, editing: true });
+  };
+
+  const handleEditPlatforms = () => {
+    navigation.navigate('Platforms', { region: regionInfo.code, editing: true });
+  };
+
+  // Save the profile's data to a JSON file via the share sheet
+  const handleExport = async () => {
+    try {
+      const exported = await buildExport();
+      const date = new Date(exported.exportedAt).toISOString().slice(0, 10);
+      await shareTextFile(`streamfinder-${date}.json`, JSON.stringify(exported, null, 2), {
+        mimeType: 'application/json',
+        UTI: 'public.json',
+        dialogTitle: 'Export StreamFinder Data',
+      });
+    } catch (error) {
+      console.error('[ProfileScreen] Error exporting data:', error);
+      Alert.alert('Export Failed', 'Your data could not be exported. Please try again.');
+    }
+  };
+
+  const runImport = async (data, mode) => {
+    try {
+      const summary = await importData(data, mode);
+      // Remount every screen so they read the imported data
+      reloadProfile();
+      Alert.alert(
+        'Import Complete',
+        `This profile now has ${summary.watchlist} watchlist titles and ${summary.watched} watched.`
+      );
+    } catch (error) {
+      console.error('[ProfileScreen] Error importing data:', error);
+      Alert.alert('Import Failed', 'Your data could not be imported. Please try again.');
+    }
+  };
+
+  // Pick an export file, show what it holds, then merge or replace
+  const handleImport = async () => {
+    let picked;
+    let parsed;
+    try {
+      picked = await pickTextFile(['application/json', 'text/plain']);
+      if (!picked) return;
+      parsed = parseExport(picked.text);
+    } catch (error) {
+      console.error('[ProfileScreen] Error reading import file:', error);
+      Alert.alert('Import Failed', error.message || 'The file could not be read.');
+      return;
+    }
+
+    const { data, skipped } = parsed;
+    const summary = getExportSummary(data);
+    const skippedNote = skipped > 0
+      ? ` ${skipped} invalid ${skipped === 1 ? 'entry' : 'entries'} will be skipped.`
+      : '';
+
+    Alert.alert(
+      'Import Data',
+      `${picked.name} has ${summary.watchlist} watchlist titles, ${summary.watched} watched ` +
+        `(${summary.rated} rated), ${summary.shows} shows in progress and ` +
+        `${summary.presets} filter presets.${skippedNote}\n\n` +
+        "Merge adds them to this profile. Replace overwrites this profile's data.",
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => runImport(data, IMPORT_MODES.MERGE) },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () => runImport(data, IMPORT_MODES.REPLACE),
+        },
+      ]
+    );
+  };
+
+  const saveUnmatchedRows = async (unmatched) => {
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      await shareTextFile(`streamfinder-unmatched-${date}.csv`, buildUnmatchedCsv(unmatched), {
+        mimeType: 'text/csv',
+        UTI: 'public.comma-separated-values-text',
+        dialogTitle: 'Unmatched Titles',
+      });
+    } catch (error) {
+      console.error('[ProfileScreen] Error saving unmatched rows:', error);
+    }
+  };
+
+  const runHistoryImport = async ({ rows, skipped }) => {
+    setHistoryProgress({ done: 0, total: rows.length });
+    try {
+      const result = await importHistoryRows(rows, {
+        onProgress: (done, total) => setHistoryProgress({ done, total }),
+      });
+
+      const unmatched = [...skipped, ...result.unmatched];
+      const examples = unmatched
+        .slice(0, 5)
+        .map(({ row }) => `• ${row.title || row.imdbId}${row.year ? ` (${row.year})` : ''}`)
+        .join('\n');
+      const more = unmatched.length > 5 ? `\nand ${unmatched.length - 5} more` : '';
+
+      Alert.alert(
+        'Import Complete',
+        `Added ${result.added} titles to your watch history.` +
+          (unmatched.length > 0
+            ? `\n\n${unmatched.length} couldn't be matched:\n${examples}${more}`
+            : ''),
+        unmatched.length > 0
+          ? [
+            { text: 'Save Unmatched', onPress: () => saveUnmatchedRows(unmatched) },
+            { text: 'OK' },
+          ]
+          : [{ text: 'OK' }]
+      );
+    } catch (error) {
+      console.error('[ProfileScreen] Error importing watch history:', error);
+      Alert.alert('Import Failed', 'Your watch history could not be imported. Please try again.');
+    } finally {
+      setHistoryProgress(null);
+    }
+  };
+
+  // Pick a Letterboxd or IMDb CSV, confirm, then match it against TMDb
+  const handleHistoryImport = async () => {
+    if (historyProgress) return;
+
+    let picked;
+    let parsed;
+    try {
+      picked = await pickTextFile([
+        'text/csv',
+        'text/comma-separated-values',
+        'application/csv',
+        'text/plain',
+      ]);
+      if (!picked) return;
+      parsed = parseHistoryCsv(picked.text);
+    } catch (error) {
+      console.error('[ProfileScreen] Error reading history file:', error);
+      Alert.alert('Import Failed', error.message || 'The file could not be read.');
+      return;
+    }
+
+    if (parsed.rows.length === 0) {
+      Alert.alert('Nothing to Import', `${picked.name} has no titles that can be imported.`);
+      return;
+    }
+
+    const rated = parsed.rows.filter((row) => row.rating !== null).length;
+    Alert.alert(
+      `Import from ${parsed.source.name}`,
+      `${picked.name} has ${parsed.rows.length} titles (${rated} rated). ` +
+        'They will be matched with TMDb and added to your watch history. ' +
+        'Large files can take a few minutes.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Import', onPress: () => runHistoryImport(parsed) },
+      ]
+    );
+  };
+
+  const handleReset = () => {
+    Alert.alert(
+      'Reset App',
+      'This will clear every profile on this device, with their services, watchlists and history, and restart onboarding.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await clearAllData();
+              await refreshOnboarding();
+            } catch (error) {
+              console.error('[ProfileScreen] Error resetting app:', error);
+              Alert.alert('Reset Failed', 'Your data could not be cleared. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderRow = ({ icon, label, value, onPress }) => (
+    <Pressable onPress={onPress} style={({ pressed }) => [styles.row, pressed && styles.rowPressed]}>
+      <Ionicons name={icon} size={20} color={colors.text.secondary} style={styles.rowIcon} />
+      <View style={styles.rowText}>
+        <Text style={[typography.body, styles.rowLabel]}>{label}</Text>
+        <Text style={[typography.metadata, styles.rowValue]} numberOfLines={1}>
+          {value}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={18} color={colors.text.tertiary} />
+    </Pressable>
+  );
 
-const ProfileScreen = () => {
   return (
-    <View style={styles.container}>
-      <Text style={typography.h1}>Profile</Text>
-      <Text style={typography.body}>Your preferences and settings</Text>
-    </View>
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Account */}
+        <Text style={[typography.metadata, styles.sectionTitle]}>ACCOUNT</Text>
+        <View style={styles.inputGroup}>
+          <GlassContainer style={styles.inputContainer} borderRadius={layout.borderRadius.medium}>
+            <TextInput
+              style={[typography.body, styles.input]}
+              placeholder="Your name"
+              placeholderTextColor={colors.text.tertiary}
+              value={name}
+              onChangeText={handleNameChange}
+              autoCapitalize="words"
+              autoCorrect={false}
+              returnKeyType="next"
+            />
+          </GlassContainer>
+          {nameError ? (
+            <Text style={[typography.metadata, styles.errorText]}>{nameError}</Text>
+          ) : null}
+        </View>
+
+        <View style={styles.inputGroup}>
+          <GlassContainer style={styles.inputContainer} borderRadius={layout.borderRadius.medium}>
+            <TextInput
+              style={[typography.body, styles.input]}
+              placeholder="Email address"
+              placeholderTextColor={colors.text.tertiary}
+              value={email}
+              onChangeText={handleEmailChange}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="email-address"
+              returnKeyType="done"
+              onSubmitEditing={() => canSave && handleSaveProfile()}
+            />
+          </GlassContainer>
+          {emailError ? (
+            <Text style={[typography.metadata, styles.errorText]}>{emailError}</Text>
+          ) : null}
+        </View>
+
+        {hasChanges && (
+          <Pressable
+            style={[styles.button, !canSave && styles.buttonDisabled]}
+            onPress={handleSaveProfile}
+            disabled={!canSave}
+          >
+            <Text style={[typography.button, styles.buttonText]}>
+              {isSaving ? 'Saving...' : 'Save Changes'}
+            </Text>
+          </Pressable>
+        )}
+
+        {/* Household profiles */}
+        <Text style={[typography.metadata, styles.sectionTitle]}>PROFILES</Text>
+        <GlassContainer style={styles.card} borderRadius={layout.borderRadius.large}>
+          {renderRow({
+            icon: 'people-outline',
+            label: 'Switch Profile',
+            value: profileCount > 1
+              ? `${profileCount} profiles on this device`
+              : 'Add a profile for someone else in your household',
+            onPress: () => requirePin('Switch Profile', openProfilePicker),
+          })}
+        </GlassContainer>
+
+        {/* Kids mode */}
+        <Text style={[typography.metadata, styles.sectionTitle]}>KIDS MODE</Text>
+        <GlassContainer style={styles.card} borderRadius={layout.borderRadius.large}>
+          <View style={styles.row}>
+            <Ionicons
+              name="happy-outline"
+              size={20}
+              color={colors.text.secondary}
+              style={styles.rowIcon}
+            />
+            <View style={styles.rowText}>
+              <Text style={[typography.body, styles.rowLabel]}>Kids Profile</Text>
+              <Text style={[typography.metadata, styles.rowValue]}>
+                Only U and PG family and animated titles. A PIN is needed to turn it off.
+              </Text>
+            </View>
+            <Switch
+              value={isKids}
+              onValueChange={handleKidsModeChange}
+              trackColor={{ true: colors.accent.primary }}
+            />
+          </View>
+        </GlassContainer>
+
+        {/* Streaming */}
+        <Text style={[typography.metadata, styles.sectionTitle]}>STREAMING</Text>
+        <GlassContainer style={styles.card} borderRadius={layout.borderRadius.large}>
+          {renderRow({
+            icon: 'globe-outline',
+            label: 'Region',
+            value: `${regionInfo.flag} ${regionInfo.name}`,
+            onPress: handleEditRegion,
+          })}
+          <View style={styles.divider} />
+          {renderRow({
+            icon: 'tv-outline',
+            label: 'Streaming Services',
+            value: platformNames.length > 0 ? platformNames.join(', ') : 'None selected',
+            onPress: handleEditPlatforms,
+          })}
+        </GlassContainer>
+
+        {/* Data */}
+        <Text style={[typography.metadata, styles.sectionTitle]}>DATA</Text>
+        <GlassContainer style={styles.card} borderRadius={layout.borderRadius.large}>
+          {renderRow({
+            icon: 'share-outline',
+            label: 'Export Data',
+            value: 'Save your watchlist, history, ratings and presets to a file',
+            onPress: handleExport,
+          })}
+          <View style={styles.divider} />
+          {renderRow({
+            icon: 'download-outline',
+            label: 'Import Data',
+            value: 'Merge or replace this profile from an export file',
+            onPress: () => requirePin('Import Data', handleImport),
+          })}
+          <View style={styles.divider} />
+          {renderRow({
+            icon: 'film-outline',
+            label: 'Import Watch History',
+            value: historyProgress
+              ? `Matching ${historyProgress.done} of ${historyProgress.total} titles...`
+              : 'From a Letterboxd or IMDb ratings export (CSV)',
+            onPress: () => requirePin('Import Watch History', handleHistoryImport),
+          })}
+        </GlassContainer>
+
+        <Pressable
+          style={styles.resetButton}
+          onPress={() => requirePin('Reset App', handleReset)}
+        >
+          <Ionicons name="trash-outline" size={18} color={colors.accent.error} />
+          <Text style={[typography.button, styles.resetText]}>Reset App</Text>
+        </Pressable>
+        <Text style={[typography.metadata, styles.resetHint]}>
+          Clears everything stored on this device and starts onboarding again.
+        </Text>
+      </ScrollView>
+
+      <PinModal
+        visible={!!pinRequest}
+        mode={pinRequest?.mode}
+        title={pinRequest?.title}
+        message={pinRequest?.message}
+        onSuccess={() => pinRequest?.onSuccess()}
+        onClose={() => setPinRequest(null)}
+      />
+    </KeyboardAvoidingView>
   );
 };
 
@@ -15,8 +537,94 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background.primary,
+  },
+  scrollContent: {
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.xxxl,
+  },
+  sectionTitle: {
+    color: colors.text.tertiary,
+    marginTop: spacing.xl,
+    marginBottom: spacing.md,
+  },
+  inputGroup: {
+    marginBottom: spacing.md,
+  },
+  inputContainer: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.md,
+  },
+  input: {
+    color: colors.text.primary,
+    minHeight: 24,
+  },
+  errorText: {
+    color: colors.accent.error,
+    marginTop: spacing.sm,
+    marginLeft: spacing.sm,
+  },
+  button: {
+    height: 50,
+    backgroundColor: colors.accent.primary,
+    borderRadius: layout.borderRadius.medium,
     justifyContent: 'center',
     alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: colors.text.primary,
+  },
+  card: {
+    backgroundColor: colors.background.tertiary,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.lg,
+  },
+  rowPressed: {
+    opacity: 0.6,
+  },
+  rowIcon: {
+    marginRight: spacing.md,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  rowLabel: {
+    color: colors.text.primary,
+  },
+  rowValue: {
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  divider: {
+    height: 1,
+    backgroundColor: colors.glass.border,
+    marginLeft: spacing.lg,
+  },
+  resetButton: {
+    height: 50,
+    marginTop: spacing.lg,
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: colors.accent.error,
+    borderRadius: layout.borderRadius.medium,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  resetText: {
+    color: colors.accent.error,
+    marginLeft: spacing.sm,
+  },
+  resetHint: {
+    color: colors.text.tertiary,
+    marginTop: spacing.sm,
+    textAlign: 'center',
   },
 });
 
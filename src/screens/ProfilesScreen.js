@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Pressable,
+  Alert,
+  Dimensions,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import { getActiveProfileId } from '../storage/userPreferences';
+import { getProfiles, switchProfile, deleteProfile } from '../storage/profiles';
+import { useOnboarding } from '../navigation/OnboardingContext';
+import GlassContainer from '../components/GlassContainer';
+import PinModal from '../components/PinModal';
+
+const { width: SCREEN_WIDTH } = Dimensions.get('window');
+
+// Picker shown on launch for multi-profile households and from ProfileScreen
+const ProfilesScreen = () => {
+  const { closeProfilePicker } = useOnboarding();
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  // PIN prompt in progress: { title, onSuccess }
+  const [pinRequest, setPinRequest] = useState(null);
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  const loadProfiles = async () => {
+    const [savedProfiles, profileId] = await Promise.all([getProfiles(), getActiveProfileId()]);
+    setProfiles(savedProfiles);
+    setActiveProfileId(profileId);
+  };
+
+  // Leaving a kids profile (or changing other profiles from it) needs the PIN
+  const activeIsKids = profiles.some((profile) => profile.id === activeProfileId && profile.isKids);
+  const requirePin = (title, action) => {
+    if (!activeIsKids) {
+      action();
+      return;
+    }
+    setPinRequest({ title, onSuccess: action });
+  };
+
+  const handleSelectProfile = async (profile) => {
+    try {
+      await switchProfile(profile.id);
+      await closeProfilePicker();
+    } catch (error) {
+      console.error('[ProfilesScreen] Error switching profile:', error);
+    }
+  };
+
+  // New profiles are created by onboarding, so just leave no profile active
+  const handleAddProfile = async () => {
+    try {
+      await switchProfile(null);
+      await closeProfilePicker();
+    } catch (error) {
+      console.error('[ProfilesScreen] Error adding profile:', error);
+    }
+  };
+
+  const handleDeleteProfile = (profile) => {
+    Alert.alert(
+      'Delete Profile',
+      `Delete "${profile.name}" along with its services, watchlist, history and presets?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const remaining = await deleteProfile(profile.id);
+              setProfiles(remaining);
+              if (profile.id === activeProfileId) {
+                setActiveProfileId(null);
+              }
+              // Nothing left to pick, so start onboarding a new profile
+              if (remaining.length === 0) {
+                await closeProfilePicker();
+              }
+            } catch (error) {
+              console.error('[ProfilesScreen] Error deleting profile:', error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const tileWidth = (SCREEN_WIDTH - spacing.xl * 2 - spacing.md) / 2;
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={typography.h2}>Who's watching?</Text>
+          <Text style={[typography.caption, styles.subtitle]}>
+            Each profile keeps its own services, watchlist and history. Long press to delete.
+          </Text>
+        </View>
+
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.grid}>
+            {profiles.map((profile) => {
+              const isActive = profile.id === activeProfileId;
+              return (
+                <Pressable
+                  key={profile.id}
+                  onPress={() =>
+                    isActive
+                      ? handleSelectProfile(profile)
+                      : requirePin('Switch Profile', () => handleSelectProfile(profile))
+                  }
+                  onLongPress={() =>
+                    requirePin('Delete Profile', () => handleDeleteProfile(profile))
+                  }
+                  style={{ width: tileWidth }}
+                >
+                  <GlassContainer
+                    style={[styles.tile, isActive && styles.tileActive]}
+                    borderRadius={layout.borderRadius.large}
+                    borderWidth={isActive ? 2 : 1}
+                  >
+                    <View style={styles.avatar}>
+                      <Text style={[typography.h2, styles.avatarText]}>
+                        {profile.name.charAt(0).toUpperCase()}
+                      </Text>
+                    </View>
+                    <Text style={[typography.caption, styles.name]} numberOfLines={1}>
+                      {profile.name}
+                    </Text>
+                    {profile.isKids && (
+                      <Text style={[typography.metadata, styles.kidsLabel]}>KIDS</Text>
+                    )}
+                  </GlassContainer>
+                </Pressable>
+              );
+            })}
+
+            <Pressable
+              onPress={() => requirePin('Add Profile', handleAddProfile)}
+              style={{ width: tileWidth }}
+            >
+              <GlassContainer style={styles.tile} borderRadius={layout.borderRadius.large}>
+                <View style={[styles.avatar, styles.addAvatar]}>
+                  <Ionicons name="add" size={32} color={colors.text.secondary} />
+                </View>
+                <Text style={[typography.caption, styles.addLabel]}>Add Profile</Text>
+              </GlassContainer>
+            </Pressable>
+          </View>
+        </ScrollView>
+      </View>
+
+      <PinModal
+        visible={!!pinRequest}
+        title={pinRequest?.title}
+        onSuccess={() => pinRequest?.onSuccess()}
+        onClose={() => setPinRequest(null)}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background.primary,
+  },
+  container: {
+    flex: 1,
+    paddingHorizontal: spacing.xl,
+  },
+  header: {
+    paddingTop: spacing.xxxl,
+    paddingBottom: spacing.xl,
+  },
+  subtitle: {
+    marginTop: spacing.sm,
+    color: colors.text.secondary,
+  },
+  scrollContent: {
+    paddingBottom: spacing.xl,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.md,
+  },
+  tile: {
+    alignItems: 'center',
+    paddingVertical: spacing.xl,
+    paddingHorizontal: spacing.md,
+    backgroundColor: colors.background.tertiary,
+  },
+  tileActive: {
+    backgroundColor: colors.glass.medium,
+    borderColor: colors.accent.primary,
+  },
+  avatar: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: colors.accent.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+  },
+  avatarText: {
+    color: colors.text.primary,
+  },
+  addAvatar: {
+    backgroundColor: colors.glass.light,
+  },
+  name: {
+    color: colors.text.primary,
+    fontWeight: '600',
+  },
+  kidsLabel: {
+    color: colors.accent.primary,
+    marginTop: spacing.xs,
+  },
+  addLabel: {
+    color: colors.text.secondary,
+  },
+});
+
+export default ProfilesScreen;
@@ -0,0 +1,279 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  Pressable,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, typography, spacing, layout } from '../theme';
+import { getSelectedPlatforms } from '../storage/userPreferences';
+import {
+  getWatchlist,
+  removeFromWatchlist,
+  reorderWatchlist,
+} from '../storage/watchlist';
+import { getContentWatchProviders } from '../api/tmdb';
+import GlassContainer from '../components/GlassContainer';
+import EmptyState from '../components/EmptyState';
+
+const WatchlistScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [watchlist, setWatchlist] = useState([]);
+  const [availability, setAvailability] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Reload whenever the tab gains focus so saves from other screens show up
+  useFocusEffect(
+    useCallback(() => {
+      loadWatchlist();
+    }, [])
+  );
+
+  const loadWatchlist = async () => {
+    try {
+      const [items, platformIds] = await Promise.all([
+        getWatchlist(),
+        getSelectedPlatforms(),
+      ]);
+      setWatchlist(items);
+      setIsLoading(false);
+
+      await loadAvailability(items, platformIds);
+    } catch (error) {
+      console.error('[WatchlistScreen] Error loading watchlist:', error);
+      setIsLoading(false);
+    }
+  };
+
+  // Resolve which of the user's platforms currently stream each title
+  const loadAvailability = async (items, platformIds) => {
+    const BATCH_SIZE = 10;
+    const results = {};
+
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const batch = items.slice(i, i + BATCH_SIZE);
+      const batchResults = await Promise.all(
+        batch.map(async (entry) => {
+          const response = await getContentWatchProviders(entry.id, entry.type);
+          const flatrate = response.success ? response.data.flatrate : [];
+          const matching = flatrate
+            .filter((provider) => platformIds.includes(provider.provider_id))
+            .map((provider) => provider.provider_name);
+          return [entry.key, matching];
+        })
+      );
+      batchResults.forEach(([key, names]) => {
+        results[key] = names;
+      });
+      setAvailability((prev) => ({ ...prev, ...results }));
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    try {
+      const updated = await removeFromWatchlist(entry.type, entry.id);
+      setWatchlist(updated);
+    } catch (error) {
+      console.error('[WatchlistScreen] Error removing item:', error);
+    }
+  };
+
+  const handleMove = async (entry, offset) => {
+    const index = watchlist.findIndex((item) => item.key === entry.key);
+    try {
+      const updated = await reorderWatchlist(entry.key, index + offset);
+      setWatchlist(updated);
+    } catch (error) {
+      console.error('[WatchlistScreen] Error reordering item:', error);
+    }
+  };
+
+  const handlePress = (entry) => {
+    navigation.navigate('Detail', {
+      itemId: entry.id,
+      type: entry.type,
+    });
+  };
+
+  const renderAvailability = (entry) => {
+    const names = availability[entry.key];
+
+    if (names === undefined) {
+      return <ActivityIndicator size="small" color={colors.text.tertiary} />;
+    }
+
+    if (names.length === 0) {
+      return (
+        <Text style={[typography.metadata, styles.unavailable]}>
+          Not on your services
+        </Text>
+      );
+    }
+
+    return (
+      <Text style={[typography.metadata, styles.available]} numberOfLines={2}>
+        Streaming on {names.join(', ')}
+      </Text>
+    );
+  };
+
+  const renderItem = ({ item, index }) => (
+    <Pressable onPress={() => handlePress(item)}>
+      <GlassContainer style={styles.row} borderRadius={layout.borderRadius.medium}>
+        {item.poster_path ? (
+          <Image
+            source={{ uri: `https://image.tmdb.org/t/p/w154${item.poster_path}` }}
+            style={styles.poster}
+            resizeMode="cover"
+          />
+        ) : (
+          <View style={[styles.poster, styles.posterPlaceholder]}>
+            <Ionicons name="film" size={24} color={colors.text.tertiary} />
+          </View>
+        )}
+
+        <View style={styles.info}>
+          <Text style={[typography.h4, styles.title]} numberOfLines={2}>
+            {item.title}
+          </Text>
+          <Text style={[typography.caption, styles.type]}>
+            {item.type === 'tv' ? 'TV Show' : 'Movie'}
+          </Text>
+          {renderAvailability(item)}
+        </View>
+
+        <View style={styles.actions}>
+          <Pressable
+            onPress={() => handleMove(item, -1)}
+            disabled={index === 0}
+            hitSlop={8}
+          >
+            <Ionicons
+              name="chevron-up"
+              size={20}
+              color={index === 0 ? colors.text.tertiary : colors.text.secondary}
+            />
+          </Pressable>
+          <Pressable onPress={() => handleRemove(item)} hitSlop={8}>
+            <Ionicons name="trash-outline" size={20} color={colors.text.secondary} />
+          </Pressable>
+          <Pressable
+            onPress={() => handleMove(item, 1)}
+            disabled={index === watchlist.length - 1}
+            hitSlop={8}
+          >
+            <Ionicons
+              name="chevron-down"
+              size={20}
+              color={
+                index === watchlist.length - 1
+                  ? colors.text.tertiary
+                  : colors.text.secondary
+              }
+            />
+          </Pressable>
+        </View>
+      </GlassContainer>
+    </Pressable>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={[styles.safeArea, styles.loadingContainer]}>
+        <ActivityIndicator size="large" color={colors.accent.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.safeArea, { paddingTop: insets.top }]}>
+      <View style={styles.header}>
+        <Text style={typography.h2}>Watchlist</Text>
+      </View>
+
+      <FlatList
+        data={watchlist}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.key}
+        contentContainerStyle={styles.listContent}
+        showsVerticalScrollIndicator={false}
+        ListEmptyComponent={
+          <EmptyState
+            icon="bookmark-outline"
+            title="Your watchlist is empty"
+            message="Save titles from their detail page, or long-press any poster."
+          />
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background.primary,
+  },
+  loadingContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.md,
+  },
+  listContent: {
+    flexGrow: 1,
+    paddingHorizontal: spacing.lg,
+    paddingBottom: 100,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.md,
+    backgroundColor: colors.background.tertiary,
+  },
+  poster: {
+    width: 60,
+    aspectRatio: 2 / 3,
+    borderRadius: layout.borderRadius.small,
+    backgroundColor: colors.background.secondary,
+  },
+  posterPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  title: {
+    color: colors.text.primary,
+    marginBottom: spacing.xs,
+  },
+  type: {
+    color: colors.text.tertiary,
+    marginBottom: spacing.xs,
+  },
+  available: {
+    color: colors.accent.primary,
+  },
+  unavailable: {
+    color: colors.text.secondary,
+  },
+  actions: {
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.sm,
+  },
+});
+
+export default WatchlistScreen;
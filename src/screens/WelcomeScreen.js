@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,6 +12,9 @@ import {
 } from 'react-native';
 import { colors, typography, spacing, layout } from '../theme';
 import { saveUserProfile } from '../storage/userPreferences';
+import { getProfiles, ensureActiveProfile } from '../storage/profiles';
+import { useOnboarding } from '../navigation/OnboardingContext';
+import { MIN_NAME_LENGTH, getNameError, getEmailError } from '../utils/profileValidation';
 import GlassContainer from '../components/GlassContainer';
 
 const WelcomeScreen = ({ navigation }) => {
@@ -20,9 +23,13 @@ const WelcomeScreen = ({ navigation }) => {
   const [nameError, setNameError] = useState('');
   const [emailError, setEmailError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [hasOtherProfiles, setHasOtherProfiles] = useState(false);
+  const { openProfilePicker } = useOnboarding();
 
-  // Email validation regex
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  // When adding a household profile, allow going back to the existing ones
+  useEffect(() => {
+    getProfiles().then((profiles) => setHasOtherProfiles(profiles.length > 0));
+  }, []);
 
   // Validate name
   const validateName = (value) => {
@@ -30,12 +37,9 @@ const WelcomeScreen = ({ navigation }) => {
       setNameError('');
       return false;
     }
-    if (value.length < 2) {
-      setNameError('Name must be at least 2 characters');
-      return false;
-    }
-    setNameError('');
-    return true;
+    const error = getNameError(value);
+    setNameError(error);
+    return !error;
   };
 
   // Validate email
@@ -44,18 +48,15 @@ const WelcomeScreen = ({ navigation }) => {
       setEmailError('');
       return false;
     }
-    if (!emailRegex.test(value)) {
-      setEmailError('Please enter a valid email address');
-      return false;
-    }
-    setEmailError('');
-    return true;
+    const error = getEmailError(value);
+    setEmailError(error);
+    return !error;
   };
 
   // Handle name change
   const handleNameChange = (value) => {
     setName(value);
-    if (value.length >= 2 || value.length === 0) {
+    if (value.length >= MIN_NAME_LENGTH || value.length === 0) {
       validateName(value);
     }
   };
@@ -70,8 +71,8 @@ const WelcomeScreen = ({ navigation }) => {
 
   // Check if form is valid
   const isFormValid = () => {
-    const isNameValid = name.length >= 2;
-    const isEmailValid = emailRegex.test(email);
+    const isNameValid = !getNameError(name);
+    const isEmailValid = !getEmailError(email);
     return isNameValid && isEmailValid && !nameError && !emailError;
   };
 
@@ -91,6 +92,9 @@ const WelcomeScreen = ({ navigation }) => {
       // Generate unique user ID
       const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+      // Onboarding saves into the active household profile (created on first run)
+      await ensureActiveProfile(name.trim());
+
       // Save user profile
       await saveUserProfile({
         userId,
@@ -193,6 +197,14 @@ const WelcomeScreen = ({ navigation }) => {
                   {isSubmitting ? 'Saving...' : 'Continue'}
                 </Text>
               </Pressable>
+
+              {hasOtherProfiles && (
+                <Pressable style={styles.linkButton} onPress={openProfilePicker}>
+                  <Text style={[typography.caption, styles.linkText]}>
+                    Choose another profile
+                  </Text>
+                </Pressable>
+              )}
             </View>
           </View>
         </ScrollView>
@@ -264,6 +276,13 @@ const styles = StyleSheet.create({
   buttonText: {
     color: colors.text.primary,
   },
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.lg,
+  },
+  linkText: {
+    color: colors.text.secondary,
+  },
 });
 
 export default WelcomeScreen;
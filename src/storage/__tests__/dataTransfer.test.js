@@ -0,0 +1,257 @@
+import exportV1 from './__fixtures__/exports/v1.json';
+
+const NOW = 1730000000000;
+
+const PROFILES = [{ id: 'profile_a', name: 'Alex', isKids: false, createdAt: 1706554800000 }];
+
+// A profile that already has an account, services and some history
+const CURRENT = {
+  '@profiles': PROFILES,
+  '@active_profile': 'profile_a',
+  '@user_profile:profile_a': {
+    userId: 'user_1700000000000_current',
+    name: 'Alex',
+    email: 'alex@example.com',
+    createdAt: 1700000000000,
+  },
+  '@user_preferences:profile_a': {
+    region: 'GB',
+    platforms: [{ id: 350, name: 'Apple TV Plus', selected: true }],
+  },
+  '@watchlist:profile_a': [
+    { key: 'movie-603', id: 603, type: 'movie', title: 'The Matrix', poster_path: null, addedAt: 1726000000000 },
+  ],
+  '@watch_history:profile_a': [
+    {
+      key: 'movie-680',
+      id: 680,
+      type: 'movie',
+      title: 'Pulp Fiction',
+      poster_path: null,
+      genre_ids: [],
+      watchedAt: 1729000000000,
+      rating: null,
+    },
+  ],
+  '@episode_progress:profile_a': {},
+  '@filter_presets:profile_a': [
+    { id: 'preset_1', name: 'Mine', filters: {}, createdAt: 1726000000000, updatedAt: 1726000000000 },
+  ],
+};
+
+// Fresh modules per test, so the cached profile state starts empty
+const load = async (fixture = CURRENT) => {
+  jest.resetModules();
+  const modules = {
+    ...require('./storageFixtures'),
+    ...require('../dataTransfer'),
+  };
+  await modules.seedStorage(fixture);
+  return modules;
+};
+
+const withProfile = (profile) => ({ ...exportV1, data: { ...exportV1.data, profile } });
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockImplementation(() => NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateExport', () => {
+  it('rejects files that are not a current StreamFinder export', async () => {
+    const { validateExport } = await load();
+
+    expect(() => validateExport(null)).toThrow('not a StreamFinder export');
+    expect(() => validateExport({ ...exportV1, format: 'other-app' })).toThrow('not a StreamFinder export');
+    expect(() => validateExport({ ...exportV1, version: '1' })).toThrow('no valid version');
+    expect(() => validateExport({ ...exportV1, version: 2 })).toThrow('newer version of StreamFinder');
+  });
+
+  it('cleans each section and counts the dropped entries', async () => {
+    const { validateExport } = await load();
+    const { exportedAt, data, skipped } = validateExport(exportV1);
+
+    expect(exportedAt).toBe(1729000000000);
+    expect(data.profile).toEqual({
+      userId: 'user_1706554800000_abc123def',
+      name: 'Sam',
+      email: 'sam@example.com',
+      createdAt: 1706554800000,
+    });
+    expect(data.preferences).toEqual({
+      region: 'DE',
+      platforms: [
+        { id: 8, name: 'Netflix', selected: true },
+        { id: 337, name: 'Disney Plus', selected: false },
+      ],
+    });
+    expect(data.watchlist).toEqual([
+      {
+        key: 'movie-550',
+        id: 550,
+        type: 'movie',
+        title: 'Fight Club',
+        poster_path: '/pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg',
+        addedAt: 1728000000000,
+      },
+      { key: 'tv-1399', id: 1399, type: 'tv', title: 'Game of Thrones', poster_path: null, addedAt: NOW },
+    ]);
+    expect(data.watchHistory.map((entry) => [entry.key, entry.rating, entry.genre_ids])).toEqual([
+      ['movie-13', null, []],
+      ['movie-680', 9, [80, 18]],
+    ]);
+    expect(data.episodeProgress).toEqual({
+      1399: {
+        id: 1399,
+        name: 'Game of Thrones',
+        poster_path: null,
+        seasons: { 1: [1, 2, 3] },
+        updatedAt: 1728000000000,
+      },
+    });
+    expect(data.filterPresets.map((preset) => preset.name)).toEqual(['Films']);
+
+    // 3 watchlist entries, 1 history entry, 1 show and 2 presets
+    expect(skipped).toBe(7);
+  });
+
+  it('drops an invalid profile and counts it', async () => {
+    const { validateExport } = await load();
+    const { data, skipped } = validateExport(withProfile({ name: 'S', email: 'not-an-email' }));
+
+    expect(data.profile).toBeNull();
+    expect(skipped).toBe(8);
+  });
+
+  it('treats missing sections as empty', async () => {
+    const { validateExport } = await load();
+
+    expect(validateExport({ format: 'streamfinder-export', version: 1 })).toEqual({
+      exportedAt: null,
+      data: {
+        profile: null,
+        preferences: null,
+        watchlist: [],
+        watchHistory: [],
+        episodeProgress: {},
+        filterPresets: [],
+      },
+      skipped: 0,
+    });
+  });
+});
+
+describe('parseExport', () => {
+  it('rejects text that is not JSON', async () => {
+    const { parseExport } = await load();
+
+    expect(() => parseExport('{"format":')).toThrow('not valid JSON');
+    expect(parseExport(JSON.stringify(exportV1)).skipped).toBe(7);
+  });
+});
+
+describe('importData', () => {
+  it('merges into the current profile, keeping its account and region', async () => {
+    const { validateExport, importData, IMPORT_MODES, dumpStorage } = await load();
+
+    const summary = await importData(validateExport(exportV1).data, IMPORT_MODES.MERGE);
+    const stored = await dumpStorage();
+
+    expect(summary).toEqual({ watchlist: 3, watched: 2, rated: 1, shows: 1, presets: 2 });
+    expect(stored['@user_profile:profile_a']).toEqual(CURRENT['@user_profile:profile_a']);
+    expect(stored['@user_preferences:profile_a'].region).toBe('GB');
+    expect(stored['@user_preferences:profile_a'].platforms.map((platform) => platform.id)).toEqual([
+      350, 8, 337,
+    ]);
+    expect(stored['@watchlist:profile_a'].map((entry) => entry.key)).toEqual([
+      'movie-603', 'movie-550', 'tv-1399',
+    ]);
+    // The imported watch of Pulp Fiction is older, but its rating is kept
+    expect(stored['@watch_history:profile_a'].find((entry) => entry.id === 680)).toMatchObject({
+      watchedAt: 1729000000000,
+      rating: 9,
+    });
+    expect(stored['@profiles']).toEqual(PROFILES);
+  });
+
+  it('replaces every section and renames the profile', async () => {
+    const { validateExport, importData, IMPORT_MODES, dumpStorage } = await load();
+    const { data } = validateExport(exportV1);
+
+    await importData(data, IMPORT_MODES.REPLACE);
+    const stored = await dumpStorage();
+
+    expect(stored['@user_profile:profile_a']).toEqual(data.profile);
+    expect(stored['@user_preferences:profile_a']).toEqual(data.preferences);
+    expect(stored['@watchlist:profile_a']).toEqual(data.watchlist);
+    expect(stored['@watch_history:profile_a']).toEqual(data.watchHistory);
+    expect(stored['@episode_progress:profile_a']).toEqual(data.episodeProgress);
+    expect(stored['@filter_presets:profile_a']).toEqual(data.filterPresets);
+    expect(stored['@profiles'][0].name).toBe('Sam');
+  });
+
+  it('keeps the current account when replacing with an invalid profile', async () => {
+    const { validateExport, importData, IMPORT_MODES, dumpStorage } = await load();
+    const { data } = validateExport(withProfile({ name: '', email: 'sam@example.com' }));
+
+    await importData(data, IMPORT_MODES.REPLACE);
+    const stored = await dumpStorage();
+
+    expect(stored['@user_profile:profile_a']).toEqual(CURRENT['@user_profile:profile_a']);
+    expect(stored['@profiles']).toEqual(PROFILES);
+    expect(stored['@watchlist:profile_a']).toEqual(data.watchlist);
+  });
+
+  it('keeps the current services when replacing with a file that has none', async () => {
+    const { validateExport, importData, IMPORT_MODES, dumpStorage } = await load();
+    const { data } = validateExport({ ...exportV1, data: { ...exportV1.data, preferences: undefined } });
+
+    await importData(data, IMPORT_MODES.REPLACE);
+
+    expect((await dumpStorage())['@user_preferences:profile_a']).toEqual(
+      CURRENT['@user_preferences:profile_a']
+    );
+  });
+
+  it('keeps the current services when replacing with a file whose services are empty', async () => {
+    const { validateExport, importData, IMPORT_MODES, dumpStorage } = await load();
+    const { data } = validateExport({
+      ...exportV1,
+      data: { ...exportV1.data, preferences: { region: 'DE', platforms: [{ id: 'netflix' }] } },
+    });
+
+    expect(data.preferences).toEqual({ region: 'DE', platforms: [] });
+    await importData(data, IMPORT_MODES.REPLACE);
+
+    const stored = await dumpStorage();
+    expect(stored['@user_preferences:profile_a']).toEqual(CURRENT['@user_preferences:profile_a']);
+    expect(stored['@watchlist:profile_a']).toEqual(data.watchlist);
+    await expect(require('../userPreferences').hasCompletedOnboarding()).resolves.toBe(true);
+  });
+
+  it('rejects an unknown mode without writing anything', async () => {
+    const { validateExport, importData, dumpStorage } = await load();
+    const before = await dumpStorage();
+
+    await expect(importData(validateExport(exportV1).data, 'append')).rejects.toThrow(
+      'Unknown import mode: append'
+    );
+    expect(await dumpStorage()).toEqual(before);
+  });
+
+  it('restores a profile from its own export', async () => {
+    const { buildExport, parseExport, importData, IMPORT_MODES, seedStorage, dumpStorage } = await load();
+    const exported = JSON.stringify(await buildExport());
+    const before = await dumpStorage();
+
+    await seedStorage({ '@profiles': PROFILES, '@active_profile': 'profile_a' });
+    await importData(parseExport(exported).data, IMPORT_MODES.REPLACE);
+
+    expect(await dumpStorage()).toEqual(before);
+  });
+});
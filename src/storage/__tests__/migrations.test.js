@@ -0,0 +1,144 @@
+import singleUser from './__fixtures__/migrations/single-user.json';
+import itvxLegacy from './__fixtures__/migrations/itvx-legacy.json';
+import newerSchema from './__fixtures__/migrations/newer-schema.json';
+import unrepairablePreferences from './__fixtures__/migrations/unrepairable-preferences.json';
+
+// Fresh modules per test, so the cached active profile never leaks between fixtures
+const load = () => {
+  jest.resetModules();
+  return {
+    AsyncStorage: require('@react-native-async-storage/async-storage'),
+    ...require('./storageFixtures'),
+    ...require('../migrations'),
+  };
+};
+
+beforeEach(() => {
+  jest.spyOn(Math, 'random').mockReturnValue(0.123456789);
+  jest.spyOn(Date, 'now').mockReturnValue(1706554800000);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runMigrations', () => {
+  it('moves single-user data from before profiles into the first profile', async () => {
+    const { seedStorage, dumpStorage, runMigrations, SCHEMA_VERSION } = load();
+    await seedStorage(singleUser);
+
+    await expect(runMigrations()).resolves.toBe(SCHEMA_VERSION);
+    expect(await dumpStorage()).toMatchSnapshot();
+  });
+
+  it('starts a fresh install at the current version with an empty profile list', async () => {
+    const { seedStorage, dumpStorage, runMigrations, SCHEMA_VERSION } = load();
+    await seedStorage({});
+
+    await expect(runMigrations()).resolves.toBe(SCHEMA_VERSION);
+    expect(await dumpStorage()).toEqual({
+      '@profiles': [],
+      '@schema_version': SCHEMA_VERSION,
+    });
+  });
+
+  it('rewrites ITVX stored as 54 in preferences, active filters and presets', async () => {
+    const { seedStorage, dumpStorage, runMigrations } = load();
+    await seedStorage(itvxLegacy);
+
+    await expect(runMigrations()).resolves.toBe(2);
+
+    const stored = await dumpStorage();
+    expect(stored['@active_filters:profile_a'].filters.selectedServices).toEqual([41, 8]);
+    expect(stored['@filter_presets:profile_a'][0].filters.selectedServices).toEqual([41]);
+    expect(stored).toMatchSnapshot();
+  });
+
+  it('is a no-op when run again', async () => {
+    const { seedStorage, dumpStorage, runMigrations } = load();
+    await seedStorage(itvxLegacy);
+
+    await runMigrations();
+    const once = await dumpStorage();
+    await runMigrations();
+
+    expect(await dumpStorage()).toEqual(once);
+  });
+
+  it('stops at a failed migration and retries it on the next launch', async () => {
+    const { AsyncStorage, seedStorage, dumpStorage, runMigrations, getSchemaVersion } = load();
+    await seedStorage(itvxLegacy);
+
+    // The first write of the run is migration 2 saving the rewritten preferences
+    AsyncStorage.multiSet.mockImplementationOnce(async () => {
+      throw new Error('Storage unavailable');
+    });
+
+    await expect(runMigrations()).resolves.toBe(1);
+    expect(await getSchemaVersion()).toBe(1);
+    const afterFailure = await dumpStorage();
+    expect(afterFailure['@active_filters:profile_a'].filters.selectedServices).toEqual([54, 8]);
+    expect(afterFailure).toMatchSnapshot('after failure');
+
+    await expect(runMigrations()).resolves.toBe(2);
+    expect(await dumpStorage()).toMatchSnapshot('after retry');
+  });
+
+  it('leaves data from a newer build untouched', async () => {
+    const { seedStorage, dumpStorage, runMigrations } = load();
+    await seedStorage(newerSchema);
+    const before = await dumpStorage();
+
+    await expect(runMigrations()).resolves.toBe(99);
+    expect(await dumpStorage()).toEqual(before);
+  });
+});
+
+describe('validateStoredData', () => {
+  it('repairs what it can and removes preferences it cannot', async () => {
+    const { seedStorage, dumpStorage, validateStoredData } = load();
+    await seedStorage(unrepairablePreferences);
+
+    await expect(validateStoredData()).resolves.toBe(3);
+
+    const stored = await dumpStorage();
+    expect(stored['@user_preferences:profile_a']).toBeUndefined();
+    expect(stored['@user_preferences:profile_c']).toBeUndefined();
+    expect(stored).toMatchSnapshot();
+  });
+});
+
+describe('sanitizeUserPreferences', () => {
+  const { sanitizeUserPreferences } = require('../userPreferences');
+
+  it('keeps only the current shape', () => {
+    expect(
+      sanitizeUserPreferences({
+        region: 'DE',
+        platforms: [{ id: 8, name: 'Netflix', selected: true, color: '#E50914' }],
+        extra: 'dropped',
+      })
+    ).toEqual({ region: 'DE', platforms: [{ id: 8, name: 'Netflix', selected: true }] });
+  });
+
+  it('maps legacy provider IDs and removes the duplicates that leaves', () => {
+    expect(
+      sanitizeUserPreferences({
+        region: 'GB',
+        platforms: [
+          { id: 54, name: 'ITVX' },
+          { id: 41, name: 'ITVX' },
+        ],
+      }).platforms
+    ).toEqual([{ id: 41, name: 'ITVX', selected: true }]);
+  });
+
+  it('returns null when there is no platforms array', () => {
+    expect(sanitizeUserPreferences(null)).toBeNull();
+    expect(sanitizeUserPreferences({ region: 'GB' })).toBeNull();
+    expect(sanitizeUserPreferences({ region: 'GB', platforms: {} })).toBeNull();
+  });
+});
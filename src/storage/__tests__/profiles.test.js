@@ -0,0 +1,77 @@
+const PROFILES = [
+  { id: 'profile_a', name: 'Sam', isKids: false, createdAt: 1706554800000 },
+  { id: 'profile_b', name: 'Kit', isKids: true, createdAt: 1706554800001 },
+];
+
+// Fresh modules per test, so the cached profile state starts empty
+const load = async (activeProfile = 'profile_a') => {
+  jest.resetModules();
+  const modules = {
+    AsyncStorage: require('@react-native-async-storage/async-storage'),
+    ...require('./storageFixtures'),
+    ...require('../profiles'),
+    ...require('../userPreferences'),
+  };
+  await modules.seedStorage({ '@profiles': PROFILES, '@active_profile': activeProfile });
+  return modules;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isKidsProfileActive', () => {
+  it('reads the profile list once and then uses the cached flag', async () => {
+    const { AsyncStorage, isKidsProfileActive } = await load('profile_b');
+
+    await expect(isKidsProfileActive()).resolves.toBe(true);
+    AsyncStorage.getItem.mockClear();
+
+    await expect(isKidsProfileActive()).resolves.toBe(true);
+    expect(AsyncStorage.getItem).not.toHaveBeenCalled();
+  });
+
+  it('is cleared by switching profile', async () => {
+    const { isKidsProfileActive, switchProfile } = await load('profile_a');
+    await expect(isKidsProfileActive()).resolves.toBe(false);
+
+    await switchProfile('profile_b');
+    await expect(isKidsProfileActive()).resolves.toBe(true);
+
+    await switchProfile(null);
+    await expect(isKidsProfileActive()).resolves.toBe(false);
+  });
+
+  it('is cleared by updating a profile', async () => {
+    const { isKidsProfileActive, updateProfile } = await load('profile_a');
+    await expect(isKidsProfileActive()).resolves.toBe(false);
+
+    await updateProfile('profile_a', { isKids: true });
+    await expect(isKidsProfileActive()).resolves.toBe(true);
+
+    await updateProfile('profile_a', { isKids: false });
+    await expect(isKidsProfileActive()).resolves.toBe(false);
+  });
+
+  it('is cleared by clearing all data', async () => {
+    const { isKidsProfileActive, clearAllData } = await load('profile_b');
+    await expect(isKidsProfileActive()).resolves.toBe(true);
+
+    await clearAllData();
+    await expect(isKidsProfileActive()).resolves.toBe(false);
+  });
+
+  it('does not cache a flag read before the profile changed', async () => {
+    const { isKidsProfileActive, updateProfile } = await load('profile_a');
+
+    const staleRead = isKidsProfileActive();
+    await updateProfile('profile_a', { isKids: true });
+
+    await staleRead;
+    await expect(isKidsProfileActive()).resolves.toBe(true);
+  });
+});
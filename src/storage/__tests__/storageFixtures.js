@@ -0,0 +1,41 @@
+/**
+ * Helpers for tests that run against the in-memory AsyncStorage mock
+ * (see jest.setup.js). Fixtures map storage keys to values: strings are
+ * stored as-is, anything else as JSON, just as the storage modules write them.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Replace everything in storage with a fixture
+ * @param {Object} fixture - { [key]: value }
+ * @returns {Promise<void>}
+ */
+export const seedStorage = async (fixture) => {
+  await AsyncStorage.clear();
+  await AsyncStorage.multiSet(
+    Object.entries(fixture).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? value : JSON.stringify(value),
+    ])
+  );
+};
+
+/**
+ * Read everything in storage, keys sorted and JSON values parsed, for snapshots
+ * @returns {Promise<Object>} { [key]: value }
+ */
+export const dumpStorage = async () => {
+  const keys = [...(await AsyncStorage.getAllKeys())].sort();
+  const entries = await AsyncStorage.multiGet(keys);
+
+  return Object.fromEntries(
+    entries.map(([key, value]) => {
+      try {
+        return [key, JSON.parse(value)];
+      } catch (error) {
+        return [key, value];
+      }
+    })
+  );
+};
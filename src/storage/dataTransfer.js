@@ -0,0 +1,403 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  STORAGE_KEYS,
+  getProfileKey,
+  getActiveProfileId,
+  getUserProfile,
+  getUserPreferences,
+  sanitizeUserPreferences,
+} from './userPreferences';
+import { getWatchlist, getWatchlistKey } from './watchlist';
+import { getWatchHistory, mergeWatchHistory } from './watchHistory';
+import { getEpisodeProgress } from './episodeProgress';
+import { getFilterPresets } from './filterPresets';
+import { updateProfile } from './profiles';
+import { normalizeServiceFilter } from '../utils/filterModel';
+import { getNameError, getEmailError } from '../utils/profileValidation';
+
+const DEBUG = __DEV__;
+
+// Identifies StreamFinder export files
+export const EXPORT_FORMAT = 'streamfinder-export';
+
+// Bump when the file layout changes, and teach validateExport to read the old one
+export const EXPORT_VERSION = 1;
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isTimestamp = (value) => typeof value === 'number' && value > 0;
+const asString = (value) => (typeof value === 'string' ? value : '');
+const asPosterPath = (value) => (typeof value === 'string' && value ? value : null);
+
+// Preferences without services would send the user back to onboarding
+const hasPlatforms = (preferences) => (preferences?.platforms?.length || 0) > 0;
+
+const isContentEntry = (entry) =>
+  !!entry && ['movie', 'tv'].includes(entry.type) && isPositiveInteger(entry.id);
+
+// Keep the first entry for each key
+const dedupeByKey = (entries) => {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    if (seen.has(entry.key)) return false;
+    seen.add(entry.key);
+    return true;
+  });
+};
+
+const cleanProfile = (profile) => {
+  const name = asString(profile?.name);
+  const email = asString(profile?.email);
+  if (getNameError(name) || getEmailError(email)) {
+    return null;
+  }
+
+  return {
+    userId: asString(profile.userId) ||
+      `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: name.trim(),
+    email: email.trim().toLowerCase(),
+    createdAt: isTimestamp(profile.createdAt) ? profile.createdAt : Date.now(),
+  };
+};
+
+const cleanWatchlist = (watchlist) =>
+  dedupeByKey(
+    watchlist.filter(isContentEntry).map((entry) => ({
+      key: getWatchlistKey(entry.type, entry.id),
+      id: entry.id,
+      type: entry.type,
+      title: asString(entry.title),
+      poster_path: asPosterPath(entry.poster_path),
+      addedAt: isTimestamp(entry.addedAt) ? entry.addedAt : Date.now(),
+    }))
+  );
+
+const cleanWatchHistory = (history) =>
+  dedupeByKey(
+    history
+      .filter((entry) => isContentEntry(entry) && isTimestamp(entry.watchedAt))
+      .map((entry) => ({
+        key: getWatchlistKey(entry.type, entry.id),
+        id: entry.id,
+        type: entry.type,
+        title: asString(entry.title),
+        poster_path: asPosterPath(entry.poster_path),
+        genre_ids: Array.isArray(entry.genre_ids) ? entry.genre_ids.filter(isPositiveInteger) : [],
+        watchedAt: entry.watchedAt,
+        rating: Number.isInteger(entry.rating) && entry.rating >= 1 && entry.rating <= 10
+          ? entry.rating
+          : null,
+      }))
+      .sort((a, b) => b.watchedAt - a.watchedAt)
+  );
+
+const cleanEpisodeProgress = (progress) => {
+  const cleaned = {};
+  Object.values(progress).forEach((show) => {
+    if (!isPositiveInteger(show?.id) || !show.seasons || typeof show.seasons !== 'object') return;
+
+    const seasons = {};
+    Object.entries(show.seasons).forEach(([seasonNumber, episodes]) => {
+      const watched = Array.isArray(episodes) ? episodes.filter(isPositiveInteger) : [];
+      if (watched.length > 0) {
+        seasons[seasonNumber] = [...new Set(watched)].sort((a, b) => a - b);
+      }
+    });
+    if (Object.keys(seasons).length === 0) return;
+
+    cleaned[show.id] = {
+      id: show.id,
+      name: asString(show.name),
+      poster_path: asPosterPath(show.poster_path),
+      seasons,
+      updatedAt: isTimestamp(show.updatedAt) ? show.updatedAt : Date.now(),
+    };
+  });
+  return cleaned;
+};
+
+const isPreset = (preset) =>
+  !!asString(preset?.name).trim() && !!preset.filters && typeof preset.filters === 'object';
+
+const cleanFilterPresets = (presets) => {
+  const names = new Set();
+  return presets
+    .filter(isPreset)
+    .map((preset, index) => {
+      const now = Date.now();
+      return {
+        id: asString(preset.id) || `preset_${now}_${index}`,
+        name: preset.name.trim(),
+        filters: normalizeServiceFilter(preset.filters),
+        createdAt: isTimestamp(preset.createdAt) ? preset.createdAt : now,
+        updatedAt: isTimestamp(preset.updatedAt) ? preset.updatedAt : now,
+      };
+    })
+    .filter((preset) => {
+      const name = preset.name.toLowerCase();
+      if (names.has(name)) return false;
+      names.add(name);
+      return true;
+    });
+};
+
+/**
+ * Collect the active profile's data into an export file
+ * Covers the account, region and services, watchlist, watch history (with
+ * ratings), episode progress and filter presets
+ * @returns {Promise<Object>} Export ({ format, version, exportedAt, data })
+ */
+export const buildExport = async () => {
+  try {
+    const [profile, preferences, watchlist, watchHistory, episodeProgress, filterPresets] =
+      await Promise.all([
+        getUserProfile(),
+        getUserPreferences(),
+        getWatchlist(),
+        getWatchHistory(),
+        getEpisodeProgress(),
+        getFilterPresets(),
+      ]);
+
+    const exported = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: Date.now(),
+      data: {
+        profile,
+        preferences,
+        watchlist,
+        watchHistory,
+        episodeProgress,
+        filterPresets,
+      },
+    };
+
+    if (DEBUG) console.log('[Storage] Export built:', getExportSummary(exported.data));
+    return exported;
+  } catch (error) {
+    console.error('[Storage] Error building export:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check an export file and bring its data into the current storage shape
+ * Throws for files that can't be imported at all; individual entries that
+ * don't fit the schema are dropped and counted in `skipped`
+ * @param {Object} exported - Parsed export file
+ * @returns {Object} { exportedAt, data, skipped }
+ */
+export const validateExport = (exported) => {
+  if (!exported || typeof exported !== 'object' || exported.format !== EXPORT_FORMAT) {
+    throw new Error('This file is not a StreamFinder export.');
+  }
+
+  if (!isPositiveInteger(exported.version)) {
+    throw new Error('This export has no valid version number.');
+  }
+
+  if (exported.version > EXPORT_VERSION) {
+    throw new Error(
+      'This export was made by a newer version of StreamFinder. Update the app and try again.'
+    );
+  }
+
+  const source = exported.data && typeof exported.data === 'object' ? exported.data : {};
+  const watchlist = Array.isArray(source.watchlist) ? source.watchlist : [];
+  const watchHistory = Array.isArray(source.watchHistory) ? source.watchHistory : [];
+  const episodeProgress = source.episodeProgress && typeof source.episodeProgress === 'object'
+    ? source.episodeProgress
+    : {};
+  const filterPresets = Array.isArray(source.filterPresets) ? source.filterPresets : [];
+
+  const data = {
+    profile: cleanProfile(source.profile),
+    preferences: sanitizeUserPreferences(source.preferences),
+    watchlist: cleanWatchlist(watchlist),
+    watchHistory: cleanWatchHistory(watchHistory),
+    episodeProgress: cleanEpisodeProgress(episodeProgress),
+    filterPresets: cleanFilterPresets(filterPresets),
+  };
+
+  const skipped =
+    (source.profile && !data.profile ? 1 : 0) +
+    (source.preferences && !data.preferences ? 1 : 0) +
+    (watchlist.length - data.watchlist.length) +
+    (watchHistory.length - data.watchHistory.length) +
+    (Object.keys(episodeProgress).length - Object.keys(data.episodeProgress).length) +
+    (filterPresets.length - data.filterPresets.length);
+
+  return {
+    exportedAt: isTimestamp(exported.exportedAt) ? exported.exportedAt : null,
+    data,
+    skipped,
+  };
+};
+
+/**
+ * Parse and validate the text of an export file
+ * @param {string} text - File contents
+ * @returns {Object} { exportedAt, data, skipped } (see validateExport)
+ */
+export const parseExport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+  return validateExport(parsed);
+};
+
+/**
+ * Count what an export holds, for confirmation prompts
+ * @param {Object} data - Validated export data
+ * @returns {Object} { watchlist, watched, rated, shows, presets }
+ */
+export const getExportSummary = (data) => ({
+  watchlist: data.watchlist?.length || 0,
+  watched: data.watchHistory?.length || 0,
+  rated: data.watchHistory?.filter((entry) => entry.rating !== null).length || 0,
+  shows: Object.keys(data.episodeProgress || {}).length,
+  presets: data.filterPresets?.length || 0,
+});
+
+// Existing order first, then titles only in the import
+const mergeWatchlist = (current, imported) => dedupeByKey([...current, ...imported]);
+
+// Watched episodes from both sides
+const mergeEpisodeProgress = (current, imported) => {
+  const merged = { ...current };
+  Object.values(imported).forEach((show) => {
+    const existing = merged[show.id];
+    if (!existing) {
+      merged[show.id] = show;
+      return;
+    }
+
+    const seasons = { ...existing.seasons };
+    Object.entries(show.seasons).forEach(([seasonNumber, episodes]) => {
+      seasons[seasonNumber] = [...new Set([...(seasons[seasonNumber] || []), ...episodes])]
+        .sort((a, b) => a - b);
+    });
+    merged[show.id] = {
+      ...existing,
+      seasons,
+      updatedAt: Math.max(existing.updatedAt || 0, show.updatedAt),
+    };
+  });
+  return merged;
+};
+
+// Presets match by name (case-insensitive); the most recently updated wins
+const mergeFilterPresets = (current, imported) => {
+  const merged = [...current];
+  imported.forEach((preset) => {
+    const index = merged.findIndex(
+      (existing) => existing.name.toLowerCase() === preset.name.toLowerCase()
+    );
+    if (index === -1) {
+      const idTaken = merged.some((existing) => existing.id === preset.id);
+      merged.push(idTaken ? { ...preset, id: `preset_${Date.now()}_${merged.length}` } : preset);
+    } else if (preset.updatedAt > merged[index].updatedAt) {
+      merged[index] = { ...preset, id: merged[index].id };
+    }
+  });
+  return merged;
+};
+
+// Current region, services from both sides
+const mergePreferences = (current, imported) => {
+  if (!current) return imported;
+  if (!imported) return current;
+  return sanitizeUserPreferences({
+    region: current.region,
+    platforms: [...current.platforms, ...imported.platforms],
+  });
+};
+
+/**
+ * Import validated export data into the active profile
+ * MERGE keeps the current account and region and combines everything else;
+ * REPLACE overwrites every section (the account only when the file has a
+ * valid one and the services only when it has at least one, so onboarding
+ * stays complete)
+ * @param {Object} data - Data from validateExport / parseExport
+ * @param {string} mode - IMPORT_MODES.MERGE or IMPORT_MODES.REPLACE
+ * @returns {Promise<Object>} Summary of the imported data (see getExportSummary)
+ */
+export const importData = async (data, mode = IMPORT_MODES.MERGE) => {
+  try {
+    if (!Object.values(IMPORT_MODES).includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    let next = data;
+    if (mode === IMPORT_MODES.MERGE) {
+      const [profile, preferences, watchlist, watchHistory, episodeProgress, filterPresets] =
+        await Promise.all([
+          getUserProfile(),
+          getUserPreferences(),
+          getWatchlist(),
+          getWatchHistory(),
+          getEpisodeProgress(),
+          getFilterPresets(),
+        ]);
+
+      next = {
+        profile: profile || data.profile,
+        preferences: mergePreferences(sanitizeUserPreferences(preferences), data.preferences),
+        watchlist: mergeWatchlist(watchlist, data.watchlist),
+        watchHistory: mergeWatchHistory(watchHistory, data.watchHistory),
+        episodeProgress: mergeEpisodeProgress(episodeProgress, data.episodeProgress),
+        filterPresets: mergeFilterPresets(filterPresets, data.filterPresets),
+      };
+    }
+
+    const sections = [
+      [STORAGE_KEYS.USER_PROFILE, next.profile],
+      [STORAGE_KEYS.USER_PREFERENCES, hasPlatforms(next.preferences) ? next.preferences : null],
+      [STORAGE_KEYS.WATCHLIST, next.watchlist],
+      [STORAGE_KEYS.WATCH_HISTORY, next.watchHistory],
+      [STORAGE_KEYS.EPISODE_PROGRESS, next.episodeProgress],
+      [STORAGE_KEYS.FILTER_PRESETS, next.filterPresets],
+    ].filter(([, value]) => value != null);
+
+    await AsyncStorage.multiSet(
+      await Promise.all(
+        sections.map(async ([key, value]) => [await getProfileKey(key), JSON.stringify(value)])
+      )
+    );
+
+    // Keep the profile picker's name in step with the imported account
+    const profileId = await getActiveProfileId();
+    if (profileId && next.profile) {
+      await updateProfile(profileId, { name: next.profile.name });
+    }
+
+    const summary = getExportSummary(next);
+    if (DEBUG) console.log('[Storage] Data imported:', mode, summary);
+    return summary;
+  } catch (error) {
+    console.error('[Storage] Error importing data:', error);
+    throw error;
+  }
+};
+
+// Default export with all functions
+export default {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  IMPORT_MODES,
+  buildExport,
+  validateExport,
+  parseExport,
+  getExportSummary,
+  importData,
+};
@@ -0,0 +1,201 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, getProfileKey } from './userPreferences';
+
+const DEBUG = __DEV__;
+
+/**
+ * Episode progress is user data, stored under an '@' key so clearCache()
+ * (which only removes tmdb_/omdb_ keys) never touches it.
+ *
+ * Shape:
+ * {
+ *   [tvId]: {
+ *     id: 1396,
+ *     name: 'Breaking Bad',
+ *     poster_path: '/path.jpg',
+ *     seasons: { 1: [1, 2, 3], 2: [1] },  // Watched episode numbers per season
+ *     updatedAt: 1706554800000,
+ *   }
+ * }
+ */
+
+/**
+ * Persist all episode progress
+ * @param {Object} progress - Progress map keyed by TV ID
+ * @returns {Promise<void>}
+ */
+const saveEpisodeProgress = async (progress) => {
+  await AsyncStorage.setItem(
+    await getProfileKey(STORAGE_KEYS.EPISODE_PROGRESS),
+    JSON.stringify(progress)
+  );
+};
+
+/**
+ * Get progress for every tracked show
+ * @returns {Promise<Object>} Progress map keyed by TV ID (empty object if none)
+ */
+export const getEpisodeProgress = async () => {
+  try {
+    const progress = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.EPISODE_PROGRESS));
+
+    if (!progress) {
+      if (DEBUG) console.log('[Storage] No episode progress found');
+      return {};
+    }
+
+    return JSON.parse(progress) || {};
+  } catch (error) {
+    console.error('[Storage] Error getting episode progress:', error);
+    return {};
+  }
+};
+
+/**
+ * Get progress for a single show
+ * @param {number} tvId - TMDb TV ID
+ * @returns {Promise<Object|null>} Show progress or null if not tracked
+ */
+export const getShowProgress = async (tvId) => {
+  const progress = await getEpisodeProgress();
+  return progress[tvId] || null;
+};
+
+/**
+ * Mark or unmark an episode as watched
+ * @param {Object} show - TV show (id, name, poster_path)
+ * @param {number} seasonNumber - Season number
+ * @param {number} episodeNumber - Episode number
+ * @param {boolean} watched - True to mark watched, false to unmark
+ * @returns {Promise<Object|null>} Updated show progress (null once nothing is watched)
+ */
+export const setEpisodeWatched = async (show, seasonNumber, episodeNumber, watched = true) => {
+  try {
+    if (!show || !show.id) {
+      throw new Error('Show must include id');
+    }
+
+    const progress = await getEpisodeProgress();
+    const existing = progress[show.id] || { seasons: {} };
+    const seasonEpisodes = new Set(existing.seasons[seasonNumber] || []);
+
+    if (watched) {
+      seasonEpisodes.add(episodeNumber);
+    } else {
+      seasonEpisodes.delete(episodeNumber);
+    }
+
+    const seasons = { ...existing.seasons };
+    if (seasonEpisodes.size > 0) {
+      seasons[seasonNumber] = Array.from(seasonEpisodes).sort((a, b) => a - b);
+    } else {
+      delete seasons[seasonNumber];
+    }
+
+    if (Object.keys(seasons).length === 0) {
+      delete progress[show.id];
+      await saveEpisodeProgress(progress);
+      if (DEBUG) console.log('[Storage] Episode progress cleared:', show.id);
+      return null;
+    }
+
+    const updated = {
+      id: show.id,
+      name: show.name || existing.name || '',
+      poster_path: show.poster_path || existing.poster_path || null,
+      seasons,
+      updatedAt: Date.now(),
+    };
+
+    progress[show.id] = updated;
+    await saveEpisodeProgress(progress);
+
+    if (DEBUG) {
+      console.log('[Storage] Episode progress saved:', show.id, `S${seasonNumber}E${episodeNumber}`, watched);
+    }
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error saving episode progress:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check if an episode is watched
+ * @param {Object|null} showProgress - Progress from getShowProgress()
+ * @param {number} seasonNumber - Season number
+ * @param {number} episodeNumber - Episode number
+ * @returns {boolean} True if watched
+ */
+export const isEpisodeWatched = (showProgress, seasonNumber, episodeNumber) => {
+  return !!showProgress?.seasons?.[seasonNumber]?.includes(episodeNumber);
+};
+
+/**
+ * Find the next episode to watch after the furthest watched episode
+ * Only suggests episodes that have already aired
+ * @param {Object} show - TV details from getTVDetails (needs seasons and last_episode_to_air)
+ * @param {Object|null} showProgress - Progress from getShowProgress()
+ * @returns {Object|null} { seasonNumber, episodeNumber } or null if caught up
+ */
+export const getNextEpisode = (show, showProgress) => {
+  if (!show?.seasons || !showProgress?.seasons) return null;
+
+  const seasons = show.seasons
+    .filter((season) => season.season_number > 0 && season.episode_count > 0)
+    .sort((a, b) => a.season_number - b.season_number);
+
+  // Furthest watched position
+  let lastSeason = 0;
+  let lastEpisode = 0;
+  Object.entries(showProgress.seasons).forEach(([season, episodes]) => {
+    const seasonNumber = Number(season);
+    const maxEpisode = Math.max(...episodes);
+    if (
+      seasonNumber > lastSeason ||
+      (seasonNumber === lastSeason && maxEpisode > lastEpisode)
+    ) {
+      lastSeason = seasonNumber;
+      lastEpisode = maxEpisode;
+    }
+  });
+
+  let next = null;
+  for (const season of seasons) {
+    if (season.season_number < lastSeason) continue;
+
+    if (season.season_number === lastSeason && lastEpisode < season.episode_count) {
+      next = { seasonNumber: season.season_number, episodeNumber: lastEpisode + 1 };
+      break;
+    }
+
+    if (season.season_number > lastSeason) {
+      next = { seasonNumber: season.season_number, episodeNumber: 1 };
+      break;
+    }
+  }
+
+  if (!next) return null;
+
+  // Don't suggest episodes that haven't aired yet
+  const lastAired = show.last_episode_to_air;
+  if (
+    lastAired &&
+    (next.seasonNumber > lastAired.season_number ||
+      (next.seasonNumber === lastAired.season_number &&
+        next.episodeNumber > lastAired.episode_number))
+  ) {
+    return null;
+  }
+
+  return next;
+};
+
+// Default export with all functions
+export default {
+  getEpisodeProgress,
+  getShowProgress,
+  setEpisodeWatched,
+  isEpisodeWatched,
+  getNextEpisode,
+};
@@ -0,0 +1,186 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, getProfileKey } from './userPreferences';
+
+const DEBUG = __DEV__;
+
+const MAX_PRESET_NAME_LENGTH = 40;
+
+/**
+ * Persist the preset list
+ * @param {Array<Object>} presets - Presets in display order
+ * @returns {Promise<void>}
+ */
+const saveFilterPresets = async (presets) => {
+  await AsyncStorage.setItem(
+    await getProfileKey(STORAGE_KEYS.FILTER_PRESETS),
+    JSON.stringify(presets)
+  );
+};
+
+const normalizeName = (name) => (name || '').trim().slice(0, MAX_PRESET_NAME_LENGTH);
+
+/**
+ * Get saved filter presets in the order they were created
+ * @returns {Promise<Array<Object>>} Presets ({ id, name, filters, createdAt, updatedAt }), empty array if none
+ */
+export const getFilterPresets = async () => {
+  try {
+    const presets = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.FILTER_PRESETS));
+
+    if (!presets) {
+      return [];
+    }
+
+    const parsed = JSON.parse(presets);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[Storage] Error getting filter presets:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the current filters as a named preset
+ * A preset with the same name (case-insensitive) is overwritten
+ * @param {string} name - Preset name, e.g. "Friday film night"
+ * @param {Object} filters - Filter model to store
+ * @returns {Promise<Object>} The saved preset
+ */
+export const saveFilterPreset = async (name, filters) => {
+  try {
+    const trimmed = normalizeName(name);
+    if (!trimmed) {
+      throw new Error('Preset name is required');
+    }
+
+    const presets = await getFilterPresets();
+    const now = Date.now();
+    const existing = presets.find(
+      (preset) => preset.name.toLowerCase() === trimmed.toLowerCase()
+    );
+
+    let saved;
+    let updated;
+    if (existing) {
+      saved = { ...existing, name: trimmed, filters, updatedAt: now };
+      updated = presets.map((preset) => (preset.id === existing.id ? saved : preset));
+    } else {
+      saved = {
+        id: `preset_${now}`,
+        name: trimmed,
+        filters,
+        createdAt: now,
+        updatedAt: now,
+      };
+      updated = [...presets, saved];
+    }
+
+    await saveFilterPresets(updated);
+    if (DEBUG) console.log('[Storage] Filter preset saved:', trimmed);
+    return saved;
+  } catch (error) {
+    console.error('[Storage] Error saving filter preset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a preset's name and/or filters
+ * @param {string} presetId - Preset ID
+ * @param {Object} changes - { name, filters }
+ * @returns {Promise<Object|null>} Updated preset, or null if it no longer exists
+ */
+export const updateFilterPreset = async (presetId, changes) => {
+  try {
+    const presets = await getFilterPresets();
+    const existing = presets.find((preset) => preset.id === presetId);
+    if (!existing) {
+      return null;
+    }
+
+    const name = changes.name !== undefined ? normalizeName(changes.name) : existing.name;
+    if (!name) {
+      throw new Error('Preset name is required');
+    }
+
+    const saved = {
+      ...existing,
+      name,
+      filters: changes.filters || existing.filters,
+      updatedAt: Date.now(),
+    };
+
+    await saveFilterPresets(presets.map((preset) => (preset.id === presetId ? saved : preset)));
+    if (DEBUG) console.log('[Storage] Filter preset updated:', name);
+    return saved;
+  } catch (error) {
+    console.error('[Storage] Error updating filter preset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a preset, deselecting it if it was active
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<Array<Object>>} Remaining presets
+ */
+export const deleteFilterPreset = async (presetId) => {
+  try {
+    const presets = await getFilterPresets();
+    const updated = presets.filter((preset) => preset.id !== presetId);
+    await saveFilterPresets(updated);
+
+    const active = await getActiveFilters();
+    if (active?.presetId === presetId) {
+      await saveActiveFilters({ ...active, presetId: null });
+    }
+
+    if (DEBUG) console.log('[Storage] Filter preset deleted:', presetId);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error deleting filter preset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the filters that were active when the app was last used
+ * @returns {Promise<Object|null>} { presetId, filters } or null if none saved
+ */
+export const getActiveFilters = async () => {
+  try {
+    const active = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.ACTIVE_FILTERS));
+    return active ? JSON.parse(active) : null;
+  } catch (error) {
+    console.error('[Storage] Error getting active filters:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember the active filters so they are restored on the next launch
+ * @param {Object} active
+ * @param {string|null} active.presetId - Selected preset, or null for ad-hoc filters
+ * @param {Object} active.filters - Filter model in use
+ * @returns {Promise<void>}
+ */
+export const saveActiveFilters = async ({ presetId = null, filters }) => {
+  try {
+    await AsyncStorage.setItem(
+      await getProfileKey(STORAGE_KEYS.ACTIVE_FILTERS),
+      JSON.stringify({ presetId, filters })
+    );
+  } catch (error) {
+    console.error('[Storage] Error saving active filters:', error);
+  }
+};
+
+// Default export with all functions
+export default {
+  getFilterPresets,
+  saveFilterPreset,
+  updateFilterPreset,
+  deleteFilterPreset,
+  getActiveFilters,
+  saveActiveFilters,
+};
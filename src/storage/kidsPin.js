@@ -0,0 +1,76 @@
+import * as SecureStore from 'expo-secure-store';
+
+const DEBUG = __DEV__;
+
+// Kept in the device keychain rather than AsyncStorage, so it isn't part of
+// the plain-text profile data. One PIN covers every kids profile on the device.
+const KIDS_PIN_KEY = 'kids_mode_pin';
+
+export const KIDS_PIN_LENGTH = 4;
+
+/**
+ * Check whether a kids mode PIN has been set
+ * @returns {Promise<boolean>} True if a PIN exists
+ */
+export const hasKidsPin = async () => {
+  try {
+    return !!(await SecureStore.getItemAsync(KIDS_PIN_KEY));
+  } catch (error) {
+    console.error('[Storage] Error checking kids PIN:', error);
+    return false;
+  }
+};
+
+/**
+ * Set (or replace) the PIN needed to leave kids mode
+ * @param {string} pin - Exactly KIDS_PIN_LENGTH digits
+ * @returns {Promise<void>}
+ */
+export const setKidsPin = async (pin) => {
+  try {
+    if (!new RegExp(`^\\d{${KIDS_PIN_LENGTH}}$`).test(pin || '')) {
+      throw new Error(`PIN must be ${KIDS_PIN_LENGTH} digits`);
+    }
+
+    await SecureStore.setItemAsync(KIDS_PIN_KEY, pin);
+    if (DEBUG) console.log('[Storage] Kids PIN saved');
+  } catch (error) {
+    console.error('[Storage] Error saving kids PIN:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a PIN entered to leave kids mode
+ * @param {string} pin - PIN as typed
+ * @returns {Promise<boolean>} True if it matches the saved PIN
+ */
+export const verifyKidsPin = async (pin) => {
+  try {
+    const saved = await SecureStore.getItemAsync(KIDS_PIN_KEY);
+    return !!saved && saved === pin;
+  } catch (error) {
+    console.error('[Storage] Error verifying kids PIN:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove the kids PIN (used when the app is reset)
+ * @returns {Promise<void>}
+ */
+export const clearKidsPin = async () => {
+  try {
+    await SecureStore.deleteItemAsync(KIDS_PIN_KEY);
+  } catch (error) {
+    console.error('[Storage] Error clearing kids PIN:', error);
+  }
+};
+
+// Default export with all functions
+export default {
+  hasKidsPin,
+  setKidsPin,
+  verifyKidsPin,
+  clearKidsPin,
+};
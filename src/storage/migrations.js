@@ -0,0 +1,154 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, getScopedKey, sanitizeUserPreferences } from './userPreferences';
+import { getProfiles, migrateToProfiles } from './profiles';
+import { normalizeServiceFilter } from '../utils/filterModel';
+
+const DEBUG = __DEV__;
+
+/**
+ * Rewrite one per-profile key for every profile
+ * Values that can't be parsed are passed to transform as undefined
+ * @param {string} key - Key from STORAGE_KEYS
+ * @param {Function} transform - (value) => new value, or null/undefined to remove the key
+ * @returns {Promise<number>} Number of profiles whose value changed
+ */
+const updateForEachProfile = async (key, transform) => {
+  const profiles = await getProfiles();
+  const stored = await AsyncStorage.multiGet(
+    profiles.map((profile) => getScopedKey(key, profile.id))
+  );
+
+  const changed = [];
+  const removed = [];
+  stored.forEach(([scopedKey, value]) => {
+    if (value == null) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      parsed = undefined;
+    }
+
+    const next = transform(parsed);
+    if (next == null) {
+      removed.push(scopedKey);
+    } else if (JSON.stringify(next) !== value) {
+      changed.push([scopedKey, JSON.stringify(next)]);
+    }
+  });
+
+  if (changed.length > 0) await AsyncStorage.multiSet(changed);
+  if (removed.length > 0) await AsyncStorage.multiRemove(removed);
+  return changed.length + removed.length;
+};
+
+// Storage migrations in the order they run. Each one runs once per device and
+// must be safe to repeat, since a crash can interrupt it before its version is saved.
+// Never edit or reorder a released migration; add a new one at the end.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move single-user data into the first household profile',
+    migrate: migrateToProfiles,
+  },
+  {
+    version: 2,
+    description: 'Store ITVX under TMDb provider ID 41 instead of 54',
+    migrate: async () => {
+      await updateForEachProfile(STORAGE_KEYS.USER_PREFERENCES, sanitizeUserPreferences);
+      await updateForEachProfile(STORAGE_KEYS.ACTIVE_FILTERS, (active) =>
+        active && { ...active, filters: normalizeServiceFilter(active.filters) }
+      );
+      await updateForEachProfile(STORAGE_KEYS.FILTER_PRESETS, (presets) =>
+        Array.isArray(presets)
+          ? presets.map((preset) => ({
+            ...preset,
+            filters: normalizeServiceFilter(preset.filters),
+          }))
+          : presets
+      );
+    },
+  },
+];
+
+// Schema version written by this build
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of the data on this device
+ * @returns {Promise<number>} Stored version, 0 before any migration has run
+ */
+export const getSchemaVersion = async () => {
+  try {
+    const version = parseInt(await AsyncStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION), 10);
+    return Number.isInteger(version) ? version : 0;
+  } catch (error) {
+    console.error('[Storage] Error getting schema version:', error);
+    return 0;
+  }
+};
+
+/**
+ * Check stored preferences for every profile and repair them in place
+ * Preferences that can't be repaired are removed, so onboarding asks again
+ * @returns {Promise<number>} Number of profiles whose preferences changed
+ */
+export const validateStoredData = async () => {
+  try {
+    const repaired = await updateForEachProfile(
+      STORAGE_KEYS.USER_PREFERENCES,
+      sanitizeUserPreferences
+    );
+
+    if (DEBUG && repaired > 0) console.log('[Storage] Repaired preferences:', repaired);
+    return repaired;
+  } catch (error) {
+    console.error('[Storage] Error validating stored data:', error);
+    return 0;
+  }
+};
+
+/**
+ * Bring stored data up to SCHEMA_VERSION, then validate it
+ * Runs on app start before anything else reads storage. Stops at the first
+ * failing migration so it is retried on the next launch.
+ * @returns {Promise<number>} Schema version of the data after migrating
+ */
+export const runMigrations = async () => {
+  let version = await getSchemaVersion();
+
+  // Data written by a newer build: leave it alone rather than guess
+  if (version > SCHEMA_VERSION) {
+    console.warn('[Storage] Stored schema is newer than this build:', version, SCHEMA_VERSION);
+    return version;
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+
+    try {
+      await migration.migrate();
+      await AsyncStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(migration.version));
+      version = migration.version;
+
+      if (DEBUG) {
+        console.log('[Storage] Migrated to schema', version, '-', migration.description);
+      }
+    } catch (error) {
+      console.error(`[Storage] Migration ${migration.version} failed:`, error);
+      break;
+    }
+  }
+
+  await validateStoredData();
+  return version;
+};
+
+// Default export with all functions
+export default {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  validateStoredData,
+  runMigrations,
+};
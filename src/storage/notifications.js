@@ -0,0 +1,141 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, getProfileKey } from './userPreferences';
+
+const DEBUG = __DEV__;
+
+// Oldest events are dropped beyond this size
+const MAX_INBOX_SIZE = 100;
+
+/**
+ * Get inbox events, newest first
+ * @returns {Promise<Array<Object>>} Events (empty array if none)
+ */
+export const getInbox = async () => {
+  try {
+    const inbox = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.NOTIFICATION_INBOX));
+
+    if (!inbox) {
+      return [];
+    }
+
+    const parsed = JSON.parse(inbox);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[Storage] Error getting notification inbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Add events to the inbox, skipping any already recorded
+ * @param {Array<Object>} events - Events from diffAllSnapshots()
+ * @returns {Promise<Array<Object>>} Events that were actually added
+ */
+export const addInboxEvents = async (events) => {
+  try {
+    if (!events || events.length === 0) return [];
+
+    const inbox = await getInbox();
+    const existingIds = new Set(inbox.map((event) => event.id));
+    const added = events.filter((event) => !existingIds.has(event.id));
+
+    if (added.length === 0) return [];
+
+    const updated = [...added, ...inbox]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, MAX_INBOX_SIZE);
+    await AsyncStorage.setItem(
+      await getProfileKey(STORAGE_KEYS.NOTIFICATION_INBOX),
+      JSON.stringify(updated)
+    );
+
+    if (DEBUG) console.log('[Storage] Inbox events added:', added.length);
+    return added;
+  } catch (error) {
+    console.error('[Storage] Error adding inbox events:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark inbox events as read
+ * @param {Array<string>|null} eventIds - Event IDs to mark, or null for all
+ * @returns {Promise<Array<Object>>} Updated inbox
+ */
+export const markInboxRead = async (eventIds = null) => {
+  try {
+    const inbox = await getInbox();
+    const updated = inbox.map((event) =>
+      eventIds === null || eventIds.includes(event.id)
+        ? { ...event, read: true }
+        : event
+    );
+
+    await AsyncStorage.setItem(
+      await getProfileKey(STORAGE_KEYS.NOTIFICATION_INBOX),
+      JSON.stringify(updated)
+    );
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error marking inbox read:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count unread inbox events
+ * @returns {Promise<number>} Unread count
+ */
+export const getUnreadCount = async () => {
+  const inbox = await getInbox();
+  return inbox.filter((event) => !event.read).length;
+};
+
+/**
+ * Get the snapshots from the last notification check
+ * @returns {Promise<Object>} { checkedAt, items } where items are keyed by `type-id`
+ */
+export const getNotificationSnapshots = async () => {
+  try {
+    const snapshots = await AsyncStorage.getItem(
+      await getProfileKey(STORAGE_KEYS.NOTIFICATION_SNAPSHOTS)
+    );
+
+    if (!snapshots) {
+      return { checkedAt: 0, items: {} };
+    }
+
+    return JSON.parse(snapshots);
+  } catch (error) {
+    console.error('[Storage] Error getting notification snapshots:', error);
+    return { checkedAt: 0, items: {} };
+  }
+};
+
+/**
+ * Save snapshots from the latest notification check
+ * @param {Object} items - Snapshots keyed by `type-id`
+ * @param {number} checkedAt - Timestamp of the check
+ * @returns {Promise<void>}
+ */
+export const saveNotificationSnapshots = async (items, checkedAt = Date.now()) => {
+  try {
+    await AsyncStorage.setItem(
+      await getProfileKey(STORAGE_KEYS.NOTIFICATION_SNAPSHOTS),
+      JSON.stringify({ checkedAt, items })
+    );
+  } catch (error) {
+    console.error('[Storage] Error saving notification snapshots:', error);
+    throw error;
+  }
+};
+
+// Default export with all functions
+export default {
+  getInbox,
+  addInboxEvents,
+  markInboxRead,
+  getUnreadCount,
+  getNotificationSnapshots,
+  saveNotificationSnapshots,
+};
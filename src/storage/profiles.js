@@ -0,0 +1,230 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  STORAGE_KEYS,
+  PROFILE_KEYS,
+  getActiveProfileId,
+  setActiveProfileId,
+  getScopedKey,
+  getCachedKidsFlag,
+  setCachedKidsFlag,
+  clearCachedKidsFlag,
+} from './userPreferences';
+
+const DEBUG = __DEV__;
+
+/**
+ * Persist the profile list
+ * @param {Array<Object>} profiles - Profiles in display order
+ * @returns {Promise<void>}
+ */
+const saveProfiles = async (profiles) => {
+  await AsyncStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify(profiles));
+};
+
+const buildProfile = (name, createdAt = Date.now()) => ({
+  id: `profile_${createdAt}_${Math.random().toString(36).substr(2, 5)}`,
+  name,
+  isKids: false,
+  createdAt,
+});
+
+/**
+ * Get every household profile on this device
+ * @returns {Promise<Array<Object>>} Profiles ({ id, name, isKids, createdAt }), empty array if none
+ */
+export const getProfiles = async () => {
+  try {
+    const profiles = await AsyncStorage.getItem(STORAGE_KEYS.PROFILES);
+
+    if (!profiles) {
+      return [];
+    }
+
+    const parsed = JSON.parse(profiles);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[Storage] Error getting profiles:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the profile currently in use
+ * @returns {Promise<Object|null>} Active profile, or null if none is chosen
+ */
+export const getActiveProfile = async () => {
+  const [profiles, profileId] = await Promise.all([getProfiles(), getActiveProfileId()]);
+  return profiles.find((profile) => profile.id === profileId) || null;
+};
+
+/**
+ * Check whether the active profile is a kids profile
+ * Kids profiles only see family-safe titles (see src/utils/kidsMode.js).
+ * Cached until the active profile is switched or a profile is updated.
+ * @returns {Promise<boolean>} True if kids mode is on
+ */
+export const isKidsProfileActive = async () => {
+  const cached = getCachedKidsFlag();
+  if (cached.isKids !== undefined) {
+    return cached.isKids;
+  }
+
+  const isKids = !!(await getActiveProfile())?.isKids;
+  setCachedKidsFlag(isKids, cached.version);
+  return isKids;
+};
+
+/**
+ * Add a profile and make it active
+ * The new profile starts empty and goes through onboarding
+ * @param {string} name - Display name
+ * @returns {Promise<Object>} The new profile
+ */
+export const createProfile = async (name) => {
+  try {
+    const profiles = await getProfiles();
+    const profile = buildProfile(name);
+
+    await saveProfiles([...profiles, profile]);
+    await setActiveProfileId(profile.id);
+
+    if (DEBUG) console.log('[Storage] Profile created:', profile.id);
+    return profile;
+  } catch (error) {
+    console.error('[Storage] Error creating profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a profile or turn kids mode on or off
+ * Turning kids mode off should only follow a PIN check (see src/storage/kidsPin.js)
+ * @param {string} profileId - Profile ID
+ * @param {Object} changes - { name, isKids }
+ * @returns {Promise<Object|null>} Updated profile, or null if it no longer exists
+ */
+export const updateProfile = async (profileId, changes) => {
+  try {
+    const profiles = await getProfiles();
+    const existing = profiles.find((profile) => profile.id === profileId);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...changes, id: existing.id };
+    await saveProfiles(profiles.map((profile) => (profile.id === profileId ? updated : profile)));
+    clearCachedKidsFlag();
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error updating profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Make sure onboarding has a profile to save into
+ * Renames the active profile, or creates one when none is active
+ * @param {string} name - Display name entered on WelcomeScreen
+ * @returns {Promise<Object>} The active profile
+ */
+export const ensureActiveProfile = async (name) => {
+  const active = await getActiveProfile();
+  if (active) {
+    return updateProfile(active.id, { name });
+  }
+  return createProfile(name);
+};
+
+/**
+ * Switch to another profile
+ * @param {string|null} profileId - Profile ID, or null to pick (or create) one next
+ * @returns {Promise<void>}
+ */
+export const switchProfile = async (profileId) => {
+  try {
+    // Also clears the cached kids flag
+    await setActiveProfileId(profileId);
+  } catch (error) {
+    console.error('[Storage] Error switching profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a profile and everything stored for it
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Array<Object>>} Remaining profiles
+ */
+export const deleteProfile = async (profileId) => {
+  try {
+    const profiles = await getProfiles();
+    const updated = profiles.filter((profile) => profile.id !== profileId);
+
+    await AsyncStorage.multiRemove(PROFILE_KEYS.map((key) => getScopedKey(key, profileId)));
+    await saveProfiles(updated);
+
+    if ((await getActiveProfileId()) === profileId) {
+      await setActiveProfileId(null);
+    }
+
+    if (DEBUG) console.log('[Storage] Profile deleted:', profileId);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error deleting profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move single-user data from before profiles existed into the first profile
+ * Schema migration 1 (see src/storage/migrations.js). Safe to repeat: once the
+ * profile list exists (possibly empty) this is a no-op
+ * @returns {Promise<void>}
+ */
+export const migrateToProfiles = async () => {
+  try {
+    if (await AsyncStorage.getItem(STORAGE_KEYS.PROFILES)) {
+      return;
+    }
+
+    const legacy = (await AsyncStorage.multiGet(PROFILE_KEYS)).filter(([, value]) => value != null);
+    if (legacy.length === 0) {
+      await saveProfiles([]);
+      return;
+    }
+
+    const legacyUser = JSON.parse(
+      legacy.find(([key]) => key === STORAGE_KEYS.USER_PROFILE)?.[1] || 'null'
+    );
+    const profile = buildProfile(legacyUser?.name || 'Me', legacyUser?.createdAt);
+
+    // The profile list is written with the moved data, so an interrupted run
+    // only leaves stale legacy keys behind
+    await AsyncStorage.multiSet([
+      ...legacy.map(([key, value]) => [getScopedKey(key, profile.id), value]),
+      [STORAGE_KEYS.PROFILES, JSON.stringify([profile])],
+    ]);
+    await setActiveProfileId(profile.id);
+    await AsyncStorage.multiRemove(legacy.map(([key]) => key));
+
+    if (DEBUG) {
+      console.log('[Storage] Migrated single-user data to profile:', profile.id, legacy.length);
+    }
+  } catch (error) {
+    console.error('[Storage] Error migrating to profiles:', error);
+    throw error;
+  }
+};
+
+// Default export with all functions
+export default {
+  getProfiles,
+  getActiveProfile,
+  isKidsProfileActive,
+  createProfile,
+  updateProfile,
+  ensureActiveProfile,
+  switchProfile,
+  deleteProfile,
+  migrateToProfiles,
+};
@@ -0,0 +1,108 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, getProfileKey } from './userPreferences';
+
+const DEBUG = __DEV__;
+
+// Oldest queries are dropped beyond this size
+const MAX_HISTORY_SIZE = 20;
+
+/**
+ * Persist the search history
+ * @param {Array<Object>} entries - History entries, most recent first
+ * @returns {Promise<void>}
+ */
+const saveSearchHistory = async (entries) => {
+  await AsyncStorage.setItem(
+    await getProfileKey(STORAGE_KEYS.SEARCH_HISTORY),
+    JSON.stringify(entries)
+  );
+};
+
+/**
+ * Get recent searches, most recent first
+ * @returns {Promise<Array<Object>>} Entries ({ query, searchedAt }), empty array if none
+ */
+export const getSearchHistory = async () => {
+  try {
+    const history = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.SEARCH_HISTORY));
+
+    if (!history) {
+      return [];
+    }
+
+    const parsed = JSON.parse(history);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[Storage] Error getting search history:', error);
+    return [];
+  }
+};
+
+/**
+ * Record a search, moving repeated queries to the top (case-insensitive)
+ * @param {string} query - Search text
+ * @returns {Promise<Array<Object>>} Updated history
+ */
+export const addSearchQuery = async (query) => {
+  try {
+    const trimmed = (query || '').trim();
+    if (!trimmed) {
+      return getSearchHistory();
+    }
+
+    const history = await getSearchHistory();
+    const normalized = trimmed.toLowerCase();
+    const updated = [
+      { query: trimmed, searchedAt: Date.now() },
+      ...history.filter((entry) => entry.query.toLowerCase() !== normalized),
+    ].slice(0, MAX_HISTORY_SIZE);
+
+    await saveSearchHistory(updated);
+    if (DEBUG) console.log('[Storage] Search recorded:', trimmed);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error recording search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a single query from the history
+ * @param {string} query - Search text
+ * @returns {Promise<Array<Object>>} Updated history
+ */
+export const removeSearchQuery = async (query) => {
+  try {
+    const history = await getSearchHistory();
+    const normalized = (query || '').trim().toLowerCase();
+    const updated = history.filter((entry) => entry.query.toLowerCase() !== normalized);
+
+    await saveSearchHistory(updated);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error removing search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Clear all recent searches
+ * @returns {Promise<void>}
+ */
+export const clearSearchHistory = async () => {
+  try {
+    await AsyncStorage.removeItem(await getProfileKey(STORAGE_KEYS.SEARCH_HISTORY));
+    if (DEBUG) console.log('[Storage] Search history cleared');
+  } catch (error) {
+    console.error('[Storage] Error clearing search history:', error);
+    throw error;
+  }
+};
+
+// Default export with all functions
+export default {
+  getSearchHistory,
+  addSearchQuery,
+  removeSearchQuery,
+  clearSearchHistory,
+};
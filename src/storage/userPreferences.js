@@ -1,11 +1,127 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_REGION, isSupportedRegion } from '../constants/regions';
+import { normalizeProviderId } from '../constants/platforms';
+import { clearKidsPin } from './kidsPin';
 
 const DEBUG = __DEV__;
 
 // Storage keys
+// Everything except SCHEMA_VERSION, PROFILES and ACTIVE_PROFILE belongs to one
+// household profile and is stored under `${key}:${profileId}` (see getProfileKey)
 const STORAGE_KEYS = {
+  SCHEMA_VERSION: '@schema_version',
+  PROFILES: '@profiles',
+  ACTIVE_PROFILE: '@active_profile',
   USER_PROFILE: '@user_profile',
   USER_PREFERENCES: '@user_preferences',
+  WATCHLIST: '@watchlist',
+  WATCH_HISTORY: '@watch_history',
+  EPISODE_PROGRESS: '@episode_progress',
+  NOTIFICATION_INBOX: '@notification_inbox',
+  NOTIFICATION_SNAPSHOTS: '@notification_snapshots',
+  SEARCH_HISTORY: '@search_history',
+  FILTER_PRESETS: '@filter_presets',
+  ACTIVE_FILTERS: '@active_filters',
+};
+
+// Keys shared by every profile on the device
+const DEVICE_KEYS = [
+  STORAGE_KEYS.SCHEMA_VERSION,
+  STORAGE_KEYS.PROFILES,
+  STORAGE_KEYS.ACTIVE_PROFILE,
+];
+
+// Keys stored once per profile
+const PROFILE_KEYS = Object.values(STORAGE_KEYS).filter((key) => !DEVICE_KEYS.includes(key));
+
+// Active profile ID, read from storage on first use (undefined = not loaded yet)
+let activeProfileId;
+
+/**
+ * Get the ID of the profile currently in use
+ * @returns {Promise<string|null>} Profile ID, or null before any profile is chosen
+ */
+export const getActiveProfileId = async () => {
+  if (activeProfileId === undefined) {
+    try {
+      activeProfileId = await AsyncStorage.getItem(STORAGE_KEYS.ACTIVE_PROFILE);
+    } catch (error) {
+      console.error('[Storage] Error getting active profile:', error);
+      return null;
+    }
+  }
+  return activeProfileId;
+};
+
+// Whether the active profile is a kids profile, cached next to activeProfileId
+// because the TMDb client checks it on every request (undefined = not loaded yet).
+// The version goes up on every clear, so a read that started before a profile
+// change can't cache a stale flag.
+let activeProfileIsKids;
+let kidsFlagVersion = 0;
+
+/**
+ * Get the cached kids flag of the active profile
+ * @returns {Object} { isKids, version } where isKids is undefined if not loaded
+ */
+export const getCachedKidsFlag = () => ({ isKids: activeProfileIsKids, version: kidsFlagVersion });
+
+/**
+ * Cache the kids flag of the active profile
+ * Ignored if the cache was cleared since the flag was read
+ * @param {boolean} isKids - Flag read from the profile list
+ * @param {number} version - Version from getCachedKidsFlag() before reading
+ */
+export const setCachedKidsFlag = (isKids, version) => {
+  if (version === kidsFlagVersion) {
+    activeProfileIsKids = isKids;
+  }
+};
+
+/**
+ * Forget the cached kids flag, after switching profile or editing one
+ */
+export const clearCachedKidsFlag = () => {
+  activeProfileIsKids = undefined;
+  kidsFlagVersion += 1;
+};
+
+/**
+ * Set the profile whose data the storage modules read and write
+ * @param {string|null} profileId - Profile ID, or null to leave no profile active
+ * @returns {Promise<void>}
+ */
+export const setActiveProfileId = async (profileId) => {
+  if (profileId) {
+    await AsyncStorage.setItem(STORAGE_KEYS.ACTIVE_PROFILE, profileId);
+  } else {
+    await AsyncStorage.removeItem(STORAGE_KEYS.ACTIVE_PROFILE);
+  }
+  activeProfileId = profileId || null;
+  clearCachedKidsFlag();
+
+  if (DEBUG) console.log('[Storage] Active profile:', activeProfileId);
+};
+
+/**
+ * Build a per-profile storage key
+ * @param {string} key - Key from STORAGE_KEYS
+ * @param {string} profileId - Profile ID
+ * @returns {string} Key namespaced to the profile, e.g. '@watchlist:profile_123'
+ */
+export const getScopedKey = (key, profileId) => `${key}:${profileId}`;
+
+/**
+ * Resolve a storage key for the active profile
+ * Device-wide keys are returned unchanged, as is every key before a profile exists
+ * @param {string} key - Key from STORAGE_KEYS
+ * @returns {Promise<string>} Storage key to read or write
+ */
+export const getProfileKey = async (key) => {
+  if (DEVICE_KEYS.includes(key)) return key;
+
+  const profileId = await getActiveProfileId();
+  return profileId ? getScopedKey(key, profileId) : key;
 };
 
 /**
@@ -31,7 +147,7 @@ export const saveUserProfile = async (profile) => {
     };
 
     await AsyncStorage.setItem(
-      STORAGE_KEYS.USER_PROFILE,
+      await getProfileKey(STORAGE_KEYS.USER_PROFILE),
       JSON.stringify(profileData)
     );
 
@@ -50,7 +166,7 @@ export const saveUserProfile = async (profile) => {
  */
 export const getUserProfile = async () => {
   try {
-    const profile = await AsyncStorage.getItem(STORAGE_KEYS.USER_PROFILE);
+    const profile = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.USER_PROFILE));
 
     if (!profile) {
       if (DEBUG) console.log('[Storage] No user profile found');
@@ -66,8 +182,44 @@ export const getUserProfile = async () => {
   }
 };
 
+/**
+ * Bring stored preferences into the current shape
+ * Keeps only { region, platforms }, with each platform as { id, name, selected },
+ * current provider IDs and no duplicates. Unsupported regions fall back to the default.
+ * @param {Object} preferences - Preferences as stored or about to be stored
+ * @returns {Object|null} Clean preferences, or null if they can't be repaired
+ */
+export const sanitizeUserPreferences = (preferences) => {
+  if (!preferences || typeof preferences !== 'object' || !Array.isArray(preferences.platforms)) {
+    return null;
+  }
+
+  const seen = new Set();
+  const platforms = [];
+  preferences.platforms.forEach((platform) => {
+    const rawId = Number(platform?.id);
+    if (!Number.isInteger(rawId) || rawId <= 0) return;
+
+    const id = normalizeProviderId(rawId);
+    if (seen.has(id)) return;
+    seen.add(id);
+
+    platforms.push({
+      id,
+      name: typeof platform.name === 'string' ? platform.name : '',
+      selected: platform.selected !== false,
+    });
+  });
+
+  return {
+    region: isSupportedRegion(preferences.region) ? preferences.region : DEFAULT_REGION,
+    platforms,
+  };
+};
+
 /**
  * Save user preferences
+ * Stored through sanitizeUserPreferences, so extra fields are dropped
  * @param {Object} preferences - User preferences
  * @param {string} preferences.region - Region code (e.g., 'GB')
  * @param {Array<Object>} preferences.platforms - Selected platforms
@@ -80,20 +232,25 @@ export const saveUserPreferences = async (preferences) => {
       throw new Error('Preferences must include region');
     }
 
+    if (!isSupportedRegion(preferences.region)) {
+      throw new Error(`Unsupported region: ${preferences.region}`);
+    }
+
     if (!preferences.platforms || !Array.isArray(preferences.platforms)) {
       throw new Error('Preferences must include platforms array');
     }
 
+    const sanitized = sanitizeUserPreferences(preferences);
     await AsyncStorage.setItem(
-      STORAGE_KEYS.USER_PREFERENCES,
-      JSON.stringify(preferences)
+      await getProfileKey(STORAGE_KEYS.USER_PREFERENCES),
+      JSON.stringify(sanitized)
     );
 
     if (DEBUG) {
       console.log(
         '[Storage] User preferences saved:',
-        preferences.region,
-        `${preferences.platforms.length} platforms`
+        sanitized.region,
+        `${sanitized.platforms.length} platforms`
       );
     }
   } catch (error) {
@@ -108,7 +265,9 @@ export const saveUserPreferences = async (preferences) => {
  */
 export const getUserPreferences = async () => {
   try {
-    const preferences = await AsyncStorage.getItem(STORAGE_KEYS.USER_PREFERENCES);
+    const preferences = await AsyncStorage.getItem(
+      await getProfileKey(STORAGE_KEYS.USER_PREFERENCES)
+    );
 
     if (!preferences) {
       if (DEBUG) console.log('[Storage] No user preferences found');
@@ -130,6 +289,26 @@ export const getUserPreferences = async () => {
   }
 };
 
+/**
+ * Get the user's region code
+ * Falls back to the default region when no preferences are saved
+ * @returns {Promise<string>} Region code (e.g., 'GB')
+ */
+export const getUserRegion = async () => {
+  try {
+    const preferences = await getUserPreferences();
+
+    if (!preferences || !isSupportedRegion(preferences.region)) {
+      return DEFAULT_REGION;
+    }
+
+    return preferences.region;
+  } catch (error) {
+    console.error('[Storage] Error getting user region:', error);
+    return DEFAULT_REGION;
+  }
+};
+
 /**
  * Get selected platform IDs
  * @returns {Promise<Array<number>>} Array of platform IDs
@@ -210,16 +389,23 @@ export const hasCompletedOnboarding = async () => {
 };
 
 /**
- * Clear all user data (profile and preferences)
+ * Clear all user data (every key in STORAGE_KEYS, for every profile) and the kids PIN
  * Use when user logs out or resets app
  * @returns {Promise<void>}
  */
 export const clearAllData = async () => {
   try {
-    await AsyncStorage.multiRemove([
-      STORAGE_KEYS.USER_PROFILE,
-      STORAGE_KEYS.USER_PREFERENCES,
-    ]);
+    // Every user data key lives in STORAGE_KEYS, scoped or not
+    const allKeys = await AsyncStorage.getAllKeys();
+    const userKeys = allKeys.filter((storedKey) =>
+      Object.values(STORAGE_KEYS).some(
+        (key) => storedKey === key || storedKey.startsWith(`${key}:`)
+      )
+    );
+    await AsyncStorage.multiRemove(userKeys);
+    await clearKidsPin();
+    activeProfileId = null;
+    clearCachedKidsFlag();
 
     if (DEBUG) {
       console.log('[Storage] All user data cleared');
@@ -231,16 +417,26 @@ export const clearAllData = async () => {
 };
 
 // Export storage keys for direct access if needed
-export { STORAGE_KEYS };
+export { STORAGE_KEYS, PROFILE_KEYS };
 
 // Default export with all functions
 export default {
   saveUserProfile,
   getUserProfile,
+  sanitizeUserPreferences,
   saveUserPreferences,
   getUserPreferences,
+  getUserRegion,
   getSelectedPlatforms,
   hasCompletedOnboarding,
   clearAllData,
+  getActiveProfileId,
+  setActiveProfileId,
+  getCachedKidsFlag,
+  setCachedKidsFlag,
+  clearCachedKidsFlag,
+  getScopedKey,
+  getProfileKey,
   STORAGE_KEYS,
+  PROFILE_KEYS,
 };
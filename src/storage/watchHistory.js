@@ -0,0 +1,199 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, getProfileKey } from './userPreferences';
+import { getWatchlistKey } from './watchlist';
+
+const DEBUG = __DEV__;
+
+/**
+ * Persist the full watch history
+ * @param {Array<Object>} entries - History entries, most recent first
+ * @returns {Promise<void>}
+ */
+const saveWatchHistory = async (entries) => {
+  await AsyncStorage.setItem(
+    await getProfileKey(STORAGE_KEYS.WATCH_HISTORY),
+    JSON.stringify(entries)
+  );
+};
+
+/**
+ * Get watch history, most recently watched first
+ * @returns {Promise<Array<Object>>} History entries (empty array if none)
+ */
+export const getWatchHistory = async () => {
+  try {
+    const history = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.WATCH_HISTORY));
+
+    if (!history) {
+      if (DEBUG) console.log('[Storage] No watch history found');
+      return [];
+    }
+
+    const parsed = JSON.parse(history);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[Storage] Error getting watch history:', error);
+    return [];
+  }
+};
+
+// Build the stored entry for a watched title
+const buildHistoryEntry = (item, watchedAt, rating) => {
+  if (!item || !item.id || !item.type) {
+    throw new Error('Watched item must include id and type');
+  }
+
+  if (rating !== null && (rating < 1 || rating > 10)) {
+    throw new Error('Rating must be between 1 and 10');
+  }
+
+  return {
+    key: getWatchlistKey(item.type, item.id),
+    id: item.id,
+    type: item.type,
+    title: item.title || item.name || '',
+    poster_path: item.poster_path || null,
+    genre_ids: item.genre_ids || item.genres?.map((genre) => genre.id) || [],
+    watchedAt,
+    rating,
+  };
+};
+
+/**
+ * Combine two sets of history entries
+ * For a title in both, the most recent watch wins and keeps a rating from either side
+ * @param {Array<Object>} current - Existing entries
+ * @param {Array<Object>} incoming - Entries to add
+ * @returns {Array<Object>} Merged entries, most recently watched first
+ */
+export const mergeWatchHistory = (current, incoming) => {
+  const byKey = new Map(current.map((entry) => [entry.key, entry]));
+  incoming.forEach((entry) => {
+    const existing = byKey.get(entry.key);
+    if (!existing) {
+      byKey.set(entry.key, entry);
+      return;
+    }
+    const [newer, older] = entry.watchedAt > existing.watchedAt
+      ? [entry, existing]
+      : [existing, entry];
+    byKey.set(entry.key, { ...newer, rating: newer.rating ?? older.rating });
+  });
+  return Array.from(byKey.values()).sort((a, b) => b.watchedAt - a.watchedAt);
+};
+
+/**
+ * Mark a title as watched (updates the entry if already watched)
+ * @param {Object} item - Content item
+ * @param {number} item.id - TMDb ID
+ * @param {string} item.type - 'movie' or 'tv'
+ * @param {Object} options
+ * @param {number} options.watchedAt - Timestamp the title was watched (defaults to now)
+ * @param {number|null} options.rating - Personal rating 1-10 (optional)
+ * @returns {Promise<Object>} Saved history entry
+ */
+export const markAsWatched = async (item, { watchedAt = Date.now(), rating = null } = {}) => {
+  try {
+    const entry = buildHistoryEntry(item, watchedAt, rating);
+    const history = await getWatchHistory();
+
+    const updated = [entry, ...history.filter((existing) => existing.key !== entry.key)]
+      .sort((a, b) => b.watchedAt - a.watchedAt);
+    await saveWatchHistory(updated);
+
+    if (DEBUG) {
+      console.log('[Storage] Marked as watched:', entry.key, rating ? `(${rating}/10)` : '');
+    }
+    return entry;
+  } catch (error) {
+    console.error('[Storage] Error marking as watched:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add many watched titles at once, e.g. from another service's export
+ * Unlike markAsWatched, an existing entry is only replaced by a more recent
+ * watch, and a rating is never lost (see mergeWatchHistory)
+ * @param {Array<Object>} watches - { item, watchedAt, rating } per title
+ * @returns {Promise<Array<Object>>} Updated history
+ */
+export const addWatchedEntries = async (watches) => {
+  try {
+    const entries = watches.map(({ item, watchedAt = Date.now(), rating = null }) =>
+      buildHistoryEntry(item, watchedAt, rating)
+    );
+    const updated = mergeWatchHistory(await getWatchHistory(), entries);
+    await saveWatchHistory(updated);
+
+    if (DEBUG) console.log('[Storage] Added watched titles:', entries.length);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error adding watched titles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a title from watch history
+ * @param {string} type - 'movie' or 'tv'
+ * @param {number} id - TMDb ID
+ * @returns {Promise<void>}
+ */
+export const unmarkAsWatched = async (type, id) => {
+  try {
+    const history = await getWatchHistory();
+    const key = getWatchlistKey(type, id);
+
+    await saveWatchHistory(history.filter((entry) => entry.key !== key));
+
+    if (DEBUG) console.log('[Storage] Unmarked as watched:', key);
+  } catch (error) {
+    console.error('[Storage] Error unmarking as watched:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the history entry for a title
+ * @param {string} type - 'movie' or 'tv'
+ * @param {number} id - TMDb ID
+ * @returns {Promise<Object|null>} History entry or null if not watched
+ */
+export const getWatchedEntry = async (type, id) => {
+  const history = await getWatchHistory();
+  const key = getWatchlistKey(type, id);
+  return history.find((entry) => entry.key === key) || null;
+};
+
+/**
+ * Get the `type-id` keys of all watched titles
+ * @returns {Promise<Set<string>>} Set of watched keys
+ */
+export const getWatchedKeys = async () => {
+  const history = await getWatchHistory();
+  return new Set(history.map((entry) => entry.key));
+};
+
+/**
+ * Remove watched titles from a content list
+ * @param {Array<Object>} contentArray - Items with `type` and `id`
+ * @param {Set<string>} watchedKeys - Keys from getWatchedKeys()
+ * @returns {Array<Object>} Items not yet watched
+ */
+export const excludeWatched = (contentArray, watchedKeys) => {
+  if (!watchedKeys || watchedKeys.size === 0) return contentArray;
+  return contentArray.filter((item) => !watchedKeys.has(getWatchlistKey(item.type, item.id)));
+};
+
+// Default export with all functions
+export default {
+  getWatchHistory,
+  mergeWatchHistory,
+  markAsWatched,
+  addWatchedEntries,
+  unmarkAsWatched,
+  getWatchedEntry,
+  getWatchedKeys,
+  excludeWatched,
+};
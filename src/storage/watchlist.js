@@ -0,0 +1,177 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, getProfileKey } from './userPreferences';
+
+const DEBUG = __DEV__;
+
+/**
+ * Build the watchlist key for a title
+ * Matches the `type-id` keys used to dedupe content rows
+ * @param {string} type - 'movie' or 'tv'
+ * @param {number} id - TMDb ID
+ * @returns {string} Watchlist key (e.g., 'movie-550')
+ */
+export const getWatchlistKey = (type, id) => {
+  return `${type}-${id}`;
+};
+
+/**
+ * Persist the full watchlist
+ * @param {Array<Object>} items - Ordered watchlist entries
+ * @returns {Promise<void>}
+ */
+const saveWatchlist = async (items) => {
+  await AsyncStorage.setItem(await getProfileKey(STORAGE_KEYS.WATCHLIST), JSON.stringify(items));
+};
+
+/**
+ * Get the watchlist in saved order
+ * @returns {Promise<Array<Object>>} Watchlist entries (empty array if none)
+ */
+export const getWatchlist = async () => {
+  try {
+    const watchlist = await AsyncStorage.getItem(await getProfileKey(STORAGE_KEYS.WATCHLIST));
+
+    if (!watchlist) {
+      if (DEBUG) console.log('[Storage] No watchlist found');
+      return [];
+    }
+
+    const parsed = JSON.parse(watchlist);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[Storage] Error getting watchlist:', error);
+    return [];
+  }
+};
+
+/**
+ * Add a title to the end of the watchlist
+ * @param {Object} item - Content item
+ * @param {number} item.id - TMDb ID
+ * @param {string} item.type - 'movie' or 'tv'
+ * @param {string} item.title - Movie title (or item.name for TV)
+ * @param {string} item.poster_path - TMDb poster path
+ * @returns {Promise<Array<Object>>} Updated watchlist
+ */
+export const addToWatchlist = async (item) => {
+  try {
+    if (!item || !item.id || !item.type) {
+      throw new Error('Watchlist item must include id and type');
+    }
+
+    const watchlist = await getWatchlist();
+    const key = getWatchlistKey(item.type, item.id);
+
+    if (watchlist.some((entry) => entry.key === key)) {
+      return watchlist;
+    }
+
+    const entry = {
+      key,
+      id: item.id,
+      type: item.type,
+      title: item.title || item.name || '',
+      poster_path: item.poster_path || null,
+      addedAt: Date.now(),
+    };
+
+    const updated = [...watchlist, entry];
+    await saveWatchlist(updated);
+
+    if (DEBUG) console.log('[Storage] Added to watchlist:', key);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error adding to watchlist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a title from the watchlist
+ * @param {string} type - 'movie' or 'tv'
+ * @param {number} id - TMDb ID
+ * @returns {Promise<Array<Object>>} Updated watchlist
+ */
+export const removeFromWatchlist = async (type, id) => {
+  try {
+    const watchlist = await getWatchlist();
+    const key = getWatchlistKey(type, id);
+    const updated = watchlist.filter((entry) => entry.key !== key);
+
+    await saveWatchlist(updated);
+
+    if (DEBUG) console.log('[Storage] Removed from watchlist:', key);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error removing from watchlist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check if a title is on the watchlist
+ * @param {string} type - 'movie' or 'tv'
+ * @param {number} id - TMDb ID
+ * @returns {Promise<boolean>} True if saved
+ */
+export const isInWatchlist = async (type, id) => {
+  const watchlist = await getWatchlist();
+  const key = getWatchlistKey(type, id);
+  return watchlist.some((entry) => entry.key === key);
+};
+
+/**
+ * Add a title if missing, otherwise remove it
+ * @param {Object} item - Content item (see addToWatchlist)
+ * @returns {Promise<boolean>} True if the title is now on the watchlist
+ */
+export const toggleWatchlist = async (item) => {
+  if (await isInWatchlist(item.type, item.id)) {
+    await removeFromWatchlist(item.type, item.id);
+    return false;
+  }
+
+  await addToWatchlist(item);
+  return true;
+};
+
+/**
+ * Move a watchlist entry to a new position
+ * @param {string} key - Watchlist key (e.g., 'tv-1399')
+ * @param {number} toIndex - Target position (clamped to list bounds)
+ * @returns {Promise<Array<Object>>} Updated watchlist
+ */
+export const reorderWatchlist = async (key, toIndex) => {
+  try {
+    const watchlist = await getWatchlist();
+    const fromIndex = watchlist.findIndex((entry) => entry.key === key);
+
+    if (fromIndex === -1) {
+      return watchlist;
+    }
+
+    const targetIndex = Math.max(0, Math.min(toIndex, watchlist.length - 1));
+    const updated = [...watchlist];
+    const [moved] = updated.splice(fromIndex, 1);
+    updated.splice(targetIndex, 0, moved);
+
+    await saveWatchlist(updated);
+
+    if (DEBUG) console.log('[Storage] Watchlist reordered:', key, `${fromIndex} -> ${targetIndex}`);
+    return updated;
+  } catch (error) {
+    console.error('[Storage] Error reordering watchlist:', error);
+    throw error;
+  }
+};
+
+// Default export with all functions
+export default {
+  getWatchlistKey,
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  isInWatchlist,
+  toggleWatchlist,
+  reorderWatchlist,
+};
@@ -0,0 +1,92 @@
+import { parseCsvRows, parseCsv, toCsv } from '../csvParser';
+
+describe('parseCsvRows', () => {
+  it('splits plain fields and rows', () => {
+    expect(parseCsvRows('a,b,c\n1,2,3')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '2', '3'],
+    ]);
+  });
+
+  it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    expect(parseCsvRows('"Crouching Tiger, Hidden Dragon","The ""Mighty"" Ducks","sad,\nbeautiful"\n')).toEqual([
+      ['Crouching Tiger, Hidden Dragon', 'The "Mighty" Ducks', 'sad,\nbeautiful'],
+    ]);
+  });
+
+  it('accepts Windows line endings', () => {
+    expect(parseCsvRows('a,b\r\n1,2\r\n')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('drops a byte order mark', () => {
+    expect(parseCsvRows('\uFEFFName,Year\nAftersun,2022')[0]).toEqual(['Name', 'Year']);
+  });
+
+  it('keeps empty fields, including a trailing one', () => {
+    expect(parseCsvRows('a,,c,\n')).toEqual([['a', '', 'c', '']]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('keys records by trimmed headers and keeps their line numbers', () => {
+    const { headers, records } = parseCsv(' Name ,Year\nPast Lives , 2023\n\n,\nAftersun,2022\n');
+
+    expect(headers).toEqual(['Name', 'Year']);
+    expect(records).toEqual([
+      { line: 2, values: { Name: 'Past Lives', Year: '2023' } },
+      { line: 5, values: { Name: 'Aftersun', Year: '2022' } },
+    ]);
+  });
+
+  it('numbers records by the file line they start on, past multiline fields', () => {
+    const { records } = parseCsv('Name,Tags\r\nAftersun,"sad,\r\nbeautiful"\r\nPast Lives,"a\nb\nc"\nTár,\n');
+
+    expect(records.map((record) => [record.line, record.values.Name])).toEqual([
+      [2, 'Aftersun'],
+      [4, 'Past Lives'],
+      [7, 'Tár'],
+    ]);
+    expect(records[0].values.Tags).toBe('sad,\r\nbeautiful');
+  });
+
+  it('fills missing columns with empty strings', () => {
+    expect(parseCsv('Name,Year,Rating\nAftersun').records[0].values).toEqual({
+      Name: 'Aftersun',
+      Year: '',
+      Rating: '',
+    });
+  });
+
+  it('handles empty input', () => {
+    expect(parseCsv('')).toEqual({ headers: [], records: [] });
+    expect(parseCsv(null)).toEqual({ headers: [], records: [] });
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [
+    { header: 'Title', value: (item) => item.title },
+    { header: 'Year', value: (item) => item.year },
+  ];
+
+  it('quotes fields that need it', () => {
+    const items = [
+      { title: 'Crouching Tiger, Hidden Dragon', year: 2000 },
+      { title: 'The "Mighty" Ducks', year: null },
+    ];
+
+    expect(toCsv(items, columns)).toBe('Title,Year\n"Crouching Tiger, Hidden Dragon",2000\n"The ""Mighty"" Ducks",\n');
+  });
+
+  it('reads back what it writes', () => {
+    const items = [{ title: 'sad,\nbeautiful "film"', year: 2022 }];
+
+    expect(parseCsv(toCsv(items, columns)).records[0].values).toEqual({
+      Title: 'sad,\nbeautiful "film"',
+      Year: '2022',
+    });
+  });
+});
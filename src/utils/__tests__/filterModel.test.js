@@ -0,0 +1,35 @@
+import { getPlatformsForCost } from '../filterModel';
+
+const provider = (id, name) => ({ provider_id: id, provider_name: name });
+
+// Netflix subscription, and Amazon Video (10) to rent and buy
+const BOTH = {
+  flatrate: [provider(8, 'Netflix'), provider(337, 'Disney Plus')],
+  rent: [provider(10, 'Amazon Video')],
+  buy: [provider(10, 'Amazon Video'), provider(3, 'Google Play Movies')],
+};
+const RENT_ONLY = { flatrate: [], rent: [provider(10, 'Amazon Video')], buy: [] };
+
+const USER_PLATFORMS = [8, 9];
+
+describe('getPlatformsForCost', () => {
+  it("keeps only subscriptions for 'free'", () => {
+    expect(getPlatformsForCost(BOTH, USER_PLATFORMS, 'free')).toEqual([{ id: 8, name: 'Netflix' }]);
+    expect(getPlatformsForCost(RENT_ONLY, USER_PLATFORMS, 'free')).toEqual([]);
+  });
+
+  it("keeps only rent and buy, as the subscription platform, for 'paid'", () => {
+    expect(getPlatformsForCost(BOTH, USER_PLATFORMS, 'paid')).toEqual([{ id: 9, name: 'Amazon Video' }]);
+    expect(getPlatformsForCost(RENT_ONLY, USER_PLATFORMS, 'paid')).toEqual([{ id: 9, name: 'Amazon Video' }]);
+  });
+
+  it("prefers subscriptions and falls back to rent and buy for 'all'", () => {
+    expect(getPlatformsForCost(BOTH, USER_PLATFORMS)).toEqual([{ id: 8, name: 'Netflix' }]);
+    expect(getPlatformsForCost(RENT_ONLY, USER_PLATFORMS, 'all')).toEqual([{ id: 9, name: 'Amazon Video' }]);
+  });
+
+  it('ignores providers outside the given platforms', () => {
+    expect(getPlatformsForCost(BOTH, [350], 'all')).toEqual([]);
+    expect(getPlatformsForCost(undefined, USER_PLATFORMS, 'free')).toEqual([]);
+  });
+});
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  HISTORY_SOURCES,
+  parseHistoryCsv,
+  matchHistoryRow,
+  importHistoryRows,
+  buildUnmatchedCsv,
+} from '../historyImport';
+import { findByImdbId, searchMovies, searchTV } from '../../api/tmdb';
+import { addWatchedEntries } from '../../storage/watchHistory';
+
+jest.mock('../../api/tmdb', () => ({
+  findByImdbId: jest.fn(),
+  searchMovies: jest.fn(),
+  searchTV: jest.fn(),
+}));
+jest.mock('../../storage/watchHistory', () => ({
+  addWatchedEntries: jest.fn(async () => []),
+}));
+
+const readFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, '__fixtures__', 'imports', name), 'utf8');
+
+const midday = (date) => Date.parse(`${date}T12:00:00Z`);
+
+const found = (data) => ({ success: true, data });
+const searchResults = (...results) => found({ page: 1, results });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  findByImdbId.mockResolvedValue(found({ movie_results: [], tv_results: [] }));
+  searchMovies.mockResolvedValue(searchResults());
+  searchTV.mockResolvedValue(searchResults());
+});
+
+describe('parseHistoryCsv', () => {
+  it('reads a Letterboxd diary export, with its byte order mark', () => {
+    const { source, rows, skipped } = parseHistoryCsv(readFixture('letterboxd-diary.csv'));
+
+    expect(source).toBe(HISTORY_SOURCES.LETTERBOXD);
+    expect(rows).toEqual([
+      {
+        line: 2,
+        title: 'Past Lives',
+        year: 2023,
+        imdbId: null,
+        mediaType: 'movie',
+        watchedAt: midday('2024-01-06'),
+        rating: 9,
+      },
+      {
+        line: 3,
+        title: 'Crouching Tiger, Hidden Dragon',
+        year: 2000,
+        imdbId: null,
+        mediaType: 'movie',
+        watchedAt: midday('2024-02-10'),
+        rating: 7,
+      },
+      {
+        line: 4,
+        title: 'The "Mighty" Ducks',
+        year: 1992,
+        imdbId: null,
+        mediaType: 'movie',
+        watchedAt: midday('2024-03-02'),
+        rating: 1,
+      },
+      {
+        line: 7,
+        title: 'Aftersun',
+        year: 2022,
+        imdbId: null,
+        mediaType: 'movie',
+        watchedAt: midday('2024-03-15'),
+        rating: null,
+      },
+    ]);
+    expect(skipped).toEqual([
+      { row: expect.objectContaining({ line: 5, title: '' }), reason: 'Missing title' },
+    ]);
+  });
+
+  it('doubles Letterboxd half-star ratings onto the 1-10 scale', () => {
+    const csv = (rating) =>
+      `Date,Name,Year,Letterboxd URI,Rating\n2024-01-01,Aftersun,2022,https://boxd.it/sZ1C,${rating}\n`;
+
+    expect(parseHistoryCsv(csv('3.5')).rows[0].rating).toBe(7);
+    expect(parseHistoryCsv(csv('0.5')).rows[0].rating).toBe(1);
+    expect(parseHistoryCsv(csv('5')).rows[0].rating).toBe(10);
+    expect(parseHistoryCsv(csv('')).rows[0].rating).toBeNull();
+  });
+
+  it('reads an IMDb ratings export and skips unsupported title types', () => {
+    const { source, rows, skipped } = parseHistoryCsv(readFixture('imdb-ratings.csv'));
+
+    expect(source).toBe(HISTORY_SOURCES.IMDB);
+    expect(rows.map((row) => [row.imdbId, row.mediaType, row.rating])).toEqual([
+      ['tt0137523', 'movie', 9],
+      ['tt0903747', 'tv', 10],
+      ['tt1375666', 'movie', 8],
+      ['tt0944947', 'tv', null],
+    ]);
+    expect(rows[0].watchedAt).toBe(midday('2023-05-01'));
+    expect(skipped.map(({ row, reason }) => [row.line, reason])).toEqual([
+      [4, 'TV Episode not supported'],
+      [7, 'Video Game not supported'],
+    ]);
+  });
+
+  it('rejects other CSV files', () => {
+    expect(() => parseHistoryCsv('Title,Year\nAftersun,2022\n')).toThrow('not a Letterboxd or IMDb');
+    expect(() => parseHistoryCsv('')).toThrow('not a Letterboxd or IMDb');
+  });
+});
+
+describe('matchHistoryRow', () => {
+  const row = { line: 2, title: 'Past Lives', year: 2023, imdbId: null, mediaType: 'movie' };
+
+  it('matches an IMDb row by ID', async () => {
+    findByImdbId.mockResolvedValue(
+      found({ movie_results: [], tv_results: [{ id: 1396, name: 'Breaking Bad' }] })
+    );
+
+    await expect(
+      matchHistoryRow({ ...row, title: 'Breaking Bad', imdbId: 'tt0903747', mediaType: 'tv' })
+    ).resolves.toEqual({ item: { id: 1396, name: 'Breaking Bad', type: 'tv' } });
+    expect(searchTV).not.toHaveBeenCalled();
+  });
+
+  it('falls back to search when the ID is not found', async () => {
+    searchMovies.mockResolvedValue(searchResults({ id: 550, title: 'Fight Club', release_date: '1999-10-15' }));
+
+    await expect(
+      matchHistoryRow({ ...row, title: 'Fight Club', year: 1999, imdbId: 'tt0137523' })
+    ).resolves.toEqual({ item: expect.objectContaining({ id: 550, type: 'movie' }) });
+  });
+
+  it('searches within the year first', async () => {
+    searchMovies.mockResolvedValue(
+      searchResults({ id: 666277, title: 'Past Lives', release_date: '2023-06-02' })
+    );
+
+    await expect(matchHistoryRow(row)).resolves.toEqual({
+      item: expect.objectContaining({ id: 666277, type: 'movie' }),
+    });
+    expect(searchMovies).toHaveBeenCalledTimes(1);
+    expect(searchMovies).toHaveBeenCalledWith('Past Lives', 1, 2023);
+  });
+
+  it('searches across years for a release a year out', async () => {
+    searchMovies
+      .mockResolvedValueOnce(searchResults())
+      .mockResolvedValueOnce(searchResults({ id: 666277, title: 'Past Lives', release_date: '2022-01-21' }));
+
+    await expect(matchHistoryRow(row)).resolves.toEqual({
+      item: expect.objectContaining({ id: 666277 }),
+    });
+    expect(searchMovies).toHaveBeenLastCalledWith('Past Lives', 1, null);
+  });
+
+  it('does not match a release more than a year out', async () => {
+    searchMovies.mockResolvedValue(searchResults({ id: 1, title: 'Past Lives', release_date: '1998-01-01' }));
+
+    await expect(matchHistoryRow(row)).resolves.toEqual({ reason: 'No matching title on TMDb' });
+  });
+
+  it('reports a failed search', async () => {
+    searchMovies.mockResolvedValue({ success: false, error: 'Network Error' });
+
+    await expect(matchHistoryRow(row)).resolves.toEqual({ reason: 'TMDb search failed, try again later' });
+  });
+});
+
+describe('importHistoryRows', () => {
+  it('adds matched rows with their ratings and returns the rest', async () => {
+    const { rows } = parseHistoryCsv(readFixture('letterboxd-diary.csv'));
+    searchMovies.mockImplementation(async (query, page, year) =>
+      query === 'Aftersun'
+        ? searchResults()
+        : searchResults({ id: query.length, title: query, release_date: `${year}-01-01` })
+    );
+    const onProgress = jest.fn();
+
+    const { added, unmatched } = await importHistoryRows(rows, { onProgress });
+
+    expect(added).toBe(3);
+    expect(unmatched).toEqual([
+      { row: expect.objectContaining({ title: 'Aftersun' }), reason: 'No matching title on TMDb' },
+    ]);
+    expect(addWatchedEntries).toHaveBeenCalledTimes(1);
+    const watches = addWatchedEntries.mock.calls[0][0];
+    expect(watches.map(({ item, rating }) => [item.title, item.type, rating])).toEqual([
+      ['Past Lives', 'movie', 9],
+      ['Crouching Tiger, Hidden Dragon', 'movie', 7],
+      ['The "Mighty" Ducks', 'movie', 1],
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith(4, 4);
+  });
+
+  it('counts a title watched twice once', async () => {
+    const row = { line: 2, title: 'Aftersun', year: null, imdbId: null, mediaType: 'movie', rating: null };
+    searchMovies.mockResolvedValue(searchResults({ id: 965150, title: 'Aftersun', release_date: '2022-10-21' }));
+
+    const { added } = await importHistoryRows([
+      { ...row, watchedAt: midday('2024-03-15') },
+      { ...row, line: 3, watchedAt: midday('2024-06-01') },
+    ]);
+
+    expect(added).toBe(1);
+    expect(addWatchedEntries.mock.calls[0][0]).toHaveLength(2);
+  });
+
+  it('writes nothing when no row matches', async () => {
+    const { added } = await importHistoryRows([
+      { line: 2, title: 'Aftersun', year: 2022, imdbId: null, mediaType: 'movie' },
+    ]);
+
+    expect(added).toBe(0);
+    expect(addWatchedEntries).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildUnmatchedCsv', () => {
+  it('lists each row and why it was not imported', () => {
+    const { skipped } = parseHistoryCsv(readFixture('imdb-ratings.csv'));
+
+    expect(buildUnmatchedCsv(skipped)).toBe(
+      'Line,Title,Year,IMDb ID,Reason\n' +
+        '4,Ozymandias,2013,tt2301451,TV Episode not supported\n' +
+        '7,Chernobyl,2019,tt7366338,Video Game not supported\n'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import { createMergedFeed } from '../mergedFeed';
+import { MAX_ENRICHED, sortContent } from '../contentSort';
+
+jest.mock('../../api/tmdb', () => ({}));
+jest.mock('../contentSort', () => ({
+  ...jest.requireActual('../contentSort'),
+  sortContent: jest.fn(async (items) => [...items].reverse()),
+}));
+
+// A discover-like source: `pages` pages of 20 titles, popularity falling
+const createSource = (type, pages = 10) => ({
+  type,
+  fetchPage: jest.fn(async (page) => ({
+    success: true,
+    data: {
+      page,
+      total_pages: pages,
+      results: Array.from({ length: 20 }, (_, index) => ({
+        id: page * 100 + index,
+        popularity: 10000 - page * 100 - index - (type === 'tv' ? 0.5 : 0),
+      })),
+    },
+  })),
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sortContent.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createMergedFeed', () => {
+  it('merges sources in sort order across pages', async () => {
+    const feed = createMergedFeed({ sources: [createSource('movie'), createSource('tv')], pageSize: 30 });
+
+    const first = await feed.loadNext();
+    const second = await feed.loadNext();
+    const all = [...first, ...second];
+
+    expect(all).toHaveLength(60);
+    expect(all.map((item) => item.popularity)).toEqual(
+      [...all].map((item) => item.popularity).sort((a, b) => b - a)
+    );
+    expect(feed.hasMore).toBe(true);
+    expect(sortContent).not.toHaveBeenCalled();
+  });
+
+  it('loads one sorted page of the most popular titles for a client-side sort', async () => {
+    const feed = createMergedFeed({
+      sources: [createSource('movie'), createSource('tv')],
+      sortKey: 'runtime',
+      pageSize: 20,
+    });
+
+    const page = await feed.loadNext();
+
+    expect(page).toHaveLength(MAX_ENRICHED);
+    expect(sortContent).toHaveBeenCalledTimes(1);
+    expect(sortContent.mock.calls[0][1]).toBe('runtime');
+
+    // The most popular titles all come from the first page of each source
+    const sorted = sortContent.mock.calls[0][0].map((item) => item.popularity);
+    expect(Math.min(...sorted)).toBeGreaterThan(9800);
+
+    expect(feed.hasMore).toBe(false);
+  });
+
+  it('skips excluded and already returned titles', async () => {
+    const feed = createMergedFeed({
+      sources: [createSource('movie', 1)],
+      excludeKeys: new Set(['movie-100']),
+      pageSize: 50,
+    });
+
+    const page = await feed.loadNext();
+
+    expect(page).toHaveLength(19);
+    expect(page.some((item) => item.id === 100)).toBe(false);
+    expect(feed.hasMore).toBe(false);
+  });
+});
@@ -0,0 +1,265 @@
+import slowHorsesBefore from './__fixtures__/tmdb/tv-95480-details-before.json';
+import slowHorsesAfter from './__fixtures__/tmdb/tv-95480-details-after.json';
+import slowHorsesProviders from './__fixtures__/tmdb/tv-95480-watch-providers.json';
+import holdoversProvidersBefore from './__fixtures__/tmdb/movie-840430-watch-providers-before.json';
+import holdoversProvidersAfter from './__fixtures__/tmdb/movie-840430-watch-providers-after.json';
+import {
+  NOTIFICATION_TYPES,
+  buildSnapshot,
+  diffSnapshots,
+  diffAllSnapshots,
+} from '../notificationDiff';
+
+// The region's entry of a /watch/providers response, shaped like getContentWatchProviders data
+const providersFor = (response, region) => {
+  const regionData = response.results[region] || {};
+  return {
+    flatrate: regionData.flatrate || [],
+    rent: regionData.rent || [],
+    buy: regionData.buy || [],
+  };
+};
+
+const SLOW_HORSES = { key: 'tv-95480', id: 95480, type: 'tv', title: 'Slow Horses', poster_path: null };
+const HOLDOVERS = {
+  key: 'movie-840430',
+  id: 840430,
+  type: 'movie',
+  title: 'The Holdovers',
+  poster_path: '/VHSzNBTwxV8vh7wylo7O9CLdac.jpg',
+};
+
+const NOW = 1760000000000;
+
+describe('buildSnapshot', () => {
+  it('keeps subscription providers and the latest episodes of a show', () => {
+    expect(
+      buildSnapshot(SLOW_HORSES, providersFor(slowHorsesProviders, 'GB'), slowHorsesBefore, 'GB')
+    ).toEqual({
+      key: 'tv-95480',
+      id: 95480,
+      type: 'tv',
+      title: 'Slow Horses',
+      poster_path: '/dnpatlJrEPiDSn5fzgzvxtiSnMo.jpg',
+      region: 'GB',
+      providerIds: [350],
+      providerNames: { 350: 'Apple TV+' },
+      lastEpisode: { season_number: 4, episode_number: 6, name: 'Hello Goodbye', air_date: '2024-10-09' },
+      nextEpisode: { season_number: 5, episode_number: 1, name: 'Missed Calls', air_date: '2025-09-24' },
+    });
+  });
+
+  it('ignores rent and buy, and has no episodes for a film', () => {
+    const snapshot = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB');
+
+    expect(snapshot.providerIds).toEqual([39]);
+    expect(snapshot.lastEpisode).toBeNull();
+    expect(snapshot.nextEpisode).toBeNull();
+  });
+});
+
+describe('diffSnapshots', () => {
+  const options = { userPlatformIds: [8, 39, 337, 350], now: NOW };
+
+  it('treats the first snapshot of a title as a baseline', () => {
+    const current = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB');
+
+    expect(diffSnapshots(null, current, options)).toEqual([]);
+  });
+
+  it('reports an episode that aired since the last check', () => {
+    const providers = providersFor(slowHorsesProviders, 'GB');
+    const previous = buildSnapshot(SLOW_HORSES, providers, slowHorsesBefore, 'GB');
+    const current = buildSnapshot(SLOW_HORSES, providers, slowHorsesAfter, 'GB');
+
+    expect(diffSnapshots(previous, current, options)).toEqual([
+      {
+        id: 'new_episode-tv-95480-s5e1',
+        type: NOTIFICATION_TYPES.NEW_EPISODE,
+        key: 'tv-95480',
+        itemId: 95480,
+        mediaType: 'tv',
+        title: 'Slow Horses',
+        poster_path: '/dnpatlJrEPiDSn5fzgzvxtiSnMo.jpg',
+        seasonNumber: 5,
+        episodeNumber: 1,
+        message: 'New episode: S5 · E1 "Missed Calls"',
+        createdAt: NOW,
+        read: false,
+      },
+    ]);
+  });
+
+  it('reports nothing when the same episodes come back', () => {
+    const providers = providersFor(slowHorsesProviders, 'GB');
+    const snapshot = buildSnapshot(SLOW_HORSES, providers, slowHorsesAfter, 'GB');
+
+    expect(diffSnapshots(snapshot, snapshot, options)).toEqual([]);
+  });
+
+  it('reports an episode scheduled for a show with nothing scheduled', () => {
+    const providers = providersFor(slowHorsesProviders, 'GB');
+    const previous = buildSnapshot(
+      SLOW_HORSES,
+      providers,
+      { ...slowHorsesBefore, next_episode_to_air: null },
+      'GB'
+    );
+    const current = buildSnapshot(SLOW_HORSES, providers, slowHorsesBefore, 'GB');
+
+    expect(diffSnapshots(previous, current, options)).toEqual([
+      {
+        id: 'upcoming_episode-tv-95480-s5e1',
+        type: NOTIFICATION_TYPES.UPCOMING_EPISODE,
+        key: 'tv-95480',
+        itemId: 95480,
+        mediaType: 'tv',
+        title: 'Slow Horses',
+        poster_path: '/dnpatlJrEPiDSn5fzgzvxtiSnMo.jpg',
+        seasonNumber: 5,
+        episodeNumber: 1,
+        airDate: '2025-09-24',
+        message: expect.stringMatching(/^Coming up: S5 · E1 "Missed Calls" on 24 Sept? 2025$/),
+        createdAt: NOW,
+        read: false,
+      },
+    ]);
+  });
+
+  it('reports a new season announced before the current one ends', () => {
+    const providers = providersFor(slowHorsesProviders, 'GB');
+    const finale = { season_number: 4, episode_number: 6, name: 'Hello Goodbye', air_date: '2024-10-09' };
+    const previous = buildSnapshot(
+      SLOW_HORSES,
+      providers,
+      { ...slowHorsesBefore, next_episode_to_air: finale },
+      'GB'
+    );
+    const current = buildSnapshot(SLOW_HORSES, providers, slowHorsesBefore, 'GB');
+
+    expect(diffSnapshots(previous, current, options).map((event) => event.id)).toEqual([
+      'upcoming_episode-tv-95480-s5e1',
+    ]);
+  });
+
+  it('does not report the next episode of a season that is airing', () => {
+    const providers = providersFor(slowHorsesProviders, 'GB');
+    const previous = buildSnapshot(SLOW_HORSES, providers, slowHorsesBefore, 'GB');
+    const current = buildSnapshot(SLOW_HORSES, providers, slowHorsesAfter, 'GB');
+
+    expect(current.nextEpisode.episode_number).toBe(2);
+    expect(diffSnapshots(previous, current, options).map((event) => event.type)).toEqual([
+      NOTIFICATION_TYPES.NEW_EPISODE,
+    ]);
+  });
+
+  it('reports nothing when the scheduled episode is unchanged', () => {
+    const providers = providersFor(slowHorsesProviders, 'GB');
+    const snapshot = buildSnapshot(SLOW_HORSES, providers, slowHorsesBefore, 'GB');
+
+    expect(diffSnapshots(snapshot, snapshot, options)).toEqual([]);
+  });
+
+  it('reports a provider added on one of the user platforms', () => {
+    const previous = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersBefore, 'GB'), null, 'GB');
+    const current = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB');
+
+    expect(diffSnapshots(previous, current, options)).toEqual([
+      {
+        id: 'new_on_platform-movie-840430-39',
+        type: NOTIFICATION_TYPES.NEW_ON_PLATFORM,
+        key: 'movie-840430',
+        itemId: 840430,
+        mediaType: 'movie',
+        title: 'The Holdovers',
+        poster_path: '/VHSzNBTwxV8vh7wylo7O9CLdac.jpg',
+        providerId: 39,
+        message: 'Now streaming on Now TV',
+        createdAt: NOW,
+        read: false,
+      },
+    ]);
+  });
+
+  it('ignores a provider added outside the user platforms', () => {
+    const previous = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersBefore, 'GB'), null, 'GB');
+    const current = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB');
+
+    expect(diffSnapshots(previous, current, { userPlatformIds: [8], now: NOW })).toEqual([]);
+  });
+
+  it('reports nothing when a provider is removed', () => {
+    const previous = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersBefore, 'DE'), null, 'DE');
+    const current = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'DE'), null, 'DE');
+
+    expect(previous.providerIds).toEqual([8, 337]);
+    expect(current.providerIds).toEqual([337]);
+    expect(diffSnapshots(previous, current, options)).toEqual([]);
+  });
+
+  it('does not report the new region providers after a region change', () => {
+    const previous = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB');
+    const current = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersBefore, 'DE'), null, 'DE');
+
+    expect(diffSnapshots(previous, current, options)).toEqual([]);
+  });
+
+  it('still reports new episodes after a region change', () => {
+    const previous = buildSnapshot(SLOW_HORSES, providersFor(slowHorsesProviders, 'GB'), slowHorsesBefore, 'GB');
+    const current = buildSnapshot(SLOW_HORSES, providersFor(slowHorsesProviders, 'DE'), slowHorsesAfter, 'DE');
+
+    expect(diffSnapshots(previous, current, options).map((event) => event.type)).toEqual([
+      NOTIFICATION_TYPES.NEW_EPISODE,
+    ]);
+  });
+
+  it('compares providers with snapshots saved before regions were recorded', () => {
+    const { region, ...previous } = buildSnapshot(
+      HOLDOVERS,
+      providersFor(holdoversProvidersBefore, 'GB'),
+      null,
+      'GB'
+    );
+    const current = buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB');
+
+    expect(diffSnapshots(previous, current, options).map((event) => event.providerId)).toEqual([39]);
+  });
+});
+
+describe('diffAllSnapshots', () => {
+  const options = { userPlatformIds: [39, 350], now: NOW };
+
+  it('diffs every current title against its previous snapshot', () => {
+    const previous = {
+      'tv-95480': buildSnapshot(SLOW_HORSES, providersFor(slowHorsesProviders, 'GB'), slowHorsesBefore, 'GB'),
+      'movie-840430': buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersBefore, 'GB'), null, 'GB'),
+    };
+    const current = {
+      'tv-95480': buildSnapshot(SLOW_HORSES, providersFor(slowHorsesProviders, 'GB'), slowHorsesAfter, 'GB'),
+      'movie-840430': buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB'),
+    };
+
+    expect(diffAllSnapshots(previous, current, options).map((event) => event.id)).toEqual([
+      'new_episode-tv-95480-s5e1',
+      'new_on_platform-movie-840430-39',
+    ]);
+  });
+
+  it('reports nothing on the first run, with no previous snapshots', () => {
+    const current = {
+      'tv-95480': buildSnapshot(SLOW_HORSES, providersFor(slowHorsesProviders, 'GB'), slowHorsesAfter, 'GB'),
+      'movie-840430': buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersAfter, 'GB'), null, 'GB'),
+    };
+
+    expect(diffAllSnapshots({}, current, options)).toEqual([]);
+    expect(diffAllSnapshots(undefined, current, options)).toEqual([]);
+  });
+
+  it('only reports titles that are still tracked', () => {
+    const previous = {
+      'movie-840430': buildSnapshot(HOLDOVERS, providersFor(holdoversProvidersBefore, 'GB'), null, 'GB'),
+    };
+
+    expect(diffAllSnapshots(previous, {}, options)).toEqual([]);
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  RECOMMENDATION_SOURCES,
+  getEntryWeight,
+  buildGenreProfile,
+  pickSeeds,
+  scoreCandidates,
+} from '../recommendationScoring';
+
+const DRAMA = 18;
+const COMEDY = 35;
+const HORROR = 27;
+
+const entry = (id, rating, genreIds = []) => ({
+  key: `movie-${id}`,
+  id,
+  type: 'movie',
+  genre_ids: genreIds,
+  rating,
+});
+
+const list = (seed, source, ...results) => ({ seed, source, results });
+
+describe('getEntryWeight', () => {
+  it('counts unrated titles as a mild like and low ratings against', () => {
+    expect(getEntryWeight(entry(1, null))).toBe(1);
+    expect(getEntryWeight(entry(1, undefined))).toBe(1);
+    expect(getEntryWeight(entry(1, 10))).toBe(2);
+    expect(getEntryWeight(entry(1, 5))).toBe(0);
+    expect(getEntryWeight(entry(1, 0))).toBe(-2);
+  });
+});
+
+describe('buildGenreProfile', () => {
+  it('weights genres by rating, scaled to the strongest', () => {
+    expect(
+      buildGenreProfile([entry(1, 10, [DRAMA]), entry(2, null, [DRAMA, COMEDY]), entry(3, 0, [HORROR])])
+    ).toEqual({ [DRAMA]: 1, [COMEDY]: 1 / 3, [HORROR]: -2 / 3 });
+  });
+
+  it('adds the genres picked or left out in the saved filters', () => {
+    const history = [entry(1, null, [DRAMA])];
+
+    expect(buildGenreProfile(history, { preferredGenreIds: [COMEDY], excludedGenreIds: [DRAMA] })).toEqual({
+      [DRAMA]: -1 / 2,
+      [COMEDY]: 1,
+    });
+    expect(buildGenreProfile([], { preferredGenreIds: [HORROR] })).toEqual({ [HORROR]: 1 });
+  });
+
+  it('is empty without any signal', () => {
+    expect(buildGenreProfile()).toEqual({});
+    expect(buildGenreProfile([entry(1, 5, [DRAMA])])).toEqual({});
+  });
+});
+
+describe('pickSeeds', () => {
+  it('keeps the most recent liked titles', () => {
+    const history = [entry(1, 3), entry(2, null), entry(3, 5), entry(4, 8), entry(5, 9)];
+
+    expect(pickSeeds(history).map((seed) => seed.id)).toEqual([2, 4, 5]);
+    expect(pickSeeds(history, 2).map((seed) => seed.id)).toEqual([2, 4]);
+    expect(pickSeeds()).toEqual([]);
+  });
+});
+
+describe('scoreCandidates', () => {
+  const liked = entry(1, 10);
+  const watched = entry(2, null);
+
+  it('adds up suggestions from several seeds, weighted by rating, list and rank', () => {
+    const candidates = scoreCandidates([
+      list(liked, RECOMMENDATION_SOURCES.RECOMMENDATIONS, { id: 10 }, { id: 11 }),
+      list(watched, RECOMMENDATION_SOURCES.SIMILAR, { id: 11 }),
+    ]);
+
+    expect(candidates.map(({ id, type, score, seedKeys }) => [id, type, score, seedKeys])).toEqual([
+      // 2 x 1 x 3/4 from the first list, then 1 x 0.6 x 1 from the second
+      [11, 'movie', 1.5 + 0.6, ['movie-1', 'movie-2']],
+      [10, 'movie', 2, ['movie-1']],
+    ]);
+  });
+
+  it('leaves out excluded titles and keeps the media type of each result', () => {
+    const candidates = scoreCandidates(
+      [list(liked, RECOMMENDATION_SOURCES.RECOMMENDATIONS, { id: 2 }, { id: 1399, media_type: 'tv' })],
+      { excludeKeys: new Set(['movie-2']) }
+    );
+
+    expect(candidates.map((item) => `${item.type}-${item.id}`)).toEqual(['tv-1399']);
+  });
+
+  it('ranks by genre affinity and rating when the related scores tie', () => {
+    const genreProfile = buildGenreProfile([], { preferredGenreIds: [COMEDY], excludedGenreIds: [HORROR] });
+    const results = [
+      { id: 20, genre_ids: [HORROR], vote_average: 9 },
+      { id: 21, genre_ids: [COMEDY], vote_average: 6 },
+      { id: 22, genre_ids: [], vote_average: 8 },
+    ];
+    const lists = results.map((item) => list(liked, RECOMMENDATION_SOURCES.SIMILAR, item));
+
+    expect(scoreCandidates(lists, { genreProfile }).map((item) => item.id)).toEqual([21, 22, 20]);
+    expect(scoreCandidates(lists).map((item) => item.id)).toEqual([20, 22, 21]);
+  });
+
+  it('ignores lists from an unknown source', () => {
+    expect(scoreCandidates([list(liked, 'trending', { id: 10 })])[0].score).toBe(0);
+    expect(scoreCandidates()).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+import {
+  MAX_YEAR_DIFFERENCE,
+  normalizeTitle,
+  titleSimilarity,
+  pickBestMatch,
+} from '../titleMatching';
+
+describe('normalizeTitle', () => {
+  it('drops accents, case, punctuation and a leading article', () => {
+    expect(normalizeTitle('Amélie!')).toBe('amelie');
+    expect(normalizeTitle('The Lord of the Rings: The Two Towers')).toBe('lord of the rings the two towers');
+    expect(normalizeTitle('Fast & Furious')).toBe('fast and furious');
+    expect(normalizeTitle(undefined)).toBe('');
+  });
+
+  it('keeps letters and digits of other scripts', () => {
+    expect(normalizeTitle('千と千尋の神隠し')).toBe('千と千尋の神隠し');
+    expect(normalizeTitle('Левиафан (2014)')).toBe('левиафан 2014');
+    expect(normalizeTitle('दंगल')).toBe('दंगल');
+    expect(normalizeTitle('Ｐａｒａｓｉｔｅ')).toBe('parasite');
+  });
+});
+
+describe('titleSimilarity', () => {
+  it('scores titles that only differ in form as the same', () => {
+    expect(titleSimilarity('The Mighty Ducks', 'Mighty Ducks')).toBe(1);
+    expect(titleSimilarity('Crouching Tiger, Hidden Dragon', 'Crouching Tiger Hidden Dragon')).toBe(1);
+  });
+
+  it('scores near and far titles', () => {
+    expect(titleSimilarity('Spider-Man: Into the Spiderverse', 'Spider-Man: Into the Spider-Verse')).toBeGreaterThan(0.9);
+    expect(titleSimilarity('Heat', 'Her')).toBeLessThan(0.85);
+    expect(titleSimilarity('', 'Her')).toBe(0);
+    expect(titleSimilarity('千と千尋の神隠し', '千と千尋の神隠し')).toBe(1);
+    expect(titleSimilarity('千と千尋の神隠し', 'もののけ姫')).toBeLessThan(0.85);
+  });
+});
+
+describe('pickBestMatch', () => {
+  const results = [
+    { id: 1, title: 'Dune', release_date: '1984-12-14' },
+    { id: 2, title: 'Dune', release_date: '2021-09-15' },
+    { id: 3, title: 'Dune: Part Two', release_date: '2024-02-27' },
+  ];
+
+  it('picks the result from the same year', () => {
+    expect(pickBestMatch(results, { title: 'Dune', year: 2021 }).id).toBe(2);
+    expect(pickBestMatch(results, { title: 'Dune', year: 1984 }).id).toBe(1);
+  });
+
+  it(`tolerates a release year up to ${MAX_YEAR_DIFFERENCE} out`, () => {
+    expect(pickBestMatch(results, { title: 'Dune', year: 2022 }).id).toBe(2);
+    expect(pickBestMatch(results, { title: 'Dune', year: 2023 })).toBeNull();
+  });
+
+  it('prefers the exact year to one a year out', () => {
+    const festival = [
+      { id: 10, title: 'Past Lives', release_date: '2022-01-21' },
+      { id: 11, title: 'Past Lives', release_date: '2023-06-02' },
+    ];
+
+    expect(pickBestMatch(festival, { title: 'Past Lives', year: 2023 }).id).toBe(11);
+  });
+
+  it('keeps the first result when there is no year to go on', () => {
+    expect(pickBestMatch(results, { title: 'Dune' }).id).toBe(1);
+  });
+
+  it('matches on the original title and TV fields', () => {
+    const shows = [{ id: 20, name: 'Money Heist', original_name: 'La casa de papel', first_air_date: '2017-05-02' }];
+
+    expect(pickBestMatch(shows, { title: 'La Casa de Papel', year: 2017 }).id).toBe(20);
+  });
+
+  it('rejects titles that are not close enough', () => {
+    expect(pickBestMatch(results, { title: 'Dunkirk', year: 2021 })).toBeNull();
+    expect(pickBestMatch(undefined, { title: 'Dune' })).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Content Sort
+ * Orders merged movie + TV lists by the selected sort. Discover sorts each
+ * media type separately, so after the two lists are concatenated they are
+ * re-sorted here with the same key, which interleaves them correctly.
+ * Runtime and combined IMDb/RT score aren't in discover results and are
+ * looked up (cached) for the leading titles before sorting.
+ */
+
+import { getMovieDetails, getTVDetails } from '../api/tmdb';
+import { getRatings } from '../api/omdb';
+
+const DEBUG = __DEV__;
+
+const BATCH_SIZE = 5;
+// Only this many titles are looked up for runtime/score sorts (one details
+// request each, plus one OMDb request for score); the rest keep their
+// discover order after them. Browse shows just this many.
+export const MAX_ENRICHED = 20;
+
+const getTitle = (item) => item.title || item.name || '';
+const getDate = (item) => item.release_date || item.first_air_date || '';
+
+const byPopularity = (a, b) => (b.popularity || 0) - (a.popularity || 0);
+
+// Missing values sort last, whatever the direction
+const compareMissingLast = (a, b, compare) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return compare(a, b);
+};
+
+const COMPARATORS = {
+  popularity: byPopularity,
+  rating: (a, b) =>
+    (b.vote_average || 0) - (a.vote_average || 0) || (b.vote_count || 0) - (a.vote_count || 0),
+  newest: (a, b) => getDate(b).localeCompare(getDate(a)),
+  title: (a, b) => getTitle(a).localeCompare(getTitle(b), 'en', { sensitivity: 'base' }),
+  runtime: (a, b) => compareMissingLast(a.runtime, b.runtime, (x, y) => x - y),
+  score: (a, b) => compareMissingLast(a.combinedScore, b.combinedScore, (x, y) => y - x),
+};
+
+/**
+ * Combine IMDb and Rotten Tomatoes into one 0-100 score
+ * Uses whichever of the two is available, averaging when both are
+ * @param {Object} ratings - OMDb ratings ({ imdbRating, rottenTomatoes })
+ * @returns {number|null} Combined score, or null without either rating
+ */
+export const getCombinedScore = (ratings) => {
+  const scores = [];
+  const imdb = parseFloat(ratings?.imdbRating);
+  if (!Number.isNaN(imdb)) scores.push(imdb * 10);
+  if (ratings?.rottenTomatoes != null) scores.push(ratings.rottenTomatoes);
+
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+};
+
+/**
+ * Compare two items under a sort key, falling back to popularity on ties
+ * @param {string} sortKey - Key from SORT_OPTIONS
+ * @returns {Function} Array.sort comparator
+ */
+export const getSortComparator = (sortKey) => {
+  const compare = COMPARATORS[sortKey] || byPopularity;
+  return (a, b) => compare(a, b) || byPopularity(a, b);
+};
+
+/**
+ * Look up runtime (movie runtime or typical episode runtime) for an item
+ * @param {Object} item - Content item with `id` and `type`
+ * @returns {Promise<Object>} Item with `runtime` set (null if unknown)
+ */
+const withRuntime = async (item) => {
+  const response = item.type === 'tv'
+    ? await getTVDetails(item.id)
+    : await getMovieDetails(item.id);
+  const details = response.data || {};
+  const runtime = item.type === 'tv'
+    ? (details.episode_run_time || [])[0]
+    : details.runtime;
+
+  return { ...item, runtime: runtime || null };
+};
+
+/**
+ * Look up the combined IMDb/RT score for an item via its IMDb ID
+ * Cached ratings are used first; once OMDb's request limit is hit, titles
+ * without cached ratings get no score (see isOMDbQuotaExceeded)
+ * @param {Object} item - Content item with `id` and `type`
+ * @returns {Promise<Object>} Item with `combinedScore` set (null if unknown)
+ */
+const withCombinedScore = async (item) => {
+  const response = item.type === 'tv'
+    ? await getTVDetails(item.id)
+    : await getMovieDetails(item.id);
+  const imdbId = response.data?.external_ids?.imdb_id;
+  if (!imdbId) {
+    return { ...item, combinedScore: null };
+  }
+
+  const ratingsResponse = await getRatings(imdbId, item.type === 'tv' ? 'series' : 'movie');
+  return { ...item, combinedScore: getCombinedScore(ratingsResponse.data) };
+};
+
+const ENRICHERS = {
+  runtime: withRuntime,
+  score: withCombinedScore,
+};
+
+/**
+ * Sort merged movie + TV content by the selected sort key
+ * @param {Array<Object>} items - Content items with `id` and `type`
+ * @param {string} sortKey - Key from SORT_OPTIONS
+ * @returns {Promise<Array<Object>>} Sorted items (runtime/score sorts add `runtime`/`combinedScore`)
+ */
+export const sortContent = async (items, sortKey = 'popularity') => {
+  const enrich = ENRICHERS[sortKey];
+  if (!enrich) {
+    return [...items].sort(getSortComparator(sortKey));
+  }
+
+  const leading = items.slice(0, MAX_ENRICHED);
+  const enriched = [];
+
+  try {
+    for (let i = 0; i < leading.length; i += BATCH_SIZE) {
+      const batch = leading.slice(i, i + BATCH_SIZE);
+      enriched.push(...await Promise.all(batch.map(enrich)));
+    }
+  } catch (error) {
+    console.error(`[ContentSort] Error looking up ${sortKey}:`, error);
+    return items;
+  }
+
+  if (DEBUG) {
+    console.log('[ContentSort]', `Sorted ${enriched.length} titles by ${sortKey}`);
+  }
+
+  return [...enriched.sort(getSortComparator(sortKey)), ...items.slice(MAX_ENRICHED)];
+};
+
+export default {
+  MAX_ENRICHED,
+  getCombinedScore,
+  getSortComparator,
+  sortContent,
+};
@@ -0,0 +1,114 @@
+/**
+ * CSV Parser
+ * Small RFC 4180 reader and writer for the CSV exports other services give
+ * users (Letterboxd, IMDb): quoted fields, doubled quotes and line breaks
+ * inside quotes. Pure functions.
+ */
+
+// Split CSV text into { line, fields } rows. line is the 1-based physical
+// line the row starts on, which runs ahead of the row count once a quoted
+// field spans several lines
+const readCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Drop the byte order mark some exporters add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // A \r\n pair counts as one line break, at its \n
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  return rows;
+};
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows, including the header row
+ */
+export const parseCsvRows = (text) => readCsvRows(text).map((row) => row.fields);
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Blank lines are skipped; each record keeps the 1-based line of the file
+ * it starts on (counting the header as line 1) for error reports
+ * @param {string} text - CSV file contents
+ * @returns {Object} { headers, records } where each record is { line, values }
+ */
+export const parseCsv = (text) => {
+  const [headerRow = { fields: [] }, ...rows] = readCsvRows(text || '');
+  const headers = headerRow.fields.map((header) => header.trim());
+
+  const records = [];
+  rows.forEach(({ line, fields }) => {
+    if (fields.every((value) => value.trim() === '')) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      values[header] = (fields[column] || '').trim();
+    });
+    records.push({ line, values });
+  });
+
+  return { headers, records };
+};
+
+// Quote a field when it contains a delimiter, quote or line break
+const escapeCsvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from objects
+ * @param {Array<Object>} items - Rows to write
+ * @param {Array<Object>} columns - { header, value: (item) => field } in column order
+ * @returns {string} CSV text with a header row
+ */
+export const toCsv = (items, columns) => {
+  const lines = [
+    columns.map((column) => escapeCsvField(column.header)).join(','),
+    ...items.map((item) =>
+      columns.map((column) => escapeCsvField(column.value(item))).join(',')
+    ),
+  ];
+  return `${lines.join('\n')}\n`;
+};
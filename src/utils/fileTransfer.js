@@ -0,0 +1,54 @@
+/**
+ * File Transfer
+ * Moves files between the app and the rest of the device: writes a file to
+ * the cache and opens the share sheet, or lets the user pick a file and
+ * reads it as text. Used by the data export/import in ProfileScreen.
+ */
+
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+
+/**
+ * Write text to a file and open the share sheet for it
+ * @param {string} fileName - File name, e.g. 'streamfinder-2024-01-29.json'
+ * @param {string} contents - File contents
+ * @param {Object} options - { mimeType, UTI, dialogTitle } passed to the share sheet
+ * @returns {Promise<void>}
+ */
+export const shareTextFile = async (fileName, contents, options = {}) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const file = new File(Paths.cache, fileName);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(contents);
+
+  await Sharing.shareAsync(file.uri, options);
+};
+
+/**
+ * Let the user pick a file and read it
+ * @param {Array<string>} types - Accepted MIME types
+ * @returns {Promise<Object|null>} { name, text }, or null if the user cancelled
+ */
+export const pickTextFile = async (types = ['*/*']) => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: types,
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const [asset] = result.assets;
+  return {
+    name: asset.name,
+    text: await new File(asset.uri).text(),
+  };
+};
@@ -0,0 +1,400 @@
+/**
+ * Filter Model
+ * The filter state shared by Home, Browse and search, and the query builder
+ * that turns it into TMDb discover params. Pure functions, so screens and API
+ * modules can build the same query from the same filters.
+ */
+
+import {
+  normalizeProviderId,
+  mapRentBuyToSubscription,
+  rentBuyMatchesUserPlatform,
+} from '../constants/platforms';
+
+export const DOCUMENTARY_GENRE_ID = 99;
+
+export const MIN_FILTER_YEAR = 1900;
+
+// Runtime bands in minutes (TV uses episode runtime)
+export const RUNTIME_BANDS = [
+  { key: 'any', label: 'Any' },
+  { key: 'short', label: '< 90m', max: 89 },
+  { key: 'standard', label: '90-120m', min: 90, max: 120 },
+  { key: 'long', label: '> 2h', min: 121 },
+];
+
+// BBFC age ratings, least to most restrictive. TMDb only certifies films,
+// so the certification filter is not applied to TV.
+export const CERTIFICATION_COUNTRY = 'GB';
+export const BBFC_CERTIFICATIONS = ['U', 'PG', '12A', '12', '15', '18'];
+
+// Minimum TMDb votes for a title to rank under "Top rated"
+export const MIN_RATING_VOTES = 200;
+
+// Sort options with their discover `sort_by` per media type. Runtime and
+// combined score have no discover equivalent (`clientSide`), so they fetch
+// popular titles and are re-sorted client-side (see src/utils/contentSort.js).
+// Only one page of those can be sorted, so lists using them don't page.
+export const SORT_OPTIONS = [
+  { key: 'popularity', label: 'Popular', movie: 'popularity.desc', tv: 'popularity.desc' },
+  { key: 'rating', label: 'Top rated', movie: 'vote_average.desc', tv: 'vote_average.desc' },
+  { key: 'newest', label: 'Newest', movie: 'primary_release_date.desc', tv: 'first_air_date.desc' },
+  { key: 'title', label: 'A-Z', movie: 'title.asc', tv: 'name.asc' },
+  { key: 'runtime', label: 'Shortest', movie: 'popularity.desc', tv: 'popularity.desc', clientSide: true },
+  { key: 'score', label: 'IMDb & RT', movie: 'popularity.desc', tv: 'popularity.desc', clientSide: true },
+];
+
+// Default filter state
+export const DEFAULT_FILTERS = {
+  selectedServices: [],    // Platform IDs (empty = all user platforms)
+  contentType: 'all',      // 'all' | 'movies' | 'tv' | 'documentaries'
+  costFilter: 'all',       // 'all' | 'free' (flatrate) | 'paid' (rent/buy)
+  selectedGenres: [],      // Genre IDs
+  excludedGenres: [],      // Genre IDs to leave out
+  minRating: 0,            // 0-10 (0 = no filter)
+  minYear: null,           // Earliest release year (null = no limit)
+  maxYear: null,           // Latest release year (null = no limit)
+  runtime: 'any',          // Key from RUNTIME_BANDS
+  originalLanguage: null,  // ISO 639-1 code (null = any)
+  certification: null,     // BBFC certification from BBFC_CERTIFICATIONS (null = any)
+  showWatched: false,      // Include titles already marked as watched
+  sortBy: 'popularity',    // Key from SORT_OPTIONS
+};
+
+/**
+ * Fill in any filters missing from a partial or older filter object
+ * @param {Object} filters - Filter model (possibly partial)
+ * @returns {Object} Complete filter model
+ */
+export const resolveFilters = (filters = {}) => ({ ...DEFAULT_FILTERS, ...filters });
+
+/**
+ * Whether a sort is applied client-side rather than by discover
+ * @param {string} sortKey - Key from SORT_OPTIONS
+ * @returns {boolean}
+ */
+export const isClientSideSort = (sortKey) =>
+  SORT_OPTIONS.some((option) => option.key === sortKey && option.clientSide);
+
+/**
+ * Whether movies should be fetched (documentaries are movies with the documentary genre)
+ * @param {Object} filters - Filter model
+ * @returns {boolean}
+ */
+export const includesMovies = (filters) =>
+  filters.contentType === 'all' ||
+  filters.contentType === 'movies' ||
+  filters.contentType === 'documentaries';
+
+/**
+ * Whether TV shows should be fetched
+ * @param {Object} filters - Filter model
+ * @returns {boolean}
+ */
+export const includesTV = (filters) =>
+  filters.contentType === 'all' || filters.contentType === 'tv';
+
+/**
+ * Check an item's `type` against the content type filter
+ * @param {Object} item - Content item with `type`
+ * @param {Object} filters - Filter model
+ * @returns {boolean}
+ */
+export const matchesContentType = (item, filters) =>
+  item.type === 'movie' ? includesMovies(filters) : includesTV(filters);
+
+/**
+ * Get platforms to query (respects the service filter)
+ * @param {Object} filters - Filter model
+ * @param {Array<number>} platformIds - User's selected platform IDs
+ * @returns {Array<number>} Platform IDs
+ */
+export const getFilteredPlatforms = (filters, platformIds) =>
+  filters.selectedServices.length > 0 ? filters.selectedServices : platformIds;
+
+/**
+ * Pick the platforms a title can be watched on under the cost filter
+ * 'free' is subscription (flatrate) only and 'paid' is rent/buy only; 'all'
+ * prefers subscription and falls back to rent/buy. Rent/buy stores are
+ * reported as the matching subscription platform (Amazon Video as Prime Video).
+ * @param {Object} providers - getContentWatchProviders data ({ flatrate, rent, buy })
+ * @param {Array<number>} platformIds - Platform IDs to match
+ * @param {string} costFilter - 'all' | 'free' | 'paid'
+ * @returns {Array<Object>} { id, name } per platform, empty if the title doesn't match
+ */
+export const getPlatformsForCost = (providers, platformIds, costFilter = 'all') => {
+  const { flatrate = [], rent = [], buy = [] } = providers || {};
+  const subscription = flatrate
+    .filter((provider) => platformIds.includes(provider.provider_id))
+    .map((provider) => ({ id: provider.provider_id, name: provider.provider_name }));
+  const paid = [...rent, ...buy]
+    .filter((provider) => rentBuyMatchesUserPlatform(provider.provider_id, platformIds))
+    .map((provider) => ({
+      id: mapRentBuyToSubscription(provider.provider_id),
+      name: provider.provider_name,
+    }));
+
+  let platforms;
+  if (costFilter === 'free') {
+    platforms = subscription;
+  } else if (costFilter === 'paid') {
+    platforms = paid;
+  } else {
+    platforms = subscription.length > 0 ? subscription : paid;
+  }
+
+  // A provider can appear for both rent and buy
+  return platforms.filter(
+    (platform, position) => platforms.findIndex((p) => p.id === platform.id) === position
+  );
+};
+
+/**
+ * Rewrite provider IDs saved by older builds in a stored filter model
+ * @param {Object} filters - Filter model as stored (may be partial)
+ * @returns {Object} Filters with current, de-duplicated service IDs
+ */
+export const normalizeServiceFilter = (filters) => {
+  if (!Array.isArray(filters?.selectedServices)) return filters;
+
+  return {
+    ...filters,
+    selectedServices: [...new Set(filters.selectedServices.map(normalizeProviderId))],
+  };
+};
+
+/**
+ * Genres every result must have, including the documentary genre for 'documentaries'
+ * @param {Object} filters - Filter model
+ * @returns {Array<number>} Genre IDs
+ */
+export const getRequiredGenres = (filters) => {
+  const genres = [...filters.selectedGenres];
+  if (filters.contentType === 'documentaries' && !genres.includes(DOCUMENTARY_GENRE_ID)) {
+    genres.push(DOCUMENTARY_GENRE_ID);
+  }
+  return genres;
+};
+
+/**
+ * Get genre discover params (comma-separated genres are ANDed by TMDb,
+ * pipe-separated excluded genres are each left out)
+ * @param {Object} filters - Filter model
+ * @param {Array<number>} extraGenreIds - Genres a row always requires, e.g. the Action row
+ * @returns {Object} `{ with_genres, without_genres }` (either may be missing)
+ */
+export const getGenreParams = (filters, extraGenreIds = []) => {
+  const genres = [...new Set([...extraGenreIds, ...getRequiredGenres(filters)])];
+  const excluded = filters.excludedGenres.filter((genreId) => !genres.includes(genreId));
+
+  return {
+    ...(genres.length > 0 ? { with_genres: genres.join(',') } : {}),
+    ...(excluded.length > 0 ? { without_genres: excluded.join('|') } : {}),
+  };
+};
+
+/**
+ * Get rating discover params
+ * @param {Object} filters - Filter model
+ * @returns {Object} `{ 'vote_average.gte' }` or {}
+ */
+export const getRatingParams = (filters) => {
+  if (filters.minRating > 0) {
+    return { 'vote_average.gte': filters.minRating };
+  }
+  return {};
+};
+
+/**
+ * Get release year discover params
+ * @param {Object} filters - Filter model
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {Object} Release (movies) or first air (TV) date bounds
+ */
+export const getYearParams = (filters, mediaType) => {
+  const dateField = mediaType === 'tv' ? 'first_air_date' : 'primary_release_date';
+  const params = {};
+
+  if (filters.minYear) params[`${dateField}.gte`] = `${filters.minYear}-01-01`;
+  if (filters.maxYear) params[`${dateField}.lte`] = `${filters.maxYear}-12-31`;
+
+  return params;
+};
+
+/**
+ * Get runtime discover params for the selected band
+ * @param {Object} filters - Filter model
+ * @returns {Object} `with_runtime.gte` / `with_runtime.lte` bounds
+ */
+export const getRuntimeParams = (filters) => {
+  const band = RUNTIME_BANDS.find((option) => option.key === filters.runtime);
+  const params = {};
+
+  if (band?.min) params['with_runtime.gte'] = band.min;
+  if (band?.max) params['with_runtime.lte'] = band.max;
+
+  return params;
+};
+
+/**
+ * Get original language discover params
+ * @param {Object} filters - Filter model
+ * @returns {Object} `{ with_original_language }` or {}
+ */
+export const getLanguageParams = (filters) =>
+  filters.originalLanguage ? { with_original_language: filters.originalLanguage } : {};
+
+/**
+ * Get BBFC certification discover params (films only)
+ * @param {Object} filters - Filter model
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {Object} `{ certification_country, certification }` or {}
+ */
+export const getCertificationParams = (filters, mediaType) => {
+  if (mediaType === 'tv' || !filters.certification) {
+    return {};
+  }
+  return {
+    certification_country: CERTIFICATION_COUNTRY,
+    certification: filters.certification,
+  };
+};
+
+/**
+ * Get sort discover params
+ * "Newest" is capped at today so unreleased titles don't lead the list
+ * @param {Object} filters - Filter model
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {Object} `{ sort_by }` plus any params the sort needs
+ */
+export const getSortParams = (filters, mediaType) => {
+  const option = SORT_OPTIONS.find((sort) => sort.key === filters.sortBy) || SORT_OPTIONS[0];
+  const params = { sort_by: option[mediaType === 'tv' ? 'tv' : 'movie'] };
+
+  if (option.key === 'rating') {
+    params['vote_count.gte'] = MIN_RATING_VOTES;
+  }
+
+  if (option.key === 'newest') {
+    const dateField = mediaType === 'tv' ? 'first_air_date' : 'primary_release_date';
+    const today = new Date().toISOString().split('T')[0];
+    const yearLimit = getYearParams(filters, mediaType)[`${dateField}.lte`];
+    params[`${dateField}.lte`] = yearLimit && yearLimit < today ? yearLimit : today;
+  }
+
+  return params;
+};
+
+/**
+ * Build discover params for the filters
+ * @param {Object} filters - Filter model
+ * @param {Array<number>} platformIds - User's selected platform IDs
+ * @param {Object} options
+ * @param {string} options.mediaType - 'movie' or 'tv' (date and certification params differ)
+ * @param {number} options.page - Discover page
+ * @param {Array<number>} options.genreIds - Genres the row always requires
+ * @returns {Object} Params for discoverMovies / discoverTV
+ */
+export const buildDiscoverParams = (
+  filters,
+  platformIds,
+  { mediaType = 'movie', page = 1, genreIds = [] } = {}
+) => {
+  const resolved = resolveFilters(filters);
+
+  return {
+    // Query all platforms at once using | (OR) operator
+    with_watch_providers: getFilteredPlatforms(resolved, platformIds).join('|'),
+    page,
+    ...getGenreParams(resolved, genreIds),
+    ...getRatingParams(resolved),
+    ...getYearParams(resolved, mediaType),
+    ...getRuntimeParams(resolved),
+    ...getLanguageParams(resolved),
+    ...getCertificationParams(resolved, mediaType),
+    ...getSortParams(resolved, mediaType),
+  };
+};
+
+/**
+ * Tidy the year range typed into the filter modal
+ * Out-of-range years are dropped and a reversed range is swapped
+ * @param {Object} filters - Filter model
+ * @returns {Object} Filter model with valid `minYear` / `maxYear`
+ */
+export const normalizeYearRange = (filters) => {
+  const latestYear = new Date().getFullYear() + 1;
+  const toYear = (value) => {
+    const year = parseInt(value, 10);
+    return year >= MIN_FILTER_YEAR && year <= latestYear ? year : null;
+  };
+
+  const minYear = toYear(filters.minYear);
+  const maxYear = toYear(filters.maxYear);
+
+  if (minYear && maxYear && minYear > maxYear) {
+    return { ...filters, minYear: maxYear, maxYear: minYear };
+  }
+  return { ...filters, minYear, maxYear };
+};
+
+/**
+ * Check an item against the filters that list results carry data for, for
+ * endpoints that ignore discover params (search). Runtime and certification
+ * are not in list results, so they are not checked here.
+ * @param {Object} item - TMDb result with `genre_ids`, `vote_average`, dates and `original_language`
+ * @param {Object} filters - Filter model
+ * @returns {boolean} True if the item passes
+ */
+export const matchesFilters = (item, filters) => {
+  const resolved = resolveFilters(filters);
+  const genreIds = item.genre_ids || [];
+
+  if (!getRequiredGenres(resolved).every((genreId) => genreIds.includes(genreId))) {
+    return false;
+  }
+
+  if (resolved.excludedGenres.some((genreId) => genreIds.includes(genreId))) {
+    return false;
+  }
+
+  if (resolved.minRating > 0 && (item.vote_average || 0) < resolved.minRating) {
+    return false;
+  }
+
+  if (resolved.minYear || resolved.maxYear) {
+    const year = parseInt((item.release_date || item.first_air_date || '').slice(0, 4), 10);
+    if (!year) return false;
+    if (resolved.minYear && year < resolved.minYear) return false;
+    if (resolved.maxYear && year > resolved.maxYear) return false;
+  }
+
+  if (resolved.originalLanguage && item.original_language !== resolved.originalLanguage) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Count active filters for the filter button badge
+ * @param {Object} filters - Filter model
+ * @returns {number} Active filter count (each included or excluded genre counts once)
+ */
+export const countActiveFilters = (filters) => {
+  const resolved = resolveFilters(filters);
+  let count = 0;
+  if (resolved.selectedServices.length > 0) count++;
+  if (resolved.contentType !== 'all') count++;
+  if (resolved.costFilter !== 'all') count++;
+  if (resolved.selectedGenres.length > 0) count += resolved.selectedGenres.length;
+  if (resolved.excludedGenres.length > 0) count += resolved.excludedGenres.length;
+  if (resolved.minRating > 0) count++;
+  if (resolved.minYear || resolved.maxYear) count++;
+  if (resolved.runtime !== 'any') count++;
+  if (resolved.originalLanguage) count++;
+  if (resolved.certification) count++;
+  if (resolved.showWatched) count++;
+  if (resolved.sortBy !== 'popularity') count++;
+  return count;
+};
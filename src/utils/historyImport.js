@@ -0,0 +1,227 @@
+/**
+ * History Import
+ * Reads Letterboxd and IMDb CSV exports, matches each row to a TMDb title
+ * (IMDb rows by ID through /find, everything else by title and year through
+ * search) and adds the matches to watch history with their ratings.
+ * Rows that can't be matched are returned so the user can see which.
+ */
+
+import { findByImdbId, searchMovies, searchTV } from '../api/tmdb';
+import { addWatchedEntries } from '../storage/watchHistory';
+import { getWatchlistKey } from '../storage/watchlist';
+import { parseCsv, toCsv } from './csvParser';
+import { pickBestMatch } from './titleMatching';
+
+export const HISTORY_SOURCES = {
+  LETTERBOXD: { key: 'letterboxd', name: 'Letterboxd' },
+  IMDB: { key: 'imdb', name: 'IMDb' },
+};
+
+// Rows matched at a time, to stay well inside TMDb's rate limit
+const MATCH_BATCH_SIZE = 4;
+
+// IMDb "Title Type" values (spaces and case removed) mapped to TMDb media types.
+// Episodes, games and podcasts have no history entry of their own.
+const IMDB_TITLE_TYPES = {
+  movie: 'movie',
+  tvmovie: 'movie',
+  short: 'movie',
+  tvshort: 'movie',
+  video: 'movie',
+  tvspecial: 'movie',
+  tvseries: 'tv',
+  tvminiseries: 'tv',
+};
+
+const IMDB_ID_REGEX = /^tt\d+$/;
+
+// 'YYYY-MM-DD' as midday UTC, so the day doesn't shift between time zones
+const parseExportDate = (value) => {
+  const timestamp = Date.parse(`${value}T12:00:00Z`);
+  return Number.isNaN(timestamp) ? Date.now() : timestamp;
+};
+
+const parseYear = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isInteger(year) && year > 1800 ? year : null;
+};
+
+// Ratings outside 1-10 (or missing) are dropped rather than guessed
+const toRating = (value) => {
+  const rating = Math.round(value);
+  return rating >= 1 && rating <= 10 ? rating : null;
+};
+
+const detectSource = (headers) => {
+  if (headers.includes('Const') && headers.includes('Your Rating')) {
+    return HISTORY_SOURCES.IMDB;
+  }
+  if (headers.includes('Name') && headers.includes('Letterboxd URI')) {
+    return HISTORY_SOURCES.LETTERBOXD;
+  }
+  return null;
+};
+
+// diary.csv, watched.csv and ratings.csv all share Name, Year and Date;
+// diary entries also have the day watched, and ratings are 0.5-5 stars
+const readLetterboxdRecord = ({ line, values }) => {
+  const stars = parseFloat(values.Rating);
+  const row = {
+    line,
+    title: values.Name,
+    year: parseYear(values.Year),
+    imdbId: null,
+    mediaType: 'movie',
+    watchedAt: parseExportDate(values['Watched Date'] || values.Date),
+    rating: Number.isNaN(stars) ? null : toRating(stars * 2),
+  };
+
+  return row.title ? { row } : { row, reason: 'Missing title' };
+};
+
+// ratings.csv: Const (IMDb ID), Your Rating (1-10), Date Rated, Title, Title Type, Year
+const readImdbRecord = ({ line, values }) => {
+  const titleType = (values['Title Type'] || '').replace(/\s+/g, '').toLowerCase();
+  const row = {
+    line,
+    title: values.Title,
+    year: parseYear(values.Year),
+    imdbId: IMDB_ID_REGEX.test(values.Const) ? values.Const : null,
+    mediaType: IMDB_TITLE_TYPES[titleType] || null,
+    watchedAt: parseExportDate(values['Date Rated']),
+    rating: toRating(parseFloat(values['Your Rating'])),
+  };
+
+  if (!row.imdbId && !row.title) return { row, reason: 'Missing IMDb ID and title' };
+  if (titleType && !row.mediaType) return { row, reason: `${values['Title Type']} not supported` };
+  return { row };
+};
+
+/**
+ * Read a Letterboxd or IMDb CSV export
+ * Letterboxd: diary.csv, watched.csv or ratings.csv from the export zip.
+ * IMDb: the ratings export (Your Ratings > Export).
+ * @param {string} text - CSV file contents
+ * @returns {Object} { source, rows, skipped } where skipped is [{ row, reason }]
+ */
+export const parseHistoryCsv = (text) => {
+  const { headers, records } = parseCsv(text);
+  const source = detectSource(headers);
+  if (!source) {
+    throw new Error('This file is not a Letterboxd or IMDb ratings export.');
+  }
+
+  const readRecord = source === HISTORY_SOURCES.IMDB ? readImdbRecord : readLetterboxdRecord;
+  const rows = [];
+  const skipped = [];
+  records.forEach((record) => {
+    const { row, reason } = readRecord(record);
+    if (reason) {
+      skipped.push({ row, reason });
+    } else {
+      rows.push(row);
+    }
+  });
+
+  return { source, rows, skipped };
+};
+
+// Search by title, first within the year and then across years (allowing
+// the one-year difference pickBestMatch tolerates)
+const matchByTitle = async (row) => {
+  const mediaType = row.mediaType || 'movie';
+  const search = mediaType === 'tv' ? searchTV : searchMovies;
+
+  const attempts = row.year ? [row.year, null] : [null];
+  for (const year of attempts) {
+    const response = await search(row.title, 1, year);
+    if (!response.success) {
+      return { reason: 'TMDb search failed, try again later' };
+    }
+
+    const match = pickBestMatch(response.data.results, { title: row.title, year: row.year });
+    if (match) {
+      return { item: { ...match, type: mediaType } };
+    }
+  }
+
+  return { reason: 'No matching title on TMDb' };
+};
+
+/**
+ * Match one export row to a TMDb title
+ * Uses the IMDb ID when there is one, falling back to title and year
+ * @param {Object} row - Row from parseHistoryCsv
+ * @returns {Promise<Object>} { item } with `type` set, or { reason } if unmatched
+ */
+export const matchHistoryRow = async (row) => {
+  if (row.imdbId) {
+    const response = await findByImdbId(row.imdbId);
+    const { movie_results: movies = [], tv_results: shows = [] } = response.data || {};
+
+    if (row.mediaType !== 'tv' && movies.length > 0) {
+      return { item: { ...movies[0], type: 'movie' } };
+    }
+    if (row.mediaType !== 'movie' && shows.length > 0) {
+      return { item: { ...shows[0], type: 'tv' } };
+    }
+  }
+
+  if (!row.title) {
+    return { reason: 'No matching title on TMDb' };
+  }
+  return matchByTitle(row);
+};
+
+/**
+ * Match export rows to TMDb and add them to watch history with their ratings
+ * Titles that appear more than once (e.g. diary rewatches) keep their most
+ * recent watch and rating
+ * @param {Array<Object>} rows - Rows from parseHistoryCsv
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (done, total) after each batch
+ * @returns {Promise<Object>} { added, unmatched } where unmatched is [{ row, reason }]
+ */
+export const importHistoryRows = async (rows, { onProgress } = {}) => {
+  const watches = [];
+  const unmatched = [];
+
+  for (let i = 0; i < rows.length; i += MATCH_BATCH_SIZE) {
+    const batch = rows.slice(i, i + MATCH_BATCH_SIZE);
+    const results = await Promise.all(batch.map(matchHistoryRow));
+
+    results.forEach(({ item, reason }, index) => {
+      const row = batch[index];
+      if (item) {
+        watches.push({ item, watchedAt: row.watchedAt, rating: row.rating });
+      } else {
+        unmatched.push({ row, reason });
+      }
+    });
+
+    onProgress?.(Math.min(i + MATCH_BATCH_SIZE, rows.length), rows.length);
+  }
+
+  if (watches.length > 0) {
+    await addWatchedEntries(watches);
+  }
+
+  return {
+    added: new Set(watches.map(({ item }) => getWatchlistKey(item.type, item.id))).size,
+    unmatched,
+  };
+};
+
+/**
+ * Build a CSV of rows that weren't imported, for the user to check
+ * @param {Array<Object>} unmatched - [{ row, reason }] from parseHistoryCsv / importHistoryRows
+ * @returns {string} CSV text
+ */
+export const buildUnmatchedCsv = (unmatched) =>
+  toCsv(unmatched, [
+    { header: 'Line', value: ({ row }) => row.line },
+    { header: 'Title', value: ({ row }) => row.title },
+    { header: 'Year', value: ({ row }) => row.year },
+    { header: 'IMDb ID', value: ({ row }) => row.imdbId },
+    { header: 'Reason', value: ({ reason }) => reason },
+  ]);
@@ -0,0 +1,66 @@
+/**
+ * Kids Mode
+ * Rules for kids profiles: only family-safe BBFC certifications and the
+ * Family / Animation genres. Pure functions; the TMDb client applies them to
+ * discover, search, suggestions, trending, related titles and person credits
+ * when a kids profile is active, and to lists screens build from details
+ * (restrictItemsForKids).
+ */
+
+import { GENRES } from '../constants/genres';
+import { CERTIFICATION_COUNTRY } from './filterModel';
+
+// BBFC certifications a kids profile may see
+export const KIDS_CERTIFICATIONS = ['U', 'PG'];
+
+// A title must have at least one of these genres
+export const KIDS_GENRE_IDS = [GENRES.family, GENRES.animation];
+
+/**
+ * Restrict discover params to kids content
+ * The user's own genre and certification choices are kept when they fit,
+ * otherwise replaced with the kids defaults
+ * @param {Object} params - Discover params built from the filter model
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {Object} Params with `include_adult: false` and kids genres/certifications
+ */
+export const applyKidsDiscoverParams = (params, mediaType) => {
+  const restricted = {
+    ...params,
+    include_adult: false,
+    with_genres: params.with_genres || KIDS_GENRE_IDS.join('|'),
+  };
+
+  // Discover can only filter films by certification; TV is checked per title
+  if (mediaType === 'movie') {
+    restricted.certification_country = CERTIFICATION_COUNTRY;
+    restricted.certification = KIDS_CERTIFICATIONS.includes(params.certification)
+      ? params.certification
+      : KIDS_CERTIFICATIONS.join('|');
+  }
+
+  return restricted;
+};
+
+/**
+ * Check a title's genres and adult flag (people pass, they have no genres)
+ * @param {Object} item - TMDb result or details
+ * @returns {boolean} True if the title can be shown to a kids profile
+ */
+export const isKidsGenreSafe = (item) => {
+  if (item.media_type === 'person') return true;
+  if (item.adult) return false;
+
+  // List results carry genre_ids, details responses a list of genres
+  const genreIds = item.genre_ids || (item.genres || []).map((genre) => genre.id);
+  return genreIds.some((id) => KIDS_GENRE_IDS.includes(id));
+};
+
+/**
+ * Check a looked-up certification
+ * Titles without a known certification are not shown to kids
+ * @param {string|null} certification - BBFC certification, e.g. 'PG'
+ * @returns {boolean} True if the certification is family-safe
+ */
+export const isKidsCertification = (certification) =>
+  KIDS_CERTIFICATIONS.includes(certification);
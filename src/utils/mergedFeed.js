@@ -0,0 +1,193 @@
+/**
+ * Merged Feed
+ * Pages through several discover sources (movies and TV) as one list.
+ * Each source keeps its own TMDb page cursor and a buffer of fetched titles;
+ * pages are built by repeatedly taking the best head across the buffers under
+ * the active sort, so titles stay in order across page boundaries and a
+ * source only fetches again once its buffer runs dry. Titles seen on earlier
+ * pages (or passed in as excluded, e.g. watched) are skipped.
+ *
+ * Client-side sorts (runtime, score) can't be merged this way: discover
+ * results don't carry the sort field, so a later page could hold titles that
+ * belong above the current one. Those feeds load a single page of the most
+ * popular titles, sort it, and end.
+ */
+
+import { discoverMovies, discoverTV } from '../api/tmdb';
+import { isClientSideSort, includesMovies, includesTV, buildDiscoverParams } from './filterModel';
+import { MAX_ENRICHED, getSortComparator, sortContent } from './contentSort';
+
+const DEBUG = __DEV__;
+
+const DEFAULT_PAGE_SIZE = 20;
+// TMDb refuses pages past 500
+const MAX_TMDB_PAGE = 500;
+// Stop a single load after this many fetch rounds (e.g. when most titles are
+// excluded) and return what was found; the next load carries on
+const MAX_FETCH_ROUNDS = 5;
+
+const getItemKey = (item) => `${item.type}-${item.id}`;
+
+/**
+ * Create a paginated feed that merges several sources by one sort key
+ * @param {Object} options
+ * @param {Array<Object>} options.sources - { type, fetchPage(page) } where fetchPage resolves to a TMDb response
+ * @param {string} options.sortKey - Key from SORT_OPTIONS
+ * @param {number} options.pageSize - Titles per loadNext() call (client-side sorts load MAX_ENRICHED once)
+ * @param {Set<string>} options.excludeKeys - `${type}-${id}` keys to leave out
+ * @returns {Object} { loadNext(), hasMore }
+ */
+export const createMergedFeed = ({
+  sources,
+  sortKey = 'popularity',
+  pageSize = DEFAULT_PAGE_SIZE,
+  excludeKeys,
+}) => {
+  // Runtime/score can't be ordered server-side, so merge by popularity, look
+  // up and sort the leading titles, then stop
+  const clientSide = isClientSideSort(sortKey);
+  const compare = getSortComparator(clientSide ? 'popularity' : sortKey);
+  const limit = clientSide ? MAX_ENRICHED : pageSize;
+  let finished = false;
+
+  const seen = new Set(excludeKeys || []);
+  const cursors = sources.map((source) => ({
+    source,
+    nextPage: 1,
+    totalPages: MAX_TMDB_PAGE,
+    buffer: [],
+    done: false,
+  }));
+  let pending = null;
+
+  const canFetch = (cursor) => !cursor.done && cursor.nextPage <= cursor.totalPages;
+
+  // Fetch the next page for every source whose buffer has run out
+  const refill = async () => {
+    const empty = cursors.filter((cursor) => cursor.buffer.length === 0 && canFetch(cursor));
+
+    await Promise.all(empty.map(async (cursor) => {
+      const page = cursor.nextPage;
+      cursor.nextPage += 1;
+
+      try {
+        const response = await cursor.source.fetchPage(page);
+        const results = response.success ? response.data?.results || [] : [];
+
+        // A failed or empty page ends this source; the others carry on
+        if (results.length === 0) {
+          cursor.done = true;
+          return;
+        }
+
+        cursor.totalPages = Math.min(response.data.total_pages || page, MAX_TMDB_PAGE);
+        cursor.buffer.push(
+          ...results.map((item) => ({
+            ...item,
+            type: cursor.source.type,
+            platforms: null, // Will be lazy-loaded by ContentCard
+          }))
+        );
+      } catch (error) {
+        console.error(`[MergedFeed] Error loading ${cursor.source.type} page ${page}:`, error);
+        cursor.done = true;
+      }
+    }));
+  };
+
+  const load = async () => {
+    const items = [];
+    let rounds = 0;
+
+    while (items.length < limit) {
+      // Only merge once every live source has a head, otherwise a title
+      // from the next page of a drained source could be placed too late
+      const needsFetch = cursors.some((cursor) => cursor.buffer.length === 0 && canFetch(cursor));
+      if (needsFetch) {
+        if (rounds >= MAX_FETCH_ROUNDS) break;
+        rounds += 1;
+        await refill();
+      }
+
+      const heads = cursors.filter((cursor) => cursor.buffer.length > 0);
+      if (heads.length === 0) break;
+
+      const best = heads.reduce((a, b) => (compare(b.buffer[0], a.buffer[0]) < 0 ? b : a));
+      const item = best.buffer.shift();
+      const key = getItemKey(item);
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        items.push(item);
+      }
+    }
+
+    if (DEBUG) {
+      console.log('[MergedFeed]', `Loaded ${items.length} titles by ${sortKey}`);
+    }
+
+    if (!clientSide) {
+      return items;
+    }
+    finished = true;
+    return sortContent(items, sortKey);
+  };
+
+  return {
+    /**
+     * Load the next page of merged titles
+     * Calls made while a load is in flight share its result
+     * @returns {Promise<Array<Object>>} Titles with `type` set, empty when exhausted
+     */
+    loadNext() {
+      if (!pending) {
+        pending = load().finally(() => {
+          pending = null;
+        });
+      }
+      return pending;
+    },
+
+    // True while any source has buffered titles or pages left to fetch
+    // (always false after the single page of a client-side sort)
+    get hasMore() {
+      return !finished && cursors.some((cursor) => cursor.buffer.length > 0 || canFetch(cursor));
+    },
+  };
+};
+
+/**
+ * Create a merged movie + TV discover feed for the given filters
+ * @param {Object} options
+ * @param {Object} options.filters - Filter model (see src/utils/filterModel.js)
+ * @param {Array<number>} options.platformIds - User's platform IDs
+ * @param {Set<string>} options.excludeKeys - `${type}-${id}` keys to leave out
+ * @param {number} options.pageSize - Titles per loadNext() call
+ * @returns {Object} { loadNext(), hasMore }
+ */
+export const createDiscoverFeed = ({ filters, platformIds, excludeKeys, pageSize }) => {
+  const sources = [];
+
+  if (includesMovies(filters)) {
+    sources.push({
+      type: 'movie',
+      fetchPage: (page) =>
+        discoverMovies(buildDiscoverParams(filters, platformIds, { mediaType: 'movie', page })),
+    });
+  }
+
+  if (includesTV(filters)) {
+    sources.push({
+      type: 'tv',
+      fetchPage: (page) =>
+        discoverTV(buildDiscoverParams(filters, platformIds, { mediaType: 'tv', page })),
+    });
+  }
+
+  return createMergedFeed({ sources, sortKey: filters.sortBy, pageSize, excludeKeys });
+};
+
+export default {
+  createMergedFeed,
+  createDiscoverFeed,
+};
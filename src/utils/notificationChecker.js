@@ -0,0 +1,200 @@
+/**
+ * Notification Checker
+ * Snapshots watchlist titles and followed shows against TMDb, records
+ * "new on your platforms" events in the inbox and raises a local notification
+ * for each new event.
+ */
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { getContentWatchProviders, getTVDetails } from '../api/tmdb';
+import { getSelectedPlatforms, getUserRegion } from '../storage/userPreferences';
+import { getWatchlist, getWatchlistKey } from '../storage/watchlist';
+import { getEpisodeProgress } from '../storage/episodeProgress';
+import {
+  addInboxEvents,
+  getNotificationSnapshots,
+  saveNotificationSnapshots,
+} from '../storage/notifications';
+import { buildSnapshot, diffAllSnapshots } from './notificationDiff';
+
+const DEBUG = __DEV__;
+
+// TMDb responses are cached for 24h, so checking more often gains nothing
+const CHECK_INTERVAL = 12 * 60 * 60 * 1000; // 12 hours
+const BATCH_SIZE = 5;
+
+// Android 8+ delivers notifications through a channel
+const ANDROID_CHANNEL_ID = 'availability';
+
+// Show banners even while the app is in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+let isChecking = false;
+
+/**
+ * Collect watchlist titles and followed shows (any show with episode progress)
+ * @returns {Promise<Array<Object>>} Targets deduped by `type-id` key
+ */
+const getTrackedTitles = async () => {
+  const [watchlist, progress] = await Promise.all([
+    getWatchlist(),
+    getEpisodeProgress(),
+  ]);
+
+  const targets = new Map();
+  watchlist.forEach((entry) => targets.set(entry.key, entry));
+  Object.values(progress).forEach((show) => {
+    const key = getWatchlistKey('tv', show.id);
+    if (!targets.has(key)) {
+      targets.set(key, {
+        key,
+        id: show.id,
+        type: 'tv',
+        title: show.name,
+        poster_path: show.poster_path,
+      });
+    }
+  });
+
+  return Array.from(targets.values());
+};
+
+/**
+ * Fetch the current snapshot for a single title
+ * @param {Object} target - Tracked title
+ * @param {string} region - User's watch region
+ * @returns {Promise<Object|null>} Snapshot or null if TMDb could not be reached
+ */
+const fetchSnapshot = async (target, region) => {
+  const providersResponse = await getContentWatchProviders(target.id, target.type, region);
+  if (!providersResponse.success) return null;
+
+  let tvDetails = null;
+  if (target.type === 'tv') {
+    const tvResponse = await getTVDetails(target.id);
+    if (!tvResponse.success) return null;
+    tvDetails = tvResponse.data;
+  }
+
+  return buildSnapshot(target, providersResponse.data, tvDetails, region);
+};
+
+/**
+ * Ask for permission to show notifications
+ * Android 13+ only shows the prompt once a channel exists, so it's created first.
+ * Only prompts the first time; later calls return the user's answer.
+ * @returns {Promise<boolean>} True if notifications may be shown
+ */
+const ensureNotificationPermission = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+      name: 'Availability updates',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted || !current.canAskAgain) {
+    return current.granted;
+  }
+
+  const { granted } = await Notifications.requestPermissionsAsync();
+  return granted;
+};
+
+/**
+ * Raise a local notification for each event
+ * @param {Array<Object>} events - Newly added inbox events
+ * @returns {Promise<void>}
+ */
+const sendLocalNotifications = async (events) => {
+  if (events.length === 0) return;
+
+  try {
+    if (!(await ensureNotificationPermission())) return;
+
+    for (const event of events) {
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: event.title,
+          body: event.message,
+          data: { itemId: event.itemId, type: event.mediaType },
+        },
+        // Deliver immediately (through the channel on Android)
+        trigger: Platform.OS === 'android' ? { channelId: ANDROID_CHANNEL_ID } : null,
+      });
+    }
+  } catch (error) {
+    console.error('[Notifications] Error sending local notifications:', error);
+  }
+};
+
+/**
+ * Run a notification check
+ * @param {Object} options
+ * @param {boolean} options.force - Ignore the check interval
+ * @returns {Promise<Array<Object>>} Events added to the inbox
+ */
+export const runNotificationCheck = async ({ force = false } = {}) => {
+  if (isChecking) return [];
+
+  isChecking = true;
+  try {
+    const previous = await getNotificationSnapshots();
+    const now = Date.now();
+
+    if (!force && now - previous.checkedAt < CHECK_INTERVAL) {
+      if (DEBUG) console.log('[Notifications] Skipping check, last run', new Date(previous.checkedAt));
+      return [];
+    }
+
+    const [targets, userPlatformIds, region] = await Promise.all([
+      getTrackedTitles(),
+      getSelectedPlatforms(),
+      getUserRegion(),
+    ]);
+
+    const currentItems = {};
+    for (let i = 0; i < targets.length; i += BATCH_SIZE) {
+      const batch = targets.slice(i, i + BATCH_SIZE);
+      const snapshots = await Promise.all(batch.map((target) => fetchSnapshot(target, region)));
+      snapshots.forEach((snapshot, index) => {
+        // Keep the old snapshot when a fetch fails so nothing is re-reported later
+        const key = batch[index].key;
+        const fallback = previous.items[key];
+        if (snapshot) {
+          currentItems[key] = snapshot;
+        } else if (fallback) {
+          currentItems[key] = fallback;
+        }
+      });
+    }
+
+    const events = diffAllSnapshots(previous.items, currentItems, { userPlatformIds, now });
+    const added = await addInboxEvents(events);
+    await saveNotificationSnapshots(currentItems, now);
+    await sendLocalNotifications(added);
+
+    if (DEBUG) {
+      console.log('[Notifications] Check complete:', `${targets.length} titles, ${added.length} new events`);
+    }
+    return added;
+  } catch (error) {
+    console.error('[Notifications] Check failed:', error);
+    return [];
+  } finally {
+    isChecking = false;
+  }
+};
+
+export default {
+  runNotificationCheck,
+};
@@ -0,0 +1,181 @@
+/**
+ * Notification Diff Utilities
+ * Pure functions that turn raw TMDb responses into snapshots and compare
+ * snapshots to produce inbox events. No storage or network access here,
+ * so recorded API responses can be fed straight in.
+ */
+
+/**
+ * Event types recorded in the inbox
+ */
+export const NOTIFICATION_TYPES = {
+  NEW_EPISODE: 'new_episode',
+  UPCOMING_EPISODE: 'upcoming_episode',
+  NEW_ON_PLATFORM: 'new_on_platform',
+};
+
+/**
+ * Build a snapshot of what matters for notifications
+ * @param {Object} target - Tracked title ({ key, id, type, title, poster_path })
+ * @param {Object} providers - getContentWatchProviders data ({ flatrate, rent, buy })
+ * @param {Object|null} tvDetails - getTVDetails data (TV only)
+ * @param {string|null} region - Watch region the providers are for
+ * @returns {Object} Snapshot
+ */
+export const buildSnapshot = (target, providers, tvDetails = null, region = null) => {
+  const toEpisode = (episode) =>
+    episode
+      ? {
+          season_number: episode.season_number,
+          episode_number: episode.episode_number,
+          name: episode.name || '',
+          air_date: episode.air_date || null,
+        }
+      : null;
+
+  return {
+    key: target.key,
+    id: target.id,
+    type: target.type,
+    title: target.title || tvDetails?.name || '',
+    poster_path: target.poster_path || tvDetails?.poster_path || null,
+    region,
+    providerIds: (providers?.flatrate || []).map((provider) => provider.provider_id),
+    providerNames: (providers?.flatrate || []).reduce((names, provider) => {
+      names[provider.provider_id] = provider.provider_name;
+      return names;
+    }, {}),
+    lastEpisode: toEpisode(tvDetails?.last_episode_to_air),
+    nextEpisode: toEpisode(tvDetails?.next_episode_to_air),
+  };
+};
+
+/**
+ * Compare episode positions
+ * @returns {number} Negative if a is before b, 0 if equal, positive if after
+ */
+const compareEpisodes = (a, b) => {
+  if (a.season_number !== b.season_number) {
+    return a.season_number - b.season_number;
+  }
+  return a.episode_number - b.episode_number;
+};
+
+/**
+ * Describe an episode for an event message
+ * @returns {string} e.g. 'S5 · E1 "Missed Calls"'
+ */
+const describeEpisode = (episode) =>
+  `S${episode.season_number} · E${episode.episode_number}${episode.name ? ` "${episode.name}"` : ''}`;
+
+/**
+ * Format an episode air date ('YYYY-MM-DD') for an event message
+ * @returns {string} e.g. '24 Sep 2025'
+ */
+const formatAirDate = (airDate) =>
+  new Date(`${airDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * Diff two snapshots of the same title
+ * The first snapshot of a title only establishes a baseline and yields no events.
+ * Providers are only compared within one region: after a region change every
+ * provider would look new, so the new region's providers become the baseline.
+ * @param {Object|null} previous - Snapshot from the last check
+ * @param {Object} current - Snapshot from this check
+ * @param {Object} options
+ * @param {Array<number>} options.userPlatformIds - User's selected platform IDs
+ * @param {number} options.now - Timestamp for the events
+ * @returns {Array<Object>} New events
+ */
+export const diffSnapshots = (previous, current, { userPlatformIds = [], now = Date.now() } = {}) => {
+  if (!previous) return [];
+
+  const events = [];
+  const base = {
+    key: current.key,
+    itemId: current.id,
+    mediaType: current.type,
+    title: current.title,
+    poster_path: current.poster_path,
+    createdAt: now,
+    read: false,
+  };
+
+  // Newly streaming on one of the user's platforms. Snapshots saved before
+  // regions were recorded are taken to be from the current region.
+  const sameRegion = !previous.region || previous.region === current.region;
+  const addedProviders = sameRegion
+    ? current.providerIds.filter(
+        (id) => !previous.providerIds.includes(id) && userPlatformIds.includes(id)
+      )
+    : [];
+  addedProviders.forEach((providerId) => {
+    const providerName = current.providerNames[providerId] || 'your services';
+    events.push({
+      ...base,
+      id: `${NOTIFICATION_TYPES.NEW_ON_PLATFORM}-${current.key}-${providerId}`,
+      type: NOTIFICATION_TYPES.NEW_ON_PLATFORM,
+      providerId,
+      message: `Now streaming on ${providerName}`,
+    });
+  });
+
+  // A new episode has aired since the last check
+  const lastEpisode = current.lastEpisode;
+  if (
+    lastEpisode &&
+    (!previous.lastEpisode || compareEpisodes(lastEpisode, previous.lastEpisode) > 0)
+  ) {
+    const { season_number, episode_number } = lastEpisode;
+    events.push({
+      ...base,
+      id: `${NOTIFICATION_TYPES.NEW_EPISODE}-${current.key}-s${season_number}e${episode_number}`,
+      type: NOTIFICATION_TYPES.NEW_EPISODE,
+      seasonNumber: season_number,
+      episodeNumber: episode_number,
+      message: `New episode: ${describeEpisode(lastEpisode)}`,
+    });
+  }
+
+  // An episode has been scheduled where none was, or a new season announced.
+  // The next episode of a season that is airing moves on every week, so that
+  // alone isn't reported.
+  const nextEpisode = current.nextEpisode;
+  if (
+    nextEpisode &&
+    (!previous.nextEpisode || nextEpisode.season_number > previous.nextEpisode.season_number)
+  ) {
+    const { season_number, episode_number, air_date } = nextEpisode;
+    events.push({
+      ...base,
+      id: `${NOTIFICATION_TYPES.UPCOMING_EPISODE}-${current.key}-s${season_number}e${episode_number}`,
+      type: NOTIFICATION_TYPES.UPCOMING_EPISODE,
+      seasonNumber: season_number,
+      episodeNumber: episode_number,
+      airDate: air_date,
+      message: `Coming up: ${describeEpisode(nextEpisode)}${
+        air_date ? ` on ${formatAirDate(air_date)}` : ''
+      }`,
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Diff every tracked title
+ * @param {Object} previousSnapshots - Snapshots keyed by `type-id`
+ * @param {Object} currentSnapshots - Snapshots keyed by `type-id`
+ * @param {Object} options - See diffSnapshots
+ * @returns {Array<Object>} New events across all titles
+ */
+export const diffAllSnapshots = (previousSnapshots = {}, currentSnapshots = {}, options = {}) => {
+  return Object.values(currentSnapshots).flatMap((current) =>
+    diffSnapshots(previousSnapshots[current.key] || null, current, options)
+  );
+};
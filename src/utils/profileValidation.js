@@ -0,0 +1,35 @@
+/**
+ * Profile Validation
+ * Name and email rules shared by onboarding (WelcomeScreen) and profile
+ * editing (ProfileScreen). Each check returns an error message, or an
+ * empty string when the value is valid.
+ */
+
+export const MIN_NAME_LENGTH = 2;
+
+// Email validation regex
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate a display name
+ * @param {string} value - Name as typed
+ * @returns {string} Error message, or '' if valid
+ */
+export const getNameError = (value) => {
+  if (value.trim().length < MIN_NAME_LENGTH) {
+    return `Name must be at least ${MIN_NAME_LENGTH} characters`;
+  }
+  return '';
+};
+
+/**
+ * Validate an email address
+ * @param {string} value - Email as typed
+ * @returns {string} Error message, or '' if valid
+ */
+export const getEmailError = (value) => {
+  if (!EMAIL_REGEX.test(value.trim())) {
+    return 'Please enter a valid email address';
+  }
+  return '';
+};
@@ -0,0 +1,138 @@
+/**
+ * Recommendation Scoring Utilities
+ * Pure functions that turn watch history, saved genre choices and TMDb
+ * related-title lists into ranked candidates. No storage or network access here, so recorded API
+ * responses can be fed straight in.
+ */
+
+// Related-title lists from TMDb and how much each is trusted
+export const RECOMMENDATION_SOURCES = {
+  RECOMMENDATIONS: 'recommendations',
+  SIMILAR: 'similar',
+};
+
+const SOURCE_WEIGHTS = {
+  [RECOMMENDATION_SOURCES.RECOMMENDATIONS]: 1,
+  [RECOMMENDATION_SOURCES.SIMILAR]: 0.6,
+};
+
+const GENRE_WEIGHT = 0.5;
+const VOTE_WEIGHT = 0.2;
+// A genre the user picked in their filters counts like a title rated 10/10
+const PREFERRED_GENRE_WEIGHT = 2;
+
+/**
+ * Weight of a history entry as a signal of taste
+ * Unrated titles count as a mild like; ratings below 5/10 count against
+ * @param {Object} entry - Watch history entry
+ * @returns {number} Weight between -2 and 2
+ */
+export const getEntryWeight = (entry) => {
+  if (entry.rating === null || entry.rating === undefined) {
+    return 1;
+  }
+  return (entry.rating - 5) / 2.5;
+};
+
+/**
+ * Build a genre affinity profile from watch history and saved genre choices
+ * @param {Array<Object>} history - Watch history entries
+ * @param {Object} preferences
+ * @param {Array<number>} preferences.preferredGenreIds - Genres the user filters to
+ * @param {Array<number>} preferences.excludedGenreIds - Genres the user leaves out
+ * @returns {Object} Affinity keyed by genre ID, normalised to -1..1
+ */
+export const buildGenreProfile = (
+  history = [],
+  { preferredGenreIds = [], excludedGenreIds = [] } = {}
+) => {
+  const totals = {};
+  const addWeight = (genreIds, weight) => {
+    genreIds.forEach((genreId) => {
+      totals[genreId] = (totals[genreId] || 0) + weight;
+    });
+  };
+
+  history.forEach((entry) => addWeight(entry.genre_ids || [], getEntryWeight(entry)));
+  addWeight(preferredGenreIds, PREFERRED_GENRE_WEIGHT);
+  addWeight(excludedGenreIds, -PREFERRED_GENRE_WEIGHT);
+
+  const max = Math.max(0, ...Object.values(totals).map(Math.abs));
+  if (max === 0) return {};
+
+  return Object.keys(totals).reduce((profile, genreId) => {
+    profile[genreId] = totals[genreId] / max;
+    return profile;
+  }, {});
+};
+
+/**
+ * Pick the liked titles to fetch related lists for
+ * @param {Array<Object>} history - Watch history entries, most recent first
+ * @param {number} maxSeeds - Maximum number of seeds
+ * @returns {Array<Object>} Seed entries, most recent first
+ */
+export const pickSeeds = (history = [], maxSeeds = 5) => {
+  return history
+    .filter((entry) => getEntryWeight(entry) > 0)
+    .slice(0, maxSeeds);
+};
+
+/**
+ * Score candidates from related-title lists
+ * A title suggested by several seeds scores the sum of each suggestion,
+ * weighted by the seed's rating, the list type and the title's rank in it
+ * @param {Array<Object>} lists - { seed, source, results } per fetched list
+ * @param {Object} options
+ * @param {Object} options.genreProfile - From buildGenreProfile()
+ * @param {Set<string>} options.excludeKeys - `type-id` keys to leave out (watched titles)
+ * @returns {Array<Object>} Candidates ({ ...item, type, score, seedKeys }), best first
+ */
+export const scoreCandidates = (lists = [], { genreProfile = {}, excludeKeys = new Set() } = {}) => {
+  const candidates = new Map();
+
+  lists.forEach(({ seed, source, results = [] }) => {
+    const seedWeight = getEntryWeight(seed);
+    const sourceWeight = SOURCE_WEIGHTS[source] || 0;
+
+    results.forEach((item, index) => {
+      const type = item.media_type || seed.type;
+      const key = `${type}-${item.id}`;
+      if (excludeKeys.has(key)) return;
+
+      // Earlier results are stronger matches; the last one keeps half its weight
+      const rankWeight = 1 - index / (results.length * 2);
+      const contribution = seedWeight * sourceWeight * rankWeight;
+
+      const existing = candidates.get(key);
+      if (existing) {
+        existing.relatedScore += contribution;
+        if (!existing.seedKeys.includes(seed.key)) {
+          existing.seedKeys.push(seed.key);
+        }
+      } else {
+        candidates.set(key, {
+          item: { ...item, type },
+          relatedScore: contribution,
+          seedKeys: [seed.key],
+        });
+      }
+    });
+  });
+
+  return Array.from(candidates.values())
+    .map(({ item, relatedScore, seedKeys }) => {
+      const genreIds = item.genre_ids || [];
+      const genreScore = genreIds.length > 0
+        ? genreIds.reduce((sum, genreId) => sum + (genreProfile[genreId] || 0), 0) / genreIds.length
+        : 0;
+      const voteScore = (item.vote_average || 0) / 10;
+
+      return {
+        ...item,
+        score: relatedScore + genreScore * GENRE_WEIGHT + voteScore * VOTE_WEIGHT,
+        seedKeys,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,144 @@
+/**
+ * Recommendations
+ * Builds "Because you watched X" and "For you" lists from the user's watch
+ * history, ratings and saved genres, using TMDb recommendations/similar lists
+ * as candidates and keeping only titles streaming on the user's platforms.
+ */
+
+import { getRecommendations, getSimilar, getContentWatchProviders } from '../api/tmdb';
+import { getWatchHistory } from '../storage/watchHistory';
+import {
+  RECOMMENDATION_SOURCES,
+  buildGenreProfile,
+  pickSeeds,
+  scoreCandidates,
+} from './recommendationScoring';
+
+const DEBUG = __DEV__;
+
+const MAX_SEEDS = 5;
+const BATCH_SIZE = 5;
+// Stop checking providers once this many candidates have been looked at
+const MAX_CANDIDATES_CHECKED = 60;
+
+/**
+ * Fetch recommendations and similar lists for each seed
+ * @param {Array<Object>} seeds - Watch history entries
+ * @returns {Promise<Array<Object>>} { seed, source, results } per list
+ */
+const fetchRelatedLists = async (seeds) => {
+  const requests = seeds.flatMap((seed) => [
+    getRecommendations(seed.id, seed.type).then((response) => ({
+      seed,
+      source: RECOMMENDATION_SOURCES.RECOMMENDATIONS,
+      results: response.data?.results || [],
+    })),
+    getSimilar(seed.id, seed.type).then((response) => ({
+      seed,
+      source: RECOMMENDATION_SOURCES.SIMILAR,
+      results: response.data?.results || [],
+    })),
+  ]);
+
+  return Promise.all(requests);
+};
+
+/**
+ * Keep candidates streaming on the user's platforms, preserving order
+ * @param {Array<Object>} candidates - Content items with `id` and `type`, best first
+ * @param {Array<number>} platformIds - User's selected platform IDs
+ * @param {number} limit - Maximum number of results
+ * @param {number} maxChecked - Maximum number of candidates to look up
+ * @returns {Promise<Array<Object>>} Available candidates with `platforms` filled in
+ */
+export const filterToPlatforms = async (
+  candidates,
+  platformIds,
+  limit,
+  maxChecked = MAX_CANDIDATES_CHECKED
+) => {
+  const available = [];
+  const toCheck = candidates.slice(0, maxChecked);
+
+  for (let i = 0; i < toCheck.length && available.length < limit; i += BATCH_SIZE) {
+    const batch = toCheck.slice(i, i + BATCH_SIZE);
+    const responses = await Promise.all(
+      batch.map((item) => getContentWatchProviders(item.id, item.type))
+    );
+
+    responses.forEach((response, index) => {
+      const platforms = (response.data?.flatrate || [])
+        .filter((provider) => platformIds.includes(provider.provider_id))
+        .map((provider) => ({ id: provider.provider_id, name: provider.provider_name }));
+
+      if (platforms.length > 0) {
+        available.push({ ...batch[index], platforms });
+      }
+    });
+  }
+
+  return available.slice(0, limit);
+};
+
+/**
+ * Build the recommendation rows for Home
+ * @param {Object} options
+ * @param {Array<number>} options.platformIds - User's selected platform IDs
+ * @param {Array<number>} options.preferredGenreIds - Genres picked in the saved filters
+ * @param {Array<number>} options.excludedGenreIds - Genres left out in the saved filters
+ * @param {number} options.limit - Maximum titles per row
+ * @returns {Promise<Object>} { becauseYouWatched: { seed, items } | null, forYou: Array }
+ */
+export const getRecommendationRows = async ({
+  platformIds = [],
+  preferredGenreIds = [],
+  excludedGenreIds = [],
+  limit = 20,
+} = {}) => {
+  try {
+    const history = await getWatchHistory();
+    const seeds = pickSeeds(history, MAX_SEEDS);
+
+    if (seeds.length === 0 || platformIds.length === 0) {
+      return { becauseYouWatched: null, forYou: [] };
+    }
+
+    const lists = await fetchRelatedLists(seeds);
+    const options = {
+      genreProfile: buildGenreProfile(history, { preferredGenreIds, excludedGenreIds }),
+      excludeKeys: new Set(history.map((entry) => entry.key)),
+    };
+
+    // "Because you watched" uses the most recent liked title on its own
+    const latestSeed = seeds[0];
+    const seedCandidates = scoreCandidates(
+      lists.filter((list) => list.seed.key === latestSeed.key),
+      options
+    );
+    const seedItems = await filterToPlatforms(seedCandidates, platformIds, limit);
+
+    // "For you" blends every seed, leaving out what the row above already shows
+    const shownKeys = new Set(seedItems.map((item) => `${item.type}-${item.id}`));
+    const allCandidates = scoreCandidates(lists, options).filter(
+      (item) => !shownKeys.has(`${item.type}-${item.id}`)
+    );
+    const forYou = await filterToPlatforms(allCandidates, platformIds, limit);
+
+    if (DEBUG) {
+      console.log('[Recommendations] Built rows:', `${seedItems.length} for seed, ${forYou.length} for you`);
+    }
+
+    return {
+      becauseYouWatched: seedItems.length > 0 ? { seed: latestSeed, items: seedItems } : null,
+      forYou,
+    };
+  } catch (error) {
+    console.error('[Recommendations] Error building rows:', error);
+    return { becauseYouWatched: null, forYou: [] };
+  }
+};
+
+export default {
+  getRecommendationRows,
+  filterToPlatforms,
+};
@@ -0,0 +1,104 @@
+/**
+ * Title Matching
+ * Fuzzy matching of a title and year (as written in another service's
+ * export) against TMDb search results. Pure functions.
+ */
+
+// Lowest similarity (0-1) accepted as the same title
+export const MIN_TITLE_SIMILARITY = 0.85;
+
+// Release years differ between services (festival vs general release)
+export const MAX_YEAR_DIFFERENCE = 1;
+
+/**
+ * Reduce a title to a comparable form
+ * Drops accents, case, punctuation and a leading article. Letters and
+ * digits of any script are kept, so non-Latin titles still compare
+ * @param {string} title - Title as written
+ * @returns {string} Normalized title, e.g. 'Amélie!' -> 'amelie'
+ */
+export const normalizeTitle = (title) =>
+  (title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    // Marks stay too: they are part of the letter in scripts like Devanagari
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');
+
+// Levenshtein edit distance
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Compare two titles
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity from 0 (different) to 1 (same once normalized)
+ */
+export const titleSimilarity = (a, b) => {
+  const first = normalizeTitle(a);
+  const second = normalizeTitle(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+
+  return 1 - editDistance(first, second) / Math.max(first.length, second.length);
+};
+
+// Year a TMDb movie or TV result came out, or null if unknown
+const getResultYear = (result) => {
+  const year = parseInt((result.release_date || result.first_air_date || '').slice(0, 4), 10);
+  return Number.isInteger(year) ? year : null;
+};
+
+/**
+ * Pick the search result that best matches a title and year
+ * Compares against both the display and original title. Results more than
+ * MAX_YEAR_DIFFERENCE years out are rejected; each year of difference
+ * counts slightly against a result.
+ * @param {Array<Object>} results - TMDb movie or TV search results
+ * @param {Object} target - { title, year } where year may be null
+ * @returns {Object|null} Best result, or null if none is close enough
+ */
+export const pickBestMatch = (results, { title, year = null }) => {
+  let best = null;
+  let bestScore = 0;
+
+  (results || []).forEach((result) => {
+    const similarity = Math.max(
+      titleSimilarity(title, result.title || result.name),
+      titleSimilarity(title, result.original_title || result.original_name)
+    );
+    if (similarity < MIN_TITLE_SIMILARITY) return;
+
+    const resultYear = getResultYear(result);
+    const yearDifference = year && resultYear ? Math.abs(year - resultYear) : 0;
+    if (yearDifference > MAX_YEAR_DIFFERENCE) return;
+
+    // Results arrive in relevance order, so ties keep the earlier one
+    const score = similarity - yearDifference * 0.05;
+    if (score > bestScore) {
+      best = result;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};